@@ -1,10 +1,13 @@
 /**
  * WP Nextcloud Bridge — Admin JavaScript
  *
- * Three modules, each self-contained:
+ * Six modules, each self-contained:
  *   1. ConnectionTester — "Test Connection" button
  *   2. FileBrowser      — interactive Nextcloud file browser
  *   3. SyncRunner       — "Sync Now" button with live log
+ *   4. SyncDirRows      — directory pairs, their filters and schedules
+ *   5. SyncHistory      — past runs, their logs, next scheduled runs
+ *   6. SyncPreview      — "Preview" button: dry run of the sync
  *
  * All AJAX calls go through a single `wpncRequest()` helper
  * that handles nonce injection, error display, and loading states.
@@ -21,7 +24,8 @@
    *
    * @param {string}   action  WordPress AJAX action name.
    * @param {Object}   data    Extra POST parameters.
-   * @returns {Promise<Object>} Resolves with response.data on success.
+   * @returns {Promise<Object>} Resolves with response.data on success;
+   *                            rejects with (message, httpStatus).
    */
   function wpncRequest(action, data) {
     var payload = $.extend(
@@ -42,8 +46,12 @@
         return $.Deferred().reject(msg).promise();
       },
       function (xhr) {
-        var msg = xhr.statusText || wpncAdmin.i18n.error;
-        return $.Deferred().reject(msg).promise();
+        // wp_send_json_error( $msg, $status ) still carries the message.
+        var msg =
+          (xhr.responseJSON && xhr.responseJSON.data) ||
+          xhr.statusText ||
+          wpncAdmin.i18n.error;
+        return $.Deferred().reject(msg, xhr.status).promise();
       }
     );
   }
@@ -93,22 +101,86 @@
     // State: current path segments for breadcrumb.
     var currentPath = "";
 
+    // dataTransfer type for rows dragged onto folders / breadcrumbs.
+    var DRAG_TYPE = "application/x-wpnc-path";
+
+    // Items of the folder shown, for leaving search results.
+    var folderItems = [];
+
+    // Path to highlight once its folder is listed (search "Show in folder").
+    var found = "";
+
+    // Sort column, direction and list / grid view, remembered per browser.
+    var prefs = loadViewPrefs();
+
+    var i18n = wpncAdmin.i18n;
+
     // Render wrapper.
     $root.html(
       '<div class="wpnc-browser">' +
         '  <div class="wpnc-breadcrumb"></div>' +
+        '  <div class="wpnc-search">' +
+        '    <input type="search" class="regular-text wpnc-search-name" placeholder="' +
+        escAttr(i18n.search_placeholder) +
+        '" />' +
+        '    <select class="wpnc-search-mime">' +
+        '      <option value="">' + escHtml(i18n.search_any) + "</option>" +
+        '      <option value="httpd/unix-directory">' + escHtml(i18n.search_folders) + "</option>" +
+        '      <option value="image">' + escHtml(i18n.search_images) + "</option>" +
+        '      <option value="video">' + escHtml(i18n.search_videos) + "</option>" +
+        '      <option value="audio">' + escHtml(i18n.search_audio) + "</option>" +
+        '      <option value="application/pdf">PDF</option>' +
+        '      <option value="text">' + escHtml(i18n.search_text) + "</option>" +
+        "    </select>" +
+        '    <input type="number" class="small-text wpnc-search-min" min="0" step="any" placeholder="' +
+        escAttr(i18n.search_min_mb) +
+        '" />' +
+        '    <input type="number" class="small-text wpnc-search-max" min="0" step="any" placeholder="' +
+        escAttr(i18n.search_max_mb) +
+        '" />' +
+        '    <input type="date" class="wpnc-search-after" title="' +
+        escAttr(i18n.search_after) +
+        '" />' +
+        '    <input type="date" class="wpnc-search-before" title="' +
+        escAttr(i18n.search_before) +
+        '" />' +
+        '    <button type="button" class="button wpnc-search-btn">🔍 ' +
+        escHtml(i18n.search) +
+        "</button>" +
+        '    <button type="button" class="button wpnc-view-btn"></button>' +
+        "  </div>" +
+        '  <div class="wpnc-bulk-bar" style="display:none"></div>' +
+        '  <div class="wpnc-bulk-report" style="display:none"></div>' +
+        '  <div class="wpnc-zip-progress" style="display:none"></div>' +
+        '  <div class="wpnc-picker" style="display:none"></div>' +
+        '  <div class="wpnc-share-panel" style="display:none"></div>' +
         '  <div class="wpnc-file-list"></div>' +
         '  <div class="wpnc-browser-status"></div>' +
         "</div>"
     );
 
     var $breadcrumb = $root.find(".wpnc-breadcrumb");
+    var $picker = $root.find(".wpnc-picker");
+    var $shares = $root.find(".wpnc-share-panel");
+    var $bulkBar = $root.find(".wpnc-bulk-bar");
+    var $report = $root.find(".wpnc-bulk-report");
+    var $zips = $root.find(".wpnc-zip-progress");
+
+    // Index of the last checkbox clicked, for shift-click ranges.
+    var lastChecked = null;
     var $list = $root.find(".wpnc-file-list");
     var $status = $root.find(".wpnc-browser-status");
+    var $search = $root.find(".wpnc-search");
+    var $viewBtn = $root.find(".wpnc-view-btn");
 
     // Load a folder.
     function loadFolder(path) {
       currentPath = path || "";
+      lastChecked = null;
+      $search.find(".wpnc-search-name").val("");
+      $picker.hide().empty();
+      $shares.hide().empty();
+      $bulkBar.hide().empty();
       $status.text(wpncAdmin.i18n.loading).show();
       $list.empty();
 
@@ -116,7 +188,8 @@
         .then(function (data) {
           $status.hide();
           renderBreadcrumb(currentPath);
-          renderItems(data.items || []);
+          folderItems = data.items || [];
+          renderItems(folderItems);
         })
         .fail(function (err) {
           $status.text("❌ " + err).show();
@@ -143,7 +216,61 @@
       $breadcrumb.html(html);
     }
 
-    // Item list.
+    function sortArrow(key) {
+      return prefs.sort === key ? (prefs.dir === 1 ? " ▲" : " ▼") : "";
+    }
+
+    function sortHeader(key, label) {
+      return (
+        '<th class="wpnc-sortable" data-sort="' +
+        key +
+        '" aria-sort="' +
+        (prefs.sort === key ? (prefs.dir === 1 ? "ascending" : "descending") : "none") +
+        '">' +
+        escHtml(label) +
+        sortArrow(key) +
+        "</th>"
+      );
+    }
+
+    function sortButton(key, label) {
+      return (
+        '<button type="button" class="button-link wpnc-sortable" data-sort="' +
+        key +
+        '">' +
+        escHtml(label) +
+        sortArrow(key) +
+        "</button> "
+      );
+    }
+
+    function renderViewButton() {
+      var grid = prefs.view === "grid";
+      $viewBtn
+        .text(grid ? "☰ " + i18n.list_view : "▦ " + i18n.grid_view)
+        .attr("aria-pressed", grid ? "true" : "false");
+    }
+
+    // Change and remember the sort / view; a listing on screen is redrawn.
+    function setPrefs(changes) {
+      $.extend(prefs, changes);
+      saveViewPrefs(prefs);
+      renderViewButton();
+      if ($list.find(".wpnc-item").length) renderItems(folderItems);
+    }
+
+    renderViewButton();
+
+    $viewBtn.on("click", function () {
+      setPrefs({ view: prefs.view === "grid" ? "list" : "grid" });
+    });
+
+    $root.on("click", ".wpnc-file-list [data-sort]", function () {
+      var key = $(this).data("sort");
+      setPrefs({ sort: key, dir: prefs.sort === key ? -prefs.dir : 1 });
+    });
+
+    // Item list: a table, or a grid of tiles with thumbnails.
     function renderItems(items) {
       if (!items.length) {
         $list.html(
@@ -154,16 +281,32 @@
         return;
       }
 
-      // Sort: folders first, then alphabetical.
-      items.sort(function (a, b) {
-        if (a.type !== b.type) return a.type === "folder" ? -1 : 1;
-        return a.name.localeCompare(b.name);
-      });
+      sortItems(items, prefs.sort, prefs.dir);
 
-      var html = '<table class="widefat wpnc-items-table">';
-      html += "<thead><tr>";
-      html += "<th>Name</th><th>Type</th><th>Size</th><th>Actions</th>";
-      html += "</tr></thead><tbody>";
+      var grid = prefs.view === "grid";
+      var html;
+
+      if (grid) {
+        html =
+          '<div class="wpnc-grid-head"><input type="checkbox" class="wpnc-select-all" /> ' +
+          sortButton("name", i18n.col_name) +
+          sortButton("type", i18n.col_type) +
+          sortButton("size", i18n.col_size) +
+          sortButton("modified", i18n.col_modified) +
+          '</div><div class="wpnc-grid">';
+      } else {
+        html = '<table class="widefat wpnc-items-table">';
+        html += "<thead><tr>";
+        html +=
+          '<th class="wpnc-col-check"><input type="checkbox" class="wpnc-select-all" /></th>';
+        html +=
+          sortHeader("name", i18n.col_name) +
+          sortHeader("type", i18n.col_type) +
+          sortHeader("size", i18n.col_size) +
+          sortHeader("modified", i18n.col_modified) +
+          "<th>Actions</th>";
+        html += "</tr></thead><tbody>";
+      }
 
       for (var i = 0; i < items.length; i++) {
         var it = items[i];
@@ -171,23 +314,94 @@
         var itemPath = currentPath
           ? currentPath + "/" + it.name
           : it.name;
+        var attrs =
+          ' draggable="true" data-path="' +
+          escAttr(itemPath) +
+          '" data-type="' +
+          it.type +
+          '"';
 
-        html += "<tr>";
+        // Name.
+        var name =
+          it.type === "folder"
+            ? '<a href="#" class="wpnc-folder-link" data-path="' +
+              escAttr(itemPath) +
+              '">' +
+              (grid ? "" : icon + " ") +
+              escHtml(it.name) +
+              "</a>" +
+              sharedBadge(it)
+            : (grid ? "" : icon + " ") + escHtml(it.name) + sharedBadge(it);
 
-        // Name column.
+        // Actions.
+        var actions =
+          '<button class="button button-small wpnc-share-btn" data-path="' +
+          escAttr(itemPath) +
+          '">🔗 ' +
+          escHtml(wpncAdmin.i18n.share) +
+          "</button> ";
         if (it.type === "folder") {
-          html +=
-            '<td><a href="#" class="wpnc-folder-link" data-path="' +
+          actions +=
+            '<button class="button button-small wpnc-zip-btn" data-path="' +
             escAttr(itemPath) +
-            '">' +
-            icon +
-            " " +
-            escHtml(it.name) +
-            "</a></td>";
-        } else {
-          html += "<td>" + icon + " " + escHtml(it.name) + "</td>";
+            '" title="' +
+            escAttr(wpncAdmin.i18n.download_folder) +
+            '">⬇️ ZIP</button> ';
+        }
+        actions +=
+          '<button class="button button-small wpnc-rename-btn" data-path="' +
+          escAttr(itemPath) +
+          '" title="' +
+          escAttr(wpncAdmin.i18n.rename) +
+          '">✏️</button> ';
+        actions +=
+          '<button class="button button-small wpnc-move-btn" data-path="' +
+          escAttr(itemPath) +
+          '" title="' +
+          escAttr(wpncAdmin.i18n.move) +
+          '">➡️</button> ';
+        actions +=
+          '<button class="button button-small wpnc-copy-btn" data-path="' +
+          escAttr(itemPath) +
+          '" title="' +
+          escAttr(wpncAdmin.i18n.copy) +
+          '">⧉</button> ';
+        actions +=
+          '<button class="button button-small wpnc-del-btn" data-path="' +
+          escAttr(itemPath) +
+          '">🗑</button>';
+
+        if (grid) {
+          html += '<div class="wpnc-item wpnc-tile"' + attrs + ">";
+          html += '<input type="checkbox" class="wpnc-select" />';
+          html += '<div class="wpnc-tile-thumb">';
+          html += hasThumbnail(it)
+            ? '<img src="' +
+              escAttr(thumbUrl(itemPath, it.etag)) +
+              '" alt="" loading="lazy" data-icon="' +
+              escAttr(icon) +
+              '" />'
+            : '<span class="wpnc-tile-icon">' + icon + "</span>";
+          html += "</div>";
+          html += '<div class="wpnc-item-name">' + name + "</div>";
+          html +=
+            '<div class="description">' +
+            (it.type === "file" ? humanSize(it.size) + " · " : "") +
+            escHtml(formatDate(it.modified)) +
+            "</div>";
+          html += '<div class="wpnc-tile-actions">' + actions + "</div>";
+          html += "</div>";
+          continue;
         }
 
+        html += '<tr class="wpnc-item"' + attrs + ">";
+
+        // Selection column.
+        html +=
+          '<td class="wpnc-col-check"><input type="checkbox" class="wpnc-select" /></td>';
+
+        html += '<td class="wpnc-item-name">' + name + "</td>";
+
         // Type column.
         html +=
           "<td>" + escHtml(it.type === "folder" ? "Folder" : it.mime || "—") + "</td>";
@@ -198,30 +412,191 @@
           (it.type === "file" ? humanSize(it.size) : "—") +
           "</td>";
 
-        // Actions column.
-        html += "<td>";
-        if (it.type === "file") {
-          html +=
-            '<button class="button button-small wpnc-share-btn" data-path="' +
-            escAttr(itemPath) +
-            '">🔗 Share</button> ';
+        // Modified column.
+        html += "<td>" + escHtml(formatDate(it.modified)) + "</td>";
+
+        html += "<td>" + actions + "</td></tr>";
+      }
+
+      html += grid ? "</div>" : "</tbody></table>";
+      $list.html(html);
+      filterRows();
+
+      // A thumbnail Nextcloud cannot render falls back to the icon.
+      $list.find(".wpnc-tile-thumb img").on("error", function () {
+        $(this).replaceWith(
+          $('<span class="wpnc-tile-icon"></span>').text($(this).data("icon"))
+        );
+      });
+
+      if (found) {
+        var $found = $list.find(".wpnc-item").filter(function () {
+          return String($(this).data("path")) === found;
+        });
+        $found.addClass("wpnc-row-found");
+        if ($found.length) $found[0].scrollIntoView({ block: "nearest" });
+        found = "";
+      }
+    }
+
+    // Search: typing filters the folder; Enter / the button searches below it.
+    function filterRows() {
+      var term = $.trim($search.find(".wpnc-search-name").val()).toLowerCase();
+      $list.find(".wpnc-item").each(function () {
+        var name = baseName($(this).data("path")).toLowerCase();
+        $(this).toggle(!term || name.indexOf(term) !== -1);
+      });
+    }
+
+    function searchCriteria() {
+      var mb = function (sel) {
+        var v = $.trim($search.find(sel).val());
+        return v === "" ? "" : String(Math.round(parseFloat(v) * 1024 * 1024));
+      };
+      var data = {
+        name: $.trim($search.find(".wpnc-search-name").val()),
+        mime: $search.find(".wpnc-search-mime").val(),
+        min_size: mb(".wpnc-search-min"),
+        max_size: mb(".wpnc-search-max"),
+        after: $search.find(".wpnc-search-after").val(),
+        before: $search.find(".wpnc-search-before").val(),
+      };
+      var any = false;
+      $.each(data, function (key, value) {
+        if (value !== "") any = true;
+      });
+      return any ? data : null;
+    }
+
+    function runSearch() {
+      var data = searchCriteria();
+      if (!data) {
+        $status.text("❌ " + i18n.search_empty).show();
+        return;
+      }
+
+      data.path = currentPath;
+      lastChecked = null;
+      $picker.hide().empty();
+      $shares.hide().empty();
+      $bulkBar.hide().empty();
+      $status.text(wpncAdmin.i18n.loading).show();
+      $list.empty();
+
+      wpncRequest("wpnc_search", data)
+        .then(function (res) {
+          $status.hide();
+          renderResults(res);
+        })
+        .fail(function (err) {
+          $status.text("❌ " + err).show();
+        });
+    }
+
+    // Results: name, full folder path (click to open), jump to the file.
+    function renderResults(res) {
+      var items = res.items || [];
+      var where = currentPath ? "/" + currentPath : "🏠 Root";
+      var html =
+        '<p class="wpnc-search-head"><strong>' +
+        escHtml(i18n.search_results.replace("%1$d", items.length).replace("%2$s", where)) +
+        "</strong> " +
+        '<button type="button" class="button-link wpnc-search-back">' +
+        escHtml(i18n.search_back) +
+        "</button></p>";
+
+      if (res.truncated) {
+        html +=
+          '<p class="description">' +
+          escHtml(i18n.search_more.replace("%d", items.length)) +
+          "</p>";
+      }
+
+      if (!items.length) {
+        $list.html(html + '<div class="wpnc-empty">' + escHtml(i18n.search_none) + "</div>");
+        return;
+      }
+
+      html += '<table class="widefat wpnc-items-table wpnc-search-results">';
+      html += "<thead><tr>";
+      html +=
+        "<th>Name</th><th>" +
+        escHtml(i18n.search_folder) +
+        "</th><th>Type</th><th>Size</th><th>Actions</th>";
+      html += "</tr></thead><tbody>";
+
+      items.forEach(function (it) {
+        var folder = parentOf(it.href);
+        var icon = it.type === "folder" ? "📁" : fileIcon(it.mime);
+
+        html += '<tr data-path="' + escAttr(it.href) + '">';
+        if (it.type === "folder") {
           html +=
-            '<button class="button button-small wpnc-del-btn" data-path="' +
-            escAttr(itemPath) +
-            '">🗑</button>';
+            '<td><a href="#" class="wpnc-folder-link" data-path="' +
+            escAttr(it.href) +
+            '">' +
+            icon +
+            " " +
+            escHtml(it.name) +
+            "</a>" +
+            sharedBadge(it) +
+            "</td>";
         } else {
-          html +=
-            '<button class="button button-small wpnc-del-btn" data-path="' +
-            escAttr(itemPath) +
-            '">🗑</button>';
+          html += "<td>" + icon + " " + escHtml(it.name) + sharedBadge(it) + "</td>";
         }
-        html += "</td></tr>";
-      }
+        html +=
+          '<td><a href="#" class="wpnc-folder-link" data-path="' +
+          escAttr(folder) +
+          '">/' +
+          escHtml(folder) +
+          "</a></td>";
+        html +=
+          "<td>" + escHtml(it.type === "folder" ? "Folder" : it.mime || "—") + "</td>";
+        html +=
+          "<td>" +
+          (it.type === "file" ? humanSize(it.size) : "—") +
+          "</td>";
+        html +=
+          '<td><button class="button button-small wpnc-reveal-btn" data-path="' +
+          escAttr(it.href) +
+          '">📂 ' +
+          escHtml(i18n.show_in_folder) +
+          "</button></td>";
+        html += "</tr>";
+      });
 
       html += "</tbody></table>";
       $list.html(html);
     }
 
+    $search.on("input", ".wpnc-search-name", filterRows);
+
+    $search.on("keydown", "input", function (e) {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        runSearch();
+      } else if (e.key === "Escape" && $(this).is(".wpnc-search-name")) {
+        $(this).val("");
+        if ($list.find(".wpnc-search-results, .wpnc-search-head").length) {
+          renderItems(folderItems);
+        } else {
+          filterRows();
+        }
+      }
+    });
+
+    $search.on("click", ".wpnc-search-btn", runSearch);
+
+    $root.on("click", ".wpnc-search-back", function () {
+      $status.hide();
+      renderItems(folderItems);
+    });
+
+    $root.on("click", ".wpnc-reveal-btn", function () {
+      found = String($(this).data("path"));
+      loadFolder(parentOf(found));
+    });
+
     // Delegated events.
     $root.on("click", ".wpnc-crumb", function (e) {
       e.preventDefault();
@@ -233,33 +608,170 @@
       loadFolder($(this).data("path"));
     });
 
+    // Share: inline panel with the item's shares and a new-link form.
+    function renderShares(shares) {
+      var i18n = wpncAdmin.i18n;
+      var levels = { view: i18n.share_view, upload: i18n.share_upload, edit: i18n.share_edit };
+      var html = "";
+
+      $shares.data("shares", shares);
+
+      shares.forEach(function (share, i) {
+        var isLink = share.share_type === 3;
+        var tags = [levels[share.permission] || share.permission];
+        if (share.has_password) tags.push("🔒 " + i18n.share_protected);
+        if (share.expiration) tags.push("⏳ " + i18n.share_expires.replace("%s", share.expiration));
+
+        html +=
+          '<div class="wpnc-share-item"><strong>' +
+          escHtml(isLink ? share.label || i18n.share_public : i18n.share_with.replace("%s", share.share_with)) +
+          '</strong> <span class="description">' +
+          escHtml(tags.join(" · ")) +
+          "</span><br />" +
+          (isLink && share.url
+            ? '<input type="text" class="regular-text code wpnc-share-url" readonly value="' +
+              escAttr(share.url) +
+              '" /> <button type="button" class="button button-small wpnc-share-copy" data-index="' +
+              i +
+              '">' +
+              escHtml(i18n.share_copy) +
+              "</button> "
+            : "") +
+          '<button type="button" class="button button-small button-link-delete wpnc-share-revoke" data-index="' +
+          i +
+          '">' +
+          escHtml(i18n.revoke) +
+          "</button></div>";
+      });
+
+      $shares.find(".wpnc-share-items").html(html || escHtml(i18n.share_none));
+    }
+
+    function openShares(path, type) {
+      var i18n = wpncAdmin.i18n;
+      var tomorrow = new Date(Date.now() + 86400000).toISOString().slice(0, 10);
+
+      $shares
+        .data({ path: path, changed: false })
+        .html(
+          '<p class="wpnc-picker-title"><strong>' +
+            escHtml(i18n.share_title.replace("%s", baseName(path))) +
+            "</strong></p>" +
+            '<div class="wpnc-share-items">' +
+            escHtml(i18n.loading) +
+            "</div>" +
+            '<p class="wpnc-share-form">' +
+            '<input type="text" class="wpnc-share-label" placeholder="' +
+            escAttr(i18n.share_label) +
+            '" /> ' +
+            '<input type="password" class="wpnc-share-password" autocomplete="new-password" placeholder="' +
+            escAttr(i18n.share_password) +
+            '" /> ' +
+            "<label>" +
+            escHtml(i18n.share_expire) +
+            ' <input type="date" class="wpnc-share-expire" min="' +
+            tomorrow +
+            '" /></label> ' +
+            '<select class="wpnc-share-permission">' +
+            '<option value="view">' +
+            escHtml(i18n.share_view) +
+            "</option>" +
+            (type === "folder"
+              ? '<option value="upload">' + escHtml(i18n.share_upload) + "</option>"
+              : "") +
+            '<option value="edit">' +
+            escHtml(i18n.share_edit) +
+            "</option></select> " +
+            '<button type="button" class="button button-primary wpnc-share-create">' +
+            escHtml(i18n.share_create) +
+            "</button></p>" +
+            '<p><button type="button" class="button wpnc-share-close">' +
+            escHtml(i18n.close) +
+            "</button></p>"
+        )
+        .show();
+
+      wpncRequest("wpnc_shares", { path: path })
+        .then(function (data) {
+          if ($shares.data("path") === path) renderShares(data.shares || []);
+        })
+        .fail(function (err) {
+          $shares.find(".wpnc-share-items").text("❌ " + err);
+        });
+    }
+
+    function copyShareUrl(url) {
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(url);
+        $status.text("✅ " + wpncAdmin.i18n.copied).show();
+      }
+    }
+
     $root.on("click", ".wpnc-share-btn", function () {
+      var $row = $(this).closest(".wpnc-item");
+      openShares(String($row.data("path")), $row.data("type"));
+    });
+
+    $shares.on("click", ".wpnc-share-copy", function () {
+      copyShareUrl($shares.data("shares")[$(this).data("index")].url);
+    });
+
+    $shares.on("focus", ".wpnc-share-url", function () {
+      this.select();
+    });
+
+    $shares.on("click", ".wpnc-share-revoke", function () {
       var $btn = $(this);
-      var path = $btn.data("path");
-      $btn.prop("disabled", true).text("…");
+      var share = $shares.data("shares")[$btn.data("index")];
+
+      // Second click confirms.
+      if (!$btn.data("armed")) {
+        $btn.data("armed", true).text(wpncAdmin.i18n.revoke_confirm);
+        return;
+      }
 
-      wpncRequest("wpnc_get_public_url", { path: path })
+      $btn.prop("disabled", true);
+      wpncRequest("wpnc_share_delete", { id: share.id, path: $shares.data("path") })
         .then(function (data) {
-          // Copy to clipboard.
-          if (navigator.clipboard && navigator.clipboard.writeText) {
-            navigator.clipboard.writeText(data.url);
-            $btn.text("✅ Copied!");
-          } else {
-            window.prompt("Share URL:", data.url);
-            $btn.text("🔗 Share");
-          }
+          $shares.data("changed", true);
+          renderShares(data.shares || []);
+        })
+        .fail(function (err) {
+          $btn.prop("disabled", false);
+          $status.text("❌ " + err).show();
+        });
+    });
+
+    $shares.on("click", ".wpnc-share-create", function () {
+      var $btn = $(this).prop("disabled", true);
+
+      wpncRequest("wpnc_share_create", {
+        path: $shares.data("path"),
+        label: $shares.find(".wpnc-share-label").val(),
+        password: $shares.find(".wpnc-share-password").val(),
+        expire: $shares.find(".wpnc-share-expire").val(),
+        permission: $shares.find(".wpnc-share-permission").val(),
+      })
+        .then(function (data) {
+          $shares.data("changed", true);
+          $shares.find(".wpnc-share-label, .wpnc-share-password, .wpnc-share-expire").val("");
+          renderShares(data.shares || []);
+          if (data.url) copyShareUrl(data.url);
         })
         .fail(function (err) {
-          $btn.text("❌ Error");
-          $status.text(err).show();
+          $status.text("❌ " + err).show();
         })
         .always(function () {
-          setTimeout(function () {
-            $btn.prop("disabled", false).text("🔗 Share");
-          }, 2000);
+          $btn.prop("disabled", false);
         });
     });
 
+    $shares.on("click", ".wpnc-share-close", function () {
+      var changed = $shares.data("changed");
+      $shares.hide().empty();
+      if (changed) loadFolder(currentPath); // Refresh the shared badges.
+    });
+
     $root.on("click", ".wpnc-del-btn", function () {
       var $btn = $(this);
       var path = $btn.data("path");
@@ -283,94 +795,1489 @@
       }
     });
 
-    // Initial load.
-    loadFolder("");
-  }
-
-  /* ================================================================
-   *  3. SYNC RUNNER
-   * ============================================================= */
+    /* ── Rename / Move ───────────────────────────────────── */
 
-  function initSyncRunner() {
-    var $btn = $("#wpnc-sync-btn");
-    var $result = $("#wpnc-sync-result");
-    var $log = $("#wpnc-sync-log");
+    function baseName(path) {
+      return String(path).split("/").pop();
+    }
 
-    if (!$btn.length) return;
+    function parentOf(path) {
+      var i = String(path).lastIndexOf("/");
+      return i === -1 ? "" : String(path).slice(0, i);
+    }
 
-    $btn.on("click", function () {
-      $btn.prop("disabled", true);
-      $result.text(wpncAdmin.i18n.syncing).css("color", "#666");
-      $log.empty().show();
+    function joinPath(dir, name) {
+      return dir ? dir + "/" + name : name;
+    }
 
-      wpncRequest("wpnc_sync_start")
-        .then(function (data) {
-          $result
-            .text("✅ " + wpncAdmin.i18n.success)
-            .css("color", "#00a32a");
+    function moveItem(path, folder) {
+      path = String(path);
+      folder = String(folder);
 
-          var lines = data.log || [];
-          var html = "";
-          for (var i = 0; i < lines.length; i++) {
-            var cls = "wpnc-log-line";
-            if (lines[i].indexOf("✗") === 0) cls += " wpnc-log-error";
-            else if (lines[i].indexOf("⚠") === 0) cls += " wpnc-log-warn";
-            else if (lines[i].indexOf("↑") === 0) cls += " wpnc-log-upload";
-            else if (lines[i].indexOf("+") === 0) cls += " wpnc-log-create";
-
-            html += '<div class="' + cls + '">' + escHtml(lines[i]) + "</div>";
-          }
-          $log.html(html);
+      if (folder === parentOf(path)) return; // Already there.
+      if (folder === path || folder.indexOf(path + "/") === 0) {
+        $status.text("❌ " + wpncAdmin.i18n.move_into_self).show();
+        return;
+      }
 
-          // Refresh file browser if present.
-          var $crumbRoot = $(".wpnc-crumb[data-path='']");
-          if ($crumbRoot.length) $crumbRoot.trigger("click");
+      $status.text(wpncAdmin.i18n.loading).show();
+      wpncRequest("wpnc_move", { from: path, to: joinPath(folder, baseName(path)) })
+        .then(function () {
+          loadFolder(currentPath);
         })
         .fail(function (err) {
-          $result
-            .text("❌ " + err)
-            .css("color", "#d63638");
-        })
-        .always(function () {
-          $btn.prop("disabled", false);
+          $status.text("❌ " + err).show();
         });
-    });
-  }
+    }
 
-  /* ================================================================
-   *  4. SYNC DIR ROWS (dynamic add/remove)
-   * ============================================================= */
+    // Rename in place: the name cell becomes a text field.
+    $root.on("click", ".wpnc-rename-btn", function () {
+      var path = String($(this).data("path"));
+      var $cell = $(this).closest(".wpnc-item").find(".wpnc-item-name");
+      var original = $cell.html();
+      var $input = $('<input type="text" class="regular-text wpnc-rename-input" />').val(baseName(path));
 
-  function initSyncDirRows() {
-    var $wrap = $("#wpnc-sync-dirs-wrap");
-    if (!$wrap.length) return;
+      $cell.empty().append($input);
+      $input.trigger("focus").trigger("select");
 
-    // Add row.
-    $wrap.on("click", ".wpnc-add-row", function () {
-      var $tbody = $("#wpnc-sync-rows");
-      var idx = $tbody.find("tr").length;
-      var html =
-        "<tr>" +
-        '<td><input type="text" name="wpnc_settings[sync_dirs][' +
-        idx +
-        '][local]" value="" class="regular-text" placeholder="wp-content/uploads" /></td>' +
-        '<td><input type="text" name="wpnc_settings[sync_dirs][' +
-        idx +
-        '][remote]" value="" class="regular-text" placeholder="uploads" /></td>' +
-        '<td><button type="button" class="button wpnc-remove-row">&times;</button></td>' +
-        "</tr>";
-      $tbody.append(html);
-    });
+      function restore() {
+        $cell.html(original);
+      }
 
-    // Remove row.
-    $wrap.on("click", ".wpnc-remove-row", function () {
-      $(this).closest("tr").remove();
+      $input.on("keydown", function (e) {
+        if (e.key === "Escape") {
+          restore();
+        } else if (e.key === "Enter") {
+          e.preventDefault();
+          var name = $.trim($input.val());
+          if (!name || name === baseName(path)) {
+            restore();
+            return;
+          }
+          $input.prop("disabled", true);
+          wpncRequest("wpnc_move", { from: path, to: joinPath(parentOf(path), name) })
+            .then(function () {
+              loadFolder(currentPath);
+            })
+            .fail(function (err) {
+              $status.text("❌ " + err).show();
+              restore();
+            });
+        }
+      });
+      $input.on("blur", function () {
+        if (!$input.prop("disabled")) restore();
+      });
     });
-  }
 
-  /* ================================================================
-   *  UTILITY FUNCTIONS
-   * ============================================================= */
+    function copyItem(path, folder, conflict) {
+      path = String(path);
+      folder = String(folder);
+
+      if (folder === path || folder.indexOf(path + "/") === 0) {
+        $status.text("❌ " + wpncAdmin.i18n.copy_into_self).show();
+        return;
+      }
+
+      $status.text(wpncAdmin.i18n.copying.replace("%s", baseName(path))).show();
+      wpncRequest("wpnc_copy", {
+        from: path,
+        to: joinPath(folder, baseName(path)),
+        conflict: conflict || "fail",
+      })
+        .then(function (data) {
+          if (folder === currentPath) {
+            loadFolder(currentPath);
+          }
+          $status.text("✅ " + data.to).show();
+        })
+        .fail(function (err, status) {
+          if (status !== 409 || conflict) {
+            $status.text("❌ " + err).show();
+            return;
+          }
+
+          // Destination exists: ask inline, in the picker panel.
+          $status.hide();
+          $picker
+            .data({ path: path, folder: folder })
+            .html(
+              "<p>" +
+                escHtml(wpncAdmin.i18n.exists.replace("%s", baseName(path))) +
+                "</p>" +
+                '<p><button type="button" class="button wpnc-copy-resolve" data-conflict="overwrite">' +
+                escHtml(wpncAdmin.i18n.overwrite) +
+                "</button> " +
+                '<button type="button" class="button button-primary wpnc-copy-resolve" data-conflict="rename">' +
+                escHtml(wpncAdmin.i18n.keep_both) +
+                "</button> " +
+                '<button type="button" class="button wpnc-pick-cancel">' +
+                escHtml(wpncAdmin.i18n.cancel) +
+                "</button></p>"
+            )
+            .show();
+        });
+    }
+
+    // Move / copy: inline folder picker above the list.
+    function renderPicker(path, folder) {
+      var exclude = $picker.data("type") === "folder" ? path : null;
+      var copying = $picker.data("mode") === "copy";
+      var many = $picker.data("mode") === "move-many";
+      var segments = folder ? folder.split("/") : [];
+      var crumbs = '<a href="#" class="wpnc-pick" data-pick="">🏠 Root</a>';
+
+      for (var i = 0; i < segments.length; i++) {
+        crumbs +=
+          ' <span class="wpnc-crumb-sep">›</span> ' +
+          '<a href="#" class="wpnc-pick" data-pick="' +
+          escAttr(segments.slice(0, i + 1).join("/")) +
+          '">' +
+          escHtml(segments[i]) +
+          "</a>";
+      }
+
+      $picker
+        .data("folder", folder)
+        .html(
+          '<p class="wpnc-picker-title">' +
+            escHtml(
+              many
+                ? wpncAdmin.i18n.move_items.replace("%d", $picker.data("paths").length)
+                : (copying ? wpncAdmin.i18n.copy_to : wpncAdmin.i18n.move_to).replace(
+                    "%s",
+                    baseName(path)
+                  )
+            ) +
+            " " +
+            crumbs +
+            "</p>" +
+            '<div class="wpnc-picker-list">' +
+            escHtml(wpncAdmin.i18n.loading) +
+            "</div>" +
+            '<p><button type="button" class="button button-primary wpnc-pick-confirm">' +
+            escHtml(copying ? wpncAdmin.i18n.copy_here : wpncAdmin.i18n.move_here) +
+            "</button> " +
+            '<button type="button" class="button wpnc-pick-cancel">' +
+            escHtml(wpncAdmin.i18n.cancel) +
+            "</button></p>"
+        )
+        .show();
+
+      wpncRequest("wpnc_browse", { path: folder })
+        .then(function (data) {
+          if ($picker.data("folder") !== folder) return; // Navigated meanwhile.
+
+          var html = "";
+          (data.items || []).forEach(function (it) {
+            var sub = joinPath(folder, it.name);
+            if (it.type !== "folder" || sub === exclude) return;
+            html +=
+              '<a href="#" class="wpnc-pick" data-pick="' +
+              escAttr(sub) +
+              '">📁 ' +
+              escHtml(it.name) +
+              "</a>";
+          });
+          $picker
+            .find(".wpnc-picker-list")
+            .html(html || escHtml(wpncAdmin.i18n.no_subfolders));
+        })
+        .fail(function (err) {
+          $picker.find(".wpnc-picker-list").text("❌ " + err);
+        });
+    }
+
+    $root.on("click", ".wpnc-move-btn, .wpnc-copy-btn", function () {
+      var $row = $(this).closest(".wpnc-item");
+      $picker.data({
+        path: String($row.data("path")),
+        type: $row.data("type"),
+        mode: $(this).hasClass("wpnc-copy-btn") ? "copy" : "move",
+      });
+      renderPicker(String($row.data("path")), currentPath);
+    });
+
+    $picker.on("click", ".wpnc-pick", function (e) {
+      e.preventDefault();
+      renderPicker($picker.data("path"), String($(this).data("pick")));
+    });
+
+    $picker.on("click", ".wpnc-pick-cancel", function () {
+      $picker.hide().empty();
+    });
+
+    $picker.on("click", ".wpnc-pick-confirm", function () {
+      var path = $picker.data("path");
+      var folder = $picker.data("folder");
+      var mode = $picker.data("mode");
+      $picker.hide().empty();
+      if (mode === "copy") {
+        copyItem(path, folder);
+      } else if (mode === "move-many") {
+        moveMany($picker.data("paths"), folder);
+      } else {
+        moveItem(path, folder);
+      }
+    });
+
+    $picker.on("click", ".wpnc-copy-resolve", function () {
+      var path = $picker.data("path");
+      var folder = $picker.data("folder");
+      var conflict = $(this).data("conflict");
+      $picker.hide().empty();
+      copyItem(path, folder, conflict);
+    });
+
+    // Drag rows onto folder rows or breadcrumb links.
+    $root.on("dragstart", ".wpnc-item[draggable]", function (e) {
+      e.originalEvent.dataTransfer.setData(DRAG_TYPE, String($(this).data("path")));
+      e.originalEvent.dataTransfer.effectAllowed = "move";
+    });
+
+    var dropTargets = '.wpnc-item[data-type="folder"], .wpnc-crumb';
+
+    $root.on("dragover", dropTargets, function (e) {
+      var types = Array.from(e.originalEvent.dataTransfer.types || []);
+      if (types.indexOf(DRAG_TYPE) === -1) return;
+      e.preventDefault();
+      $(this).addClass("wpnc-drop-target");
+    });
+
+    $root.on("dragleave drop", dropTargets, function () {
+      $(this).removeClass("wpnc-drop-target");
+    });
+
+    $root.on("drop", dropTargets, function (e) {
+      var path = e.originalEvent.dataTransfer.getData(DRAG_TYPE);
+      if (!path) return;
+      e.preventDefault();
+      moveItem(path, String($(this).data("path")));
+    });
+
+    /* ── Selection & bulk actions ────────────────────────── */
+
+    function selectedPaths() {
+      return $list
+        .find(".wpnc-select:checked")
+        .map(function () {
+          return String($(this).closest(".wpnc-item").data("path"));
+        })
+        .get();
+    }
+
+    function updateBulkBar() {
+      var $boxes = $list.find(".wpnc-select");
+      var count = $boxes.filter(":checked").length;
+
+      $list
+        .find(".wpnc-select-all")
+        .prop("checked", count > 0 && count === $boxes.length)
+        .prop("indeterminate", count > 0 && count < $boxes.length);
+      $boxes.each(function () {
+        $(this).closest(".wpnc-item").toggleClass("wpnc-row-selected", this.checked);
+      });
+
+      if (!count) {
+        $bulkBar.hide().empty();
+        return;
+      }
+
+      $bulkBar
+        .html(
+          "<strong>" +
+            escHtml(wpncAdmin.i18n.selected.replace("%d", count)) +
+            "</strong> " +
+            '<button type="button" class="button" data-bulk="download">⬇️ ' +
+            escHtml(wpncAdmin.i18n.download_zip) +
+            "</button> " +
+            '<button type="button" class="button" data-bulk="share">🔗 Share</button> ' +
+            '<button type="button" class="button" data-bulk="move">➡️ ' +
+            escHtml(wpncAdmin.i18n.move) +
+            "</button> " +
+            '<button type="button" class="button" data-bulk="delete">🗑 ' +
+            escHtml(wpncAdmin.i18n.delete_n.replace("%d", count)) +
+            "</button> " +
+            '<button type="button" class="button-link" data-bulk="clear">' +
+            escHtml(wpncAdmin.i18n.clear) +
+            "</button>"
+        )
+        .show();
+    }
+
+    // Click toggles one row; shift-click applies the same state to the range.
+    $root.on("click", ".wpnc-select", function (e) {
+      var $boxes = $list.find(".wpnc-select");
+      var index = $boxes.index(this);
+
+      if (e.shiftKey && lastChecked !== null) {
+        var from = Math.min(lastChecked, index);
+        var to = Math.max(lastChecked, index);
+        $boxes.slice(from, to + 1).filter(":visible").prop("checked", this.checked);
+      }
+      lastChecked = index;
+      updateBulkBar();
+    });
+
+    $root.on("change", ".wpnc-select-all", function () {
+      $list
+        .find(".wpnc-select")
+        .filter(this.checked ? ":visible" : "*")
+        .prop("checked", this.checked);
+      lastChecked = null;
+      updateBulkBar();
+    });
+
+    /**
+     * Run `fn(path)` for each path, one at a time, and collect the outcome
+     * of every call instead of stopping at the first failure.
+     */
+    function eachSeries(paths, fn) {
+      var results = [];
+      var chain = $.Deferred().resolve().promise();
+
+      paths.forEach(function (path) {
+        chain = chain.then(function () {
+          return fn(path).then(
+            function (data) {
+              results.push({ path: path, ok: true, data: data });
+            },
+            function (err) {
+              results.push({ path: path, ok: false, error: err });
+              return $.Deferred().resolve().promise();
+            }
+          );
+        });
+      });
+
+      return chain.then(function () {
+        return results;
+      });
+    }
+
+    /** One line per item, failures first, plus an optional extra block. */
+    function showReport(results, extraHtml) {
+      var failed = results.filter(function (r) {
+        return !r.ok;
+      });
+      var html =
+        "<p><strong>" +
+        escHtml(
+          wpncAdmin.i18n.bulk_summary
+            .replace("%1$d", results.length - failed.length)
+            .replace("%2$d", failed.length)
+        ) +
+        '</strong> <button type="button" class="button-link wpnc-report-close">' +
+        escHtml(wpncAdmin.i18n.close) +
+        "</button></p>";
+
+      failed.forEach(function (r) {
+        html +=
+          '<div class="wpnc-log-line wpnc-log-error">✗ ' +
+          escHtml(r.path) +
+          " — " +
+          escHtml(r.error) +
+          "</div>";
+      });
+
+      $report.html(html + (extraHtml || "")).show();
+    }
+
+    $report.on("click", ".wpnc-report-close", function () {
+      $report.hide().empty();
+    });
+
+    /**
+     * ZIP via a token link: the browser downloads it natively while a
+     * progress line polls the server. The link can be copied and handed
+     * out until it expires.
+     */
+    function downloadZip(paths, name) {
+      name = name || baseName(paths[0]);
+
+      wpncRequest("wpnc_zip_link", { paths: JSON.stringify(paths), name: name })
+        .then(function (link) {
+          var expires = new Date(link.expires * 1000).toLocaleString();
+          var $line = $(
+            '<div class="wpnc-zip-line">📦 <strong>' +
+              escHtml(name) +
+              '.zip</strong> <span class="wpnc-zip-status">' +
+              escHtml(wpncAdmin.i18n.zip_preparing) +
+              '</span> <button type="button" class="button-link wpnc-zip-copy">' +
+              escHtml(wpncAdmin.i18n.copy_link.replace("%s", expires)) +
+              '</button> <button type="button" class="button-link wpnc-zip-close">' +
+              escHtml(wpncAdmin.i18n.close) +
+              "</button></div>"
+          ).data("url", link.url);
+
+          $zips.append($line).show();
+          $('<a style="display:none" download></a>')
+            .attr("href", link.url + "&job=" + encodeURIComponent(link.job))
+            .appendTo(document.body)
+            .each(function () {
+              this.click();
+            })
+            .remove();
+
+          pollZip(link.job, $line, 0);
+        })
+        .fail(function (err) {
+          $status.text("❌ " + err).show();
+        });
+    }
+
+    // Poll once a second until the archive is done; give up if it never starts.
+    function pollZip(job, $line, waits) {
+      if (!$line.closest("body").length) return; // Closed.
+
+      wpncRequest("wpnc_zip_progress", { job: job })
+        .then(function (p) {
+          var text;
+
+          if (p.state === "waiting") {
+            if (waits >= 60) {
+              $line.find(".wpnc-zip-status").text("❌ " + wpncAdmin.i18n.zip_not_started);
+              return;
+            }
+            setTimeout(function () {
+              pollZip(job, $line, waits + 1);
+            }, 1000);
+            return;
+          }
+
+          if (p.state === "preparing") {
+            text = wpncAdmin.i18n.zip_preparing;
+          } else if (p.state === "cancelled") {
+            text = "❌ " + wpncAdmin.i18n.cancelled;
+          } else {
+            text = wpncAdmin.i18n.zip_progress
+              .replace("%1$d", p.done_files)
+              .replace("%2$d", p.files)
+              .replace("%3$s", humanSize(p.done_bytes))
+              .replace("%4$s", humanSize(p.bytes));
+            if (p.state === "done") text = "✅ " + wpncAdmin.i18n.zip_done + " · " + text;
+            if (p.errors) text += " · " + wpncAdmin.i18n.failed_n.replace("%d", p.errors);
+          }
+          $line.find(".wpnc-zip-status").text(text);
+
+          if (p.state !== "done" && p.state !== "cancelled") {
+            setTimeout(function () {
+              pollZip(job, $line, waits);
+            }, 1000);
+          }
+        })
+        .fail(function () {
+          setTimeout(function () {
+            pollZip(job, $line, waits);
+          }, 3000);
+        });
+    }
+
+    $root.on("click", ".wpnc-zip-btn", function () {
+      downloadZip([String($(this).data("path"))]);
+    });
+
+    $zips.on("click", ".wpnc-zip-copy", function () {
+      var url = $(this).closest(".wpnc-zip-line").data("url");
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(url);
+        $(this).text("✅ Copied!");
+      } else {
+        window.prompt("ZIP URL:", url);
+      }
+    });
+
+    $zips.on("click", ".wpnc-zip-close", function () {
+      $(this).closest(".wpnc-zip-line").remove();
+      if (!$zips.children().length) $zips.hide();
+    });
+
+    $bulkBar.on("click", "[data-bulk]", function () {
+      var $btn = $(this);
+      var action = $btn.data("bulk");
+      var paths = selectedPaths();
+
+      if (action === "clear") {
+        $list.find(".wpnc-select, .wpnc-select-all").prop("checked", false);
+        updateBulkBar();
+        return;
+      }
+
+      if (action === "download") {
+        downloadZip(paths, currentPath ? baseName(currentPath) : "nextcloud");
+        return;
+      }
+
+      if (action === "move") {
+        $picker.data({ path: "", type: "", mode: "move-many", paths: paths });
+        renderPicker("", currentPath);
+        return;
+      }
+
+      if (action === "share") {
+        $btn.prop("disabled", true).text("…");
+        eachSeries(paths, function (path) {
+          return wpncRequest("wpnc_get_public_url", { path: path });
+        }).then(function (results) {
+          var links = results
+            .filter(function (r) {
+              return r.ok;
+            })
+            .map(function (r) {
+              return baseName(r.path) + ": " + r.data.url;
+            });
+          showReport(
+            results,
+            links.length
+              ? '<textarea class="large-text code" rows="' +
+                  Math.min(links.length, 10) +
+                  '" readonly>' +
+                  escHtml(links.join("\n")) +
+                  "</textarea>"
+              : ""
+          );
+          updateBulkBar();
+        });
+        return;
+      }
+
+      if (action === "delete") {
+        // Same inline confirmation as the per-row 🗑, once for the batch.
+        if (!$btn.data("confirming")) {
+          $btn.text("Sure?").css("color", "#d63638").data("confirming", true);
+          setTimeout(function () {
+            if (!$btn.prop("disabled")) updateBulkBar(); // Not if already deleting.
+          }, 3000);
+          return;
+        }
+
+        $bulkBar.find("button").prop("disabled", true);
+        eachSeries(paths, function (path) {
+          return wpncRequest("wpnc_delete", { path: path });
+        }).then(function (results) {
+          loadFolder(currentPath);
+          showReport(results);
+        });
+      }
+    });
+
+    function moveMany(paths, folder) {
+      $status.text(wpncAdmin.i18n.loading).show();
+      eachSeries(paths, function (path) {
+        if (folder === path || folder.indexOf(path + "/") === 0) {
+          return $.Deferred().reject(wpncAdmin.i18n.move_into_self).promise();
+        }
+        if (folder === parentOf(path)) {
+          return $.Deferred().resolve().promise();
+        }
+        return wpncRequest("wpnc_move", { from: path, to: joinPath(folder, baseName(path)) });
+      }).then(function (results) {
+        loadFolder(currentPath);
+        showReport(results);
+      });
+    }
+
+    // Initial load.
+    loadFolder("");
+  }
+
+  /* ================================================================
+   *  3. SYNC RUNNER
+   * ============================================================= */
+
+  /**
+   * Sync runs as a background job on the server: "Sync Now" starts it,
+   * then the status endpoint is polled for counts and new log lines
+   * until the job ends. A job already running when the page loads
+   * (another tab, a reload) is picked up the same way.
+   */
+  function initSyncRunner() {
+    var $btn = $("#wpnc-sync-btn");
+    var $cancel = $("#wpnc-sync-cancel");
+    var $result = $("#wpnc-sync-result");
+    var $counts = $("#wpnc-sync-counts");
+    var $log = $("#wpnc-sync-log");
+    var jobId = "";
+    var since = 0;
+
+    if (!$btn.length) return;
+
+    function render(s) {
+      var el = $log[0];
+      var atBottom = el.scrollHeight - el.scrollTop - el.clientHeight < 20;
+      var html = "";
+
+      for (var i = 0; i < s.log.length; i++) html += logLineHtml(s.log[i]);
+      if (html) {
+        $log.append(html).show();
+        if (atBottom) el.scrollTop = el.scrollHeight;
+      }
+      since = s.next;
+
+      $counts.text(countsText(s.counts)).show();
+
+      if (s.state === "running") {
+        if ($cancel.prop("disabled")) return; // Keep "Cancelling…".
+        $result
+          .text(
+            wpncAdmin.i18n.sync_pair
+              .replace("%1$d", s.pair)
+              .replace("%2$d", s.pairs)
+              .replace("%3$s", s.current)
+          )
+          .css("color", "#666");
+      } else if (s.state === "done") {
+        $result.text("✅ " + wpncAdmin.i18n.success).css("color", "#00a32a");
+      } else if (s.state === "cancelled") {
+        $result.text("❌ " + wpncAdmin.i18n.cancelled).css("color", "#d63638");
+      } else {
+        $result.text("❌ " + wpncAdmin.i18n.sync_failed).css("color", "#d63638");
+      }
+    }
+
+    function finish() {
+      $btn.prop("disabled", false);
+      $cancel.hide().prop("disabled", false);
+
+      // Refresh file browser if present.
+      var $crumbRoot = $(".wpnc-crumb[data-path='']");
+      if ($crumbRoot.length) $crumbRoot.trigger("click");
+
+      $(document).trigger("wpnc:sync-finished");
+    }
+
+    function poll() {
+      wpncRequest("wpnc_sync_status", { since: since })
+        .then(function (s) {
+          if (s.id !== jobId) return; // Replaced by another job.
+
+          render(s);
+          if (s.state === "running") {
+            setTimeout(poll, 1500);
+          } else {
+            finish();
+          }
+        })
+        .fail(function () {
+          setTimeout(poll, 5000);
+        });
+    }
+
+    function follow(s) {
+      jobId = s.id;
+      since = 0;
+      $log.empty();
+      $btn.prop("disabled", true);
+      $cancel.show();
+      render(s);
+      poll();
+    }
+
+    $btn.on("click", function () {
+      $btn.prop("disabled", true);
+      $result.text(wpncAdmin.i18n.syncing).css("color", "#666");
+      $counts.hide();
+      $log.empty().hide();
+
+      wpncRequest("wpnc_sync_start")
+        .then(follow)
+        .fail(function (err) {
+          $result
+            .text("❌ " + err)
+            .css("color", "#d63638");
+          $btn.prop("disabled", false);
+        });
+    });
+
+    $cancel.on("click", function () {
+      $cancel.prop("disabled", true);
+      $result.text(wpncAdmin.i18n.cancelling).css("color", "#666");
+
+      wpncRequest("wpnc_sync_cancel", { job: jobId }).fail(function (err) {
+        $cancel.prop("disabled", false);
+        $result.text("❌ " + err).css("color", "#d63638");
+      });
+    });
+
+    // Pick up a sync that is already running.
+    wpncRequest("wpnc_sync_status", { since: 0 }).then(function (s) {
+      if (s.state === "running" && !jobId) follow(s);
+    });
+  }
+
+  /* ================================================================
+   *  4. SYNC DIR ROWS (dynamic add/remove)
+   * ============================================================= */
+
+  function initSyncDirRows() {
+    var $wrap = $("#wpnc-sync-dirs-wrap");
+    if (!$wrap.length) return;
+
+    // Add row.
+    $wrap.on("click", ".wpnc-add-row", function () {
+      var $tbody = $("#wpnc-sync-rows");
+      var idx = $tbody.find("tr").length;
+      var html =
+        "<tr>" +
+        '<td><input type="text" name="wpnc_settings[sync_dirs][' +
+        idx +
+        '][local]" value="" class="regular-text" placeholder="wp-content/uploads" /></td>' +
+        '<td><input type="text" name="wpnc_settings[sync_dirs][' +
+        idx +
+        '][remote]" value="" class="regular-text" placeholder="uploads" /></td>' +
+        "<td>" +
+        directionCell(idx) +
+        "</td>" +
+        "<td>" +
+        filtersCell(idx) +
+        "</td>" +
+        "<td>" +
+        scheduleCell(idx) +
+        "</td>" +
+        '<td><button type="button" class="button wpnc-remove-row">&times;</button></td>' +
+        "</tr>";
+      $tbody.append(html);
+    });
+
+    // Remove row.
+    $wrap.on("click", ".wpnc-remove-row", function () {
+      $(this).closest("tr").remove();
+    });
+
+    // Conflict policy only for two-way sync, mirror mode only for push.
+    $wrap.on("change", ".wpnc-direction", function () {
+      $(this).siblings(".wpnc-conflict").toggle($(this).val() === "both");
+      $(this).siblings(".wpnc-mirror").toggle($(this).val() === "push");
+    });
+
+    // Safety limit only when mirroring.
+    $wrap.on("change", ".wpnc-mirror-mode", function () {
+      $(this).closest(".wpnc-mirror").find(".wpnc-mirror-limit").toggle($(this).val() !== "");
+    });
+
+    // Minutes field only for a custom interval.
+    $wrap.on("change", ".wpnc-schedule", function () {
+      $(this).siblings(".wpnc-schedule-custom").toggle($(this).val() === "custom");
+    });
+
+    // Filter summary follows the fields.
+    $wrap.on("input change", ".wpnc-filters input", function () {
+      var $box = $(this).closest(".wpnc-filters");
+      var active = $box.find("input").filter(function () {
+        return $.trim(this.value) !== "" && this.value !== "0";
+      }).length;
+      $box.children("summary").text(active ? wpncAdmin.i18n.filters_on : wpncAdmin.i18n.filters_all);
+    });
+
+    // Test the filters, as typed, against the row's local directory.
+    $wrap.on("click", ".wpnc-test-filters", function () {
+      var $btn = $(this);
+      var $box = $btn.closest(".wpnc-filters");
+      var $out = $box.find(".wpnc-filter-result");
+
+      $btn.prop("disabled", true);
+      $out.removeClass("wpnc-filter-error").text(wpncAdmin.i18n.testing);
+
+      wpncRequest("wpnc_sync_test_filters", {
+        local: $btn.closest("tr").find('input[name$="[local]"]').val(),
+        include: $box.find(".wpnc-filter-include").val(),
+        exclude: $box.find(".wpnc-filter-exclude").val(),
+        min_size: $box.find(".wpnc-filter-min").val(),
+        max_size: $box.find(".wpnc-filter-max").val(),
+        max_age: $box.find(".wpnc-filter-age").val(),
+      })
+        .then(function (data) {
+          $out.html(filterResultHtml(data));
+        })
+        .fail(function (msg) {
+          $out.addClass("wpnc-filter-error").text(msg);
+        })
+        .always(function () {
+          $btn.prop("disabled", false);
+        });
+    });
+  }
+
+  /**
+   * Result of a filter test: totals, what was left out and why, and a
+   * few sample paths of each.
+   */
+  function filterResultHtml(data) {
+    var i18n = wpncAdmin.i18n;
+    var html =
+      "<p><strong>" +
+      escHtml(i18n.filter_result.replace("%1$d", data.files).replace("%2$s", humanSize(data.bytes))) +
+      "</strong></p>";
+    var reasons = Object.keys(data.skipped);
+
+    if (data.truncated) {
+      html += '<p class="description">' + escHtml(i18n.filter_truncated.replace("%d", wpncAdmin.filterTestLimit)) + "</p>";
+    }
+    if (reasons.length) {
+      html +=
+        "<p>" +
+        reasons
+          .map(function (r) {
+            return escHtml((i18n["reason_" + r] || r) + ": " + data.skipped[r]);
+          })
+          .join(" · ") +
+        "</p>";
+    }
+    if (data.samples.included.length) {
+      html +=
+        "<p>" +
+        escHtml(i18n.filter_included) +
+        "</p><ul>" +
+        data.samples.included
+          .map(function (path) {
+            return "<li><code>" + escHtml(path) + "</code></li>";
+          })
+          .join("") +
+        "</ul>";
+    }
+    if (data.samples.skipped.length) {
+      html +=
+        "<p>" +
+        escHtml(i18n.filter_skipped) +
+        "</p><ul>" +
+        data.samples.skipped
+          .map(function (s) {
+            return (
+              "<li><code>" + escHtml(s.path) + "</code> — " + escHtml(i18n["reason_" + s.reason] || s.reason) + "</li>"
+            );
+          })
+          .join("") +
+        "</ul>";
+    }
+
+    return html;
+  }
+
+  /**
+   * Direction, conflict policy, mirror and compare pickers for a new row
+   * (same markup as the PHP-rendered rows).
+   */
+  function directionCell(idx) {
+    var i18n = wpncAdmin.i18n;
+    var name = "wpnc_settings[sync_dirs][" + idx + "]";
+    var dirs = ["push", "pull", "both"];
+    var policies = ["newer", "local", "remote", "keep_both"];
+    var mirrors = [
+      ["", i18n.mirror_keep],
+      ["delete", i18n.mirror_delete],
+      ["trash", i18n.mirror_trash],
+    ];
+    var html = '<select name="' + name + '[direction]" class="wpnc-direction">';
+    var i;
+
+    for (i = 0; i < dirs.length; i++) {
+      html += '<option value="' + dirs[i] + '">' + escHtml(i18n["dir_" + dirs[i]]) + "</option>";
+    }
+    html +=
+      "</select> " +
+      '<label class="wpnc-conflict" style="display:none">' +
+      escHtml(i18n.on_conflict) +
+      ' <select name="' +
+      name +
+      '[conflict]">';
+    for (i = 0; i < policies.length; i++) {
+      html +=
+        '<option value="' + policies[i] + '">' + escHtml(i18n["conflict_" + policies[i]]) + "</option>";
+    }
+    html +=
+      "</select></label> " +
+      '<span class="wpnc-mirror"><label>' +
+      escHtml(i18n.gone_locally) +
+      ' <select name="' +
+      name +
+      '[mirror]" class="wpnc-mirror-mode">';
+    for (i = 0; i < mirrors.length; i++) {
+      html += '<option value="' + mirrors[i][0] + '">' + escHtml(mirrors[i][1]) + "</option>";
+    }
+
+    return (
+      html +
+      "</select></label> " +
+      '<label class="wpnc-mirror-limit" style="display:none" title="' +
+      escAttr(i18n.mirror_limit_hint) +
+      '">' +
+      escHtml(i18n.up_to) +
+      ' <input type="number" name="' +
+      name +
+      '[mirror_limit]" value="' +
+      wpncAdmin.mirrorLimit +
+      '" class="small-text" min="0" max="100" step="1" />%</label></span> ' +
+      '<label class="wpnc-compare" title="' +
+      escAttr(i18n.compare_hint) +
+      '">' +
+      escHtml(i18n.compare) +
+      ' <select name="' +
+      name +
+      '[compare]"><option value="mtime">' +
+      escHtml(i18n.compare_mtime) +
+      '</option><option value="checksum">' +
+      escHtml(i18n.compare_checksum) +
+      "</option></select></label>"
+    );
+  }
+
+  /**
+   * Filter fields for a new row (same markup as the PHP-rendered rows).
+   */
+  function filtersCell(idx) {
+    var i18n = wpncAdmin.i18n;
+    var name = "wpnc_settings[sync_dirs][" + idx + "][filters]";
+    var number = function (key, cls) {
+      return (
+        '<input type="number" name="' + name + "[" + key + ']" value="0" class="small-text ' + cls + '" min="0" step="1" />'
+      );
+    };
+
+    return (
+      '<details class="wpnc-filters"><summary>' +
+      escHtml(i18n.filters_all) +
+      "</summary>" +
+      "<label>" +
+      escHtml(i18n.include) +
+      ' <input type="text" name="' +
+      name +
+      '[include]" value="" class="wpnc-filter-include" placeholder="*.jpg, *.pdf" /></label>' +
+      "<label>" +
+      escHtml(i18n.exclude) +
+      ' <input type="text" name="' +
+      name +
+      '[exclude]" value="" class="wpnc-filter-exclude" placeholder="cache/, *.tmp" /></label>' +
+      "<label>" +
+      escHtml(i18n.size_range) +
+      " " +
+      number("min_size", "wpnc-filter-min") +
+      " – " +
+      number("max_size", "wpnc-filter-max") +
+      " " +
+      escHtml(i18n.kb) +
+      "</label>" +
+      "<label>" +
+      escHtml(i18n.changed_last) +
+      " " +
+      number("max_age", "wpnc-filter-age") +
+      " " +
+      escHtml(i18n.days) +
+      "</label>" +
+      '<p class="description">' +
+      escHtml(i18n.filters_hint) +
+      "</p>" +
+      '<button type="button" class="button wpnc-test-filters">' +
+      escHtml(i18n.test_filters) +
+      "</button>" +
+      '<div class="wpnc-filter-result"></div></details>'
+    );
+  }
+
+  /**
+   * Schedule picker for a new row (same markup as the PHP-rendered rows).
+   */
+  function scheduleCell(idx) {
+    var i18n = wpncAdmin.i18n;
+    var name = "wpnc_settings[sync_dirs][" + idx + "]";
+    var choices = [
+      ["", i18n.manual_only],
+      ["hourly", i18n.hourly],
+      ["daily", i18n.daily],
+      ["custom", i18n.every],
+    ];
+    var html = '<select name="' + name + '[schedule]" class="wpnc-schedule">';
+
+    for (var i = 0; i < choices.length; i++) {
+      html += '<option value="' + choices[i][0] + '">' + escHtml(choices[i][1]) + "</option>";
+    }
+
+    return (
+      html +
+      "</select> " +
+      '<span class="wpnc-schedule-custom" style="display:none">' +
+      '<input type="number" name="' +
+      name +
+      '[interval]" value="60" class="small-text" min="5" step="1" /> ' +
+      escHtml(i18n.minutes_short) +
+      "</span>"
+    );
+  }
+
+  /* ================================================================
+   *  5. SYNC HISTORY
+   * ============================================================= */
+
+  /**
+   * Past runs (manual and scheduled) with expandable logs, an
+   * "only errors" filter and the next scheduled run of each pair.
+   * Reloads whenever a sync started from this page finishes.
+   */
+  function initSyncHistory() {
+    var $wrap = $("#wpnc-sync-history");
+    var $next = $("#wpnc-sync-next");
+    var $errorsOnly = $("#wpnc-history-errors");
+    var i18n = wpncAdmin.i18n;
+    var runs = [];
+    var logs = {}; // Run id → log lines, once fetched.
+
+    if (!$wrap.length) return;
+
+    function hasErrors(run) {
+      return run.state === "failed" || run.counts.failed > 0;
+    }
+
+    function renderNext(upcoming) {
+      if (!upcoming.length) {
+        $next.html("<p>" + escHtml(i18n.no_schedules) + "</p>");
+        return;
+      }
+
+      var now = Date.now() / 1000;
+      var html = "<p>" + escHtml(i18n.next_runs) + "</p><ul>";
+      for (var i = 0; i < upcoming.length; i++) {
+        var u = upcoming[i];
+        var every =
+          u.schedule === "custom" ? i18n.every_n_min.replace("%d", u.interval) : i18n[u.schedule];
+        var when =
+          u.next && u.next > now ? new Date(u.next * 1000).toLocaleString() : i18n.overdue;
+
+        html +=
+          "<li><code>" +
+          escHtml(u.local) +
+          "</code> → <code>" +
+          escHtml(u.remote) +
+          "</code> (" +
+          escHtml(every) +
+          "): <strong>" +
+          escHtml(when) +
+          "</strong></li>";
+      }
+      $next.html(html + "</ul>");
+    }
+
+    function renderRuns() {
+      var errorsOnly = $errorsOnly.prop("checked");
+      var html = "";
+
+      for (var i = 0; i < runs.length; i++) {
+        var run = runs[i];
+        if (errorsOnly && !hasErrors(run)) continue;
+
+        var state = run.state === "cancelled" ? i18n.cancelled : i18n["state_" + run.state] || run.state;
+
+        html +=
+          '<tr class="wpnc-run' +
+          (hasErrors(run) ? " wpnc-run-error" : "") +
+          '" data-id="' +
+          escAttr(run.id) +
+          '">' +
+          "<td>" +
+          escHtml(new Date(run.started * 1000).toLocaleString()) +
+          "</td>" +
+          "<td>" +
+          escHtml(i18n["trigger_" + run.trigger] || run.trigger) +
+          "</td>" +
+          "<td>" +
+          escHtml(run.pairs.join(", ")) +
+          "</td>" +
+          "<td>" +
+          escHtml(formatDuration(run.finished - run.started)) +
+          "</td>" +
+          "<td>" +
+          escHtml(state) +
+          "<br /><small>" +
+          escHtml(countsText(run.counts)) +
+          "</small></td>" +
+          '<td><button type="button" class="button button-small wpnc-run-log">' +
+          escHtml(i18n.show_log) +
+          "</button></td>" +
+          "</tr>";
+      }
+
+      if (!html) {
+        $wrap.html(
+          '<p class="description">' +
+            escHtml(runs.length ? i18n.no_error_runs : i18n.no_runs) +
+            "</p>"
+        );
+        return;
+      }
+
+      $wrap.html(
+        '<table class="widefat striped wpnc-history-table"><thead><tr>' +
+          "<th>" + escHtml(i18n.started) + "</th>" +
+          "<th>" + escHtml(i18n.trigger) + "</th>" +
+          "<th>" + escHtml(i18n.directories) + "</th>" +
+          "<th>" + escHtml(i18n.duration) + "</th>" +
+          "<th>" + escHtml(i18n.result) + "</th>" +
+          "<th></th>" +
+          "</tr></thead><tbody>" +
+          html +
+          "</tbody></table>"
+      );
+    }
+
+    function logHtml(run) {
+      var lines = logs[run.id];
+      var errorsOnly = $errorsOnly.prop("checked");
+      var html = "";
+
+      if (run.log_lines > lines.length && !errorsOnly) {
+        html += '<div class="wpnc-log-line">' +
+          escHtml(i18n.log_trimmed.replace("%d", run.log_lines - lines.length)) +
+          "</div>";
+      }
+      for (var i = 0; i < lines.length; i++) {
+        if (errorsOnly && lines[i].indexOf("✗") !== 0 && lines[i].indexOf("⚠") !== 0) continue;
+        html += logLineHtml(lines[i]);
+      }
+
+      return html || '<div class="wpnc-log-line">' + escHtml(i18n.no_log_errors) + "</div>";
+    }
+
+    function showLog($row, run) {
+      $row.after(
+        '<tr class="wpnc-run-log-row"><td colspan="6"><div class="wpnc-run-log-lines">' +
+          logHtml(run) +
+          "</div></td></tr>"
+      );
+      $row.find(".wpnc-run-log").text(i18n.hide_log);
+    }
+
+    function findRun(id) {
+      for (var i = 0; i < runs.length; i++) {
+        if (runs[i].id === id) return runs[i];
+      }
+      return null;
+    }
+
+    function load() {
+      wpncRequest("wpnc_sync_history")
+        .then(function (data) {
+          runs = data.runs || [];
+          renderNext(data.upcoming || []);
+          renderRuns();
+        })
+        .fail(function (err) {
+          $wrap.text("❌ " + err);
+        });
+    }
+
+    // Expand / collapse a run's log (fetched once).
+    $wrap.on("click", ".wpnc-run-log", function () {
+      var $btn = $(this);
+      var $row = $btn.closest("tr");
+      var run = findRun($row.data("id"));
+
+      if ($row.next().hasClass("wpnc-run-log-row")) {
+        $row.next().remove();
+        $btn.text(i18n.show_log);
+        return;
+      }
+      if (!run) return;
+
+      if (logs[run.id]) {
+        showLog($row, run);
+        return;
+      }
+
+      $btn.prop("disabled", true);
+      wpncRequest("wpnc_sync_history_log", { id: run.id })
+        .then(function (data) {
+          logs[run.id] = data.log || [];
+          showLog($row, run);
+        })
+        .fail(function (err) {
+          window.alert(err);
+        })
+        .always(function () {
+          $btn.prop("disabled", false);
+        });
+    });
+
+    // Re-render: rows and open logs follow the filter.
+    $errorsOnly.on("change", function () {
+      var open = $wrap.find(".wpnc-run-log-row").map(function () {
+        return $(this).prev().data("id");
+      }).get();
+
+      renderRuns();
+      $.each(open, function (i, id) {
+        var $row = $wrap.find('.wpnc-run[data-id="' + id + '"]');
+        if ($row.length) showLog($row, findRun(id));
+      });
+    });
+
+    $(document).on("wpnc:sync-finished", load);
+
+    load();
+  }
+
+  /* ================================================================
+   *  6. SYNC PREVIEW (dry run)
+   * ============================================================= */
+
+  function initSyncPreview() {
+    var $btn = $("#wpnc-preview-btn");
+    var $wrap = $("#wpnc-preview");
+    var $status = $("#wpnc-preview-status");
+    var $warnings = $("#wpnc-preview-warnings");
+    var $filter = $("#wpnc-preview-filter");
+    var $action = $("#wpnc-preview-action");
+    var $table = $("#wpnc-preview-table");
+    var i18n = wpncAdmin.i18n;
+    var ACTIONS = ["create", "upload", "download", "conflict", "delete", "trash", "skip"];
+    var GROUP_ROWS = 200; // Rows shown per group; the filter narrows the rest.
+    var rows = [];
+    var pairs = [];
+    var token = "";
+
+    if (!$btn.length) return;
+
+    $action.append('<option value="">' + escHtml(i18n.all_actions) + "</option>");
+    $.each(ACTIONS, function (i, a) {
+      $action.append('<option value="' + a + '">' + escHtml(i18n["plan_" + a]) + "</option>");
+    });
+
+    function summary() {
+      var files = 0;
+      var bytes = 0;
+      for (var i = 0; i < rows.length; i++) {
+        var a = rows[i].action;
+        if (a === "upload" || a === "download" || a === "conflict") {
+          files++;
+          bytes += rows[i].size;
+        }
+      }
+      return i18n.preview_total.replace("%1$d", files).replace("%2$s", humanSize(bytes));
+    }
+
+    function render() {
+      var needle = $filter.val().toLowerCase();
+      var only = $action.val();
+      var groups = {};
+      var html = "";
+      var i;
+
+      for (i = 0; i < rows.length; i++) {
+        var row = rows[i];
+        if (only && row.action !== only) continue;
+        if (needle && row.path.toLowerCase().indexOf(needle) === -1) continue;
+        (groups[row.action] = groups[row.action] || []).push(row);
+      }
+
+      $.each(ACTIONS, function (n, a) {
+        var list = groups[a];
+        if (!list) return;
+
+        var bytes = 0;
+        for (i = 0; i < list.length; i++) bytes += list[i].size;
+
+        html +=
+          '<tr class="wpnc-preview-group wpnc-plan-' + a + '"><th colspan="4">' +
+          escHtml(i18n["plan_" + a]) +
+          " (" + list.length + (a === "create" ? "" : " · " + humanSize(bytes)) + ")" +
+          "</th></tr>";
+
+        for (i = 0; i < list.length && i < GROUP_ROWS; i++) {
+          var r = list[i];
+          html +=
+            "<tr><td><code>" + escHtml(r.path) + "</code></td>" +
+            "<td>" + escHtml(pairs[r.pair] ? pairs[r.pair].local : "") + "</td>" +
+            "<td>" + (r.size ? escHtml(humanSize(r.size)) : "") + "</td>" +
+            "<td>" + escHtml(r.reason ? i18n["reason_" + r.reason] || r.reason : "") + "</td></tr>";
+        }
+        if (list.length > GROUP_ROWS) {
+          html +=
+            '<tr><td colspan="4" class="description">' +
+            escHtml(i18n.more_rows.replace("%d", list.length - GROUP_ROWS)) +
+            "</td></tr>";
+        }
+      });
+
+      if (!html) {
+        $table.html('<p class="description">' + escHtml(rows.length ? i18n.preview_no_match : i18n.preview_nothing) + "</p>");
+        return;
+      }
+
+      $table.html(
+        '<table class="widefat wpnc-preview-table"><thead><tr>' +
+          "<th>" + escHtml(i18n.path) + "</th>" +
+          "<th>" + escHtml(i18n.directories) + "</th>" +
+          "<th>" + escHtml(i18n.size) + "</th>" +
+          "<th>" + escHtml(i18n.reason) + "</th>" +
+          "</tr></thead><tbody>" +
+          html +
+          "</tbody></table>"
+      );
+    }
+
+    function next() {
+      wpncRequest("wpnc_sync_preview", { token: token })
+        .then(function (data) {
+          token = data.token;
+          pairs = data.pairs;
+          rows = rows.concat(data.rows);
+
+          if (data.warnings.length) {
+            var html = "";
+            for (var i = 0; i < data.warnings.length; i++) html += logLineHtml(data.warnings[i]);
+            $warnings.append(html).show();
+          }
+
+          if (data.done) {
+            $status.text(i18n.preview_done + " " + summary());
+            $btn.prop("disabled", false);
+          } else {
+            $status.text(
+              i18n.previewing
+                .replace("%1$d", data.pair)
+                .replace("%2$d", data.pairs.length)
+                .replace("%3$s", data.pairs[data.pair - 1].local)
+                .replace("%4$d", rows.length)
+            );
+            next();
+          }
+          render();
+        })
+        .fail(function (err) {
+          $status.text("❌ " + err);
+          $btn.prop("disabled", false);
+        });
+    }
+
+    $btn.on("click", function () {
+      $btn.prop("disabled", true);
+      rows = [];
+      token = "";
+      $warnings.empty().hide();
+      $table.empty();
+      $status.text(i18n.loading);
+      $wrap.show();
+      next();
+    });
+
+    $filter.on("input", render);
+    $action.on("change", render);
+  }
+
+  /* ================================================================
+   *  UTILITY FUNCTIONS
+   * ============================================================= */
+
+  /**
+   * One sync log line, coloured by its leading symbol.
+   */
+  function logLineHtml(line) {
+    var cls = "wpnc-log-line";
+    if (line.indexOf("✗") === 0) cls += " wpnc-log-error";
+    else if (line.indexOf("⚠") === 0) cls += " wpnc-log-warn";
+    else if (line.indexOf("↑") === 0) cls += " wpnc-log-upload";
+    else if (line.indexOf("↓") === 0) cls += " wpnc-log-download";
+    else if (line.indexOf("+") === 0) cls += " wpnc-log-create";
+    else if (line.indexOf("-") === 0) cls += " wpnc-log-delete";
+
+    return '<div class="' + cls + '">' + escHtml(line) + "</div>";
+  }
+
+  /**
+   * Sync counters as one line; the two-way ones only when any is set.
+   */
+  function countsText(c) {
+    var text = wpncAdmin.i18n.sync_counts
+      .replace("%1$d", c.scanned)
+      .replace("%2$d", c.uploaded)
+      .replace("%3$d", c.skipped)
+      .replace("%4$d", c.failed);
+
+    if (c.downloaded || c.deleted || c.conflicts) {
+      text +=
+        " · " +
+        wpncAdmin.i18n.sync_counts_two_way
+          .replace("%1$d", c.downloaded || 0)
+          .replace("%2$d", c.deleted || 0)
+          .replace("%3$d", c.conflicts || 0);
+    }
+    return text;
+  }
+
+  /**
+   * Seconds → "1h 5m", "3m 20s" or "12s".
+   */
+  function formatDuration(sec) {
+    sec = Math.max(0, Math.round(sec));
+    if (sec >= 3600) return Math.floor(sec / 3600) + "h " + Math.floor((sec % 3600) / 60) + "m";
+    if (sec >= 60) return Math.floor(sec / 60) + "m " + (sec % 60) + "s";
+    return sec + "s";
+  }
+
+  /** Badge after the name of a shared item: 🌐 public link, 👥 users / groups only. */
+  function sharedBadge(item) {
+    var types = item.share_types || [];
+    if (!types.length) return "";
+    return types.indexOf(3) !== -1
+      ? ' <span class="wpnc-shared-badge" title="' + escAttr(wpncAdmin.i18n.shared_link) + '">🌐</span>'
+      : ' <span class="wpnc-shared-badge" title="' + escAttr(wpncAdmin.i18n.shared) + '">👥</span>';
+  }
+
+  /** Images and videos get a thumbnail in the grid view. */
+  function hasThumbnail(item) {
+    return item.type === "file" && /^(image|video)\//.test(item.mime || "");
+  }
+
+  /** Cached Nextcloud preview of a file; the ETag makes a changed file a new URL. */
+  function thumbUrl(path, etag) {
+    return (
+      wpncAdmin.ajaxUrl +
+      "?action=wpnc_thumbnail&_nonce=" +
+      encodeURIComponent(wpncAdmin.nonce) +
+      "&path=" +
+      encodeURIComponent(path) +
+      "&etag=" +
+      encodeURIComponent(etag || "")
+    );
+  }
+
+  /** Sort a listing in place: folders first, then by the column (dir 1 / -1). */
+  function sortItems(items, key, dir) {
+    items.sort(function (a, b) {
+      if (a.type !== b.type) return a.type === "folder" ? -1 : 1;
+      var diff = 0;
+      if (key === "size") diff = (a.size || 0) - (b.size || 0);
+      if (key === "modified") diff = (Date.parse(a.modified) || 0) - (Date.parse(b.modified) || 0);
+      if (key === "type") diff = (a.mime || "").localeCompare(b.mime || "");
+      return (diff || a.name.localeCompare(b.name)) * dir;
+    });
+  }
+
+  var VIEW_KEY = "wpnc_admin_browser_view";
+
+  function loadViewPrefs() {
+    var prefs;
+    try {
+      prefs = JSON.parse(window.localStorage.getItem(VIEW_KEY)) || {};
+    } catch (e) {
+      prefs = {};
+    }
+    return {
+      sort: ["name", "size", "type", "modified"].indexOf(prefs.sort) !== -1 ? prefs.sort : "name",
+      dir: prefs.dir === -1 ? -1 : 1,
+      view: prefs.view === "grid" ? "grid" : "list",
+    };
+  }
+
+  function saveViewPrefs(prefs) {
+    try {
+      window.localStorage.setItem(VIEW_KEY, JSON.stringify(prefs));
+    } catch (e) {
+      // Private mode / quota exceeded: the choice lasts for this page only.
+    }
+  }
+
+  function formatDate(str) {
+    var d = new Date(str);
+    return str && !isNaN(d.getTime()) ? d.toLocaleString() : "—";
+  }
 
   function escHtml(str) {
     if (!str) return "";
@@ -427,5 +2334,7 @@
     initFileBrowser();
     initSyncRunner();
     initSyncDirRows();
+    initSyncHistory();
+    initSyncPreview();
   });
 })(jQuery);
@@ -0,0 +1,260 @@
+/**
+ * WP Nextcloud Bridge — Guest Drop Box
+ *
+ * Vanilla JS for [nextcloud mode="dropbox"] forms: pick or drop files,
+ * check them against the form's limits, then announce the submission
+ * (wpnc_dropbox_start) and send the files one by one with progress
+ * (wpnc_dropbox_upload). The server checks everything again.
+ *
+ * Expects `wpncDropbox` global from wp_localize_script().
+ *
+ * @package WPNC
+ */
+;(function () {
+    'use strict';
+
+    const CFG = window.wpncDropbox || {};
+    const AJAX = CFG.ajaxUrl || '/wp-admin/admin-ajax.php';
+    const I18N = CFG.i18n || {};
+
+    function escHtml(str) {
+        const d = document.createElement('div');
+        d.textContent = str;
+        return d.innerHTML;
+    }
+
+    function humanSize(bytes) {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(1024));
+        return (bytes / Math.pow(1024, i)).toFixed(i > 0 ? 1 : 0) + ' ' + units[i];
+    }
+
+    /**
+     * POST to admin-ajax.php.
+     *
+     * @param {Object}   data        Fields; a File value is sent as a file.
+     * @param {Function} [onProgress]  Upload progress (0–1).
+     * @returns {Promise<Object>}  response.data; rejects with an Error.
+     */
+    function post(data, onProgress) {
+        const fd = new FormData();
+        Object.keys(data).forEach(function (k) { fd.append(k, data[k]); });
+
+        return new Promise(function (resolve, reject) {
+            const xhr = new XMLHttpRequest();
+            xhr.open('POST', AJAX, true);
+
+            if (onProgress) {
+                xhr.upload.addEventListener('progress', function (e) {
+                    if (e.lengthComputable) onProgress(e.loaded / e.total);
+                });
+            }
+
+            xhr.onload = function () {
+                var json;
+                try {
+                    json = JSON.parse(xhr.responseText);
+                } catch (e) {
+                    reject(new Error(I18N.error || 'Error'));
+                    return;
+                }
+                if (json.success) resolve(json.data);
+                else reject(new Error(json.data || I18N.error || 'Error'));
+            };
+            xhr.onerror = function () { reject(new Error(I18N.error || 'Error')); };
+
+            xhr.send(fd);
+        });
+    }
+
+    /* ================================================================
+     *  DROP BOX FORM
+     * ============================================================= */
+
+    function DropBox(form) {
+        this.form       = form;
+        this.config     = form.dataset.config;
+        this.extensions = form.dataset.extensions ? form.dataset.extensions.split(',') : [];
+        this.maxSize    = parseInt(form.dataset.maxSize, 10) || 0;
+        this.maxFiles   = parseInt(form.dataset.maxFiles, 10) || 1;
+        this.files      = [];
+        this.busy       = false;
+
+        this.zone     = form.querySelector('.wpnc-dropbox-zone');
+        this.input    = form.querySelector('.wpnc-dropbox-input');
+        this.listEl   = form.querySelector('.wpnc-dropbox-files');
+        this.codeEl   = form.querySelector('.wpnc-dropbox-code');
+        this.sendBtn  = form.querySelector('.wpnc-dropbox-send');
+        this.statusEl = form.querySelector('.wpnc-dropbox-status');
+
+        this.init();
+    }
+
+    DropBox.prototype.init = function () {
+        var self = this;
+
+        this.form.querySelector('.wpnc-dropbox-pick').addEventListener('click', function () {
+            self.input.click();
+        });
+        this.input.addEventListener('change', function () {
+            self.add(Array.from(this.files));
+            this.value = '';
+        });
+
+        ['dragenter', 'dragover'].forEach(function (type) {
+            self.zone.addEventListener(type, function (e) {
+                e.preventDefault();
+                self.zone.classList.add('wpnc-dropbox-over');
+            });
+        });
+        ['dragleave', 'drop'].forEach(function (type) {
+            self.zone.addEventListener(type, function () {
+                self.zone.classList.remove('wpnc-dropbox-over');
+            });
+        });
+        this.zone.addEventListener('drop', function (e) {
+            e.preventDefault();
+            if (e.dataTransfer && e.dataTransfer.files.length) {
+                self.add(Array.from(e.dataTransfer.files));
+            }
+        });
+
+        this.listEl.addEventListener('click', function (e) {
+            var btn = e.target.closest('[data-remove]');
+            if (btn && !self.busy) {
+                self.files.splice(parseInt(btn.dataset.remove, 10), 1);
+                self.render();
+            }
+        });
+
+        this.form.addEventListener('submit', function (e) {
+            e.preventDefault();
+            self.send();
+        });
+    };
+
+    /** Add picked files; ones over the limits are refused with a message. */
+    DropBox.prototype.add = function (files) {
+        var self = this;
+        var errors = [];
+
+        files.forEach(function (file) {
+            var ext = file.name.indexOf('.') !== -1 ? file.name.split('.').pop().toLowerCase() : '';
+
+            if (self.extensions.length && self.extensions.indexOf(ext) === -1) {
+                errors.push((I18N.bad_type || '%s: this file type is not accepted.').replace('%s', file.name));
+            } else if (self.maxSize && file.size > self.maxSize) {
+                errors.push((I18N.too_large || '%1$s is larger than %2$s.')
+                    .replace('%1$s', file.name).replace('%2$s', humanSize(self.maxSize)));
+            } else if (self.files.length >= self.maxFiles) {
+                errors.push((I18N.too_many || 'You can send at most %d files.').replace('%d', self.maxFiles));
+            } else {
+                self.files.push({ file: file, progress: 0, state: '' });
+            }
+        });
+
+        this.render();
+        this.status(errors.filter(function (msg, i) { return errors.indexOf(msg) === i; }).join(' '), !!errors.length);
+    };
+
+    DropBox.prototype.render = function () {
+        var self = this;
+        this.listEl.innerHTML = this.files.map(function (entry, i) {
+            return '<li class="wpnc-dropbox-file' + (entry.state ? ' wpnc-dropbox-' + entry.state : '') + '">' +
+                '<span class="wpnc-dropbox-name">' + escHtml(entry.file.name) + '</span> ' +
+                '<span class="wpnc-dropbox-size">' + humanSize(entry.file.size) + '</span>' +
+                (self.busy || entry.state
+                    ? '<progress max="1" value="' + entry.progress + '"></progress>'
+                    : '<button type="button" class="wpnc-action-btn" data-remove="' + i + '" title="' + escHtml(I18N.remove || 'Remove') + '">✕</button>') +
+                '</li>';
+        }).join('');
+    };
+
+    DropBox.prototype.status = function (message, isError) {
+        this.statusEl.textContent = message || '';
+        this.statusEl.classList.toggle('wpnc-text-error', !!isError);
+    };
+
+    /** Announce the submission, then send the files one after another. */
+    DropBox.prototype.send = function () {
+        var self = this;
+        if (this.busy) return;
+        if (!this.files.length) {
+            this.status(I18N.no_files || 'Choose at least one file.', true);
+            return;
+        }
+
+        this.busy = true;
+        this.sendBtn.disabled = true;
+        this.status(I18N.sending || 'Sending…');
+        this.render();
+
+        post({
+            action: 'wpnc_dropbox_start',
+            config: this.config,
+            code: this.codeEl ? this.codeEl.value : '',
+            files: JSON.stringify(this.files.map(function (entry) {
+                return { name: entry.file.name, size: entry.file.size };
+            })),
+        })
+            .then(function (data) {
+                // Files go in order; the server may have renamed them.
+                return self.files.reduce(function (chain, entry, i) {
+                    return chain.then(function () {
+                        return post({
+                            action: 'wpnc_dropbox_upload',
+                            submission: data.submission,
+                            name: data.files[i],
+                            file: entry.file,
+                        }, function (p) {
+                            entry.progress = p;
+                            self.render();
+                        }).then(function () {
+                            entry.progress = 1;
+                            entry.state = 'done';
+                            self.render();
+                        }, function (err) {
+                            entry.state = 'failed';
+                            self.render();
+                            throw err;
+                        });
+                    });
+                }, Promise.resolve());
+            })
+            .then(function () {
+                self.files = [];
+                if (self.codeEl) self.codeEl.value = '';
+                self.render();
+                self.status(I18N.sent || 'Thank you — your files were received.');
+            })
+            .catch(function (err) {
+                self.status((I18N.failed || 'Sending failed:') + ' ' + err.message, true);
+                // Files already sent leave the list; the rest can go as a new submission.
+                self.files = self.files.filter(function (entry) { return entry.state !== 'done'; });
+                self.files.forEach(function (entry) { entry.state = ''; entry.progress = 0; });
+            })
+            .then(function () {
+                self.busy = false;
+                self.sendBtn.disabled = false;
+                self.render();
+            });
+    };
+
+    /* ================================================================
+     *  BOOTSTRAP
+     * ============================================================= */
+
+    function init() {
+        document.querySelectorAll('[data-wpnc-dropbox]').forEach(function (form) {
+            new DropBox(form);
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+})();
@@ -0,0 +1,315 @@
+/**
+ * WP Nextcloud Bridge — Block Editor
+ *
+ * "Nextcloud File" block (wpnc/file), no build step:
+ *   - Placeholder with a folder browser (wpnc_browse) to pick a file
+ *   - Sidebar: show as link / image / embed, link through the proxy or a
+ *     share link (wpnc_get_public_url), import into the Media Library
+ *   - Preview rendered by the server (the block is dynamic)
+ *
+ * Expects `wpncEditor` global from wp_localize_script().
+ */
+(function ($, wp) {
+  "use strict";
+
+  var el = wp.element.createElement;
+  var useState = wp.element.useState;
+  var useEffect = wp.element.useEffect;
+  var be = wp.blockEditor;
+  var c = wp.components;
+  var i18n = wpncEditor.i18n;
+
+  /* ================================================================
+   *  AJAX HELPER
+   * ============================================================= */
+
+  /**
+   * Send an AJAX request to the WPNC backend.
+   *
+   * @param {string} action  WordPress AJAX action name.
+   * @param {Object} data    Extra POST parameters.
+   * @returns {Promise<Object>} Resolves with response.data; rejects with a message.
+   */
+  function request(action, data) {
+    var payload = $.extend({ action: action, _nonce: wpncEditor.nonce }, data || {});
+
+    return $.post(wpncEditor.ajaxUrl, payload).then(
+      function (resp) {
+        if (resp && resp.success) {
+          return resp.data;
+        }
+        return $.Deferred().reject((resp && resp.data) || "Error").promise();
+      },
+      function (xhr) {
+        return $.Deferred()
+          .reject((xhr.responseJSON && xhr.responseJSON.data) || xhr.statusText)
+          .promise();
+      }
+    );
+  }
+
+  /* ================================================================
+   *  FILE BROWSER
+   * ============================================================= */
+
+  /**
+   * Folder listing with a breadcrumb; calls onPick(item, path) for a file.
+   */
+  function Browser(props) {
+    var pathState = useState(props.path || "");
+    var itemsState = useState(null);
+    var errorState = useState("");
+    var path = pathState[0];
+    var items = itemsState[0];
+
+    useEffect(
+      function () {
+        itemsState[1](null);
+        errorState[1]("");
+        request("wpnc_browse", { path: path }).then(
+          function (data) {
+            var list = (data.items || []).slice();
+            list.sort(function (a, b) {
+              if (a.type !== b.type) return a.type === "folder" ? -1 : 1;
+              return a.name.localeCompare(b.name);
+            });
+            itemsState[1](list);
+          },
+          function (msg) {
+            errorState[1](msg);
+          }
+        );
+      },
+      [path]
+    );
+
+    var segments = path ? path.split("/") : [];
+    var crumbs = [
+      el(c.Button, { key: "root", variant: "link", onClick: function () { pathState[1](""); } }, i18n.root),
+    ];
+    segments.forEach(function (segment, i) {
+      var target = segments.slice(0, i + 1).join("/");
+      crumbs.push(" › ");
+      crumbs.push(
+        el(c.Button, { key: target, variant: "link", onClick: function () { pathState[1](target); } }, segment)
+      );
+    });
+
+    var body;
+    if (errorState[0]) {
+      body = el(c.Notice, { status: "error", isDismissible: false }, errorState[0]);
+    } else if (items === null) {
+      body = el("p", null, el(c.Spinner), " ", i18n.loading);
+    } else if (!items.length) {
+      body = el("p", null, i18n.empty_folder);
+    } else {
+      body = el(
+        "ul",
+        { className: "wpnc-editor-list", style: { maxHeight: "300px", overflowY: "auto" } },
+        items.map(function (item) {
+          var itemPath = path ? path + "/" + item.name : item.name;
+          return el(
+            "li",
+            { key: item.name },
+            el(
+              c.Button,
+              {
+                variant: "link",
+                onClick: function () {
+                  if (item.type === "folder") {
+                    pathState[1](itemPath);
+                  } else {
+                    props.onPick(item, itemPath);
+                  }
+                },
+              },
+              (item.type === "folder" ? "📁 " : "📄 ") + item.name
+            )
+          );
+        })
+      );
+    }
+
+    return el("div", { className: "wpnc-editor-browser" }, el("p", null, crumbs), body);
+  }
+
+  /* ================================================================
+   *  BLOCK
+   * ============================================================= */
+
+  /** Display choices that make sense for a MIME type. */
+  function displays(mime) {
+    var list = [{ value: "link", label: i18n.display_link }];
+    if (mime.indexOf("image/") === 0) {
+      list.push({ value: "image", label: i18n.display_image });
+    }
+    if (mime.indexOf("video/") === 0 || mime.indexOf("audio/") === 0 || mime === "application/pdf") {
+      list.push({ value: "embed", label: i18n.display_embed });
+    }
+    return list;
+  }
+
+  /** Core block that shows an imported attachment. */
+  function coreBlock(media) {
+    var mime = media.mime || "";
+    if (mime.indexOf("image/") === 0) {
+      return wp.blocks.createBlock("core/image", { id: media.id, url: media.url });
+    }
+    if (mime.indexOf("video/") === 0) {
+      return wp.blocks.createBlock("core/video", { id: media.id, src: media.url });
+    }
+    if (mime.indexOf("audio/") === 0) {
+      return wp.blocks.createBlock("core/audio", { id: media.id, src: media.url });
+    }
+    return wp.blocks.createBlock("core/file", {
+      id: media.id,
+      href: media.url,
+      fileName: media.name,
+      textLinkHref: media.url,
+    });
+  }
+
+  function Edit(props) {
+    var a = props.attributes;
+    var set = props.setAttributes;
+    var pickingState = useState(!a.path);
+    var busyState = useState("");
+    var errorState = useState("");
+    var picking = pickingState[0];
+
+    function pick(item, path) {
+      var mime = item.mime || "";
+      set({
+        path: path,
+        name: item.name,
+        mime: mime,
+        size: item.size || 0,
+        display: mime.indexOf("image/") === 0 ? "image" : "link",
+        shareUrl: "",
+        urlMode: "proxy",
+        sig: "",
+      });
+      pickingState[1](false);
+
+      // The server renders only paths it has signed.
+      errorState[1]("");
+      request("wpnc_editor_sign", { path: path }).then(
+        function (data) {
+          set({ path: data.path, sig: data.sig });
+        },
+        function (msg) {
+          errorState[1](msg);
+        }
+      );
+    }
+
+    function setUrlMode(mode) {
+      set({ urlMode: mode });
+      if (mode !== "share" || a.shareUrl) return;
+
+      busyState[1](i18n.sharing);
+      errorState[1]("");
+      request("wpnc_get_public_url", { path: a.path })
+        .then(
+          function (data) {
+            set({ shareUrl: data.url });
+          },
+          function (msg) {
+            set({ urlMode: "proxy" });
+            errorState[1](msg);
+          }
+        )
+        .always(function () {
+          busyState[1]("");
+        });
+    }
+
+    function importMedia() {
+      busyState[1](i18n.importing);
+      errorState[1]("");
+      request("wpnc_import_media", {
+        path: a.path,
+        post_id: (wp.data.select("core/editor") && wp.data.select("core/editor").getCurrentPostId()) || 0,
+      }).then(
+        function (media) {
+          wp.data.dispatch("core/block-editor").replaceBlocks(props.clientId, coreBlock(media));
+        },
+        function (msg) {
+          busyState[1]("");
+          errorState[1](msg);
+        }
+      );
+    }
+
+    if (picking) {
+      return el(
+        "div",
+        be.useBlockProps(),
+        el(
+          c.Placeholder,
+          { icon: "cloud", label: i18n.title, instructions: i18n.pick },
+          el(Browser, {
+            path: a.path ? a.path.split("/").slice(0, -1).join("/") : "",
+            onPick: pick,
+          }),
+          a.path ? el(c.Button, { variant: "secondary", onClick: function () { pickingState[1](false); } }, i18n.cancel) : null
+        )
+      );
+    }
+
+    return el(
+      "div",
+      be.useBlockProps(),
+      el(
+        be.BlockControls,
+        null,
+        el(
+          c.ToolbarGroup,
+          null,
+          el(c.ToolbarButton, { icon: "cloud", label: i18n.replace, onClick: function () { pickingState[1](true); } })
+        )
+      ),
+      el(
+        be.InspectorControls,
+        null,
+        el(
+          c.PanelBody,
+          { title: i18n.settings },
+          el(c.SelectControl, {
+            label: i18n.show_as,
+            value: a.display,
+            options: displays(a.mime),
+            onChange: function (v) { set({ display: v }); },
+          }),
+          el(c.SelectControl, {
+            label: i18n.link_via,
+            value: a.urlMode,
+            help: i18n.url_hint,
+            options: [
+              { value: "proxy", label: i18n.url_proxy },
+              { value: "share", label: i18n.url_share },
+            ],
+            onChange: setUrlMode,
+          }),
+          el(c.Button, { variant: "secondary", disabled: !!busyState[0], onClick: importMedia }, i18n.import),
+          el("p", { className: "description" }, i18n.import_hint),
+          busyState[0] ? el("p", null, el(c.Spinner), " ", busyState[0]) : null,
+          errorState[0] ? el(c.Notice, { status: "error", isDismissible: false }, errorState[0]) : null
+        )
+      ),
+      el(wp.serverSideRender, { block: "wpnc/file", attributes: a })
+    );
+  }
+
+  wp.blocks.registerBlockType("wpnc/file", {
+    apiVersion: 2,
+    title: i18n.title,
+    description: i18n.description,
+    icon: "cloud",
+    category: "media",
+    edit: Edit,
+    save: function () {
+      return null; // Rendered on the server.
+    },
+  });
+})(jQuery, window.wp);
@@ -5,7 +5,16 @@
  *   - File listing with breadcrumb navigation
  *   - Download / Share / Delete actions
  *   - New folder creation (custom modal, no alert/confirm/prompt)
- *   - Chunked upload with progress (Round 3 will flesh this out)
+ *   - Chunked upload with progress, per-chunk retry and resume
+ *   - Folder upload (drag & drop or picker) preserving the directory tree
+ *   - Name conflict dialog (overwrite / keep both / skip) before uploading
+ *   - Rename / move (folder picker, or drag rows onto folders and breadcrumbs)
+ *   - Copy files and folders (WebDAV COPY) with overwrite / keep both
+ *   - Multi-select (shift-click ranges, select all) with a bulk action bar
+ *   - ZIP download of folders / selections, streamed, with progress and a shareable link
+ *   - Preview lightbox: image gallery, video / audio, PDF, highlighted text / JSON / XML
+ *   - Search: instant filter of the folder, recursive server search (name, type, size, date)
+ *   - Sortable columns and a grid view with Nextcloud thumbnails (remembered per browser)
  *
  * Expects `wpncFront` global from wp_localize_script().
  *
@@ -21,9 +30,21 @@
     const CFG = window.wpncFront || {};
     const AJAX = CFG.ajaxUrl || '/wp-admin/admin-ajax.php';
     const NONCE = CFG.nonce || '';
+    const USER_ID = CFG.userId || 0;
     const CHUNK = CFG.chunkSize || 10 * 1024 * 1024;
     const I18N = CFG.i18n || {};
 
+    /** Largest text file the preview fetches and highlights (bytes). */
+    const TEXT_PREVIEW_MAX = 1024 * 1024;
+
+    /** Per-chunk retry policy: exponential backoff 1s, 2s, 4s… capped at 30s. */
+    const MAX_RETRIES   = 5;
+    const RETRY_BASE_MS = 1000;
+    const RETRY_MAX_MS  = 30000;
+
+    /** dataTransfer type of rows dragged inside the browser (vs. files from the desktop). */
+    const DRAG_TYPE = 'application/x-wpnc-path';
+
     /* ================================================================
      *  UTILITY HELPERS
      * ============================================================= */
@@ -34,6 +55,59 @@
         return d.innerHTML;
     }
 
+    /** escHtml() for attribute values: quotes are escaped too. */
+    function escAttr(str) {
+        return escHtml(str)
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    /** Join a folder path and a name ('' = root). */
+    function joinPath(dir, name) {
+        return dir ? dir.replace(/\/$/, '') + '/' + name : name;
+    }
+
+    /** Parent folder of a path ('' for top-level items). */
+    function parentPath(path) {
+        var i = path.lastIndexOf('/');
+        return i === -1 ? '' : path.slice(0, i);
+    }
+
+    /** A path with each segment URI-encoded (slashes kept); decodePath() reverses it. */
+    function encodePath(path) {
+        return path.split('/').map(encodeURIComponent).join('/');
+    }
+
+    function decodePath(path) {
+        return path.split('/').map(decodeURIComponent).join('/');
+    }
+
+    /** Whether a drag event carries a browser row rather than desktop files. */
+    function isInternalDrag(e) {
+        return !!e.dataTransfer && Array.from(e.dataTransfer.types || []).indexOf(DRAG_TYPE) !== -1;
+    }
+
+    /** Download-proxy URL of a remote file (admin nonce). */
+    function proxyUrl(path) {
+        return AJAX + '?action=wpnc_download_proxy&_nonce=' + encodeURIComponent(NONCE) + '&path=' + encodeURIComponent(path);
+    }
+
+    /** Cached Nextcloud preview of a file; the ETag makes a changed file a new URL. */
+    function thumbUrl(path, etag) {
+        return AJAX + '?action=wpnc_thumbnail&_nonce=' + encodeURIComponent(NONCE) + '&path=' + encodeURIComponent(path) + '&etag=' + encodeURIComponent(etag || '');
+    }
+
+    /** Start a browser download through a hidden link; the page stays put. */
+    function triggerDownload(url, filename) {
+        var a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.style.display = 'none';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+    }
+
     function humanSize(bytes) {
         if (bytes === 0) return '—';
         const units = ['B', 'KB', 'MB', 'GB', 'TB'];
@@ -57,6 +131,45 @@
         return '📎';
     }
 
+    /** Images and videos get a thumbnail in the grid view. */
+    function hasThumbnail(item) {
+        return item.type === 'file' && /^(image|video)\//.test(item.mime || '');
+    }
+
+    /** Type column: "Folder", else the extension in capitals. */
+    function typeLabel(item) {
+        if (item.type === 'folder') return I18N.folder || 'Folder';
+        var dot = item.name.lastIndexOf('.');
+        return dot > 0 ? item.name.slice(dot + 1).toUpperCase() : '—';
+    }
+
+    /**
+     * Sort a listing in place: folders first, then by the column.
+     *
+     * @param {Object[]} items
+     * @param {string}   key  name | size | type | modified
+     * @param {number}   dir  1 ascending, -1 descending.
+     */
+    function sortItems(items, key, dir) {
+        items.sort(function (a, b) {
+            if (a.type !== b.type) return a.type === 'folder' ? -1 : 1;
+            var diff = 0;
+            if (key === 'size') diff = (a.size || 0) - (b.size || 0);
+            if (key === 'modified') diff = (Date.parse(a.modified) || 0) - (Date.parse(b.modified) || 0);
+            if (key === 'type') diff = typeLabel(a).localeCompare(typeLabel(b));
+            return (diff || a.name.localeCompare(b.name)) * dir;
+        });
+    }
+
+    /** Badge after the name of a shared item: 🌐 public link, 👥 users / groups only. */
+    function sharedBadge(item) {
+        var types = item.share_types || [];
+        if (!types.length) return '';
+        return types.indexOf(3) !== -1
+            ? ' <span class="wpnc-shared-badge" title="' + escAttr(I18N.shared_link || 'Shared by public link') + '">🌐</span>'
+            : ' <span class="wpnc-shared-badge" title="' + escAttr(I18N.shared || 'Shared') + '">👥</span>';
+    }
+
     /** Format date string from Last-Modified header. */
     function formatDate(str) {
         if (!str) return '—';
@@ -75,7 +188,8 @@
      *
      * @param {string} action   wp_ajax action name (e.g. 'wpnc_browse').
      * @param {Object} data     Key-value pairs.
-     * @param {Object} [opts]   Optional: { method, file, onProgress }
+     * @param {Object} [opts]   Optional: { method, file, onProgress, signal }
+     *                          `signal` (AbortSignal) aborts the XHR in flight.
      * @returns {Promise<Object>}  Parsed JSON response.
      */
     function wpncRequest(action, data, opts) {
@@ -96,46 +210,439 @@
         }
 
         return new Promise(function (resolve, reject) {
+            if (opts.signal && opts.signal.aborted) {
+                reject(abortError());
+                return;
+            }
+
             const xhr = new XMLHttpRequest();
             xhr.open('POST', AJAX, true);
 
+            // Job signals outlive many requests: drop the listener once this one ends.
+            if (opts.signal) {
+                var onAbort = function () { xhr.abort(); };
+                opts.signal.addEventListener('abort', onAbort, { once: true });
+                xhr.onloadend = function () {
+                    opts.signal.removeEventListener('abort', onAbort);
+                };
+            }
+
             if (opts.onProgress) {
                 xhr.upload.addEventListener('progress', opts.onProgress);
             }
 
             xhr.onload = function () {
+                var json;
                 try {
-                    const json = JSON.parse(xhr.responseText);
-                    if (json.success) {
-                        resolve(json.data);
-                    } else {
-                        reject(new Error(json.data || I18N.error || 'Error'));
-                    }
+                    json = JSON.parse(xhr.responseText);
                 } catch (e) {
-                    reject(new Error('Invalid response from server'));
+                    reject(requestError('Invalid response from server', xhr.status));
+                    return;
+                }
+                if (json.success) {
+                    resolve(json.data);
+                } else {
+                    reject(requestError(json.data || I18N.error || 'Error', xhr.status));
                 }
             };
 
             xhr.onerror = function () {
-                reject(new Error('Network error'));
+                reject(requestError('Network error', 0));
+            };
+
+            xhr.onabort = function () {
+                reject(abortError());
             };
 
             xhr.send(fd);
         });
     }
 
+    /** Build an Error that remembers the HTTP status (0 = network failure). */
+    function requestError(message, status) {
+        const err = new Error(message);
+        err.status = status;
+        return err;
+    }
+
+    /** Rejection reason for requests stopped on purpose (pause / cancel). */
+    function abortError() {
+        const err = requestError(I18N.aborted || 'Aborted', 0);
+        err.aborted = true;
+        return err;
+    }
+
+    /**
+     * Whether a failed request is worth retrying.
+     *
+     * Network drops, timeouts, rate limits and 5xx are transient (the
+     * upload handlers answer 502 when Nextcloud fails). Anything else —
+     * 4xx, or an application error on HTTP 200 — will fail again.
+     */
+    function isRetryable(err) {
+        if (err.aborted) return false;
+        const s = err.status || 0;
+        return s === 0 || s === 408 || s === 429 || s >= 500;
+    }
+
+    /**
+     * Run `fn` (returns a Promise) and retry it with exponential backoff.
+     *
+     * @param {Function}    fn         Starts one attempt.
+     * @param {Function}    [onRetry]  Called as (attempt, delayMs, err) before each wait.
+     * @param {AbortSignal} [signal]   Stops waiting for the next attempt.
+     * @returns {Promise}
+     */
+    function withRetry(fn, onRetry, signal) {
+        var attempt = 0;
+        var timer = null;
+        return new Promise(function (resolve, reject) {
+            function onAbort() {
+                clearTimeout(timer);
+                reject(abortError());
+            }
+
+            // Settle and drop the abort listener, so a long-lived job signal
+            // does not collect one per request.
+            function settle(fn, value) {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                fn(value);
+            }
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            (function run() {
+                if (signal && signal.aborted) {
+                    settle(reject, abortError());
+                    return;
+                }
+                fn().then(function (value) {
+                    settle(resolve, value);
+                }).catch(function (err) {
+                    attempt++;
+                    if (attempt > MAX_RETRIES || !isRetryable(err)) {
+                        settle(reject, err);
+                        return;
+                    }
+                    var delay = Math.min(RETRY_BASE_MS * Math.pow(2, attempt - 1), RETRY_MAX_MS);
+                    if (onRetry) onRetry(attempt, delay, err);
+                    timer = setTimeout(run, delay);
+                });
+            })();
+        });
+    }
+
+    /** Status line shown while a request waits for its next attempt. */
+    function retryMessage(attempt, delay) {
+        return (I18N.retrying || 'Retrying in %1$ds (%2$d/%3$d)…')
+            .replace('%1$d', Math.round(delay / 1000))
+            .replace('%2$d', attempt)
+            .replace('%3$d', MAX_RETRIES);
+    }
+
+    /**
+     * Run async tasks with at most `limit` in flight.
+     *
+     * Rejects with the first error; tasks already running are left to
+     * settle on their own, no new ones are started.
+     *
+     * @param {Function[]} tasks  Each starts one unit of work and returns a Promise.
+     * @param {number}     limit  Maximum concurrency (>= 1).
+     * @returns {Promise}
+     */
+    function runPool(tasks, limit) {
+        return new Promise(function (resolve, reject) {
+            var next = 0;
+            var active = 0;
+            var failed = false;
+
+            (function launch() {
+                if (failed) return;
+                if (next >= tasks.length && active === 0) {
+                    resolve();
+                    return;
+                }
+                while (active < limit && next < tasks.length) {
+                    active++;
+                    tasks[next++]().then(function () {
+                        active--;
+                        launch();
+                    }, function (err) {
+                        failed = true;
+                        reject(err);
+                    });
+                }
+            })();
+        });
+    }
+
+    /**
+     * Run `fn` over every item with limited concurrency and never reject:
+     * each result records whether that item worked.
+     *
+     * @param {Array}    items
+     * @param {Function} fn     item → Promise
+     * @param {number}   limit
+     * @returns {Promise<Array<{item: *, ok: boolean, value: *, error: string}>>}
+     */
+    function mapSettled(items, fn, limit) {
+        var results = [];
+        var tasks = items.map(function (item, i) {
+            return function () {
+                return fn(item).then(function (value) {
+                    results[i] = { item: item, ok: true, value: value };
+                }, function (err) {
+                    results[i] = { item: item, ok: false, error: err.message || String(err) };
+                });
+            };
+        });
+        return runPool(tasks, limit).then(function () { return results; });
+    }
+
+    /* ================================================================
+     *  BANDWIDTH THROTTLE
+     * ============================================================= */
+
+    /**
+     * Pace outgoing uploads to an average of `bytesPerSec`.
+     *
+     * Every request reserves its size up front; take() resolves once the
+     * reservation's slot begins. Parallel requests share one budget, so the
+     * cap holds for the whole browser, not per chunk.
+     *
+     * @param {number} bytesPerSec  0 = unlimited.
+     */
+    function Throttle(bytesPerSec) {
+        this.rate = bytesPerSec > 0 ? bytesPerSec : 0;
+        this.nextFree = 0;
+    }
+
+    /**
+     * @param {number} bytes  Size of the request about to be sent.
+     * @returns {Promise}
+     */
+    Throttle.prototype.take = function (bytes) {
+        if (!this.rate) return Promise.resolve();
+
+        var now = Date.now();
+        var start = Math.max(now, this.nextFree);
+        this.nextFree = start + (bytes / this.rate) * 1000;
+
+        return new Promise(function (resolve) {
+            setTimeout(resolve, start - now);
+        });
+    };
+
+    /* ================================================================
+     *  RESUMABLE UPLOAD STORE (localStorage)
+     * ============================================================= */
+
+    /*
+     * Chunked uploads are remembered per file fingerprint so that a
+     * reload, crash or network drop does not lose the Nextcloud temp
+     * directory. Selecting the same file for the same folder again
+     * picks the upload up where it stopped.
+     */
+    const RESUME_KEY = 'wpnc_resumable_uploads';
+    const RESUME_TTL = 7 * 24 * 3600 * 1000;
+
+    const ResumeStore = {
+        all: function () {
+            var store;
+            try {
+                store = JSON.parse(window.localStorage.getItem(RESUME_KEY)) || {};
+            } catch (e) {
+                return {};
+            }
+            // Drop stale sessions — Nextcloud expires abandoned uploads anyway.
+            var now = Date.now();
+            Object.keys(store).forEach(function (k) {
+                if (!store[k] || now - (store[k].updated || 0) > RESUME_TTL) delete store[k];
+            });
+            return store;
+        },
+        save: function (store) {
+            try {
+                window.localStorage.setItem(RESUME_KEY, JSON.stringify(store));
+            } catch (e) {
+                // Private mode / quota exceeded: resume just won't be available.
+            }
+        },
+        get: function (key) {
+            return this.all()[key] || null;
+        },
+        set: function (key, record) {
+            var store = this.all();
+            record.updated = Date.now();
+            store[key] = record;
+            this.save(store);
+        },
+        remove: function (key) {
+            var store = this.all();
+            delete store[key];
+            this.save(store);
+        }
+    };
+
+    /*
+     * Sort column, direction and list / grid view, kept per browser so
+     * the next visit looks the same.
+     */
+    const PREFS_KEY = 'wpnc_browser_view';
+
+    const ViewPrefs = {
+        load: function () {
+            var prefs;
+            try {
+                prefs = JSON.parse(window.localStorage.getItem(PREFS_KEY)) || {};
+            } catch (e) {
+                prefs = {};
+            }
+            return {
+                sort: ['name', 'size', 'type', 'modified'].indexOf(prefs.sort) !== -1 ? prefs.sort : 'name',
+                dir:  prefs.dir === -1 ? -1 : 1,
+                view: prefs.view === 'grid' ? 'grid' : 'list'
+            };
+        },
+        save: function (prefs) {
+            try {
+                window.localStorage.setItem(PREFS_KEY, JSON.stringify(prefs));
+            } catch (e) {
+                // Private mode / quota exceeded: the choice lasts for this page only.
+            }
+        }
+    };
+
+    /** Identify a local file + destination folder across page loads. */
+    function uploadFingerprint(file, destPath) {
+        return [destPath || '', file.name, file.size, file.lastModified || 0].join('|');
+    }
+
+    /* ================================================================
+     *  FOLDER TRAVERSAL (drag & drop + webkitdirectory)
+     * ============================================================= */
+
+    /**
+     * Collect files and directories from a drop, descending into folders.
+     *
+     * Entries must be grabbed synchronously inside the drop handler — the
+     * DataTransferItemList is emptied once the event returns.
+     *
+     * @param {DataTransfer} dt
+     * @returns {Promise<{files: Array<{file: File, dir: string}>, dirs: string[]}>}
+     */
+    function collectDropped(dt) {
+        var entries = [];
+        var items = dt.items || [];
+
+        for (var i = 0; i < items.length; i++) {
+            var entry = items[i].webkitGetAsEntry ? items[i].webkitGetAsEntry() : null;
+            if (entry) entries.push(entry);
+        }
+
+        // No entry API: plain flat file list.
+        if (!entries.length) {
+            return Promise.resolve({
+                files: Array.from(dt.files || []).map(function (file) { return { file: file, dir: '' }; }),
+                dirs: []
+            });
+        }
+
+        var tree = { files: [], dirs: [] };
+        return Promise.all(entries.map(function (e) { return walkEntry(e, '', tree); }))
+            .then(function () { return tree; });
+    }
+
+    /** Recursively add a FileSystemEntry (file or directory) to `tree`. */
+    function walkEntry(entry, dir, tree) {
+        if (entry.isFile) {
+            return new Promise(function (resolve, reject) {
+                entry.file(function (file) {
+                    tree.files.push({ file: file, dir: dir });
+                    resolve();
+                }, reject);
+            });
+        }
+
+        if (entry.isDirectory) {
+            var path = dir ? dir + '/' + entry.name : entry.name;
+            tree.dirs.push(path);
+            return readAllEntries(entry.createReader()).then(function (children) {
+                return Promise.all(children.map(function (child) { return walkEntry(child, path, tree); }));
+            });
+        }
+
+        return Promise.resolve();
+    }
+
+    /** readEntries() returns at most ~100 entries per call; keep reading until empty. */
+    function readAllEntries(reader) {
+        var all = [];
+        return new Promise(function (resolve, reject) {
+            (function read() {
+                reader.readEntries(function (batch) {
+                    if (!batch.length) {
+                        resolve(all);
+                        return;
+                    }
+                    all = all.concat(Array.from(batch));
+                    read();
+                }, reject);
+            })();
+        });
+    }
+
+    /** Build the same tree shape from an <input webkitdirectory> FileList. */
+    function treeFromFileList(fileList) {
+        var tree = { files: [], dirs: [] };
+        Array.from(fileList).forEach(function (file) {
+            var rel = file.webkitRelativePath || file.name;
+            var dir = rel.indexOf('/') !== -1 ? rel.slice(0, rel.lastIndexOf('/')) : '';
+            tree.files.push({ file: file, dir: dir });
+        });
+        return tree;
+    }
+
+    /** Drop duplicates and every directory that is a parent of another one. */
+    function leafDirs(dirs) {
+        var seen = {};
+        var parents = {};
+        var unique = dirs.filter(function (d) {
+            if (!d || seen[d]) return false;
+            seen[d] = true;
+            return true;
+        });
+
+        unique.forEach(function (d) {
+            var parts = d.split('/');
+            for (var i = 1; i < parts.length; i++) {
+                parents[parts.slice(0, i).join('/')] = true;
+            }
+        });
+
+        return unique.filter(function (d) { return !parents[d]; });
+    }
+
     /* ================================================================
      *  MODAL DIALOG SYSTEM (replaces alert / confirm / prompt)
      * ============================================================= */
 
-    /** Show a modal inside the browser container. Returns a Promise. */
-    function showModal(container, innerHTML) {
+    /**
+     * Show a modal inside the browser container. Returns a Promise.
+     * `variant` adds a `wpnc-modal-{variant}` class to the backdrop while open
+     * (e.g. 'preview' for the full-window lightbox).
+     */
+    function showModal(container, innerHTML, variant) {
         return new Promise(function (resolve) {
             const backdrop = container.querySelector('.wpnc-modal-backdrop');
             const modal = container.querySelector('.wpnc-modal');
+            const variantClass = variant ? 'wpnc-modal-' + variant : '';
 
             modal.innerHTML = innerHTML;
             backdrop.style.display = 'flex';
+            if (variantClass) backdrop.classList.add(variantClass);
 
             // Wire up buttons.
             const confirmBtn = modal.querySelector('[data-action="confirm"]');
@@ -144,6 +651,7 @@
 
             function close(value) {
                 backdrop.style.display = 'none';
+                if (variantClass) backdrop.classList.remove(variantClass);
                 modal.innerHTML = '';
                 resolve(value);
             }
@@ -157,6 +665,11 @@
                 });
             }
 
+            // Multiple-choice dialogs: resolve with the button's data-choice.
+            modal.querySelectorAll('[data-choice]').forEach(function (btn) {
+                btn.addEventListener('click', function () { close(btn.dataset.choice); });
+            });
+
             // Allow Enter key on input.
             if (inputEl) {
                 inputEl.addEventListener('keydown', function (e) {
@@ -187,17 +700,108 @@
         );
     }
 
-    function modalPrompt(container, label, placeholder) {
-        return showModal(container,
+    /**
+     * @param {HTMLElement} container
+     * @param {string}      label
+     * @param {string}      [placeholder]
+     * @param {string}      [value]         Pre-filled text; the part before the extension is selected.
+     * @param {string}      [confirmLabel]  Defaults to "Create".
+     */
+    function modalPrompt(container, label, placeholder, value, confirmLabel) {
+        var result = showModal(container,
             '<div class="wpnc-modal-body">' +
             '  <label class="wpnc-modal-label">' + escHtml(label) + '</label>' +
-            '  <input type="text" data-modal-input class="wpnc-input" placeholder="' + escHtml(placeholder || '') + '" style="font-size:16px" />' +
+            '  <input type="text" data-modal-input class="wpnc-input" placeholder="' + escAttr(placeholder || '') + '" style="font-size:16px" />' +
+            '  <div class="wpnc-modal-actions">' +
+            '    <button type="button" class="wpnc-btn wpnc-btn-cancel" data-action="cancel">' + escHtml(I18N.cancel || 'Cancel') + '</button>' +
+            '    <button type="button" class="wpnc-btn wpnc-btn-primary" data-action="confirm">' + escHtml(confirmLabel || I18N.create || 'Create') + '</button>' +
+            '  </div>' +
+            '</div>'
+        );
+
+        if (value) {
+            var input = container.querySelector('.wpnc-modal input[data-modal-input]');
+            input.value = value;
+            setTimeout(function () {
+                var dot = value.lastIndexOf('.');
+                input.setSelectionRange(0, dot > 0 ? dot : value.length);
+            }, 60);   // After showModal's focus().
+        }
+
+        return result;
+    }
+
+    /**
+     * Let the user pick a destination folder, browsing with wpnc_browse.
+     *
+     * @param {HTMLElement} container
+     * @param {string}      title
+     * @param {string}      startPath  Folder shown first.
+     * @param {string}      [exclude]  Folder that cannot be entered (the one being moved).
+     * @param {string}      [confirmLabel]  Defaults to "Move here".
+     * @returns {Promise<string|null>}  Chosen folder path ('' = root), null if cancelled.
+     */
+    function modalFolderPicker(container, title, startPath, exclude, confirmLabel) {
+        var top = container.dataset.rootPath || '';   // Private folder: nothing above it.
+        var current = startPath || top;
+        var result = showModal(container,
+            '<div class="wpnc-modal-body wpnc-picker">' +
+            '  <label class="wpnc-modal-label">' + escHtml(title) + '</label>' +
+            '  <div class="wpnc-picker-crumbs"></div>' +
+            '  <div class="wpnc-picker-list"></div>' +
             '  <div class="wpnc-modal-actions">' +
             '    <button type="button" class="wpnc-btn wpnc-btn-cancel" data-action="cancel">' + escHtml(I18N.cancel || 'Cancel') + '</button>' +
-            '    <button type="button" class="wpnc-btn wpnc-btn-primary" data-action="confirm">' + escHtml(I18N.create || 'Create') + '</button>' +
+            '    <button type="button" class="wpnc-btn wpnc-btn-primary" data-action="confirm">' + escHtml(confirmLabel || I18N.move_here || 'Move here') + '</button>' +
             '  </div>' +
             '</div>'
         );
+
+        var body     = container.querySelector('.wpnc-modal .wpnc-picker');
+        var crumbsEl = body.querySelector('.wpnc-picker-crumbs');
+        var listEl   = body.querySelector('.wpnc-picker-list');
+
+        function load(path) {
+            current = path;
+
+            var below = path.slice(top.length).replace(/^\//, '');
+            var segments = below ? below.split('/') : [];
+            var html = '<span class="wpnc-crumb wpnc-crumb-link" data-pick="' + escAttr(top) + '">' + escHtml(I18N.root || 'Root') + '</span>';
+            segments.forEach(function (seg, i) {
+                html += '<span class="wpnc-crumb-sep">/</span>' +
+                    '<span class="wpnc-crumb wpnc-crumb-link" data-pick="' + escAttr(joinPath(top, segments.slice(0, i + 1).join('/'))) + '">' + escHtml(seg) + '</span>';
+            });
+            crumbsEl.innerHTML = html;
+            listEl.innerHTML = '<div class="wpnc-loading"><span class="wpnc-spinner"></span></div>';
+
+            wpncRequest('wpnc_browse', { path: path })
+                .then(function (data) {
+                    if (current !== path) return;   // User moved on meanwhile.
+
+                    var folders = (data.items || []).filter(function (item) {
+                        return item.type === 'folder' && joinPath(path, item.name) !== exclude;
+                    }).sort(function (a, b) { return a.name.localeCompare(b.name); });
+
+                    listEl.innerHTML = folders.length
+                        ? folders.map(function (item) {
+                            return '<div class="wpnc-picker-item" data-pick="' + escAttr(joinPath(path, item.name)) + '">📁 ' + escHtml(item.name) + '</div>';
+                        }).join('')
+                        : '<div class="wpnc-picker-empty">' + escHtml(I18N.no_subfolders || 'No subfolders') + '</div>';
+                })
+                .catch(function (err) {
+                    if (current === path) {
+                        listEl.innerHTML = '<p class="wpnc-text-error">❌ ' + escHtml(err.message) + '</p>';
+                    }
+                });
+        }
+
+        body.addEventListener('click', function (e) {
+            var target = e.target.closest('[data-pick]');
+            if (target) load(target.dataset.pick);
+        });
+
+        load(current);
+
+        return result.then(function (ok) { return ok ? current : null; });
     }
 
     function modalAlert(container, message, isError) {
@@ -211,54 +815,529 @@
         );
     }
 
-    /* ================================================================
-     *  TOAST NOTIFICATION
-     * ============================================================= */
+    /**
+     * Ask what to do with an upload whose name already exists.
+     *
+     * @param {HTMLElement} container
+     * @param {string}      name       Conflicting file name.
+     * @param {number}      remaining  Conflicts left in the batch, this one included.
+     * @returns {Promise<{action: string, all: boolean}>}  action: overwrite | rename | skip
+     */
+    function modalConflict(container, name, remaining) {
+        var applyAll = false;
+        var result = showModal(container,
+            '<div class="wpnc-modal-body">' +
+            '  <p>' + escHtml((I18N.conflict_exists || '"%s" already exists in this folder.').replace('%s', name)) + '</p>' +
+            (remaining > 1
+                ? '  <label class="wpnc-modal-check"><input type="checkbox" data-apply-all /> ' +
+                  escHtml((I18N.apply_to_all || 'Apply to all %d conflicts').replace('%d', remaining)) + '</label>'
+                : '') +
+            '  <div class="wpnc-modal-actions">' +
+            '    <button type="button" class="wpnc-btn wpnc-btn-cancel" data-choice="skip">' + escHtml(I18N.skip || 'Skip') + '</button>' +
+            '    <button type="button" class="wpnc-btn" data-choice="rename">' + escHtml(I18N.keep_both || 'Keep both') + '</button>' +
+            '    <button type="button" class="wpnc-btn wpnc-btn-danger" data-choice="overwrite">' + escHtml(I18N.overwrite || 'Overwrite') + '</button>' +
+            '  </div>' +
+            '</div>'
+        );
 
-    function showToast(container, message, type) {
-        type = type || 'info';
-        const toast = document.createElement('div');
-        toast.className = 'wpnc-toast wpnc-toast-' + type;
-        toast.textContent = message;
-        container.appendChild(toast);
+        // The modal markup is cleared on close, so track the checkbox live.
+        var check = container.querySelector('.wpnc-modal [data-apply-all]');
+        if (check) {
+            check.addEventListener('change', function () { applyAll = check.checked; });
+        }
 
-        // Animate in.
-        requestAnimationFrame(function () {
-            toast.classList.add('wpnc-toast-show');
+        return result.then(function (choice) {
+            // Backdrop click = skip (the safe choice), never "all".
+            return choice ? { action: choice, all: applyAll } : { action: 'skip', all: false };
         });
-
-        // Remove after 3s.
-        setTimeout(function () {
-            toast.classList.remove('wpnc-toast-show');
-            setTimeout(function () { toast.remove(); }, 300);
-        }, 3000);
     }
 
-    /* ================================================================
-     *  FILE BROWSER CLASS
-     * ============================================================= */
-
-    function FileBrowser(el) {
-        this.root       = el;
-        this.currentPath = el.dataset.initialPath || '';
-        this.allowUpload = el.dataset.allowUpload === '1';
-        this.allowMkdir  = el.dataset.allowMkdir === '1';
-        this.allowDelete = el.dataset.allowDelete === '1';
-        this.items       = [];
-        this.uploading   = false;
+    /**
+     * Per-item outcome of a bulk action: one line per item, failures first.
+     *
+     * @param {HTMLElement} container
+     * @param {string}      title
+     * @param {Array}       results       From mapSettled(); `text` overrides the line shown.
+     * @param {string}      [confirmLabel]  Extra primary button (resolves true).
+     * @returns {Promise}
+     */
+    function modalReport(container, title, results, confirmLabel) {
+        var failed = results.filter(function (r) { return !r.ok; });
+        var rows = failed.concat(results.filter(function (r) { return r.ok; }));
 
-        // DOM refs.
-        this.breadcrumb  = el.querySelector('.wpnc-breadcrumb');
-        this.fileList    = el.querySelector('.wpnc-file-list');
+        return showModal(container,
+            '<div class="wpnc-modal-body">' +
+            '  <label class="wpnc-modal-label">' + escHtml(title) + '</label>' +
+            '  <p>' + escHtml((I18N.bulk_summary || '%1$d done, %2$d failed')
+                .replace('%1$d', results.length - failed.length)
+                .replace('%2$d', failed.length)) + '</p>' +
+            '  <ul class="wpnc-report">' +
+            rows.map(function (r) {
+                return '<li class="' + (r.ok ? 'wpnc-report-ok' : 'wpnc-report-fail') + '">' +
+                    (r.ok ? '✅ ' : '❌ ') + '<strong>' + escHtml(r.item.name) + '</strong> ' +
+                    escHtml(r.ok ? (r.text || '') : r.error) + '</li>';
+            }).join('') +
+            '  </ul>' +
+            '  <div class="wpnc-modal-actions">' +
+            '    <button type="button" class="wpnc-btn wpnc-btn-cancel" data-action="cancel">' + escHtml(I18N.close || 'Close') + '</button>' +
+            (confirmLabel
+                ? '    <button type="button" class="wpnc-btn wpnc-btn-primary" data-action="confirm">' + escHtml(confirmLabel) + '</button>'
+                : '') +
+            '  </div>' +
+            '</div>'
+        );
+    }
+
+    /**
+     * Share dialog: the item's existing shares (copy, revoke) and a form for
+     * a new public link with a label, password, expiry and permission.
+     *
+     * @param {HTMLElement} container
+     * @param {string}      path
+     * @param {string}      name
+     * @param {boolean}     isFolder   Folders can also allow uploads.
+     * @returns {Promise<boolean>}  Whether shares were created or revoked.
+     */
+    function modalShares(container, path, name, isFolder) {
+        var changed = false;
+        var tomorrow = new Date(Date.now() + 86400000).toISOString().slice(0, 10);
+        var levels = { view: I18N.share_view || 'View only', upload: I18N.share_upload || 'Allow upload', edit: I18N.share_edit || 'Allow editing' };
+
+        var result = showModal(container,
+            '<div class="wpnc-modal-body wpnc-share-dialog">' +
+            '  <label class="wpnc-modal-label">' + escHtml((I18N.share_title || 'Share "%s"').replace('%s', name)) + '</label>' +
+            '  <div class="wpnc-share-list"><div class="wpnc-loading"><span class="wpnc-spinner"></span></div></div>' +
+            '  <fieldset class="wpnc-share-form">' +
+            '    <legend>' + escHtml(I18N.share_new || 'New link') + '</legend>' +
+            '    <input type="text" class="wpnc-input" data-share="label" placeholder="' + escAttr(I18N.share_label || 'Label (optional)') + '" />' +
+            '    <input type="password" class="wpnc-input" data-share="password" autocomplete="new-password" placeholder="' + escAttr(I18N.share_password || 'Password (optional)') + '" />' +
+            '    <label>' + escHtml(I18N.share_expire || 'Expires') + ' <input type="date" class="wpnc-input" data-share="expire" min="' + tomorrow + '" /></label>' +
+            '    <select class="wpnc-input" data-share="permission">' +
+            '      <option value="view">' + escHtml(levels.view) + '</option>' +
+            (isFolder ? '      <option value="upload">' + escHtml(levels.upload) + '</option>' : '') +
+            '      <option value="edit">' + escHtml(levels.edit) + '</option>' +
+            '    </select>' +
+            '    <button type="button" class="wpnc-btn wpnc-btn-primary" data-share-create>' + escHtml(I18N.share_create || 'Create link') + '</button>' +
+            '  </fieldset>' +
+            '  <div class="wpnc-modal-actions">' +
+            '    <button type="button" class="wpnc-btn wpnc-btn-cancel" data-action="cancel">' + escHtml(I18N.close || 'Close') + '</button>' +
+            '  </div>' +
+            '</div>'
+        );
+
+        var body   = container.querySelector('.wpnc-modal .wpnc-share-dialog');
+        var listEl = body.querySelector('.wpnc-share-list');
+        var shares = [];
+
+        function field(key) {
+            return body.querySelector('[data-share="' + key + '"]');
+        }
+
+        function copy(url) {
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                navigator.clipboard.writeText(url).then(function () {
+                    showToast(container, I18N.copied || 'Link copied!', 'success');
+                });
+            }
+        }
+
+        function render(list) {
+            shares = list || [];
+            if (!shares.length) {
+                listEl.innerHTML = '<p class="wpnc-share-none">' + escHtml(I18N.share_none || 'Not shared yet.') + '</p>';
+                return;
+            }
+
+            listEl.innerHTML = shares.map(function (share, i) {
+                var isLink = share.share_type === 3;
+                var tags = [levels[share.permission] || share.permission];
+                if (share.has_password) tags.push('🔒 ' + (I18N.share_protected || 'Password'));
+                if (share.expiration) tags.push('⏳ ' + (I18N.share_expires || 'Expires %s').replace('%s', share.expiration));
+
+                return '<div class="wpnc-share-item">' +
+                    '<div class="wpnc-share-meta"><strong>' +
+                    escHtml(isLink ? (share.label || I18N.share_public || 'Public link') : (I18N.share_with || 'Shared with %s').replace('%s', share.share_with)) +
+                    '</strong> <span class="wpnc-share-tags">' + escHtml(tags.join(' · ')) + '</span></div>' +
+                    '<div class="wpnc-share-row">' +
+                    (isLink && share.url
+                        ? '<input type="text" class="wpnc-input" readonly value="' + escAttr(share.url) + '" />' +
+                          '<button type="button" class="wpnc-btn" data-copy="' + i + '">' + escHtml(I18N.share_copy || 'Copy') + '</button>'
+                        : '') +
+                    '<button type="button" class="wpnc-btn wpnc-btn-danger" data-revoke="' + i + '">' + escHtml(I18N.revoke || 'Revoke') + '</button>' +
+                    '</div></div>';
+            }).join('');
+        }
+
+        function fail(err) {
+            showToast(container, err.message, 'error');
+        }
+
+        body.addEventListener('click', function (e) {
+            var copyBtn   = e.target.closest('[data-copy]');
+            var revokeBtn = e.target.closest('[data-revoke]');
+            var createBtn = e.target.closest('[data-share-create]');
+
+            if (copyBtn) {
+                copy(shares[copyBtn.dataset.copy].url);
+            }
+
+            if (revokeBtn) {
+                // Second click confirms.
+                if (!revokeBtn.dataset.armed) {
+                    revokeBtn.dataset.armed = '1';
+                    revokeBtn.textContent = I18N.revoke_confirm || 'Revoke?';
+                    return;
+                }
+                revokeBtn.disabled = true;
+                wpncRequest('wpnc_share_delete', { id: shares[revokeBtn.dataset.revoke].id, path: path })
+                    .then(function (data) {
+                        changed = true;
+                        render(data.shares);
+                    })
+                    .catch(function (err) {
+                        revokeBtn.disabled = false;
+                        fail(err);
+                    });
+            }
+
+            if (createBtn) {
+                createBtn.disabled = true;
+                wpncRequest('wpnc_share_create', {
+                    path: path,
+                    label: field('label').value.trim(),
+                    password: field('password').value,
+                    expire: field('expire').value,
+                    permission: field('permission').value,
+                })
+                    .then(function (data) {
+                        changed = true;
+                        field('label').value = '';
+                        field('password').value = '';
+                        field('expire').value = '';
+                        render(data.shares);
+                        if (data.url) copy(data.url);
+                    })
+                    .catch(fail)
+                    .then(function () { createBtn.disabled = false; });
+            }
+        });
+
+        body.addEventListener('focusin', function (e) {
+            if (e.target.readOnly) e.target.select();
+        });
+
+        wpncRequest('wpnc_shares', { path: path })
+            .then(function (data) { render(data.shares); })
+            .catch(function (err) {
+                listEl.innerHTML = '<p class="wpnc-text-error">❌ ' + escHtml(err.message) + '</p>';
+            });
+
+        return result.then(function () { return changed; });
+    }
+
+    /* ── Preview lightbox ────────────────────────────────────── */
+
+    /** Viewer for a file: image | video | audio | pdf | text, or '' when there is none. */
+    function previewKind(item) {
+        if (item.type === 'folder') return '';
+        const m = (item.mime || '').toLowerCase();
+        if (m.startsWith('image/')) return 'image';
+        if (m.startsWith('video/')) return 'video';
+        if (m.startsWith('audio/')) return 'audio';
+        if (m === 'application/pdf') return 'pdf';
+        if (m.startsWith('text/') || /json|xml|javascript|yaml|x-sh|x-php/.test(m)) return 'text';
+        return '';
+    }
+
+    /**
+     * Lightbox built on showModal. The viewer follows the item's MIME type:
+     * images (previous / next through `items`, arrow keys too), the native
+     * video and audio players (they fetch with Range requests, so seeking
+     * works), the browser's PDF viewer, and text with JSON / XML highlighting.
+     * Escape closes.
+     *
+     * @param {HTMLElement} container
+     * @param {Object[]}    items   Files to page through: { name, mime, size }.
+     * @param {number}      index   Item shown first.
+     * @param {Function}    urlFor  item → URL of its content.
+     * @returns {Promise}
+     */
+    function modalPreview(container, items, index, urlFor) {
+        var paged = items.length > 1;
+        var loadId = 0;
+
+        var result = showModal(container,
+            '<div class="wpnc-preview">' +
+            '  <div class="wpnc-preview-head">' +
+            '    <span class="wpnc-preview-title"></span>' +
+            '    <span class="wpnc-preview-count"></span>' +
+            '    <button type="button" class="wpnc-action-btn" data-preview-action="download" title="' + escAttr(I18N.download || 'Download') + '">⬇️</button>' +
+            '    <button type="button" class="wpnc-action-btn" data-action="cancel" title="' + escAttr(I18N.close || 'Close') + '">✕</button>' +
+            '  </div>' +
+            '  <div class="wpnc-preview-stage"></div>' +
+            (paged
+                ? '  <button type="button" class="wpnc-preview-nav wpnc-preview-prev" data-preview-action="prev" title="' + escAttr(I18N.previous || 'Previous') + '">‹</button>' +
+                  '  <button type="button" class="wpnc-preview-nav wpnc-preview-next" data-preview-action="next" title="' + escAttr(I18N.next || 'Next') + '">›</button>'
+                : '') +
+            '</div>',
+            'preview'
+        );
+
+        var body    = container.querySelector('.wpnc-modal .wpnc-preview');
+        var stage   = body.querySelector('.wpnc-preview-stage');
+        var titleEl = body.querySelector('.wpnc-preview-title');
+        var countEl = body.querySelector('.wpnc-preview-count');
+
+        function placeholder(item, message) {
+            stage.innerHTML =
+                '<div class="wpnc-preview-none">' +
+                '  <span class="wpnc-preview-icon">' + fileIcon(item) + '</span>' +
+                '  <p>' + escHtml(message) + '</p>' +
+                '  <button type="button" class="wpnc-btn wpnc-btn-primary" data-preview-action="download">⬇️ ' + escHtml(I18N.download || 'Download') + '</button>' +
+                '</div>';
+        }
+
+        function showText(item, url, id) {
+            if (item.size > TEXT_PREVIEW_MAX) {
+                placeholder(item, (I18N.preview_too_large || 'This file is too large to preview (%s).').replace('%s', humanSize(item.size)));
+                return;
+            }
+
+            stage.innerHTML = '<div class="wpnc-loading"><span class="wpnc-spinner"></span></div>';
+
+            fetch(url, { credentials: 'same-origin' })
+                .then(function (res) {
+                    if (!res.ok) throw new Error('HTTP ' + res.status);
+                    return res.text();
+                })
+                .then(function (text) {
+                    if (id !== loadId) return;   // Paged on meanwhile.
+                    stage.innerHTML = '<pre class="wpnc-preview-code"><code>' + highlight(text, item) + '</code></pre>';
+                })
+                .catch(function (err) {
+                    if (id === loadId) placeholder(item, '❌ ' + err.message);
+                });
+        }
+
+        function show(i) {
+            index = (i + items.length) % items.length;
+
+            var item = items[index];
+            var url  = escHtml(urlFor(item));
+            var kind = previewKind(item);
+
+            loadId++;
+            titleEl.textContent = item.name;
+            countEl.textContent = paged ? (index + 1) + ' / ' + items.length : '';
+
+            if (kind === 'image') {
+                stage.innerHTML = '<img class="wpnc-preview-image" src="' + url + '" alt="' + escAttr(item.name) + '" />';
+                // Warm the cache for the neighbours.
+                if (paged) {
+                    new Image().src = urlFor(items[(index + 1) % items.length]);
+                    new Image().src = urlFor(items[(index - 1 + items.length) % items.length]);
+                }
+            } else if (kind === 'video') {
+                stage.innerHTML = '<video class="wpnc-preview-media" src="' + url + '" controls autoplay preload="metadata"></video>';
+            } else if (kind === 'audio') {
+                stage.innerHTML =
+                    '<div class="wpnc-preview-none">' +
+                    '  <span class="wpnc-preview-icon">🎵</span>' +
+                    '  <audio src="' + url + '" controls autoplay preload="metadata"></audio>' +
+                    '</div>';
+            } else if (kind === 'pdf') {
+                stage.innerHTML = '<iframe class="wpnc-preview-pdf" src="' + url + '" title="' + escAttr(item.name) + '"></iframe>';
+            } else if (kind === 'text') {
+                showText(item, urlFor(item), loadId);
+            } else {
+                placeholder(item, I18N.no_preview || 'No preview available for this file type.');
+            }
+        }
+
+        body.addEventListener('click', function (e) {
+            var btn = e.target.closest('[data-preview-action]');
+            if (!btn) return;
+            var action = btn.dataset.previewAction;
+            if (action === 'prev') show(index - 1);
+            if (action === 'next') show(index + 1);
+            if (action === 'download') triggerDownload(urlFor(items[index]), items[index].name);
+        });
+
+        function onKey(e) {
+            if (e.key === 'Escape') body.querySelector('[data-action="cancel"]').click();
+            if (paged && e.key === 'ArrowLeft') show(index - 1);
+            if (paged && e.key === 'ArrowRight') show(index + 1);
+        }
+        document.addEventListener('keydown', onKey);
+
+        show(index);
+
+        return result.then(function () {
+            document.removeEventListener('keydown', onKey);
+        });
+    }
+
+    /** Wrap one token for the highlighter (escaped). */
+    function hl(cls, text) {
+        return '<span class="wpnc-hl-' + cls + '">' + escHtml(text) + '</span>';
+    }
+
+    /**
+     * Minimal syntax highlighting for the text viewer: JSON and XML / HTML,
+     * shown exactly as written (no reformatting). Other text is plain.
+     *
+     * @returns {string} Safe HTML.
+     */
+    function highlight(text, item) {
+        var mime = (item.mime || '').toLowerCase();
+        var ext  = item.name.split('.').pop().toLowerCase();
+
+        if (mime.indexOf('json') !== -1 || ext === 'json') {
+            return highlightJson(text);
+        }
+        if (mime.indexOf('xml') !== -1 || mime === 'text/html' || ['xml', 'html', 'htm', 'svg', 'xsl', 'xsd', 'plist'].indexOf(ext) !== -1) {
+            return highlightXml(text);
+        }
+        return escHtml(text);
+    }
+
+    function highlightJson(text) {
+        var re = /("(?:\\.|[^"\\])*")(\s*:)?|\b(true|false|null)\b|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/g;
+        var out = '';
+        var last = 0;
+        var m;
+
+        while ((m = re.exec(text)) !== null) {
+            out += escHtml(text.slice(last, m.index));
+            if (m[1]) out += hl(m[2] ? 'key' : 'string', m[1]) + escHtml(m[2] || '');
+            else if (m[3]) out += hl('literal', m[3]);
+            else out += hl('number', m[4]);
+            last = re.lastIndex;
+        }
+
+        return out + escHtml(text.slice(last));
+    }
+
+    function highlightXml(text) {
+        var re = /(<!--[\s\S]*?-->)|(<!\[CDATA\[[\s\S]*?\]\]>)|(<[?!\/]?[\w:.-]+)([^<>]*?)(\/?[?]?>)/g;
+        var out = '';
+        var last = 0;
+        var m;
+
+        while ((m = re.exec(text)) !== null) {
+            out += escHtml(text.slice(last, m.index));
+            if (m[1]) {
+                out += hl('comment', m[1]);
+            } else if (m[2]) {
+                out += hl('string', m[2]);
+            } else {
+                out += hl('tag', m[3]) + highlightAttrs(m[4]) + hl('tag', m[5]);
+            }
+            last = re.lastIndex;
+        }
+
+        return out + escHtml(text.slice(last));
+    }
+
+    function highlightAttrs(attrs) {
+        // escHtml() leaves quotes alone, so the values can still be matched.
+        return escHtml(attrs).replace(/([\w:.-]+)(=)("[^"]*"|'[^']*')/g, function (all, name, eq, value) {
+            return '<span class="wpnc-hl-attr">' + name + '</span>' + eq + '<span class="wpnc-hl-string">' + value + '</span>';
+        });
+    }
+
+    /**
+     * First free "name (n).ext" for `name`, Nextcloud-style.
+     * An existing " (n)" suffix is replaced rather than stacked.
+     *
+     * @param {string} name
+     * @param {Object} taken  name → true
+     * @returns {string}
+     */
+    function uniqueName(name, taken) {
+        var dot = name.lastIndexOf('.');
+        var base = dot > 0 ? name.slice(0, dot) : name;
+        var ext = dot > 0 ? name.slice(dot) : '';
+        base = base.replace(/ \(\d+\)$/, '');
+
+        for (var n = 2; ; n++) {
+            var candidate = base + ' (' + n + ')' + ext;
+            if (!taken[candidate]) return candidate;
+        }
+    }
+
+    /* ================================================================
+     *  TOAST NOTIFICATION
+     * ============================================================= */
+
+    function showToast(container, message, type) {
+        type = type || 'info';
+        const toast = document.createElement('div');
+        toast.className = 'wpnc-toast wpnc-toast-' + type;
+        toast.textContent = message;
+        container.appendChild(toast);
+
+        // Animate in.
+        requestAnimationFrame(function () {
+            toast.classList.add('wpnc-toast-show');
+        });
+
+        // Remove after 3s.
+        setTimeout(function () {
+            toast.classList.remove('wpnc-toast-show');
+            setTimeout(function () { toast.remove(); }, 300);
+        }, 3000);
+    }
+
+    /* ================================================================
+     *  FILE BROWSER CLASS
+     * ============================================================= */
+
+    function FileBrowser(el) {
+        this.root       = el;
+        this.currentPath = el.dataset.initialPath || '';
+        this.rootPath    = el.dataset.rootPath || '';   // Private folder the user cannot leave ('' = none).
+        this.allowShare  = el.dataset.allowShare !== '0';
+        this.allowUpload = el.dataset.allowUpload === '1';
+        this.allowMkdir  = el.dataset.allowMkdir === '1';
+        this.allowDelete = el.dataset.allowDelete === '1';
+        this.allowMove   = el.dataset.allowMove === '1';
+        this.allowCopy   = el.dataset.allowCopy === '1';
+        this.items       = [];
+        this.selected    = {};     // path → true
+        this.lastChecked = null;   // row index of the last checkbox clicked (shift ranges)
+        this.results     = null;   // wpnc_search response while its results are shown
+        this.found       = '';     // path to highlight once its folder is listed
+        this.prefs       = ViewPrefs.load();   // { sort, dir, view }
+
+        // Upload pipeline tuning (set per shortcode, defaults from settings).
+        this.parallelFiles  = Math.max(1, parseInt(el.dataset.parallelFiles, 10) || 2);
+        this.parallelChunks = Math.max(1, parseInt(el.dataset.parallelChunks, 10) || 3);
+        this.bandwidth      = Math.max(0, parseInt(el.dataset.bandwidth, 10) || 0); // bytes/s, 0 = unlimited
+
+        // DOM refs.
+        this.breadcrumb  = el.querySelector('.wpnc-breadcrumb');
+        this.fileList    = el.querySelector('.wpnc-file-list');
         this.emptyEl     = el.querySelector('.wpnc-empty');
         this.errorEl     = el.querySelector('.wpnc-error');
         this.progressEl  = el.querySelector('.wpnc-upload-progress');
+        this.resumeEl    = el.querySelector('.wpnc-upload-resume');
+        this.bulkBar     = el.querySelector('.wpnc-bulk-bar');
+        this.zipEl       = el.querySelector('.wpnc-zip-progress');
         this.dropOverlay = el.querySelector('.wpnc-dropzone-overlay');
+        this.searchForm  = el.querySelector('.wpnc-search');
+        this.searchInput = el.querySelector('.wpnc-search-input');
+        this.filtersEl   = el.querySelector('.wpnc-search-filters');
 
         // Buttons.
         this.btnUpload   = el.querySelector('.wpnc-btn-upload');
         this.fileInput   = el.querySelector('.wpnc-file-input');
+        this.btnFolder   = el.querySelector('.wpnc-btn-upload-folder');
+        this.folderInput = el.querySelector('.wpnc-folder-input');
         this.btnMkdir    = el.querySelector('.wpnc-btn-mkdir');
+        this.btnView     = el.querySelector('.wpnc-btn-view');
+
+        this.queue = new UploadQueue(this);
 
         this.init();
     }
@@ -289,9 +1368,47 @@
             });
         }
 
+        // Folder button → directory picker (hidden where unsupported).
+        if (this.btnFolder && this.folderInput) {
+            if (!('webkitdirectory' in this.folderInput)) {
+                this.btnFolder.style.display = 'none';
+            }
+            this.btnFolder.addEventListener('click', function () {
+                self.folderInput.click();
+            });
+            this.folderInput.addEventListener('change', function () {
+                if (this.files.length > 0) {
+                    self.onTreeSelected(treeFromFileList(this.files));
+                    this.value = '';
+                }
+            });
+        }
+
+        // List / grid toggle.
+        if (this.btnView) {
+            this.renderViewButton();
+            this.btnView.addEventListener('click', function () {
+                self.setPrefs({ view: self.prefs.view === 'grid' ? 'list' : 'grid' });
+            });
+        }
+
+        // Search box: typing filters the folder, Enter searches below it.
+        if (this.searchForm) {
+            this.initSearch();
+        }
+
+        // Bulk action bar.
+        if (this.bulkBar) {
+            this.bulkBar.addEventListener('click', function (e) {
+                var btn = e.target.closest('[data-bulk]');
+                if (btn) self.onBulkAction(btn.dataset.bulk);
+            });
+        }
+
         // Drag & drop.
         if (this.allowUpload) {
             this.initDragDrop();
+            this.showPendingUploads();
         }
     };
 
@@ -300,6 +1417,11 @@
     FileBrowser.prototype.navigate = function (path) {
         var self = this;
         this.currentPath = path;
+        this.selected = {};
+        this.lastChecked = null;
+        this.results = null;
+        if (this.searchInput) this.searchInput.value = '';
+        this.renderBulkBar();
         this.showLoading();
 
         wpncRequest('wpnc_browse', { path: path })
@@ -318,20 +1440,21 @@
     FileBrowser.prototype.renderBreadcrumb = function () {
         var self = this;
         var html = '';
-        var segments = this.currentPath ? this.currentPath.split('/').filter(Boolean) : [];
+        var below = this.rootPath ? this.currentPath.slice(this.rootPath.length) : this.currentPath;
+        var segments = below ? below.split('/').filter(Boolean) : [];
 
-        // Root link.
-        html += '<span class="wpnc-crumb wpnc-crumb-link" data-path="">' + escHtml(I18N.root || 'Root') + '</span>';
+        // Root link (a private folder is the root).
+        html += '<span class="wpnc-crumb wpnc-crumb-link" data-path="' + escAttr(this.rootPath) + '">' + escHtml(I18N.root || 'Root') + '</span>';
 
         // Each segment.
-        var accumulated = '';
+        var accumulated = this.rootPath;
         segments.forEach(function (seg, i) {
             accumulated += (accumulated ? '/' : '') + seg;
             html += '<span class="wpnc-crumb-sep">/</span>';
             if (i === segments.length - 1) {
                 html += '<span class="wpnc-crumb wpnc-crumb-current">' + escHtml(seg) + '</span>';
             } else {
-                html += '<span class="wpnc-crumb wpnc-crumb-link" data-path="' + escHtml(accumulated) + '">' + escHtml(seg) + '</span>';
+                html += '<span class="wpnc-crumb wpnc-crumb-link" data-path="' + escAttr(accumulated) + '">' + escHtml(seg) + '</span>';
             }
         });
 
@@ -342,6 +1465,7 @@
             el.addEventListener('click', function () {
                 self.navigate(el.dataset.path);
             });
+            if (self.allowMove) self.bindDropTarget(el, el.dataset.path);
         });
     };
 
@@ -359,62 +1483,116 @@
 
         this.emptyEl.style.display = 'none';
 
-        // Sort: folders first, then alphabetical.
-        this.items.sort(function (a, b) {
-            if (a.type !== b.type) return a.type === 'folder' ? -1 : 1;
-            return a.name.localeCompare(b.name);
-        });
+        sortItems(this.items, this.prefs.sort, this.prefs.dir);
 
-        var html = '<table class="wpnc-table">';
-        html += '<thead><tr>';
-        html += '<th class="wpnc-col-icon"></th>';
-        html += '<th class="wpnc-col-name">Name</th>';
-        html += '<th class="wpnc-col-size">Size</th>';
-        html += '<th class="wpnc-col-date">Modified</th>';
-        html += '<th class="wpnc-col-actions"></th>';
-        html += '</tr></thead><tbody>';
+        // Widest possible set of row buttons sizes the actions column.
+        var maxActions = 1 + (this.allowShare ? 1 : 0) + (this.allowMove ? 2 : 0) + (this.allowCopy ? 1 : 0) + (this.allowDelete ? 1 : 0);
+        var grid = this.prefs.view === 'grid';
+        var selectAll = '<input type="checkbox" class="wpnc-select-all" title="' + escAttr(I18N.select_all || 'Select all') + '" />';
+        var html;
 
-        this.items.forEach(function (item) {
+        if (grid) {
+            html = '<div class="wpnc-grid-head">' + selectAll + '<span class="wpnc-sort-by">';
+            [['name', I18N.name || 'Name'], ['size', I18N.size || 'Size'], ['type', I18N.type || 'Type'], ['modified', I18N.modified || 'Modified']].forEach(function (col) {
+                html += self.sortHeader('button', col[0], col[1], 'wpnc-sort-btn');
+            });
+            html += '</span></div><div class="wpnc-grid">';
+        } else {
+            html = '<table class="wpnc-table" style="--wpnc-actions:' + maxActions + '">';
+            html += '<thead><tr>';
+            html += '<th class="wpnc-col-check">' + selectAll + '</th>';
+            html += '<th class="wpnc-col-icon"></th>';
+            html += this.sortHeader('th', 'name', I18N.name || 'Name', 'wpnc-col-name');
+            html += this.sortHeader('th', 'type', I18N.type || 'Type', 'wpnc-col-type');
+            html += this.sortHeader('th', 'size', I18N.size || 'Size', 'wpnc-col-size');
+            html += this.sortHeader('th', 'modified', I18N.modified || 'Modified', 'wpnc-col-date');
+            html += '<th class="wpnc-col-actions"></th>';
+            html += '</tr></thead><tbody>';
+        }
+
+        this.items.forEach(function (item, index) {
             var fullPath = self.currentPath ? self.currentPath.replace(/\/$/, '') + '/' + item.name : item.name;
             var isFolder = item.type === 'folder';
-
-            html += '<tr class="wpnc-row' + (isFolder ? ' wpnc-row-folder' : ' wpnc-row-file') + '" data-path="' + escHtml(fullPath) + '" data-type="' + item.type + '">';
-
-            // Icon.
-            html += '<td class="wpnc-col-icon"><span class="wpnc-file-icon">' + fileIcon(item) + '</span></td>';
+            var checked  = !!self.selected[fullPath];
+            var rowAttrs = ' data-path="' + escAttr(fullPath) + '" data-type="' + item.type + '"' + (self.allowMove ? ' draggable="true"' : '');
+            var check    = '<input type="checkbox" class="wpnc-select" data-index="' + index + '" title="' + escAttr(I18N.select || 'Select') + '"' + (checked ? ' checked' : '') + ' />';
 
             // Name (clickable for folders).
-            html += '<td class="wpnc-col-name">';
+            var name = isFolder
+                ? '<a class="wpnc-folder-link" href="javascript:void(0)" data-nav="' + escAttr(fullPath) + '">' + escHtml(item.name) + '</a>'
+                : '<a class="wpnc-file-link" href="javascript:void(0)" data-preview="' + index + '">' + escHtml(item.name) + '</a>';
+            name += sharedBadge(item);
+
+            // Actions.
+            var actions = '';
             if (isFolder) {
-                html += '<a class="wpnc-folder-link" href="javascript:void(0)" data-nav="' + escHtml(fullPath) + '">' + escHtml(item.name) + '</a>';
+                actions += '<button class="wpnc-action-btn" data-action="download" data-path="' + escAttr(fullPath) + '" data-type="folder" title="' + escAttr(I18N.download_folder || 'Download as ZIP') + '">⬇️</button>';
             } else {
-                html += '<span class="wpnc-file-name">' + escHtml(item.name) + '</span>';
+                actions += '<button class="wpnc-action-btn" data-action="download" data-path="' + escAttr(fullPath) + '" title="' + escAttr(I18N.download || 'Download') + '">⬇️</button>';
             }
-            html += '</td>';
-
-            // Size.
-            html += '<td class="wpnc-col-size">' + (isFolder ? '—' : humanSize(item.size)) + '</td>';
-
-            // Date.
-            html += '<td class="wpnc-col-date">' + formatDate(item.modified) + '</td>';
-
-            // Actions.
-            html += '<td class="wpnc-col-actions">';
-            if (!isFolder) {
-                html += '<button class="wpnc-action-btn" data-action="download" data-path="' + escHtml(fullPath) + '" title="' + escHtml(I18N.download || 'Download') + '">⬇️</button>';
-                html += '<button class="wpnc-action-btn" data-action="share" data-path="' + escHtml(fullPath) + '" title="' + escHtml(I18N.share || 'Share') + '">🔗</button>';
+            if (self.allowShare) {
+                actions += '<button class="wpnc-action-btn" data-action="share" data-path="' + escAttr(fullPath) + '" data-name="' + escAttr(item.name) + '" data-type="' + item.type + '" title="' + escAttr(I18N.share || 'Share') + '">🔗</button>';
+            }
+            if (self.allowMove) {
+                actions += '<button class="wpnc-action-btn" data-action="rename" data-path="' + escAttr(fullPath) + '" data-name="' + escAttr(item.name) + '" title="' + escAttr(I18N.rename || 'Rename') + '">✏️</button>';
+                actions += '<button class="wpnc-action-btn" data-action="move" data-path="' + escAttr(fullPath) + '" data-name="' + escAttr(item.name) + '" data-type="' + item.type + '" title="' + escAttr(I18N.move || 'Move') + '">➡️</button>';
+            }
+            if (self.allowCopy) {
+                actions += '<button class="wpnc-action-btn" data-action="copy" data-path="' + escAttr(fullPath) + '" data-name="' + escAttr(item.name) + '" data-type="' + item.type + '" title="' + escAttr(I18N.copy || 'Copy') + '">⧉</button>';
             }
             if (self.allowDelete) {
-                html += '<button class="wpnc-action-btn wpnc-action-delete" data-action="delete" data-path="' + escHtml(fullPath) + '" data-name="' + escHtml(item.name) + '" title="' + escHtml(I18N.delete || 'Delete') + '">🗑️</button>';
+                actions += '<button class="wpnc-action-btn wpnc-action-delete" data-action="delete" data-path="' + escAttr(fullPath) + '" data-name="' + escAttr(item.name) + '" title="' + escAttr(I18N.delete || 'Delete') + '">🗑️</button>';
             }
-            html += '</td>';
 
+            if (grid) {
+                // Tile: the thumbnail opens the item like its name does.
+                var open = isFolder ? ' data-nav="' + escAttr(fullPath) + '"' : ' data-preview="' + index + '"';
+                var thumb = hasThumbnail(item)
+                    ? '<img src="' + escAttr(thumbUrl(fullPath, item.etag)) + '" alt="" loading="lazy" data-icon="' + escAttr(fileIcon(item)) + '" />'
+                    : '<span class="wpnc-file-icon">' + fileIcon(item) + '</span>';
+
+                html += '<div class="wpnc-row wpnc-tile' + (isFolder ? ' wpnc-row-folder' : ' wpnc-row-file') + '"' + rowAttrs + '>';
+                html += check;
+                html += '<a class="wpnc-tile-thumb" href="javascript:void(0)"' + open + '>' + thumb + '</a>';
+                html += '<div class="wpnc-tile-name">' + name + '</div>';
+                html += '<div class="wpnc-tile-meta">' + (isFolder ? '' : humanSize(item.size) + ' · ') + formatDate(item.modified) + '</div>';
+                html += '<div class="wpnc-tile-actions">' + actions + '</div>';
+                html += '</div>';
+                return;
+            }
+
+            html += '<tr class="wpnc-row' + (isFolder ? ' wpnc-row-folder' : ' wpnc-row-file') + '"' + rowAttrs + '>';
+            html += '<td class="wpnc-col-check">' + check + '</td>';
+            html += '<td class="wpnc-col-icon"><span class="wpnc-file-icon">' + fileIcon(item) + '</span></td>';
+            html += '<td class="wpnc-col-name">' + name + '</td>';
+            html += '<td class="wpnc-col-type">' + escHtml(typeLabel(item)) + '</td>';
+            html += '<td class="wpnc-col-size">' + (isFolder ? '—' : humanSize(item.size)) + '</td>';
+            html += '<td class="wpnc-col-date">' + formatDate(item.modified) + '</td>';
+            html += '<td class="wpnc-col-actions">' + actions + '</td>';
             html += '</tr>';
         });
 
-        html += '</tbody></table>';
+        html += grid ? '</div>' : '</tbody></table>';
         this.fileList.innerHTML = html;
 
+        // Sorting.
+        this.fileList.querySelectorAll('[data-sort]').forEach(function (el) {
+            el.addEventListener('click', function () {
+                var key = el.dataset.sort;
+                self.setPrefs({ sort: key, dir: self.prefs.sort === key ? -self.prefs.dir : 1 });
+            });
+        });
+
+        // A thumbnail Nextcloud cannot render falls back to the icon.
+        this.fileList.querySelectorAll('.wpnc-tile-thumb img').forEach(function (img) {
+            img.addEventListener('error', function () {
+                var icon = document.createElement('span');
+                icon.className = 'wpnc-file-icon';
+                icon.textContent = img.dataset.icon;
+                img.replaceWith(icon);
+            });
+        });
+
         // Bind events.
         this.fileList.querySelectorAll('[data-nav]').forEach(function (el) {
             el.addEventListener('click', function (e) {
@@ -423,325 +1601,1967 @@
             });
         });
 
+        this.fileList.querySelectorAll('[data-preview]').forEach(function (el) {
+            el.addEventListener('click', function (e) {
+                e.preventDefault();
+                self.onPreview(self.items[el.dataset.preview]);
+            });
+        });
+
         this.fileList.querySelectorAll('[data-action]').forEach(function (btn) {
             btn.addEventListener('click', function () {
                 var action = btn.dataset.action;
                 var path   = btn.dataset.path;
                 var name   = btn.dataset.name;
-                if (action === 'download') self.onDownload(path);
-                if (action === 'share')    self.onShare(path);
+                if (action === 'download') {
+                    if (btn.dataset.type === 'folder') self.downloadZip([path]);
+                    else self.onDownload(path);
+                }
+                if (action === 'share')    self.onShare(path, name, btn.dataset.type);
                 if (action === 'delete')   self.onDelete(path, name);
+                if (action === 'rename')   self.onRename(path, name);
+                if (action === 'move')     self.onMove(path, name, btn.dataset.type);
+                if (action === 'copy')     self.onCopy(path, name, btn.dataset.type);
             });
         });
-    };
 
-    /* ── Loading / Error states ─────────────────────────────── */
+        if (this.allowMove) this.initRowDrag();
+        this.initSelection();
+        this.applyFilter();
 
-    FileBrowser.prototype.showLoading = function () {
-        this.fileList.innerHTML = '<div class="wpnc-loading"><span class="wpnc-spinner"></span> ' + escHtml(I18N.loading || 'Loading…') + '</div>';
-        this.emptyEl.style.display = 'none';
-        this.errorEl.style.display = 'none';
+        // Arrived from a search result: point at it.
+        if (this.found) {
+            var row = this.fileList.querySelector('.wpnc-row[data-path="' + CSS.escape(this.found) + '"]');
+            if (row) {
+                row.classList.add('wpnc-row-found');
+                row.scrollIntoView({ block: 'nearest' });
+            }
+            this.found = '';
+        }
     };
 
-    FileBrowser.prototype.showError = function (msg) {
-        this.fileList.innerHTML = '';
-        this.emptyEl.style.display = 'none';
-        this.errorEl.style.display = 'block';
-        this.errorEl.innerHTML = '<p class="wpnc-error-text">❌ ' + escHtml(msg) + '</p>';
+    /* ── Sorting & view ─────────────────────────────────────── */
+
+    /**
+     * A sortable column header (list) or sort button (grid).
+     *
+     * @param {string} tag    'th' or 'button'.
+     * @param {string} key    name | size | type | modified
+     * @param {string} label
+     * @param {string} cls
+     * @returns {string}  HTML
+     */
+    FileBrowser.prototype.sortHeader = function (tag, key, label, cls) {
+        var active = this.prefs.sort === key;
+        var arrow = active ? (this.prefs.dir === 1 ? ' ▲' : ' ▼') : '';
+        var state = active ? (this.prefs.dir === 1 ? 'ascending' : 'descending') : 'none';
+
+        return '<' + tag + (tag === 'button' ? ' type="button"' : '') + ' class="' + cls + ' wpnc-sortable' + (active ? ' wpnc-sorted' : '') + '" data-sort="' + key + '"' +
+            (tag === 'th' ? ' aria-sort="' + state + '"' : ' aria-pressed="' + active + '"') + '>' +
+            escHtml(label) + arrow + '</' + tag + '>';
     };
 
-    /* ── Download ────────────────────────────────────────────── */
+    /** Change and remember the sort / view, then redraw the folder. */
+    FileBrowser.prototype.setPrefs = function (changes) {
+        var self = this;
+        Object.keys(changes).forEach(function (k) { self.prefs[k] = changes[k]; });
+        ViewPrefs.save(this.prefs);
+        this.renderViewButton();
 
-    FileBrowser.prototype.onDownload = function (path) {
-        var url = AJAX + '?action=wpnc_download_proxy&_nonce=' + encodeURIComponent(NONCE) + '&path=' + encodeURIComponent(path);
-        // Trigger download via hidden link.
-        var a = document.createElement('a');
-        a.href = url;
-        a.download = path.split('/').pop();
-        a.style.display = 'none';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
+        // Only a listing on screen is redrawn, not results, a spinner or an error.
+        if (this.fileList.querySelector('.wpnc-table:not(.wpnc-search-results), .wpnc-grid')) {
+            this.renderFileList();
+        }
     };
 
-    /* ── Share ────────────────────────────────────────────────── */
-
-    FileBrowser.prototype.onShare = function (path) {
-        var self = this;
-        wpncRequest('wpnc_get_public_url', { path: path })
-            .then(function (data) {
-                // Copy to clipboard.
-                if (navigator.clipboard && navigator.clipboard.writeText) {
-                    navigator.clipboard.writeText(data.url).then(function () {
-                        showToast(self.root, I18N.copied || 'Link copied!', 'success');
-                    });
-                } else {
-                    // Fallback: show in modal.
-                    modalAlert(self.root, data.url);
-                }
-            })
-            .catch(function (err) {
-                showToast(self.root, err.message, 'error');
-            });
+    FileBrowser.prototype.renderViewButton = function () {
+        if (!this.btnView) return;
+        var grid = this.prefs.view === 'grid';
+        this.btnView.innerHTML = '<span class="wpnc-icon">' + (grid ? '☰' : '▦') + '</span>';
+        this.btnView.title = grid ? (I18N.list_view || 'List view') : (I18N.grid_view || 'Grid view');
+        this.btnView.setAttribute('aria-pressed', grid ? 'true' : 'false');
     };
 
-    /* ── Delete ──────────────────────────────────────────────── */
+    /* ── Search ─────────────────────────────────────────────── */
 
-    FileBrowser.prototype.onDelete = function (path, name) {
+    FileBrowser.prototype.initSearch = function () {
         var self = this;
-        var msg = (I18N.confirm_delete || 'Delete "%s"? This cannot be undone.').replace('%s', name);
+        var toggle = this.searchForm.querySelector('.wpnc-search-toggle');
 
-        modalConfirm(this.root, msg).then(function (confirmed) {
-            if (!confirmed) return;
+        this.searchInput.addEventListener('input', function () {
+            if (!self.results) self.applyFilter();
+        });
 
-            wpncRequest('wpnc_delete', { path: path })
-                .then(function () {
-                    showToast(self.root, name + ' deleted', 'success');
-                    self.navigate(self.currentPath); // Refresh.
-                })
-                .catch(function (err) {
-                    showToast(self.root, err.message, 'error');
-                });
+        this.searchInput.addEventListener('keydown', function (e) {
+            if (e.key === 'Escape') {
+                self.searchInput.value = '';
+                self.closeResults();
+            }
         });
+
+        this.searchForm.addEventListener('submit', function (e) {
+            e.preventDefault();
+            self.search();
+        });
+
+        if (toggle && this.filtersEl) {
+            toggle.addEventListener('click', function () {
+                var open = self.filtersEl.style.display === 'none';
+                self.filtersEl.style.display = open ? '' : 'none';
+                toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+            });
+
+            // Enter in a filter field searches too.
+            this.filtersEl.addEventListener('keydown', function (e) {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    self.search();
+                }
+            });
+        }
     };
 
-    /* ── New Folder ──────────────────────────────────────────── */
+    /** Hide the rows whose name does not contain the search box's text. */
+    FileBrowser.prototype.applyFilter = function () {
+        var self = this;
+        var term = this.searchInput ? this.searchInput.value.trim().toLowerCase() : '';
+        var shown = 0;
 
-    FileBrowser.prototype.onNewFolder = function () {
+        this.fileList.querySelectorAll('.wpnc-row').forEach(function (row, index) {
+            var match = !term || self.items[index].name.toLowerCase().indexOf(term) !== -1;
+            row.hidden = !match;
+            if (match) shown++;
+        });
+
+        var none = this.fileList.querySelector('.wpnc-filter-none');
+        if (term && !shown && this.items.length) {
+            if (!none) {
+                none = document.createElement('p');
+                none.className = 'wpnc-filter-none';
+                none.textContent = I18N.filter_none || 'No names here match — press Enter to search the subfolders.';
+                this.fileList.appendChild(none);
+            }
+        } else if (none) {
+            none.remove();
+        }
+    };
+
+    /**
+     * Criteria of the search box and the filters panel.
+     *
+     * @returns {Object|null}  wpnc_search fields; null when nothing was entered.
+     */
+    FileBrowser.prototype.searchCriteria = function () {
+        var data = { name: this.searchInput.value.trim() };
+        var any = data.name !== '';
+
+        if (this.filtersEl) {
+            this.filtersEl.querySelectorAll('[data-filter]').forEach(function (field) {
+                var value = field.value.trim();
+                if (value === '') return;
+                if (field.dataset.filter === 'min_size' || field.dataset.filter === 'max_size') {
+                    value = String(Math.round(parseFloat(value) * 1024 * 1024));
+                }
+                data[field.dataset.filter] = value;
+                any = true;
+            });
+        }
+
+        return any ? data : null;
+    };
+
+    /** Search the current folder and everything below it. */
+    FileBrowser.prototype.search = function () {
         var self = this;
+        var data = this.searchCriteria();
 
-        modalPrompt(this.root, I18N.new_folder || 'New folder', I18N.folder_name || 'Folder name')
-            .then(function (name) {
-                if (!name) return;
+        if (!data) {
+            showToast(this.root, I18N.search_empty || 'Enter a name or choose a filter.', 'error');
+            return;
+        }
 
-                var fullPath = self.currentPath ? self.currentPath.replace(/\/$/, '') + '/' + name : name;
+        data.path = this.currentPath;
+        this.selected = {};
+        this.renderBulkBar();
+        this.showLoading();
 
-                wpncRequest('wpnc_create_folder', { path: fullPath })
-                    .then(function () {
-                        showToast(self.root, '📁 ' + name, 'success');
-                        self.navigate(self.currentPath);
-                    })
-                    .catch(function (err) {
-                        showToast(self.root, err.message, 'error');
-                    });
+        wpncRequest('wpnc_search', data)
+            .then(function (res) {
+                self.results = res;
+                self.renderResults();
+            })
+            .catch(function (err) {
+                self.results = null;
+                self.showError(err.message);
             });
     };
 
-    /* ── Drag & Drop ─────────────────────────────────────────── */
+    /** Leave the search results for the folder listing. */
+    FileBrowser.prototype.closeResults = function () {
+        if (!this.results) {
+            this.applyFilter();
+            return;
+        }
+        this.results = null;
+        this.renderFileList();
+    };
 
-    FileBrowser.prototype.initDragDrop = function () {
+    /** Path as the user sees it: below their private folder, "/" for its top. */
+    FileBrowser.prototype.displayPath = function (path) {
+        var below = this.rootPath ? path.slice(this.rootPath.length) : path;
+        return '/' + below.replace(/^\//, '');
+    };
+
+    /** Results table: full paths, jump to the containing folder. */
+    FileBrowser.prototype.renderResults = function () {
         var self = this;
-        var dragCounter = 0;
+        var items = this.results.items || [];
+        var where = this.currentPath === this.rootPath ? (I18N.root || 'Root') : this.displayPath(this.currentPath);
 
-        this.root.addEventListener('dragenter', function (e) {
-            e.preventDefault();
-            dragCounter++;
-            if (self.dropOverlay) self.dropOverlay.classList.add('wpnc-dropzone-active');
+        this.emptyEl.style.display = 'none';
+        this.errorEl.style.display = 'none';
+
+        var html = '<div class="wpnc-search-head">';
+        html += '<span>' + escHtml((I18N.search_results || '%1$d results in %2$s').replace('%1$d', items.length).replace('%2$s', where)) + '</span>';
+        html += '<button type="button" class="wpnc-btn wpnc-search-back">✕ ' + escHtml(I18N.search_back || 'Back to folder') + '</button>';
+        html += '</div>';
+
+        if (this.results.truncated) {
+            html += '<p class="wpnc-search-more">' + escHtml((I18N.search_more || 'Only the first %d are shown — narrow the search.').replace('%d', items.length)) + '</p>';
+        }
+
+        if (!items.length) {
+            html += '<p class="wpnc-filter-none">' + escHtml(I18N.search_none || 'Nothing found.') + '</p>';
+        } else {
+            html += '<table class="wpnc-table wpnc-search-results" style="--wpnc-actions:2">';
+            html += '<thead><tr>';
+            html += '<th class="wpnc-col-icon"></th>';
+            html += '<th class="wpnc-col-name">Name</th>';
+            html += '<th class="wpnc-col-size">Size</th>';
+            html += '<th class="wpnc-col-date">Modified</th>';
+            html += '<th class="wpnc-col-actions"></th>';
+            html += '</tr></thead><tbody>';
+
+            items.forEach(function (item) {
+                var isFolder = item.type === 'folder';
+                var folder = parentPath(item.href);
+                var href = escAttr(encodePath(item.href));
+
+                html += '<tr class="wpnc-row' + (isFolder ? ' wpnc-row-folder' : ' wpnc-row-file') + '" data-path="' + escAttr(item.href) + '">';
+                html += '<td class="wpnc-col-icon"><span class="wpnc-file-icon">' + fileIcon(item) + '</span></td>';
+                html += '<td class="wpnc-col-name">';
+                html += '<a class="' + (isFolder ? 'wpnc-folder-link' : 'wpnc-file-link') + '" href="javascript:void(0)" data-' + (isFolder ? 'nav' : 'reveal') + '="' + href + '">' + escHtml(item.name) + '</a>';
+                html += sharedBadge(item);
+                html += '<a class="wpnc-search-path" href="javascript:void(0)" data-nav="' + escAttr(encodePath(folder)) + '">' + escHtml(self.displayPath(folder)) + '</a>';
+                html += '</td>';
+                html += '<td class="wpnc-col-size">' + (isFolder ? '—' : humanSize(item.size)) + '</td>';
+                html += '<td class="wpnc-col-date">' + formatDate(item.modified) + '</td>';
+                html += '<td class="wpnc-col-actions">';
+                if (isFolder) {
+                    html += '<button class="wpnc-action-btn" data-zip="' + href + '" title="' + escAttr(I18N.download_folder || 'Download as ZIP') + '">⬇️</button>';
+                } else {
+                    html += '<button class="wpnc-action-btn" data-download="' + href + '" title="' + escAttr(I18N.download || 'Download') + '">⬇️</button>';
+                }
+                html += '<button class="wpnc-action-btn" data-reveal="' + href + '" title="' + escAttr(I18N.show_in_folder || 'Show in folder') + '">📂</button>';
+                html += '</td></tr>';
+            });
+
+            html += '</tbody></table>';
+        }
+
+        this.fileList.innerHTML = html;
+
+        this.fileList.querySelector('.wpnc-search-back').addEventListener('click', function () {
+            self.closeResults();
         });
 
-        this.root.addEventListener('dragleave', function (e) {
-            e.preventDefault();
-            dragCounter--;
-            if (dragCounter <= 0) {
-                dragCounter = 0;
-                if (self.dropOverlay) self.dropOverlay.classList.remove('wpnc-dropzone-active');
-            }
+        this.fileList.querySelectorAll('[data-nav]').forEach(function (el) {
+            el.addEventListener('click', function (e) {
+                e.preventDefault();
+                self.navigate(decodePath(el.dataset.nav));
+            });
         });
 
-        this.root.addEventListener('dragover', function (e) {
-            e.preventDefault();
+        this.fileList.querySelectorAll('[data-reveal]').forEach(function (el) {
+            el.addEventListener('click', function (e) {
+                e.preventDefault();
+                self.found = decodePath(el.dataset.reveal);
+                self.navigate(parentPath(self.found));
+            });
         });
 
-        this.root.addEventListener('drop', function (e) {
-            e.preventDefault();
-            dragCounter = 0;
-            if (self.dropOverlay) self.dropOverlay.classList.remove('wpnc-dropzone-active');
+        this.fileList.querySelectorAll('[data-download]').forEach(function (btn) {
+            btn.addEventListener('click', function () {
+                self.onDownload(decodePath(btn.dataset.download));
+            });
+        });
 
-            var files = Array.from(e.dataTransfer.files || []);
-            if (files.length > 0) {
-                self.onFilesSelected(files);
-            }
+        this.fileList.querySelectorAll('[data-zip]').forEach(function (btn) {
+            btn.addEventListener('click', function () {
+                self.downloadZip([decodePath(btn.dataset.zip)]);
+            });
         });
     };
 
-    /* ================================================================
-     *  UPLOAD ENGINE (chunked for large files)
-     * ============================================================= */
+    /* ── Selection & bulk actions ────────────────────────────── */
 
-    FileBrowser.prototype.onFilesSelected = function (files) {
+    /** Checkbox handling: click toggles, shift-click applies to the range. */
+    FileBrowser.prototype.initSelection = function () {
         var self = this;
-        if (this.uploading) return;
-        this.uploading = true;
-
-        // Show progress area.
-        this.progressEl.style.display = 'block';
-        this.progressEl.innerHTML = '';
-
-        // Process files sequentially to avoid overwhelming the server.
-        var queue = files.slice();
-        (function next() {
-            if (queue.length === 0) {
-                self.uploading = false;
-                setTimeout(function () {
-                    self.progressEl.style.display = 'none';
-                }, 2000);
-                self.navigate(self.currentPath); // Refresh file list.
-                return;
+        var boxes = Array.from(this.fileList.querySelectorAll('.wpnc-select'));
+        var all = this.fileList.querySelector('.wpnc-select-all');
+
+        function set(index, on) {
+            if (on && boxes[index].closest('.wpnc-row').hidden) return; // Filtered out by the search box.
+            var path = joinPath(self.currentPath, self.items[index].name);
+            if (on) {
+                self.selected[path] = true;
+            } else {
+                delete self.selected[path];
             }
+            boxes[index].checked = on;
+        }
 
-            var file = queue.shift();
-            self.uploadFile(file).then(next).catch(function (err) {
-                showToast(self.root, file.name + ': ' + err.message, 'error');
-                next();
+        boxes.forEach(function (box, index) {
+            box.addEventListener('click', function (e) {
+                if (e.shiftKey && self.lastChecked !== null) {
+                    var from = Math.min(self.lastChecked, index);
+                    var to = Math.max(self.lastChecked, index);
+                    for (var i = from; i <= to; i++) set(i, box.checked);
+                } else {
+                    set(index, box.checked);
+                }
+                self.lastChecked = index;
+                self.renderBulkBar();
+            });
+        });
+
+        if (all) {
+            all.addEventListener('change', function () {
+                boxes.forEach(function (box, index) { set(index, all.checked); });
+                self.lastChecked = null;
+                self.renderBulkBar();
             });
-        })();
+        }
+
+        this.renderBulkBar();
     };
 
-    /**
-     * Upload a single file. Uses simple upload for small files,
-     * chunked upload (3-step) for large files.
-     */
-    FileBrowser.prototype.uploadFile = function (file) {
+    /** Selected items of the current folder, in list order. */
+    FileBrowser.prototype.selectedItems = function () {
         var self = this;
+        return this.items.filter(function (item) {
+            return self.selected[joinPath(self.currentPath, item.name)];
+        });
+    };
 
-        // Create progress bar for this file.
-        var row = document.createElement('div');
-        row.className = 'wpnc-upload-row';
-        row.innerHTML =
-            '<div class="wpnc-upload-name">' + escHtml(file.name) + ' <span class="wpnc-upload-size">(' + humanSize(file.size) + ')</span></div>' +
-            '<div class="wpnc-progress-bar"><div class="wpnc-progress-fill" style="width:0%"></div></div>' +
-            '<div class="wpnc-upload-status">' + escHtml(I18N.preparing || 'Preparing…') + '</div>';
-        this.progressEl.appendChild(row);
+    /** Show / hide the bulk bar and sync the select-all box and row highlight. */
+    FileBrowser.prototype.renderBulkBar = function () {
+        var self = this;
+        var count = this.selectedItems().length;
+        var all = this.fileList.querySelector('.wpnc-select-all');
 
-        var fillEl   = row.querySelector('.wpnc-progress-fill');
-        var statusEl = row.querySelector('.wpnc-upload-status');
+        if (all) {
+            all.checked = count > 0 && count === this.items.length;
+            all.indeterminate = count > 0 && count < this.items.length;
+        }
+        this.fileList.querySelectorAll('.wpnc-row').forEach(function (row) {
+            row.classList.toggle('wpnc-row-selected', !!self.selected[row.dataset.path]);
+        });
 
-        function setProgress(pct) {
-            fillEl.style.width = Math.min(100, Math.round(pct)) + '%';
+        if (!this.bulkBar) return;
+        if (!count) {
+            this.bulkBar.style.display = 'none';
+            return;
         }
 
-        function setStatus(text) {
-            statusEl.textContent = text;
+        function button(action, icon, label, extra) {
+            return '<button type="button" class="wpnc-btn' + (extra || '') + '" data-bulk="' + action + '">' +
+                '<span class="wpnc-icon">' + icon + '</span> ' + escHtml(label) + '</button>';
         }
 
-        // Simple upload for files under chunk size.
-        if (file.size <= CHUNK) {
-            return new Promise(function (resolve, reject) {
-                setStatus(I18N.uploading || 'Uploading…');
-                wpncRequest('wpnc_upload_simple', { path: self.currentPath }, {
-                    file: file,
-                    onProgress: function (e) {
-                        if (e.lengthComputable) setProgress((e.loaded / e.total) * 100);
+        var html = '<span class="wpnc-bulk-count">' + escHtml((I18N.selected || '%d selected').replace('%d', count)) + '</span>';
+        html += button('download', '⬇️', I18N.download_zip || 'Download ZIP');
+        if (this.allowShare) html += button('share', '🔗', I18N.share_links || 'Share links');
+        if (this.allowMove) html += button('move', '➡️', I18N.move || 'Move');
+        if (this.allowDelete) html += button('delete', '🗑️', I18N.delete || 'Delete', ' wpnc-btn-danger');
+        html += button('clear', '✕', I18N.clear || 'Clear selection', ' wpnc-btn-cancel');
+
+        this.bulkBar.innerHTML = html;
+        this.bulkBar.style.display = 'flex';
+    };
+
+    FileBrowser.prototype.clearSelection = function () {
+        this.selected = {};
+        this.lastChecked = null;
+        this.fileList.querySelectorAll('.wpnc-select').forEach(function (box) { box.checked = false; });
+        this.renderBulkBar();
+    };
+
+    FileBrowser.prototype.onBulkAction = function (action) {
+        var items = this.selectedItems();
+        if (action === 'clear' || !items.length) {
+            this.clearSelection();
+            return;
+        }
+        if (action === 'download') this.bulkDownload(items);
+        if (action === 'share')    this.bulkShare(items);
+        if (action === 'move')     this.bulkMove(items);
+        if (action === 'delete')   this.bulkDelete(items);
+    };
+
+    /** Items → full remote paths in the current folder. */
+    FileBrowser.prototype.pathsOf = function (items) {
+        var self = this;
+        return items.map(function (item) { return joinPath(self.currentPath, item.name); });
+    };
+
+    /** One ZIP for the whole selection, named after the current folder. */
+    FileBrowser.prototype.bulkDownload = function (items) {
+        var name = this.currentPath ? this.currentPath.split('/').pop() : (I18N.root || 'Root');
+        this.downloadZip(this.pathsOf(items), name);
+    };
+
+    FileBrowser.prototype.bulkShare = function (items) {
+        var self = this;
+
+        mapSettled(items, function (item) {
+            return wpncRequest('wpnc_get_public_url', { path: joinPath(self.currentPath, item.name) });
+        }, 4).then(function (results) {
+            var links = [];
+            results.forEach(function (r) {
+                if (r.ok) {
+                    r.text = r.value.url;
+                    links.push(r.item.name + ': ' + r.value.url);
+                }
+            });
+
+            modalReport(self.root, I18N.share_links || 'Share links', results, links.length ? (I18N.copy_links || 'Copy links') : null)
+                .then(function (copy) {
+                    if (copy && navigator.clipboard && navigator.clipboard.writeText) {
+                        navigator.clipboard.writeText(links.join('\n')).then(function () {
+                            showToast(self.root, I18N.copied || 'Link copied!', 'success');
+                        });
                     }
-                })
-                .then(function (data) {
-                    setProgress(100);
-                    setStatus('✅ ' + (I18N.upload_done || 'Done'));
-                    row.classList.add('wpnc-upload-done');
-                    resolve(data);
-                })
-                .catch(function (err) {
-                    setStatus('❌ ' + err.message);
-                    row.classList.add('wpnc-upload-fail');
-                    reject(err);
                 });
+        });
+    };
+
+    FileBrowser.prototype.bulkMove = function (items) {
+        var self = this;
+        var title = (I18N.move_items || 'Move %d items to…').replace('%d', items.length);
+
+        modalFolderPicker(this.root, title, this.currentPath).then(function (folder) {
+            if (folder === null || folder === self.currentPath) return;
+
+            mapSettled(items, function (item) {
+                var from = joinPath(self.currentPath, item.name);
+                if (folder === from || folder.indexOf(from + '/') === 0) {
+                    return Promise.reject(new Error(I18N.move_into_self || 'A folder cannot be moved into itself.'));
+                }
+                return wpncRequest('wpnc_move', { from: from, to: joinPath(folder, item.name) });
+            }, 4).then(function (results) {
+                self.reportBulk(results, I18N.moved_n || '%d items moved', I18N.move || 'Move');
+            });
+        });
+    };
+
+    FileBrowser.prototype.bulkDelete = function (items) {
+        var self = this;
+        var msg = (I18N.confirm_bulk_delete || 'Delete %d items? This cannot be undone.').replace('%d', items.length);
+
+        modalConfirm(this.root, msg).then(function (confirmed) {
+            if (!confirmed) return;
+
+            mapSettled(items, function (item) {
+                return wpncRequest('wpnc_delete', { path: joinPath(self.currentPath, item.name) });
+            }, 4).then(function (results) {
+                self.reportBulk(results, I18N.deleted_n || '%d items deleted', I18N.delete || 'Delete');
             });
+        });
+    };
+
+    /** Refresh, then toast on full success or list the failures in one report. */
+    FileBrowser.prototype.reportBulk = function (results, doneMessage, title) {
+        var failed = results.filter(function (r) { return !r.ok; }).length;
+
+        this.navigate(this.currentPath);
+
+        if (!failed) {
+            showToast(this.root, doneMessage.replace('%d', results.length), 'success');
+        } else {
+            modalReport(this.root, title, results);
         }
+    };
 
-        // Chunked upload.
-        return self.uploadChunked(file, setProgress, setStatus, row);
+    /* ── Loading / Error states ─────────────────────────────── */
+
+    FileBrowser.prototype.showLoading = function () {
+        this.fileList.innerHTML = '<div class="wpnc-loading"><span class="wpnc-spinner"></span> ' + escHtml(I18N.loading || 'Loading…') + '</div>';
+        this.emptyEl.style.display = 'none';
+        this.errorEl.style.display = 'none';
+    };
+
+    FileBrowser.prototype.showError = function (msg) {
+        this.fileList.innerHTML = '';
+        this.emptyEl.style.display = 'none';
+        this.errorEl.style.display = 'block';
+        this.errorEl.innerHTML = '<p class="wpnc-error-text">❌ ' + escHtml(msg) + '</p>';
+    };
+
+    /* ── Download ────────────────────────────────────────────── */
+
+    FileBrowser.prototype.onDownload = function (path) {
+        triggerDownload(proxyUrl(path), path.split('/').pop());
     };
 
     /**
-     * Three-step chunked upload:
-     *   1. wpnc_upload_init  → get upload_id
-     *   2. wpnc_upload_chunk → loop through slices
-     *   3. wpnc_upload_finish → assemble on NC
+     * ZIP of files and folders. The server stores the selection and hands
+     * back a token link (shareable until it expires); the browser follows
+     * it while a ZipDownload row polls how far the archive has got.
+     *
+     * @param {string[]} paths
+     * @param {string}   [name]  Archive name without .zip (default: the single item's name).
      */
-    FileBrowser.prototype.uploadChunked = function (file, setProgress, setStatus, row) {
+    FileBrowser.prototype.downloadZip = function (paths, name) {
         var self = this;
-        var totalChunks = Math.ceil(file.size / CHUNK);
-
-        return new Promise(function (resolve, reject) {
-            // Step 1: Init.
-            setStatus(I18N.preparing || 'Preparing…');
+        name = name || paths[0].split('/').pop();
 
-            wpncRequest('wpnc_upload_init', {
-                filename: file.name,
-                path: self.currentPath
+        wpncRequest('wpnc_zip_link', { paths: JSON.stringify(paths), name: name })
+            .then(function (link) {
+                triggerDownload(link.url + '&job=' + encodeURIComponent(link.job), '');
+                new ZipDownload(self, name, link).start();
             })
-            .then(function (initData) {
-                var uploadId = initData.upload_id;
-                var offset = 0;
-                var chunkIndex = 0;
-
-                // Step 2: Send chunks sequentially.
-                function sendChunk() {
-                    if (offset >= file.size) {
-                        // Step 3: Assemble.
-                        setStatus('Assembling…');
-                        wpncRequest('wpnc_upload_finish', {
-                            upload_id: uploadId,
-                            filename: file.name,
-                            path: self.currentPath
-                        })
-                        .then(function (data) {
-                            setProgress(100);
-                            setStatus('✅ ' + (I18N.upload_done || 'Done'));
-                            row.classList.add('wpnc-upload-done');
-                            resolve(data);
-                        })
-                        .catch(reject);
-                        return;
-                    }
+            .catch(function (err) {
+                showToast(self.root, err.message, 'error');
+            });
+    };
 
-                    var end = Math.min(offset + CHUNK, file.size);
-                    var blob = file.slice(offset, end);
-                    var chunkNum = chunkIndex + 1;
+    /* ── Preview ──────────────────────────────────────────────── */
 
-                    // Wrap blob as a File for FormData.
-                    var chunkFile = new File([blob], 'chunk', { type: 'application/octet-stream' });
-
-                    var pctMsg = (I18N.chunk_progress || 'Uploading %1$s: %2$d%%')
-                        .replace('%1$s', file.name)
-                        .replace('%2$d', Math.round((offset / file.size) * 100));
-                    setStatus(pctMsg + ' (' + chunkNum + '/' + totalChunks + ')');
-
-                    wpncRequest('wpnc_upload_chunk', {
-                        upload_id: uploadId,
-                        offset: String(offset)
-                    }, {
-                        file: chunkFile,
-                        fileField: 'chunk',
-                        fileName: 'chunk',
-                        onProgress: function (e) {
-                            if (e.lengthComputable) {
-                                // Overall progress = bytes completed so far + this chunk's progress.
-                                var done = offset + e.loaded;
-                                setProgress((done / file.size) * 100);
-                            }
-                        }
-                    })
-                    .then(function () {
-                        offset = end;
-                        chunkIndex++;
-                        sendChunk();
+    /** Open the lightbox on a file; an image pages through the folder's other images. */
+    FileBrowser.prototype.onPreview = function (item) {
+        var self = this;
+        var list = [item];
+
+        if (previewKind(item) === 'image') {
+            list = this.items.filter(function (it) { return previewKind(it) === 'image'; });
+        }
+
+        modalPreview(this.root, list, list.indexOf(item), function (it) {
+            return proxyUrl(joinPath(self.currentPath, it.name));
+        });
+    };
+
+    /* ── Share ────────────────────────────────────────────────── */
+
+    FileBrowser.prototype.onShare = function (path, name, type) {
+        var self = this;
+        modalShares(this.root, path, name, type === 'folder').then(function (changed) {
+            if (changed) self.navigate(self.currentPath); // Refresh the shared badges.
+        });
+    };
+
+    /* ── Delete ──────────────────────────────────────────────── */
+
+    FileBrowser.prototype.onDelete = function (path, name) {
+        var self = this;
+        var msg = (I18N.confirm_delete || 'Delete "%s"? This cannot be undone.').replace('%s', name);
+
+        modalConfirm(this.root, msg).then(function (confirmed) {
+            if (!confirmed) return;
+
+            wpncRequest('wpnc_delete', { path: path })
+                .then(function () {
+                    showToast(self.root, name + ' deleted', 'success');
+                    self.navigate(self.currentPath); // Refresh.
+                })
+                .catch(function (err) {
+                    showToast(self.root, err.message, 'error');
+                });
+        });
+    };
+
+    /* ── Rename / Move ───────────────────────────────────────── */
+
+    FileBrowser.prototype.onRename = function (path, name) {
+        var self = this;
+
+        modalPrompt(this.root, I18N.rename || 'Rename', I18N.new_name || 'New name', name, I18N.rename || 'Rename')
+            .then(function (newName) {
+                if (!newName || newName === name) return;
+
+                wpncRequest('wpnc_move', { from: path, to: joinPath(parentPath(path), newName) })
+                    .then(function (data) {
+                        showToast(self.root, (I18N.renamed || 'Renamed to %s').replace('%s', data.to.split('/').pop()), 'success');
+                        self.navigate(self.currentPath);
                     })
                     .catch(function (err) {
-                        setStatus('❌ ' + err.message);
-                        row.classList.add('wpnc-upload-fail');
-                        reject(err);
+                        showToast(self.root, err.message, 'error');
                     });
+            });
+    };
+
+    FileBrowser.prototype.onMove = function (path, name, type) {
+        var self = this;
+        var title = (I18N.move_to || 'Move "%s" to…').replace('%s', name);
+
+        modalFolderPicker(this.root, title, this.currentPath, type === 'folder' ? path : null)
+            .then(function (folder) {
+                if (folder !== null) self.moveItem(path, folder);
+            });
+    };
+
+    /**
+     * Move a file or folder into another folder, keeping its name.
+     *
+     * @param {string} path    Item to move.
+     * @param {string} folder  Destination folder ('' = root).
+     */
+    FileBrowser.prototype.moveItem = function (path, folder) {
+        var self = this;
+        var name = path.split('/').pop();
+
+        if (folder === parentPath(path)) return;   // Already there.
+        if (folder === path || folder.indexOf(path + '/') === 0) {
+            showToast(this.root, I18N.move_into_self || 'A folder cannot be moved into itself.', 'error');
+            return;
+        }
+
+        wpncRequest('wpnc_move', { from: path, to: joinPath(folder, name) })
+            .then(function () {
+                showToast(self.root, (I18N.moved || 'Moved %1$s to %2$s')
+                    .replace('%1$s', name)
+                    .replace('%2$s', folder || I18N.root || 'Root'), 'success');
+                self.navigate(self.currentPath);
+            })
+            .catch(function (err) {
+                showToast(self.root, err.message, 'error');
+            });
+    };
+
+    /* ── Copy ────────────────────────────────────────────────── */
+
+    FileBrowser.prototype.onCopy = function (path, name, type) {
+        var self = this;
+        var title = (I18N.copy_to || 'Copy "%s" to…').replace('%s', name);
+
+        modalFolderPicker(this.root, title, this.currentPath, type === 'folder' ? path : null, I18N.copy_here || 'Copy here')
+            .then(function (folder) {
+                if (folder !== null) self.copyItem(path, folder);
+            });
+    };
+
+    /**
+     * Copy a file or folder into `folder`. Copying into the item's own
+     * folder is allowed (it duplicates it). When the destination exists,
+     * the server answers 409 and the user picks overwrite / keep both / skip.
+     *
+     * @param {string} path      Item to copy.
+     * @param {string} folder    Destination folder ('' = root).
+     * @param {string} [conflict]  fail (default) | overwrite | rename
+     */
+    FileBrowser.prototype.copyItem = function (path, folder, conflict) {
+        var self = this;
+        var name = path.split('/').pop();
+
+        if (folder === path || folder.indexOf(path + '/') === 0) {
+            showToast(this.root, I18N.copy_into_self || 'A folder cannot be copied into itself.', 'error');
+            return;
+        }
+
+        showToast(this.root, (I18N.copying || 'Copying %s…').replace('%s', name), 'info');
+
+        wpncRequest('wpnc_copy', { from: path, to: joinPath(folder, name), conflict: conflict || 'fail' })
+            .then(function (data) {
+                showToast(self.root, (I18N.copied_to || 'Copied %1$s to %2$s')
+                    .replace('%1$s', name)
+                    .replace('%2$s', data.to), 'success');
+                if (folder === self.currentPath) self.navigate(self.currentPath);
+            })
+            .catch(function (err) {
+                if (err.status !== 409 || conflict) {
+                    showToast(self.root, err.message, 'error');
+                    return;
+                }
+                modalConflict(self.root, name, 1).then(function (choice) {
+                    if (choice.action !== 'skip') self.copyItem(path, folder, choice.action);
+                });
+            });
+    };
+
+    /** Make rows draggable and folder rows accept dropped rows. */
+    FileBrowser.prototype.initRowDrag = function () {
+        var self = this;
+
+        this.fileList.querySelectorAll('.wpnc-row').forEach(function (row) {
+            row.addEventListener('dragstart', function (e) {
+                e.dataTransfer.setData(DRAG_TYPE, row.dataset.path);
+                e.dataTransfer.effectAllowed = 'move';
+                row.classList.add('wpnc-row-dragging');
+            });
+            row.addEventListener('dragend', function () {
+                row.classList.remove('wpnc-row-dragging');
+            });
+
+            if (row.dataset.type === 'folder') {
+                self.bindDropTarget(row, row.dataset.path);
+            }
+        });
+    };
+
+    /**
+     * Accept rows dropped on `el` and move them into `folder`.
+     * Desktop files fall through to the upload drop zone.
+     */
+    FileBrowser.prototype.bindDropTarget = function (el, folder) {
+        var self = this;
+
+        el.addEventListener('dragover', function (e) {
+            if (!isInternalDrag(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            el.classList.add('wpnc-drop-target');
+        });
+        el.addEventListener('dragleave', function () {
+            el.classList.remove('wpnc-drop-target');
+        });
+        el.addEventListener('drop', function (e) {
+            if (!isInternalDrag(e)) return;
+            e.preventDefault();
+            e.stopPropagation();
+            el.classList.remove('wpnc-drop-target');
+            self.moveItem(e.dataTransfer.getData(DRAG_TYPE), folder);
+        });
+    };
+
+    /* ── New Folder ──────────────────────────────────────────── */
+
+    FileBrowser.prototype.onNewFolder = function () {
+        var self = this;
+
+        modalPrompt(this.root, I18N.new_folder || 'New folder', I18N.folder_name || 'Folder name')
+            .then(function (name) {
+                if (!name) return;
+
+                var fullPath = self.currentPath ? self.currentPath.replace(/\/$/, '') + '/' + name : name;
+
+                wpncRequest('wpnc_create_folder', { path: fullPath })
+                    .then(function () {
+                        showToast(self.root, '📁 ' + name, 'success');
+                        self.navigate(self.currentPath);
+                    })
+                    .catch(function (err) {
+                        showToast(self.root, err.message, 'error');
+                    });
+            });
+    };
+
+    /* ── Drag & Drop ─────────────────────────────────────────── */
+
+    FileBrowser.prototype.initDragDrop = function () {
+        var self = this;
+        var dragCounter = 0;
+
+        this.root.addEventListener('dragenter', function (e) {
+            e.preventDefault();
+            if (isInternalDrag(e)) return;   // Row being moved, not an upload.
+            dragCounter++;
+            if (self.dropOverlay) self.dropOverlay.classList.add('wpnc-dropzone-active');
+        });
+
+        this.root.addEventListener('dragleave', function (e) {
+            e.preventDefault();
+            if (isInternalDrag(e)) return;
+            dragCounter--;
+            if (dragCounter <= 0) {
+                dragCounter = 0;
+                if (self.dropOverlay) self.dropOverlay.classList.remove('wpnc-dropzone-active');
+            }
+        });
+
+        this.root.addEventListener('dragover', function (e) {
+            e.preventDefault();
+        });
+
+        this.root.addEventListener('drop', function (e) {
+            e.preventDefault();
+            dragCounter = 0;
+            if (self.dropOverlay) self.dropOverlay.classList.remove('wpnc-dropzone-active');
+            if (isInternalDrag(e)) return;   // Row dropped outside a folder.
+
+            collectDropped(e.dataTransfer)
+                .then(function (tree) {
+                    if (tree.files.length > 0 || tree.dirs.length > 0) {
+                        self.onTreeSelected(tree);
+                    }
+                })
+                .catch(function (err) {
+                    showToast(self.root, err.message || String(err), 'error');
+                });
+        });
+    };
+
+    /* ================================================================
+     *  UPLOAD ENGINE (chunked for large files)
+     * ============================================================= */
+
+    /**
+     * Queue files for upload into the folder that is open right now.
+     *
+     * The destination is captured per file, so navigating away while the
+     * queue is running does not redirect later uploads.
+     */
+    FileBrowser.prototype.onFilesSelected = function (files) {
+        var queue = this.queue;
+        var dest = this.currentPath;
+
+        this.resolveConflicts(files, dest).then(function (accepted) {
+            if (accepted.length) queue.add(accepted, dest);
+        });
+    };
+
+    /**
+     * Check upload names against the destination folder and ask the user
+     * what to do with each clash: overwrite, keep both or skip.
+     *
+     * @param {File[]} files
+     * @param {string} destPath
+     * @returns {Promise<File[]>}  Files to upload; renamed ones are File copies.
+     */
+    FileBrowser.prototype.resolveConflicts = function (files, destPath) {
+        return this.resolveConflictsIn([{ files: files, destPath: destPath }]).then(function (accepted) {
+            return accepted[0];
+        });
+    };
+
+    /**
+     * resolveConflicts() for several destination folders at once (the
+     * sub-folders of a dropped tree): one question per clash, and
+     * "apply to all" covers every folder of the batch.
+     *
+     * Existing names come from the loaded listing (`this.items`), the server
+     * (wpnc_upload_check, which also reports the name each file will get)
+     * and uploads already queued for the same folder. If the server check
+     * fails, the local listing alone is used.
+     *
+     * @param {Array<{files: File[], destPath: string}>} batches
+     * @returns {Promise<File[][]>}  Files to upload per batch, in order.
+     */
+    FileBrowser.prototype.resolveConflictsIn = function (batches) {
+        var self = this;
+
+        var checks = batches.map(function (batch) {
+            var taken = {};
+            var remote = {};   // local name → name on Nextcloud
+
+            if (batch.destPath === self.currentPath) {
+                self.items.forEach(function (item) { taken[item.name] = true; });
+            }
+            self.queue.jobs.forEach(function (job) {
+                if (job.destPath === batch.destPath && job.state !== 'cancelled' && job.state !== 'failed') {
+                    taken[job.file.name] = true;
+                }
+            });
+
+            return wpncRequest('wpnc_upload_check', {
+                path: batch.destPath,
+                names: JSON.stringify(batch.files.map(function (f) { return f.name; }))
+            }).then(function (data) {
+                data.existing.forEach(function (name) { taken[name] = true; });
+                data.names.forEach(function (n) { remote[n.name] = n.remote; });
+            }, function () {
+                // Offline or folder missing: the local listing is all we have.
+            }).then(function () {
+                return { files: batch.files, taken: taken, remote: remote, accepted: [] };
+            });
+        });
+
+        return Promise.all(checks).then(function (states) {
+            var sticky = null;   // action chosen with "apply to all"
+            var remaining = 0;
+
+            function nameOf(state, file) {
+                return state.remote[file.name] || file.name;
+            }
+
+            states.forEach(function (state) {
+                remaining += state.files.filter(function (f) { return state.taken[nameOf(state, f)]; }).length;
+            });
+
+            function next(b, i) {
+                if (b >= states.length) {
+                    return Promise.resolve(states.map(function (state) { return state.accepted; }));
                 }
 
-                sendChunk();
+                var state = states[b];
+                if (i >= state.files.length) return next(b + 1, 0);
+
+                var file = state.files[i];
+                var name = nameOf(state, file);
+
+                if (!state.taken[name]) {
+                    state.taken[name] = true;   // Later files of the batch clash with this one.
+                    state.accepted.push(file);
+                    return next(b, i + 1);
+                }
+
+                var decide = sticky
+                    ? Promise.resolve({ action: sticky, all: true })
+                    : modalConflict(self.root, name, remaining);
+
+                return decide.then(function (choice) {
+                    remaining--;
+                    if (choice.all) sticky = choice.action;
+
+                    if (choice.action === 'overwrite') {
+                        state.accepted.push(file);
+                    } else if (choice.action === 'rename') {
+                        var renamed = uniqueName(name, state.taken);
+                        state.taken[renamed] = true;
+                        // Same bytes under a new name; no copy is made.
+                        state.accepted.push(new File([file], renamed, { type: file.type, lastModified: file.lastModified }));
+                    }
+                    return next(b, i + 1);
+                });
+            }
+
+            return next(0, 0);
+        });
+    };
+
+    /**
+     * Queue a dropped / picked tree. Loose files go straight into the
+     * queue; every top-level folder becomes an UploadGroup that first
+     * recreates its sub-folders on Nextcloud, then queues its files.
+     * Each step's name clashes are settled before the next one starts,
+     * so only one conflict dialog is open at a time.
+     *
+     * @param {{files: Array<{file: File, dir: string}>, dirs: string[]}} tree
+     */
+    FileBrowser.prototype.onTreeSelected = function (tree) {
+        var self = this;
+        var base = this.currentPath;
+        var loose = [];
+        var folders = {};   // top-level name → { files: [], dirs: [] }
+
+        function bucket(top) {
+            if (!folders[top]) folders[top] = { files: [], dirs: [] };
+            return folders[top];
+        }
+
+        tree.files.forEach(function (entry) {
+            if (!entry.dir) {
+                loose.push(entry.file);
+            } else {
+                bucket(entry.dir.split('/')[0]).files.push(entry);
+            }
+        });
+        tree.dirs.forEach(function (dir) {
+            bucket(dir.split('/')[0]).dirs.push(dir);
+        });
+
+        var chain = Promise.resolve();
+        if (loose.length) {
+            chain = this.resolveConflicts(loose, base).then(function (accepted) {
+                if (accepted.length) self.queue.add(accepted, base);
+            });
+        }
+        Object.keys(folders).forEach(function (top) {
+            chain = chain.then(function () {
+                return self.uploadFolder(top, folders[top].files, folders[top].dirs, base);
+            });
+        });
+    };
+
+    /**
+     * Upload one top-level folder: MKCOL the tree via wpnc_create_folder,
+     * check every sub-folder's files for name clashes (resolveConflictsIn),
+     * then queue each file into its matching remote sub-folder.
+     *
+     * @param {string}   name   Top-level folder name.
+     * @param {Array}    files  { file, dir } entries, dir relative to the drop root.
+     * @param {string[]} dirs   Every directory in the tree (including empty ones).
+     * @param {string}   base   Remote folder the tree is dropped into.
+     * @returns {Promise}
+     */
+    FileBrowser.prototype.uploadFolder = function (name, files, dirs, base) {
+        var self = this;
+        var queue = this.queue;
+        var group = queue.addGroup(name);
+
+        function remote(dir) {
+            return base ? base.replace(/\/$/, '') + '/' + dir : dir;
+        }
+
+        // Include every file's directory, then keep only the leaves:
+        // wpnc_create_folder creates missing parents on its own.
+        var all = dirs.slice();
+        files.forEach(function (entry) { all.push(entry.dir); });
+        var leaves = leafDirs(all);
+
+        group.setStatus(I18N.creating_folders || 'Creating folders…');
+
+        var tasks = leaves.map(function (dir) {
+            return function () {
+                return withRetry(function () {
+                    return wpncRequest('wpnc_create_folder', { path: remote(dir) });
+                });
+            };
+        });
+
+        var byDir = {};
+        files.forEach(function (entry) {
+            (byDir[entry.dir] = byDir[entry.dir] || []).push(entry.file);
+        });
+        var order = Object.keys(byDir).sort();
+
+        return runPool(tasks, queue.maxChunks)
+            .then(function () {
+                return self.resolveConflictsIn(order.map(function (dir) {
+                    return { files: byDir[dir], destPath: remote(dir) };
+                }));
+            })
+            .then(function (accepted) {
+                var queued = 0;
+                group.state = 'ready';
+                order.forEach(function (dir, i) {
+                    if (!accepted[i].length) return;
+                    queued += accepted[i].length;
+                    queue.add(accepted[i], remote(dir), group);
+                });
+                if (!queued) {
+                    // Only empty folders, or every file skipped: nothing to queue, just refresh.
+                    group.render();
+                    queue.pump();
+                }
             })
             .catch(function (err) {
-                setStatus('❌ ' + err.message);
-                row.classList.add('wpnc-upload-fail');
-                reject(err);
+                group.fail(err.message);
             });
+    };
+
+    /**
+     * Upload a single queued file. Uses simple upload for small files,
+     * chunked upload (3-step) for large files.
+     *
+     * @param {UploadJob} job
+     * @returns {Promise}
+     */
+    FileBrowser.prototype.uploadFile = function (job) {
+        var file = job.file;
+
+        // Chunked upload.
+        if (file.size > CHUNK) {
+            return this.uploadChunked(job);
+        }
+
+        // Simple upload for files under chunk size.
+        job.setStatus(I18N.uploading || 'Uploading…');
+
+        return this.queue.throttle.take(file.size)
+            .then(function () {
+                return withRetry(function () {
+                    return wpncRequest('wpnc_upload_simple', { path: job.destPath }, {
+                        file: file,
+                        signal: job.signal,
+                        onProgress: function (e) {
+                            if (e.lengthComputable) job.setLoaded(file.size * (e.loaded / e.total));
+                        }
+                    });
+                }, function (attempt, delay) {
+                    job.setStatus(retryMessage(attempt, delay));
+                }, job.signal);
+            })
+            .then(function (data) {
+                job.finish();
+                return data;
+            }, function (err) {
+                // Paused / cancelled jobs already show their own state.
+                if (!err.aborted) job.fail(err.message);
+                throw err;
+            });
+    };
+
+    /**
+     * Three-step chunked upload:
+     *   1. wpnc_upload_init  → get upload_id (or reuse a stored one, see below)
+     *   2. wpnc_upload_chunk → send slices, `parallelChunks` at a time, each
+     *                          retried with backoff
+     *   3. wpnc_upload_finish → assemble on NC
+     *
+     * Chunks may land on Nextcloud in any order: they are named by their
+     * zero-padded byte range and assembled in name order, and the finish
+     * step verifies the ranges cover the whole file before the MOVE.
+     *
+     * The upload_id, fingerprint and confirmed offset are kept in
+     * ResumeStore. When the job is resumed or retried, or the same file is
+     * selected again after a reload, wpnc_upload_status reports the chunks
+     * Nextcloud already holds and those are skipped.
+     *
+     * @param {UploadJob} job
+     * @returns {Promise}
+     */
+    FileBrowser.prototype.uploadChunked = function (job) {
+        var queue = this.queue;
+        var file = job.file;
+        var destPath = job.destPath;
+        var key = job.key;
+        var totalChunks = Math.ceil(file.size / CHUNK);
+
+        var done = {};       // offset → true once the chunk is on Nextcloud
+        var inflight = {};   // offset → bytes of that chunk sent so far
+        var doneBytes = 0;
+        var doneCount = 0;
+
+        function report() {
+            var sent = doneBytes;
+            Object.keys(inflight).forEach(function (k) { sent += inflight[k]; });
+            job.setLoaded(sent);
+            job.setStatus((I18N.chunk_progress || 'Uploading %1$s: %2$d%%')
+                .replace('%1$s', file.name)
+                .replace('%2$d', Math.round((sent / file.size) * 100)) +
+                ' (' + doneCount + '/' + totalChunks + ')');
+        }
+
+        function markDone(start, end) {
+            done[start] = true;
+            delete inflight[start];
+            doneBytes += end - start;
+            doneCount++;
+        }
+
+        /** Highest offset up to which every chunk has been confirmed. */
+        function confirmedOffset() {
+            var c = 0;
+            while (c < file.size && done[c]) c = Math.min(c + CHUNK, file.size);
+            return c;
+        }
+
+        function chunkTask(start) {
+            var end = Math.min(start + CHUNK, file.size);
+
+            return function () {
+                return queue.throttle.take(end - start).then(function () {
+                    // Wrap blob as a File for FormData.
+                    var chunkFile = new File([file.slice(start, end)], 'chunk', { type: 'application/octet-stream' });
+
+                    return withRetry(function () {
+                        inflight[start] = 0;
+                        return wpncRequest('wpnc_upload_chunk', {
+                            upload_id: job.uploadId,
+                            offset: String(start)
+                        }, {
+                            file: chunkFile,
+                            fileField: 'chunk',
+                            fileName: 'chunk',
+                            signal: job.signal,
+                            onProgress: function (e) {
+                                if (e.lengthComputable) {
+                                    // Overall progress = confirmed chunks + every in-flight chunk's progress.
+                                    inflight[start] = (end - start) * (e.loaded / e.total);
+                                    report();
+                                }
+                            }
+                        });
+                    }, function (attempt, delay) {
+                        inflight[start] = 0;
+                        job.setStatus(retryMessage(attempt, delay));
+                    }, job.signal);
+                }).then(function () {
+                    markDone(start, end);
+                    var record = ResumeStore.get(key);
+                    if (record) {   // Gone if the job was cancelled meanwhile.
+                        record.offset = confirmedOffset();
+                        ResumeStore.set(key, record);
+                    }
+                    report();
+                });
+            };
+        }
+
+        job.setStatus(I18N.preparing || 'Preparing…');
+
+        return this.openUploadSession(file, destPath, key, job.signal)
+            .then(function (session) {
+                job.uploadId = session.uploadId;
+
+                // Cancelled while the session was being opened: drop it right away.
+                if (job.state === 'cancelled') {
+                    job.discardRemote();
+                    throw abortError();
+                }
+
+                if (session.resumed) {
+                    showToast(job.browser.root, (I18N.resuming || 'Resuming %s').replace('%s', file.name), 'info');
+                }
+
+                // Step 2: Send the chunks Nextcloud does not have yet.
+                var tasks = [];
+                for (var start = 0; start < file.size; start += CHUNK) {
+                    if (session.received[start]) {
+                        markDone(start, Math.min(start + CHUNK, file.size));
+                    } else {
+                        tasks.push(chunkTask(start));
+                    }
+                }
+                report();
+
+                return runPool(tasks, queue.maxChunks);
+            })
+            .then(function () {
+                // Step 3: Assemble.
+                job.setStatus(I18N.assembling || 'Assembling…');
+                return withRetry(function () {
+                    return wpncRequest('wpnc_upload_finish', {
+                        upload_id: job.uploadId,
+                        filename: file.name,
+                        path: destPath,
+                        size: String(file.size)
+                    }, { signal: job.signal });
+                }, null, job.signal);
+            })
+            .then(function (data) {
+                ResumeStore.remove(key);
+                job.finish();
+                return data;
+            }, function (err) {
+                // Paused / cancelled jobs already show their own state.
+                if (!err.aborted) job.fail(err.message);
+                throw err;
+            });
+    };
+
+    /**
+     * Resolve the Nextcloud upload session for a file.
+     *
+     * Reuses the stored upload_id when the server still has its temp
+     * directory and the chunk size has not changed; otherwise starts a
+     * fresh one via wpnc_upload_init and records it.
+     *
+     * @param {File}        file
+     * @param {string}      destPath
+     * @param {string}      key       ResumeStore fingerprint.
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<{uploadId: string, received: Object, resumed: boolean}>}
+     */
+    FileBrowser.prototype.openUploadSession = function (file, destPath, key, signal) {
+        var root = this.rootPath;
+        var stored = ResumeStore.get(key);
+
+        this.dropPendingRow(key);
+
+        function fresh() {
+            return withRetry(function () {
+                return wpncRequest('wpnc_upload_init', { filename: file.name, path: destPath }, { signal: signal });
+            }, null, signal).then(function (initData) {
+                ResumeStore.set(key, {
+                    uploadId: initData.upload_id,
+                    name: file.name,
+                    size: file.size,
+                    path: destPath,
+                    root: root,
+                    user: USER_ID,
+                    chunkSize: CHUNK,
+                    offset: 0
+                });
+                return { uploadId: initData.upload_id, received: {}, resumed: false };
+            });
+        }
+
+        if (!stored || stored.chunkSize !== CHUNK) {
+            return fresh();
+        }
+
+        var status = withRetry(function () {
+            return wpncRequest('wpnc_upload_status', { upload_id: stored.uploadId }, { signal: signal });
+        }, null, signal);
+
+        return status.then(function (data) {
+            if (!data.exists) return fresh();
+
+            var received = {};
+            (data.chunks || []).forEach(function (c) {
+                // Only trust chunks that line up with our slicing.
+                if (c.offset % CHUNK === 0 && c.end === Math.min(c.offset + CHUNK, file.size)) {
+                    received[c.offset] = true;
+                }
+            });
+            return { uploadId: stored.uploadId, received: received, resumed: true };
+        }, function (err) {
+            if (err.aborted) throw err;
+            return fresh();
+        });
+    };
+
+    /**
+     * Remind the user of interrupted uploads targeting this browser: same
+     * user, same private folder. They get their own area, which the
+     * upload queue never redraws.
+     *
+     * The File objects cannot survive a reload, so the user has to pick
+     * the files again; the matching fingerprint then resumes them.
+     */
+    FileBrowser.prototype.showPendingUploads = function () {
+        var self = this;
+        var store = ResumeStore.all();
+        var keys = Object.keys(store).filter(function (k) {
+            return store[k].user === USER_ID && store[k].root === self.rootPath;
+        });
+        if (!keys.length || !this.resumeEl) return;
+
+        var html = '';
+        keys.forEach(function (k) {
+            var rec = store[k];
+            var pct = rec.size ? Math.round(((rec.offset || 0) / rec.size) * 100) : 0;
+            html += '<div class="wpnc-upload-row wpnc-upload-pending" data-resume-key="' + escAttr(k) + '">' +
+                '<div class="wpnc-upload-name">' + escHtml((rec.path ? rec.path + '/' : '') + rec.name) +
+                ' <span class="wpnc-upload-size">(' + humanSize(rec.size) + ')</span></div>' +
+                '<div class="wpnc-progress-bar"><div class="wpnc-progress-fill" style="width:' + pct + '%"></div></div>' +
+                '<div class="wpnc-upload-status">' + escHtml((I18N.interrupted || 'Interrupted at %d%% — select the file again to resume').replace('%d', pct)) +
+                ' <button type="button" class="wpnc-action-btn" data-forget title="' + escAttr(I18N.discard || 'Discard') + '">✕</button></div>' +
+                '</div>';
         });
+
+        this.resumeEl.innerHTML = html;
+        this.resumeEl.style.display = 'block';
+
+        this.resumeEl.querySelectorAll('[data-forget]').forEach(function (btn) {
+            btn.addEventListener('click', function () {
+                var rowEl = btn.closest('[data-resume-key]');
+                var record = ResumeStore.get(rowEl.dataset.resumeKey);
+                ResumeStore.remove(rowEl.dataset.resumeKey);
+                if (record && record.uploadId) {
+                    wpncRequest('wpnc_upload_abort', { upload_id: record.uploadId }).catch(function () {});
+                }
+                self.dropPendingRow(rowEl.dataset.resumeKey);
+            });
+        });
+    };
+
+    /** Remove the "interrupted" row of an upload that runs again. */
+    FileBrowser.prototype.dropPendingRow = function (key) {
+        if (!this.resumeEl) return;
+        Array.from(this.resumeEl.children).forEach(function (row) {
+            if (row.dataset.resumeKey === key) row.remove();
+        });
+        if (!this.resumeEl.children.length) this.resumeEl.style.display = 'none';
+    };
+
+    /* ================================================================
+     *  ZIP DOWNLOAD PROGRESS
+     * ============================================================= */
+
+    /** How often a ZIP row asks the server for progress, and how long it waits for the download to start. */
+    const ZIP_POLL_MS    = 1000;
+    const ZIP_START_WAIT = 60;
+
+    /**
+     * One row in the ZIP panel. The archive itself downloads natively; this
+     * polls wpnc_zip_progress for the job and offers the link for copying.
+     *
+     * @param {FileBrowser} browser
+     * @param {string}      name   Archive name without .zip.
+     * @param {Object}      link   { url, job, expires } from wpnc_zip_link.
+     */
+    function ZipDownload(browser, name, link) {
+        this.browser = browser;
+        this.panel   = browser.zipEl;
+        this.link    = link;
+        this.waits   = 0;
+        this.timer   = null;
+        this.closed  = false;
+
+        var expires = new Date(link.expires * 1000).toLocaleString();
+
+        this.row = document.createElement('div');
+        this.row.className = 'wpnc-upload-row';
+        this.row.innerHTML =
+            '<div class="wpnc-upload-name">📦 ' + escHtml(name) + '.zip</div>' +
+            '<div class="wpnc-upload-actions">' +
+            '  <button type="button" class="wpnc-action-btn" data-zip-action="copy" title="' + escAttr((I18N.copy_link || 'Copy link (valid until %s)').replace('%s', expires)) + '">🔗</button>' +
+            '  <button type="button" class="wpnc-action-btn" data-zip-action="close" title="' + escAttr(I18N.close || 'Close') + '">✕</button>' +
+            '</div>' +
+            '<div class="wpnc-progress-bar"><div class="wpnc-progress-fill" style="width:0%"></div></div>' +
+            '<div class="wpnc-upload-status">' + escHtml(I18N.preparing || 'Preparing…') + '</div>';
+
+        this.fillEl   = this.row.querySelector('.wpnc-progress-fill');
+        this.statusEl = this.row.querySelector('.wpnc-upload-status');
+
+        var self = this;
+        this.row.querySelector('.wpnc-upload-actions').addEventListener('click', function (e) {
+            var btn = e.target.closest('[data-zip-action]');
+            if (!btn) return;
+            if (btn.dataset.zipAction === 'copy') self.copyLink();
+            if (btn.dataset.zipAction === 'close') self.close();
+        });
+    }
+
+    ZipDownload.prototype.start = function () {
+        if (!this.panel) return;
+        this.panel.appendChild(this.row);
+        this.panel.style.display = 'block';
+        this.poll();
+    };
+
+    ZipDownload.prototype.poll = function () {
+        var self = this;
+
+        wpncRequest('wpnc_zip_progress', { job: this.link.job })
+            .then(function (progress) {
+                if (self.closed) return;
+                if (self.render(progress)) {
+                    self.timer = setTimeout(function () { self.poll(); }, ZIP_POLL_MS);
+                }
+            })
+            .catch(function () {
+                // A missed poll is not fatal; the download carries on regardless.
+                if (self.closed) return;
+                self.timer = setTimeout(function () { self.poll(); }, ZIP_POLL_MS * 3);
+            });
+    };
+
+    /**
+     * Show one progress snapshot.
+     *
+     * @returns {boolean} Whether to keep polling.
+     */
+    ZipDownload.prototype.render = function (p) {
+        if (p.state === 'waiting') {
+            if (++this.waits < ZIP_START_WAIT) return true;
+            this.row.classList.add('wpnc-upload-fail');
+            this.statusEl.textContent = I18N.zip_not_started || 'The download did not start — copy the link to try again.';
+            return false;
+        }
+
+        if (p.state === 'preparing') {
+            this.statusEl.textContent = I18N.zip_preparing || 'Listing files…';
+            return true;
+        }
+
+        var pct = p.bytes ? Math.round((p.done_bytes / p.bytes) * 100) : (p.state === 'done' ? 100 : 0);
+        var text = (I18N.zip_progress || '%1$d/%2$d files · %3$s of %4$s')
+            .replace('%1$d', p.done_files)
+            .replace('%2$d', p.files)
+            .replace('%3$s', humanSize(p.done_bytes))
+            .replace('%4$s', humanSize(p.bytes));
+
+        this.fillEl.style.width = Math.min(100, pct) + '%';
+
+        if (p.state === 'done') {
+            text = '✅ ' + (I18N.zip_done || 'Archive complete') + ' · ' + text;
+        } else if (p.state === 'cancelled') {
+            text = '❌ ' + (I18N.cancelled || 'Cancelled');
+        } else if (p.current) {
+            text += ' · ' + p.current;
+        }
+        if (p.errors) {
+            text += ' · ' + (I18N.group_failed || '%d failed').replace('%d', p.errors);
+        }
+
+        this.statusEl.textContent = text;
+        this.row.classList.toggle('wpnc-upload-done', p.state === 'done' && !p.errors);
+        this.row.classList.toggle('wpnc-upload-fail', p.state === 'cancelled' || p.errors > 0);
+
+        return p.state !== 'done' && p.state !== 'cancelled';
+    };
+
+    ZipDownload.prototype.copyLink = function () {
+        var self = this;
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(this.link.url).then(function () {
+                showToast(self.browser.root, I18N.copied || 'Link copied!', 'success');
+            });
+        } else {
+            modalAlert(this.browser.root, this.link.url);
+        }
+    };
+
+    ZipDownload.prototype.close = function () {
+        this.closed = true;
+        clearTimeout(this.timer);
+        this.row.remove();
+        if (!this.panel.children.length) this.panel.style.display = 'none';
+    };
+
+    /* ================================================================
+     *  UPLOAD QUEUE (parallel files, shared progress + bandwidth)
+     * ============================================================= */
+
+    /** Row buttons shown per job state. */
+    const JOB_ACTIONS = {
+        queued:    ['pause', 'cancel'],
+        uploading: ['pause', 'cancel'],
+        paused:    ['resume', 'cancel'],
+        failed:    ['retry', 'cancel'],
+        cancelled: ['retry'],
+        done:      []
+    };
+
+    const JOB_ACTION_ICONS = { pause: '⏸', resume: '▶', retry: '↻', cancel: '✕' };
+
+    /**
+     * One file waiting in, or moving through, the upload queue.
+     *
+     * Owns its progress row; the queue reads `loaded` for the summary.
+     * Each run gets a fresh AbortController so pause/cancel can stop the
+     * requests in flight without affecting the next run.
+     *
+     * @param {UploadQueue} queue
+     * @param {File}        file
+     * @param {string}      destPath  Remote folder captured at enqueue time.
+     */
+    function UploadJob(queue, file, destPath) {
+        this.id       = ++UploadJob.seq;
+        this.queue    = queue;
+        this.browser  = queue.browser;
+        this.file     = file;
+        this.destPath = destPath;
+        this.key      = uploadFingerprint(file, destPath);
+        this.state    = 'queued';   // queued | uploading | paused | done | failed | cancelled
+        this.loaded   = 0;
+        this.uploadId = null;
+        this.controller = null;
+        this.signal     = null;
+
+        this.row = document.createElement('div');
+        this.row.className = 'wpnc-upload-row';
+        this.row.dataset.jobId = this.id;
+        this.row.innerHTML =
+            '<div class="wpnc-upload-name">' + escHtml(file.name) + ' <span class="wpnc-upload-size">(' + humanSize(file.size) + ')</span></div>' +
+            '<div class="wpnc-upload-actions"></div>' +
+            '<div class="wpnc-progress-bar"><div class="wpnc-progress-fill" style="width:0%"></div></div>' +
+            '<div class="wpnc-upload-status">' + escHtml(I18N.queued || 'Queued') + '</div>';
+
+        this.fillEl    = this.row.querySelector('.wpnc-progress-fill');
+        this.statusEl  = this.row.querySelector('.wpnc-upload-status');
+        this.actionsEl = this.row.querySelector('.wpnc-upload-actions');
+
+        this.renderActions();
+    }
+
+    UploadJob.seq = 0;
+
+    UploadJob.prototype.setLoaded = function (bytes) {
+        this.loaded = Math.max(0, Math.min(Math.round(bytes), this.file.size));
+        var pct = this.file.size ? (this.loaded / this.file.size) * 100 : 100;
+        this.fillEl.style.width = Math.min(100, Math.round(pct)) + '%';
+        this.queue.renderSummary();
+    };
+
+    UploadJob.prototype.setStatus = function (text) {
+        this.statusEl.textContent = text;
+    };
+
+    /** Switch state, update row styling + buttons and the queue header. */
+    UploadJob.prototype.setState = function (state) {
+        this.state = state;
+        this.row.classList.toggle('wpnc-upload-done', state === 'done');
+        this.row.classList.toggle('wpnc-upload-fail', state === 'failed' || state === 'cancelled');
+        this.row.classList.toggle('wpnc-upload-paused', state === 'paused');
+        this.renderActions();
+        this.queue.renderSummary();
+    };
+
+    UploadJob.prototype.renderActions = function () {
+        var html = '';
+        (JOB_ACTIONS[this.state] || []).forEach(function (action) {
+            html += '<button type="button" class="wpnc-action-btn" data-job-action="' + action + '" title="' +
+                escAttr(I18N[action + '_upload'] || action) + '">' + JOB_ACTION_ICONS[action] + '</button>';
+        });
+        this.actionsEl.innerHTML = html;
+    };
+
+    /** Called by the queue right before uploadFile(). */
+    UploadJob.prototype.begin = function () {
+        this.controller = new AbortController();
+        this.signal = this.controller.signal;
+        this.setState('uploading');
+    };
+
+    UploadJob.prototype.finish = function () {
+        this.setLoaded(this.file.size);
+        this.setStatus('✅ ' + (I18N.upload_done || 'Done'));
+        this.setState('done');
+    };
+
+    UploadJob.prototype.fail = function (message) {
+        if (this.state !== 'uploading') return; // Paused / cancelled meanwhile.
+        this.setStatus('❌ ' + message);
+        this.setState('failed');
+    };
+
+    /**
+     * Stop sending but keep the Nextcloud temp directory, so resume()
+     * continues from the chunks already stored.
+     */
+    UploadJob.prototype.pause = function () {
+        if (this.state !== 'queued' && this.state !== 'uploading') return;
+        this.setStatus('⏸ ' + (I18N.paused || 'Paused'));
+        this.setState('paused');
+        if (this.controller) this.controller.abort();
+    };
+
+    /** Put a paused, failed or cancelled job back in line. */
+    UploadJob.prototype.resume = function () {
+        if (this.state !== 'paused' && this.state !== 'failed' && this.state !== 'cancelled') return;
+        this.setStatus(I18N.queued || 'Queued');
+        this.setState('queued');
+        this.queue.pump();
+    };
+
+    /** Abort the requests in flight and discard the partial upload on Nextcloud. */
+    UploadJob.prototype.cancel = function () {
+        if (this.state === 'done' || this.state === 'cancelled') return;
+        this.setStatus('✕ ' + (I18N.cancelled || 'Cancelled'));
+        this.setState('cancelled');
+        if (this.controller) this.controller.abort();
+        this.discardRemote();
+        this.setLoaded(0);
+    };
+
+    /** Delete the chunk temp directory (if any) and forget the resume record. */
+    UploadJob.prototype.discardRemote = function () {
+        var record = ResumeStore.get(this.key);
+        var uploadId = this.uploadId || (record && record.uploadId);
+
+        ResumeStore.remove(this.key);
+        this.uploadId = null;
+
+        if (uploadId) {
+            wpncRequest('wpnc_upload_abort', { upload_id: uploadId }).catch(function () {
+                // Best effort: Nextcloud expires abandoned uploads on its own.
+            });
+        }
+    };
+
+    /**
+     * A dropped folder: its jobs are listed under one collapsible header
+     * that shows the folder's combined progress.
+     *
+     * @param {UploadQueue} queue
+     * @param {string}      name  Top-level folder name.
+     */
+    function UploadGroup(queue, name) {
+        this.queue = queue;
+        this.name  = name;
+        this.jobs  = [];
+        this.state = 'preparing';   // preparing | ready | failed
+
+        this.el = document.createElement('div');
+        this.el.className = 'wpnc-upload-group';
+        this.el.innerHTML =
+            '<div class="wpnc-upload-row wpnc-upload-group-head">' +
+            '  <div class="wpnc-upload-name"><span class="wpnc-group-toggle">▸</span> 📁 ' + escHtml(name) + '</div>' +
+            '  <div class="wpnc-upload-actions"></div>' +
+            '  <div class="wpnc-progress-bar"><div class="wpnc-progress-fill" style="width:0%"></div></div>' +
+            '  <div class="wpnc-upload-status"></div>' +
+            '</div>' +
+            '<div class="wpnc-upload-group-list" style="display:none"></div>';
+
+        this.listEl   = this.el.querySelector('.wpnc-upload-group-list');
+        this.fillEl   = this.el.querySelector('.wpnc-progress-fill');
+        this.statusEl = this.el.querySelector('.wpnc-upload-status');
+        this.toggleEl = this.el.querySelector('.wpnc-group-toggle');
+
+        var self = this;
+        this.el.querySelector('.wpnc-upload-name').addEventListener('click', function () {
+            var open = self.listEl.style.display === 'none';
+            self.listEl.style.display = open ? 'block' : 'none';
+            self.toggleEl.textContent = open ? '▾' : '▸';
+        });
+    }
+
+    UploadGroup.prototype.setStatus = function (text) {
+        this.statusEl.textContent = text;
+    };
+
+    UploadGroup.prototype.fail = function (message) {
+        this.state = 'failed';
+        this.el.querySelector('.wpnc-upload-group-head').classList.add('wpnc-upload-fail');
+        this.setStatus('❌ ' + message);
+        this.queue.renderSummary();
+    };
+
+    /** Per-folder summary: files done, bytes and failures. */
+    UploadGroup.prototype.render = function () {
+        if (this.state === 'preparing' || this.state === 'failed') return;
+
+        var total = 0;
+        var loaded = 0;
+        var finished = 0;
+        var failed = 0;
+        var counted = 0;
+
+        this.jobs.forEach(function (job) {
+            if (job.state === 'cancelled') return;
+            counted++;
+            total += job.file.size;
+            loaded += job.loaded;
+            if (job.state === 'done') finished++;
+            if (job.state === 'failed') failed++;
+        });
+
+        var pct = total ? Math.round((loaded / total) * 100) : 100;
+        var head = this.el.querySelector('.wpnc-upload-group-head');
+
+        this.fillEl.style.width = pct + '%';
+        this.setStatus((I18N.group_summary || '%1$d/%2$d files · %3$d%%')
+            .replace('%1$d', finished)
+            .replace('%2$d', counted)
+            .replace('%3$d', pct) +
+            (failed ? ' · ' + (I18N.group_failed || '%d failed').replace('%d', failed) : ''));
+
+        head.classList.toggle('wpnc-upload-done', finished === counted);
+        head.classList.toggle('wpnc-upload-fail', failed > 0);
+    };
+
+    /**
+     * Upload queue for one FileBrowser.
+     *
+     * Runs up to `parallelFiles` jobs at once; each chunked job sends up to
+     * `parallelChunks` chunks at once. All requests share one Throttle.
+     * The panel header carries the batch summary and queue-wide controls,
+     * every row its own pause / resume / retry / cancel buttons.
+     *
+     * @param {FileBrowser} browser
+     */
+    function UploadQueue(browser) {
+        this.browser   = browser;
+        this.maxFiles  = browser.parallelFiles;
+        this.maxChunks = browser.parallelChunks;
+        this.throttle  = new Throttle(browser.bandwidth);
+        this.jobs      = [];
+        this.groups    = [];
+        this.active    = 0;
+        this.summaryEl  = null;
+        this.controlsEl = null;
+        this.controlsHtml = '';
+        this.listEl     = null;
+        this.hideTimer  = null;
+    }
+
+    /** Show the panel, starting a new batch if the last one is finished. */
+    UploadQueue.prototype.open = function () {
+        if (!this.listEl || !this.hasPending()) {
+            this.reset();
+        }
+        clearTimeout(this.hideTimer);
+        this.browser.progressEl.style.display = 'block';
+    };
+
+    /**
+     * Add files to the queue. Starting a new batch clears finished rows.
+     *
+     * @param {File[]}      files
+     * @param {string}      destPath
+     * @param {UploadGroup} [group]  Folder the files belong to.
+     */
+    UploadQueue.prototype.add = function (files, destPath, group) {
+        var self = this;
+
+        this.open();
+
+        files.forEach(function (file) {
+            var job = new UploadJob(self, file, destPath);
+            job.group = group || null;
+            self.jobs.push(job);
+            if (group) {
+                group.jobs.push(job);
+                group.listEl.appendChild(job.row);
+            } else {
+                self.listEl.appendChild(job.row);
+            }
+        });
+
+        this.renderSummary();
+        this.pump();
+    };
+
+    /**
+     * Add a folder header to the panel; its files follow via add().
+     *
+     * @param {string} name
+     * @returns {UploadGroup}
+     */
+    UploadQueue.prototype.addGroup = function (name) {
+        this.open();
+
+        var group = new UploadGroup(this, name);
+        this.groups.push(group);
+        this.listEl.appendChild(group.el);
+        this.renderSummary();
+        return group;
+    };
+
+    /** Build an empty panel and bind its (delegated) controls. */
+    UploadQueue.prototype.reset = function () {
+        var self = this;
+        var el = this.browser.progressEl;
+
+        this.jobs = [];
+        this.groups = [];
+        this.controlsHtml = '';
+        el.innerHTML =
+            '<div class="wpnc-upload-head">' +
+            '  <div class="wpnc-upload-summary"></div>' +
+            '  <div class="wpnc-upload-controls"></div>' +
+            '</div>' +
+            '<div class="wpnc-upload-list"></div>';
+
+        this.summaryEl  = el.querySelector('.wpnc-upload-summary');
+        this.controlsEl = el.querySelector('.wpnc-upload-controls');
+        this.listEl     = el.querySelector('.wpnc-upload-list');
+
+        this.listEl.addEventListener('click', function (e) {
+            var btn = e.target.closest('[data-job-action]');
+            if (!btn) return;
+            var job = self.findJob(btn.closest('[data-job-id]').dataset.jobId);
+            if (job) job[btn.dataset.jobAction]();
+        });
+
+        this.controlsEl.addEventListener('click', function (e) {
+            var btn = e.target.closest('[data-queue-action]');
+            if (btn) self[btn.dataset.queueAction + 'All']();
+        });
+    };
+
+    UploadQueue.prototype.findJob = function (id) {
+        return this.jobs.find(function (job) { return String(job.id) === String(id); });
+    };
+
+    UploadQueue.prototype.count = function (state) {
+        return this.jobs.filter(function (job) { return job.state === state; }).length;
+    };
+
+    /** Whether any job is still waiting or running. */
+    UploadQueue.prototype.isBusy = function () {
+        return this.count('queued') > 0 || this.count('uploading') > 0;
+    };
+
+    /** Whether the batch still needs attention (preparing, running, paused or failed). */
+    UploadQueue.prototype.hasPending = function () {
+        var preparing = this.groups.some(function (g) { return g.state === 'preparing'; });
+        return preparing || this.isBusy() || this.count('paused') > 0 || this.count('failed') > 0;
+    };
+
+    /** Start queued jobs until the file concurrency limit is reached. */
+    UploadQueue.prototype.pump = function () {
+        while (this.active < this.maxFiles) {
+            var job = this.jobs.find(function (j) { return j.state === 'queued'; });
+            if (!job) break;
+            this.start(job);
+        }
+
+        if (this.active === 0 && !this.isBusy()) {
+            this.onDrain();
+        }
+    };
+
+    /** @param {UploadJob} job */
+    UploadQueue.prototype.start = function (job) {
+        var self = this;
+        this.active++;
+        job.begin();
+
+        this.browser.uploadFile(job)
+            .catch(function (err) {
+                if (!err.aborted) {
+                    showToast(self.browser.root, job.file.name + ': ' + err.message, 'error');
+                }
+            })
+            .then(function () {
+                self.active--;
+                self.pump();
+            });
+    };
+
+    /* ── Queue-wide controls ──────────────────────────────────── */
+
+    UploadQueue.prototype.pauseAll = function () {
+        this.jobs.forEach(function (job) { job.pause(); });
+    };
+
+    UploadQueue.prototype.resumeAll = function () {
+        this.jobs.forEach(function (job) { if (job.state === 'paused') job.resume(); });
+    };
+
+    UploadQueue.prototype.retryAll = function () {
+        this.jobs.forEach(function (job) { if (job.state === 'failed') job.resume(); });
+    };
+
+    UploadQueue.prototype.cancelAll = function () {
+        this.jobs.forEach(function (job) { job.cancel(); });
+    };
+
+    UploadQueue.prototype.closeAll = function () {
+        if (this.hasPending()) return;
+        this.browser.progressEl.style.display = 'none';
+    };
+
+    /**
+     * Nothing is running any more: refresh the listing, and fade the panel
+     * out unless paused or failed jobs still need the user.
+     */
+    UploadQueue.prototype.onDrain = function () {
+        var el = this.browser.progressEl;
+
+        if (!this.hasPending()) {
+            this.hideTimer = setTimeout(function () {
+                el.style.display = 'none';
+            }, 2000);
+        }
+        this.browser.navigate(this.browser.currentPath); // Refresh file list.
+    };
+
+    /** Aggregate progress over every job in the current batch + controls. */
+    UploadQueue.prototype.renderSummary = function () {
+        if (!this.summaryEl) return;
+
+        var total = 0;
+        var loaded = 0;
+        var finished = 0;
+        var counted = 0;
+
+        this.jobs.forEach(function (job) {
+            if (job.state === 'cancelled') return;
+            counted++;
+            total += job.file.size;
+            loaded += job.loaded;
+            if (job.state === 'done') finished++;
+        });
+
+        var pct = total ? Math.round((loaded / total) * 100) : 100;
+        this.summaryEl.textContent = (I18N.queue_summary || '%1$d of %2$d files · %3$s of %4$s (%5$d%%)')
+            .replace('%1$d', finished)
+            .replace('%2$d', counted)
+            .replace('%3$s', humanSize(loaded))
+            .replace('%4$s', humanSize(total))
+            .replace('%5$d', pct);
+
+        this.groups.forEach(function (group) { group.render(); });
+        this.renderControls();
+    };
+
+    UploadQueue.prototype.renderControls = function () {
+        var buttons = [];
+        if (this.isBusy())            buttons.push(['pause', '⏸', I18N.pause_all || 'Pause all']);
+        if (this.count('paused') > 0) buttons.push(['resume', '▶', I18N.resume_all || 'Resume all']);
+        if (this.count('failed') > 0) buttons.push(['retry', '↻', I18N.retry_failed || 'Retry failed']);
+        if (this.hasPending())        buttons.push(['cancel', '✕', I18N.cancel_all || 'Cancel all']);
+        else                          buttons.push(['close', '', I18N.close || 'Close']);
+
+        var html = '';
+        buttons.forEach(function (b) {
+            html += '<button type="button" class="wpnc-btn wpnc-btn-queue" data-queue-action="' + b[0] + '">' +
+                (b[1] ? '<span class="wpnc-icon">' + b[1] + '</span> ' : '') + escHtml(b[2]) + '</button>';
+        });
+
+        // Avoid churning the DOM on every progress tick.
+        if (this.controlsHtml !== html) {
+            this.controlsEl.innerHTML = html;
+            this.controlsHtml = html;
+        }
     };
 
     /* ================================================================
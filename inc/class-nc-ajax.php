@@ -24,27 +24,71 @@ class NC_Ajax {
     const NONCE_ACTION = 'wpnc_nonce';
     const CAPABILITY   = 'manage_options';
 
+    /** Lifetime of a ZIP download link (seconds). */
+    const ZIP_LINK_TTL = DAY_IN_SECONDS;
+
+    /** What a share link lets visitors do (upload applies to folders only). */
+    const SHARE_LEVELS = array( 'view', 'upload', 'edit' );
+
+    /** Most results one search returns. */
+    const SEARCH_LIMIT = 200;
+
+    /** How long a chunked upload stays tied to its user (the browser's resume window). */
+    const UPLOAD_OWNER_TTL = WEEK_IN_SECONDS;
+
+    /** @var NC_Scope|null Folders a scoped request is confined to (null = not scoped). */
+    private $scope = null;
+
+    /** @var string Action a scoped request performs ('' = browse / download). */
+    private $permission = '';
+
     public function __construct() {
         $actions = array(
             'wpnc_browse',           // List a Nextcloud folder
             'wpnc_file_info',        // Get info for one file
+            'wpnc_search',           // Search a folder tree by name, type, size, date
             'wpnc_create_folder',    // Create a folder on NC
             'wpnc_delete',           // Delete a file/folder on NC
+            'wpnc_move',             // Rename / move a file/folder on NC
+            'wpnc_copy',             // Copy a file/folder on NC
             'wpnc_get_public_url',   // Get/create a share link
+            'wpnc_shares',           // List the shares of a file/folder
+            'wpnc_share_create',     // Create a share link with options
+            'wpnc_share_delete',     // Revoke a share
+            'wpnc_import_media',     // Copy a Nextcloud file into the Media Library
+            'wpnc_editor_sign',      // Sign a path for the Nextcloud File block
             'wpnc_download_proxy',   // Proxy-stream a file to browser
-            'wpnc_sync_start',       // Trigger WP→NC sync
+            'wpnc_thumbnail',        // Cached preview image of a file (grid view)
+            'wpnc_zip_link',         // Prepare a ZIP of files/folders, return its link
+            'wpnc_zip_progress',     // Progress of a ZIP download in flight
+            'wpnc_download_zip',     // Stream a prepared ZIP (token link)
+            'wpnc_sync_start',       // Start a background WP→NC sync job
+            'wpnc_sync_status',      // Progress + new log lines of the sync job
+            'wpnc_sync_cancel',      // Cancel the running sync job
+            'wpnc_sync_preview',     // Dry run: what a sync would do
+            'wpnc_sync_test_filters', // Test a pair's filters against its local files
+            'wpnc_sync_history',     // Past sync runs + next scheduled runs
+            'wpnc_sync_history_log', // Log of one past sync run
             'wpnc_upload_simple',    // Small file upload (browser → WP → NC)
             'wpnc_upload_init',      // Chunked upload: init temp dir on NC
             'wpnc_upload_chunk',     // Chunked upload: send one chunk
             'wpnc_upload_finish',    // Chunked upload: assemble on NC
+            'wpnc_upload_status',    // Chunked upload: list chunks already on NC (resume)
+            'wpnc_upload_abort',     // Chunked upload: discard temp dir on NC (cancel)
+            'wpnc_upload_check',     // Report which upload names already exist (conflicts)
         );
 
         foreach ( $actions as $action ) {
             add_action( 'wp_ajax_' . $action, array( $this, 'dispatch' ) );
         }
 
-        // Public proxy for viewing shared files (no login needed).
+        // Public endpoints behind signed token links (no login needed).
         add_action( 'wp_ajax_nopriv_wpnc_download_proxy', array( $this, 'handle_download_proxy' ) );
+        add_action( 'wp_ajax_nopriv_wpnc_download_zip', array( $this, 'handle_download_zip' ) );
+
+        // Background sync batches: loopback requests carrying the job key.
+        add_action( 'wp_ajax_wpnc_sync_batch', array( $this, 'handle_sync_batch' ) );
+        add_action( 'wp_ajax_nopriv_wpnc_sync_batch', array( $this, 'handle_sync_batch' ) );
     }
 
     /* ================================================================
@@ -61,15 +105,36 @@ class NC_Ajax {
         $map = array(
             'wpnc_browse'         => 'handle_browse',
             'wpnc_file_info'      => 'handle_file_info',
+            'wpnc_search'         => 'handle_search',
             'wpnc_create_folder'  => 'handle_create_folder',
             'wpnc_delete'         => 'handle_delete',
+            'wpnc_move'           => 'handle_move',
+            'wpnc_copy'           => 'handle_copy',
             'wpnc_get_public_url' => 'handle_get_public_url',
+            'wpnc_shares'         => 'handle_shares',
+            'wpnc_share_create'   => 'handle_share_create',
+            'wpnc_share_delete'   => 'handle_share_delete',
+            'wpnc_import_media'   => 'handle_import_media',
+            'wpnc_editor_sign'    => 'handle_editor_sign',
             'wpnc_download_proxy' => 'handle_download_proxy',
+            'wpnc_thumbnail'      => 'handle_thumbnail',
+            'wpnc_zip_link'       => 'handle_zip_link',
+            'wpnc_zip_progress'   => 'handle_zip_progress',
+            'wpnc_download_zip'   => 'handle_download_zip',
             'wpnc_sync_start'     => 'handle_sync_start',
+            'wpnc_sync_status'    => 'handle_sync_status',
+            'wpnc_sync_cancel'    => 'handle_sync_cancel',
+            'wpnc_sync_preview'   => 'handle_sync_preview',
+            'wpnc_sync_test_filters' => 'handle_sync_test_filters',
+            'wpnc_sync_history'   => 'handle_sync_history',
+            'wpnc_sync_history_log' => 'handle_sync_history_log',
             'wpnc_upload_simple'  => 'handle_upload_simple',
             'wpnc_upload_init'    => 'handle_upload_init',
             'wpnc_upload_chunk'   => 'handle_upload_chunk',
             'wpnc_upload_finish'  => 'handle_upload_finish',
+            'wpnc_upload_status'  => 'handle_upload_status',
+            'wpnc_upload_abort'   => 'handle_upload_abort',
+            'wpnc_upload_check'   => 'handle_upload_check',
         );
 
         if ( ! isset( $map[ $action ] ) ) {
@@ -87,12 +152,12 @@ class NC_Ajax {
      * Browse: list the contents of a Nextcloud folder.
      *
      * Input:  path (string, optional)
-     * Output: items[] — each with name, type, size, mime, fileid
+     * Output: items[] — each with name, type, size, mime, modified, etag, fileid
      */
     public function handle_browse() {
-        $this->verify_admin_request();
+        $this->verify_browser_request();
 
-        $path   = $this->input( 'path', '' );
+        $path   = $this->path_input( 'path' );
         $client = $this->client_or_die();
 
         $items = $client->list_folder( $path );
@@ -112,9 +177,9 @@ class NC_Ajax {
      * Input:  path (string)
      */
     public function handle_file_info() {
-        $this->verify_admin_request();
+        $this->verify_browser_request();
 
-        $path   = $this->input( 'path' );
+        $path   = $this->path_input( 'path' );
         $client = $this->client_or_die();
 
         $info = $client->get_info( $path );
@@ -125,15 +190,72 @@ class NC_Ajax {
         wp_send_json_success( $info );
     }
 
+    /**
+     * Search: a folder and everything below it.
+     *
+     * Input:  path (folder to search), name, mime ("image", "image/png",
+     *         "httpd/unix-directory"), min_size / max_size (bytes),
+     *         after / before (Y-m-d, both inclusive) — at least one criterion
+     * Output: items[] (as in browse; href is the full path, newest first),
+     *         truncated (more than SEARCH_LIMIT matched)
+     */
+    public function handle_search() {
+        $this->verify_browser_request();
+
+        $path     = $this->path_input( 'path' );
+        $criteria = array( 'name' => $this->input( 'name' ) );
+
+        $mime = strtolower( $this->input( 'mime' ) );
+        if ( $mime !== '' ) {
+            if ( ! preg_match( '#^[a-z-]+(/[a-z0-9.+-]+)?$#', $mime ) ) {
+                wp_send_json_error( __( 'Invalid file type.', 'wp-nc-bridge' ), 400 );
+            }
+            $criteria['mime'] = $mime;
+        }
+
+        foreach ( array( 'min_size', 'max_size' ) as $key ) {
+            if ( $this->input( $key ) !== '' ) {
+                $criteria[ $key ] = max( 0, (int) $this->input( $key ) );
+            }
+        }
+
+        // Dates are days in the site's timezone; "before" includes its day.
+        foreach ( array( 'after' => 'modified_after', 'before' => 'modified_before' ) as $key => $criterion ) {
+            $date = $this->input( $key );
+            if ( $date === '' ) {
+                continue;
+            }
+            $day = \DateTimeImmutable::createFromFormat( '!Y-m-d', $date, wp_timezone() );
+            if ( ! $day ) {
+                wp_send_json_error( __( 'Invalid date.', 'wp-nc-bridge' ), 400 );
+            }
+            $criteria[ $criterion ] = $key === 'before' ? $day->modify( '+1 day' )->getTimestamp() : $day->getTimestamp();
+        }
+
+        $client = $this->client_or_die();
+
+        // One extra result tells whether there are more.
+        $items = $client->search( $path, $criteria, self::SEARCH_LIMIT + 1 );
+        if ( is_wp_error( $items ) ) {
+            wp_send_json_error( $items->get_error_message() );
+        }
+
+        wp_send_json_success( array(
+            'path'      => $path,
+            'items'     => array_slice( $items, 0, self::SEARCH_LIMIT ),
+            'truncated' => count( $items ) > self::SEARCH_LIMIT,
+        ) );
+    }
+
     /**
      * Create folder on Nextcloud.
      *
      * Input:  path (string)
      */
     public function handle_create_folder() {
-        $this->verify_admin_request();
+        $this->verify_browser_request( 'create_folder' );
 
-        $path   = $this->input( 'path' );
+        $path   = $this->path_input( 'path', true );
         $client = $this->client_or_die();
 
         $result = $client->create_folder( $path );
@@ -150,9 +272,9 @@ class NC_Ajax {
      * Input:  path (string)
      */
     public function handle_delete() {
-        $this->verify_admin_request();
+        $this->verify_browser_request( 'delete' );
 
-        $path   = $this->input( 'path' );
+        $path   = $this->path_input( 'path', true );
         $client = $this->client_or_die();
 
         $result = $client->delete( $path );
@@ -163,6 +285,101 @@ class NC_Ajax {
         wp_send_json_success( array( 'deleted' => $path ) );
     }
 
+    /**
+     * Rename or move a file or folder on Nextcloud.
+     *
+     * Never replaces an existing destination. The last segment of `to` is
+     * cleaned like an uploaded file name.
+     *
+     * Input:  from (string), to (string — full new path)
+     * Output: from, to
+     */
+    public function handle_move() {
+        $this->verify_browser_request( 'move' );
+
+        $from = trim( $this->path_input( 'from', true ), '/' );
+        $to   = trim( $this->path_input( 'to', true ), '/' );
+
+        $name   = $this->clean_filename( wp_basename( $to ) );
+        $parent = dirname( $to );
+        $parent = ( $parent === '.' ) ? '' : $parent;
+
+        if ( $from === '' || $name === '' ) {
+            wp_send_json_error( __( 'Missing source or destination.', 'wp-nc-bridge' ), 400 );
+        }
+
+        $to = ( $parent !== '' ? $parent . '/' : '' ) . $name;
+
+        if ( $to === $from ) {
+            wp_send_json_success( array( 'from' => $from, 'to' => $to ) );
+        }
+        if ( strpos( $to . '/', $from . '/' ) === 0 ) {
+            wp_send_json_error( __( 'A folder cannot be moved into itself.', 'wp-nc-bridge' ), 400 );
+        }
+
+        $client = $this->client_or_die();
+
+        $result = $client->move( $from, $to, false );
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( $result->get_error_message() );
+        }
+
+        wp_send_json_success( array( 'from' => $from, 'to' => $to ) );
+    }
+
+    /**
+     * Copy a file or folder on Nextcloud (WebDAV COPY, recursive).
+     *
+     * What happens when the destination exists depends on `conflict`:
+     *   fail      — HTTP 409, so the browser can ask the user (default)
+     *   overwrite — replace the destination
+     *   rename    — copy as "name (2).ext", "name (3).ext", …
+     *
+     * Input:  from, to (full destination path), conflict
+     * Output: from, to (the path actually written)
+     */
+    public function handle_copy() {
+        $this->verify_browser_request( 'copy' );
+
+        $from     = trim( $this->path_input( 'from' ), '/' );
+        $to       = trim( $this->path_input( 'to', true ), '/' );
+        $conflict = $this->input( 'conflict', 'fail' );
+
+        $name   = $this->clean_filename( wp_basename( $to ) );
+        $parent = dirname( $to );
+        $parent = ( $parent === '.' ) ? '' : $parent;
+
+        if ( $from === '' || $name === '' ) {
+            wp_send_json_error( __( 'Missing source or destination.', 'wp-nc-bridge' ), 400 );
+        }
+
+        $to = ( $parent !== '' ? $parent . '/' : '' ) . $name;
+
+        if ( strpos( $to . '/', $from . '/' ) === 0 ) {
+            wp_send_json_error( __( 'A folder cannot be copied into itself.', 'wp-nc-bridge' ), 400 );
+        }
+
+        $client = $this->client_or_die();
+
+        if ( $conflict === 'rename' ) {
+            $items = $client->list_folder( $parent );
+            if ( is_wp_error( $items ) ) {
+                wp_send_json_error( $items->get_error_message() );
+            }
+            $name = $this->unique_name( $name, wp_list_pluck( $items, 'name' ) );
+            $to   = ( $parent !== '' ? $parent . '/' : '' ) . $name;
+        }
+
+        $result = $client->copy( $from, $to, $conflict === 'overwrite' );
+
+        if ( is_wp_error( $result ) ) {
+            $status = ( $result->get_error_code() === 'wpnc_copy_exists' ) ? 409 : null;
+            wp_send_json_error( $result->get_error_message(), $status );
+        }
+
+        wp_send_json_success( array( 'from' => $from, 'to' => $to ) );
+    }
+
     /**
      * Get (or create) a public share link.
      *
@@ -183,94 +400,725 @@ class NC_Ajax {
         wp_send_json_success( array( 'url' => $url ) );
     }
 
+    /**
+     * List the shares of a file or folder.
+     *
+     * Input:  path (string)
+     * Output: shares[] — id, share_type, url, label, share_with,
+     *         has_password, expiration, permission (view|upload|edit), created
+     */
+    public function handle_shares() {
+        $this->verify_admin_request();
+
+        $path   = $this->input( 'path' );
+        $client = $this->client_or_die();
+
+        $this->send_shares( $client, $path );
+    }
+
+    /**
+     * Create a public share link with a password, expiry, label and
+     * permission level.
+     *
+     * Input:  path (string), label, password, expire ('Y-m-d', optional),
+     *         permission (view|upload|edit)
+     * Output: url (the new link), shares[] (as handle_shares)
+     */
+    public function handle_share_create() {
+        $this->verify_admin_request();
+
+        $path       = $this->input( 'path' );
+        $expire     = $this->input( 'expire' );
+        $permission = $this->input( 'permission', 'view' );
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Checked in verify_admin_request().
+        $password   = isset( $_POST['password'] ) ? (string) wp_unslash( $_POST['password'] ) : '';
+
+        if ( $path === '' ) {
+            wp_send_json_error( __( 'Missing path.', 'wp-nc-bridge' ), 400 );
+        }
+        if ( $expire !== '' && ! preg_match( '/^\d{4}-\d{2}-\d{2}$/', $expire ) ) {
+            wp_send_json_error( __( 'Invalid expiry date.', 'wp-nc-bridge' ), 400 );
+        }
+        if ( ! in_array( $permission, self::SHARE_LEVELS, true ) ) {
+            wp_send_json_error( __( 'Invalid permission.', 'wp-nc-bridge' ), 400 );
+        }
+
+        $client = $this->client_or_die();
+
+        $info = $client->get_info( $path );
+        if ( is_wp_error( $info ) ) {
+            wp_send_json_error( $info->get_error_message() );
+        }
+        if ( $permission === 'upload' && $info['type'] !== 'folder' ) {
+            wp_send_json_error( __( 'Uploads can only be allowed on folders.', 'wp-nc-bridge' ), 400 );
+        }
+
+        $share = $client->create_share( $path, array(
+            'password'    => $password,
+            'expire_date' => $expire,
+            'label'       => $this->input( 'label' ),
+            'permissions' => self::share_permissions( $permission, $info['type'] === 'folder' ),
+        ) );
+        if ( is_wp_error( $share ) ) {
+            wp_send_json_error( $share->get_error_message() );
+        }
+
+        $this->send_shares( $client, $path, array( 'url' => (string) ( $share['url'] ?? '' ) ) );
+    }
+
+    /**
+     * Revoke a share.
+     *
+     * Input:  id (string), path (string, to return the remaining shares)
+     * Output: shares[] (as handle_shares)
+     */
+    public function handle_share_delete() {
+        $this->verify_admin_request();
+
+        $id   = $this->input( 'id' );
+        $path = $this->input( 'path' );
+        if ( $id === '' ) {
+            wp_send_json_error( __( 'Missing share ID.', 'wp-nc-bridge' ), 400 );
+        }
+
+        $client = $this->client_or_die();
+
+        $result = $client->delete_share( $id );
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( $result->get_error_message() );
+        }
+
+        $this->send_shares( $client, $path );
+    }
+
+    /**
+     * Import a Nextcloud file into the Media Library.
+     *
+     * The file is streamed to a temporary file, then handed to WordPress
+     * like an upload (sizes, metadata), attached to the given post.
+     *
+     * Input:  path (string), post_id (int, optional)
+     * Output: id, url, mime, name
+     */
+    public function handle_import_media() {
+        $this->verify_admin_request();
+
+        $path    = $this->input( 'path' );
+        $post_id = absint( $this->input( 'post_id', '0' ) );
+        $client  = $this->client_or_die();
+
+        require_once ABSPATH . 'wp-admin/includes/file.php';
+        require_once ABSPATH . 'wp-admin/includes/media.php';
+        require_once ABSPATH . 'wp-admin/includes/image.php';
+
+        $name = wp_basename( $path );
+        $tmp  = wp_tempnam( $name );
+
+        $result = $client->download_to_file( $path, $tmp );
+        if ( is_wp_error( $result ) ) {
+            wp_delete_file( $tmp );
+            wp_send_json_error( $result->get_error_message(), 502 );
+        }
+
+        $id = media_handle_sideload( array( 'name' => $name, 'tmp_name' => $tmp ), $post_id );
+        if ( is_wp_error( $id ) ) {
+            wp_delete_file( $tmp );
+            wp_send_json_error( $id->get_error_message() );
+        }
+
+        wp_send_json_success( array(
+            'id'   => $id,
+            'url'  => wp_get_attachment_url( $id ),
+            'mime' => get_post_mime_type( $id ),
+            'name' => $name,
+        ) );
+    }
+
+    /**
+     * Sign a path picked in the Nextcloud File block, so the block renders it.
+     *
+     * The raw path is normalised and exactly that string is signed; the
+     * editor stores the returned path next to the signature.
+     *
+     * Input:  path (string)
+     * Output: path, sig
+     */
+    public function handle_editor_sign() {
+        $this->verify_admin_request();
+
+        $path = NC_Scope::normalize( (string) wp_unslash( $_POST['path'] ?? '' ) );
+        if ( $path === null || $path === '' ) {
+            wp_send_json_error( __( 'Invalid path.', 'wp-nc-bridge' ), 400 );
+        }
+
+        wp_send_json_success( array(
+            'path' => $path,
+            'sig'  => NC_Editor::signature( $path ),
+        ) );
+    }
+
     /**
      * Proxy a file download through WordPress.
      *
      * This allows the browser to fetch files without exposing NC credentials.
      * Works for both logged-in and anonymous users (if the admin configured it).
      *
-     * Input:  path (string), nonce via _nonce
+     * The file is streamed from Nextcloud piece by piece, never held in
+     * memory. A single byte range is answered with 206 Partial Content
+     * (honouring If-Range), so downloads resume and media players seek;
+     * If-None-Match / If-Modified-Since get a 304 from the ETag and
+     * Last-Modified that PROPFIND reports.
+     *
+     * Input:  path (string), nonce via _nonce or a download token via _wpnc_token
      */
     public function handle_download_proxy() {
         // For nopriv access we use a separate signed-token mechanism.
-        // For admin access we use the standard nonce.
-        if ( current_user_can( self::CAPABILITY ) ) {
-            $this->verify_admin_request();
+        // For admin access we use the standard nonce — unless the link
+        // carries a token (e.g. an offloaded attachment in a page).
+        $token = sanitize_text_field( $_GET['_wpnc_token'] ?? '' );
+
+        if ( $token === '' && is_user_logged_in() ) {
+            $this->verify_browser_request();
+            $path = $this->path_input( 'path' );
         } else {
             // Verify a time-limited token (generated elsewhere and appended to URL).
-            $token = sanitize_text_field( $_GET['_wpnc_token'] ?? '' );
-            $path  = sanitize_text_field( $_GET['path'] ?? '' );
+            $path = sanitize_text_field( $_GET['path'] ?? '' );
 
             if ( ! $this->verify_download_token( $token, $path ) ) {
                 wp_die( esc_html__( 'Invalid or expired download link.', 'wp-nc-bridge' ), 403 );
             }
+
+            // Serve exactly the path the token was issued for: a POSTed
+            // "path" would win in $_REQUEST, so it is not read again.
+            $path = NC_Scope::normalize( $path );
+            if ( $path === null || $path === '' ) {
+                wp_die( esc_html__( 'Invalid or expired download link.', 'wp-nc-bridge' ), 403 );
+            }
         }
 
-        $path   = $this->input( 'path' );
         $client = $this->client_or_die();
 
-        $content = $client->download( $path );
-        if ( is_wp_error( $content ) ) {
-            wp_die( esc_html( $content->get_error_message() ), 502 );
+        $info = $client->get_info( $path );
+        if ( is_wp_error( $info ) ) {
+            wp_die( esc_html( $info->get_error_message() ), 502 );
+        }
+        if ( $info['type'] === 'folder' ) {
+            wp_die( esc_html__( 'Folders cannot be downloaded directly.', 'wp-nc-bridge' ), 400 );
+        }
+
+        $size     = (int) $info['size'];
+        $mtime    = (int) strtotime( $info['modified'] );
+        $etag     = $info['etag'] !== '' ? '"' . $info['etag'] . '"' : '';
+        $modified = $mtime ? gmdate( 'D, d M Y H:i:s', $mtime ) . ' GMT' : '';
+
+        $validators = array_filter( array(
+            'ETag'          => $etag,
+            'Last-Modified' => $modified,
+            'Cache-Control' => 'private, max-age=3600',
+        ) );
+
+        // The browser's copy is still current.
+        if ( $this->not_modified( $etag, $mtime ) ) {
+            status_header( 304 );
+            $this->send_headers( $validators );
+            exit;
+        }
+
+        $range = $this->requested_range( $size, $etag, $mtime );
+        if ( $range === false ) {
+            status_header( 416 );
+            header( 'Content-Range: bytes */' . $size );
+            exit;
+        }
+
+        list( $start, $end ) = $range ?: array( 0, $size - 1 );
+
+        // Nextcloud's MIME type, else a guess from the extension.
+        $mime = $info['mime'] ?: ( wp_check_filetype( $path )['type'] ?: 'application/octet-stream' );
+
+        $headers = $validators + array(
+            'Content-Type'        => $mime,
+            'Content-Length'      => $end - $start + 1,
+            'Accept-Ranges'       => 'bytes',
+            'Content-Disposition' => 'inline; filename="' . basename( $path ) . '"',
+            'X-Accel-Buffering'   => 'no', // nginx: pass the stream through unbuffered
+        );
+        if ( $range ) {
+            $headers['Content-Range'] = sprintf( 'bytes %d-%d/%d', $start, $end, $size );
         }
 
-        // Guess MIME type from extension.
-        $ext  = strtolower( pathinfo( $path, PATHINFO_EXTENSION ) );
-        $mime = wp_check_filetype( 'file.' . $ext )['type'] ?: 'application/octet-stream';
+        if ( strtoupper( $this->server_header( 'REQUEST_METHOD' ) ) === 'HEAD' ) {
+            status_header( $range ? 206 : 200 );
+            $this->send_headers( $headers );
+            exit;
+        }
 
-        // Stream response.
-        header( 'Content-Type: ' . $mime );
-        header( 'Content-Length: ' . strlen( $content ) );
-        header( 'Content-Disposition: inline; filename="' . basename( $path ) . '"' );
-        header( 'Cache-Control: private, max-age=3600' );
+        if ( function_exists( 'set_time_limit' ) ) {
+            set_time_limit( 0 );
+        }
+        while ( ob_get_level() ) {
+            ob_end_clean();
+        }
 
-        // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- binary stream
-        echo $content;
+        $sent = false;
+        $skip = 0;                   // Bytes to drop if Nextcloud ignores our Range.
+        $left = $end - $start + 1;   // Bytes still owed to the browser.
+
+        $result = $client->stream(
+            $path,
+            function ( $data ) use ( &$skip, &$left ) {
+                if ( $skip > 0 ) {
+                    $drop  = min( $skip, strlen( $data ) );
+                    $data  = (string) substr( $data, $drop );
+                    $skip -= $drop;
+                }
+
+                $data  = (string) substr( $data, 0, $left );
+                $left -= strlen( $data );
+
+                // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- binary stream
+                echo $data;
+                flush();
+
+                return $left > 0 && ! connection_aborted();
+            },
+            $range ? array( 'Range' => sprintf( 'bytes=%d-%d', $start, $end ) ) : array(),
+            function ( $code ) use ( $range, $start, $headers, &$sent, &$skip ) {
+                if ( $range && $code !== 206 ) {
+                    $skip = $start;
+                }
+                status_header( $range ? 206 : 200 );
+                $this->send_headers( $headers );
+                $sent = true;
+            }
+        );
+
+        if ( is_wp_error( $result ) && ! $sent ) {
+            wp_die( esc_html( $result->get_error_message() ), 502 );
+        }
         exit;
     }
 
     /**
-     * Start a WP → Nextcloud sync for configured directory pairs.
+     * Thumbnail: the preview Nextcloud renders for a file, cached on the
+     * WordPress server (NC_Thumbnails) and in the browser.
+     *
+     * Input:  path, etag (the file's, from the listing: a changed file is
+     *         a new URL and a new cache entry)
+     * Output: the image; 404 when Nextcloud has no preview for the file
+     */
+    public function handle_thumbnail() {
+        $this->verify_browser_request();
+
+        $path = $this->path_input( 'path' );
+        $etag = preg_replace( '/[^A-Za-z0-9]/', '', $this->input( 'etag' ) );
+        $tag  = '"' . md5( $path . $etag ) . '"';
+
+        // The URL only changes with the file, so the browser may keep it.
+        $headers = array(
+            'ETag'          => $tag,
+            'Cache-Control' => 'private, max-age=' . YEAR_IN_SECONDS,
+        );
+
+        if ( $this->not_modified( $tag, 0 ) ) {
+            status_header( 304 );
+            $this->send_headers( $headers );
+            exit;
+        }
+
+        $thumb = NC_Thumbnails::get( $this->client_or_die(), $path, $etag );
+        if ( is_wp_error( $thumb ) ) {
+            status_header( $thumb->get_error_code() === 'wpnc_no_preview' ? 404 : 502 );
+            exit;
+        }
+
+        status_header( 200 );
+        $this->send_headers( $headers + array(
+            'Content-Type'   => $thumb['type'],
+            'Content-Length' => filesize( $thumb['file'] ),
+        ) );
+        readfile( $thumb['file'] ); // phpcs:ignore WordPress.WP.AlternativeFunctions
+        exit;
+    }
+
+    /**
+     * Prepare a ZIP download of files and folders and return its link.
+     *
+     * The selection is stored under a random id and the link carries a
+     * download token for that id (see generate_download_token()), so it
+     * works without a login until it expires and can be handed out.
+     * `job` lets the browser that starts the download poll its progress.
+     *
+     * Input:  paths (JSON array of remote paths), name (archive name without .zip, optional)
+     * Output: url, job, expires (Unix timestamp)
+     */
+    public function handle_zip_link() {
+        $this->verify_browser_request();
+
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing
+        $paths = json_decode( wp_unslash( $_POST['paths'] ?? '[]' ), true );
+        if ( ! is_array( $paths ) ) {
+            wp_send_json_error( __( 'Invalid paths list.', 'wp-nc-bridge' ), 400 );
+        }
+
+        $paths = array_map( function ( $path ) {
+            return trim( $this->scoped_path( sanitize_text_field( (string) $path ) ), '/' );
+        }, $paths );
+        $paths = array_values( array_unique( array_filter( $paths, 'strlen' ) ) );
+
+        if ( empty( $paths ) ) {
+            wp_send_json_error( __( 'Nothing selected.', 'wp-nc-bridge' ), 400 );
+        }
+
+        $name = $this->clean_filename( $this->input( 'name', '' ) );
+        if ( $name === '' ) {
+            $name = count( $paths ) === 1 ? wp_basename( $paths[0] ) : 'download';
+        }
+
+        $set = wp_generate_uuid4();
+        set_transient( 'wpnc_zip_' . $set, array( 'paths' => $paths, 'name' => $name ), self::ZIP_LINK_TTL );
+
+        $url = add_query_arg( array(
+            'action'      => 'wpnc_download_zip',
+            'set'         => $set,
+            '_wpnc_token' => rawurlencode( self::generate_download_token( 'zip:' . $set, self::ZIP_LINK_TTL ) ),
+        ), admin_url( 'admin-ajax.php' ) );
+
+        wp_send_json_success( array(
+            'url'     => $url,
+            'job'     => wp_generate_uuid4(),
+            'expires' => time() + self::ZIP_LINK_TTL,
+        ) );
+    }
+
+    /**
+     * Stream a ZIP archive prepared by handle_zip_link().
+     *
+     * The tree is listed first so the size of the whole download is
+     * known, then every file is piped from Nextcloud into the archive as
+     * it arrives (NC_Zip_Stream) — nothing is buffered in memory or on
+     * disk. Items that fail are listed in ERRORS.txt inside the archive.
+     * Progress goes to a transient the browser polls via wpnc_zip_progress.
+     *
+     * Works for anyone holding a valid link (token checked, no nonce).
+     *
+     * Input:  set, _wpnc_token, job (optional progress id)
+     */
+    public function handle_download_zip() {
+        // phpcs:disable WordPress.Security.NonceVerification.Recommended
+        $set   = sanitize_key( $_GET['set'] ?? '' );
+        $token = sanitize_text_field( $_GET['_wpnc_token'] ?? '' );
+        $job   = sanitize_key( $_GET['job'] ?? '' );
+        // phpcs:enable
+
+        $spec = $set ? get_transient( 'wpnc_zip_' . $set ) : false;
+        if ( ! is_array( $spec ) || ! $this->verify_download_token( $token, 'zip:' . $set ) ) {
+            wp_die( esc_html__( 'Invalid or expired download link.', 'wp-nc-bridge' ), 403 );
+        }
+
+        $client   = $this->client_or_die();
+        $entries  = array();
+        $errors   = array();
+        $progress = array(
+            'state'      => 'preparing',
+            'files'      => 0,
+            'bytes'      => 0,
+            'done_files' => 0,
+            'done_bytes' => 0,
+            'current'    => '',
+            'errors'     => 0,
+        );
+
+        $this->zip_progress( $job, $progress, true );
+
+        // 1. Walk the tree: entries plus the totals for progress. Items
+        //    with the same name (from different folders) get "name (2)".
+        $top = array();
+        foreach ( $spec['paths'] as $path ) {
+            $info = $client->get_info( $path );
+            if ( is_wp_error( $info ) ) {
+                $errors[] = $path . ': ' . $info->get_error_message();
+                continue;
+            }
+            $top[] = $this->unique_name( wp_basename( $path ), $top, $info['type'] === 'folder' );
+            $this->zip_collect( $client, $path, end( $top ), $info, $entries, $errors );
+        }
+
+        foreach ( $entries as $entry ) {
+            if ( $entry['type'] === 'file' ) {
+                $progress['files']++;
+                $progress['bytes'] += $entry['size'];
+            }
+        }
+        $progress['errors'] = count( $errors );
+
+        // 2. Stream the archive.
+        if ( function_exists( 'set_time_limit' ) ) {
+            set_time_limit( 0 );
+        }
+        while ( ob_get_level() ) {
+            ob_end_clean();
+        }
+
+        nocache_headers();
+        header( 'Content-Type: application/zip' );
+        header( 'Content-Disposition: attachment; filename="' . $spec['name'] . '.zip"' );
+        header( 'X-Accel-Buffering: no' ); // nginx: pass the stream through unbuffered
+
+        $zip = new NC_Zip_Stream( function ( $bytes ) {
+            // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- binary stream
+            echo $bytes;
+            flush();
+        } );
+
+        $progress['state'] = 'zipping';
+
+        foreach ( $entries as $entry ) {
+            if ( connection_aborted() ) {
+                break;
+            }
+
+            if ( $entry['type'] === 'folder' ) {
+                $zip->add_folder( $entry['entry'], $entry['mtime'] );
+                continue;
+            }
+
+            $progress['current'] = $entry['entry'];
+            $this->zip_progress( $job, $progress, true );
+
+            // The entry starts with the first byte, so a file that cannot be read leaves no trace.
+            $started = false;
+            $result  = $client->stream( $entry['path'], function ( $data ) use ( $zip, $entry, $job, &$started, &$progress ) {
+                if ( ! $started ) {
+                    $zip->begin_file( $entry['entry'], $entry['size'], $entry['mtime'] );
+                    $started = true;
+                }
+                $zip->write( $data );
+
+                $progress['done_bytes'] += strlen( $data );
+                $this->zip_progress( $job, $progress );
+
+                return ! connection_aborted();
+            } );
+
+            if ( is_wp_error( $result ) ) {
+                $errors[] = $entry['path'] . ': ' . $result->get_error_message() . ( $started ? ' (incomplete)' : '' );
+                $progress['errors']++;
+            } elseif ( ! $started ) {
+                $zip->begin_file( $entry['entry'], 0, $entry['mtime'] ); // empty file
+            }
+
+            $zip->end_file();
+            $progress['done_files']++;
+        }
+
+        if ( connection_aborted() ) {
+            $progress['state'] = 'cancelled';
+            $this->zip_progress( $job, $progress, true );
+            exit;
+        }
+
+        if ( $errors ) {
+            $zip->add_file_from_string( 'ERRORS.txt', implode( "\n", $errors ) . "\n" );
+        }
+        $zip->finish();
+
+        $progress['state']   = 'done';
+        $progress['current'] = '';
+        $progress['errors']  = count( $errors );
+        $this->zip_progress( $job, $progress, true );
+        exit;
+    }
+
+    /**
+     * Progress of a ZIP download started with a `job` id.
+     *
+     * Input:  job
+     * Output: state (waiting | preparing | zipping | done | cancelled),
+     *         files, bytes, done_files, done_bytes, current, errors
+     */
+    public function handle_zip_progress() {
+        $this->verify_browser_request();
+
+        $job      = sanitize_key( $this->input( 'job' ) );
+        $progress = $job ? get_transient( 'wpnc_zipjob_' . $job ) : false;
+
+        wp_send_json_success( is_array( $progress ) ? $progress : array( 'state' => 'waiting' ) );
+    }
+
+    /**
+     * Start a WP → Nextcloud sync of the configured directory pairs as a
+     * background job (see NC_Sync_Job).
+     *
+     * Returns the job status; poll wpnc_sync_status for progress.
+     */
+    public function handle_sync_start() {
+        $this->verify_admin_request();
+
+        $this->client_or_die(); // Fail now, not in the background, when unconfigured.
+
+        $opts = get_option( NC_Settings::OPTION_KEY, NC_Settings::defaults() );
+        $dirs = $opts['sync_dirs'] ?? array();
+
+        if ( empty( $dirs ) ) {
+            wp_send_json_error( __( 'No sync directories configured.', 'wp-nc-bridge' ) );
+        }
+
+        $job = NC_Sync_Job::start( $dirs );
+        if ( is_wp_error( $job ) ) {
+            wp_send_json_error( $job->get_error_message(), 409 );
+        }
+
+        wp_send_json_success( NC_Sync_Job::status() );
+    }
+
+    /**
+     * Status of the current (or last) sync job.
+     *
+     * Expects: $_POST['since'] — log lines the caller already has.
+     * Returns: { id, state, counts, pair, pairs, current, …, log[], next }
+     *          or { state: 'idle' } when no sync has run yet.
+     */
+    public function handle_sync_status() {
+        $this->verify_admin_request();
+
+        $status = NC_Sync_Job::status( absint( $this->input( 'since', 0 ) ) );
+
+        wp_send_json_success( $status ?? array( 'state' => 'idle' ) );
+    }
+
+    /**
+     * Cancel the running sync job; it stops after the file in progress.
+     *
+     * Expects: $_POST['job']
+     */
+    public function handle_sync_cancel() {
+        $this->verify_admin_request();
+
+        $result = NC_Sync_Job::cancel( $this->input( 'job' ) );
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( $result->get_error_message(), 404 );
+        }
+
+        wp_send_json_success();
+    }
+
+    /**
+     * Dry run of the configured directory pairs (see NC_Sync_Preview).
+     *
+     * Each call works for a few seconds; call again with the returned
+     * token until done.
+     *
+     * Expects: $_POST['token'] — empty to start a new preview.
+     * Returns: { token, done, pair, pairs[], rows[], warnings[] }
+     */
+    public function handle_sync_preview() {
+        $this->verify_admin_request();
+
+        $token = $this->input( 'token' );
+
+        if ( $token === '' ) {
+            $this->client_or_die();
+
+            $opts = get_option( NC_Settings::OPTION_KEY, NC_Settings::defaults() );
+            $dirs = $opts['sync_dirs'] ?? array();
+
+            if ( empty( $dirs ) ) {
+                wp_send_json_error( __( 'No sync directories configured.', 'wp-nc-bridge' ) );
+            }
+
+            $result = NC_Sync_Preview::start( $dirs );
+        } else {
+            $result = NC_Sync_Preview::next( $token );
+        }
+
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( $result->get_error_message(), $result->get_error_code() === 'wpnc_preview_expired' ? 410 : null );
+        }
+
+        wp_send_json_success( $result );
+    }
+
+    /**
+     * Test a pair's filters, as typed and not yet saved, against its local
+     * directory.
+     *
+     * Expects: $_POST['local']   — local path relative to the WP root.
+     *          $_POST['include'], $_POST['exclude'] — comma-separated globs.
+     *          $_POST['min_size'], $_POST['max_size'] (KB), $_POST['max_age'] (days).
+     * Returns: { files, bytes, skipped{reason: n}, samples{included[], skipped[]}, truncated }
+     */
+    public function handle_sync_test_filters() {
+        $this->verify_admin_request();
+
+        $root  = realpath( ABSPATH );
+        $local = realpath( untrailingslashit( ABSPATH ) . '/' . ltrim( $this->input( 'local' ), '/' ) );
+
+        if ( $local === false || ! is_dir( $local ) ) {
+            wp_send_json_error( __( 'Local directory does not exist.', 'wp-nc-bridge' ), 404 );
+        }
+        if ( $local !== $root && strpos( $local, trailingslashit( $root ) ) !== 0 ) {
+            wp_send_json_error( __( 'The local directory must be inside the WordPress root.', 'wp-nc-bridge' ), 400 );
+        }
+
+        $filter = new NC_Sync_Filter( array(
+            'include'  => $this->input( 'include' ),
+            'exclude'  => $this->input( 'exclude' ),
+            'min_size' => $this->input( 'min_size' ),
+            'max_size' => $this->input( 'max_size' ),
+            'max_age'  => $this->input( 'max_age' ),
+        ) );
+
+        wp_send_json_success( $filter->test( $local, NC_Sync::DEFAULT_SKIP ) );
+    }
+
+    /**
+     * Past sync runs (newest first) and the next scheduled run of each pair.
+     *
+     * Returns: { runs: [ { id, trigger, state, pairs, started, finished, counts, log_lines } ],
+     *            upcoming: [ { local, remote, schedule, interval, next } ] }
+     */
+    public function handle_sync_history() {
+        $this->verify_admin_request();
+
+        wp_send_json_success( array(
+            'runs'     => NC_Sync_History::runs(),
+            'upcoming' => NC_Sync_Schedule::upcoming(),
+        ) );
+    }
+
+    /**
+     * Log of one past sync run.
      *
-     * Returns a log of operations performed.
+     * Expects: $_POST['id']
      */
-    public function handle_sync_start() {
+    public function handle_sync_history_log() {
         $this->verify_admin_request();
 
-        $client = $this->client_or_die();
-
-        $opts    = get_option( NC_Settings::OPTION_KEY, NC_Settings::defaults() );
-        $dirs    = $opts['sync_dirs'] ?? array();
-        $root    = $opts['nc_root_path'] ?? '/WordPress';
-        $max_mb  = (int) ( $opts['max_file_size'] ?? 2048 );
-        $max_bytes = $max_mb > 0 ? $max_mb * 1048576 : PHP_INT_MAX;
-
-        $sync = new NC_Sync( $client, $max_bytes );
-
-        if ( empty( $dirs ) ) {
-            wp_send_json_error( __( 'No sync directories configured.', 'wp-nc-bridge' ) );
+        $log = NC_Sync_History::log( $this->input( 'id' ) );
+        if ( $log === null ) {
+            wp_send_json_error( __( 'Sync run not found.', 'wp-nc-bridge' ), 404 );
         }
 
-        $log = array();
-
-        foreach ( $dirs as $pair ) {
-            $local_abs  = untrailingslashit( ABSPATH ) . '/' . ltrim( $pair['local'], '/' );
-            $remote_rel = ltrim( $root, '/' ) . '/' . ltrim( $pair['remote'], '/' );
+        wp_send_json_success( array( 'log' => $log ) );
+    }
 
-            if ( ! is_dir( $local_abs ) ) {
-                $log[] = sprintf( '⚠ SKIP  Local dir not found: %s', $pair['local'] );
-                continue;
-            }
+    /**
+     * Run one batch of the sync job. Called by NC_Sync_Job's loopback
+     * request, authenticated by the job key rather than a nonce.
+     *
+     * Expects: $_POST['job'], $_POST['key']
+     */
+    public function handle_sync_batch() {
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing
+        $key = sanitize_text_field( wp_unslash( $_POST['key'] ?? '' ) );
 
-            $result = $sync->sync_directory( $local_abs, $remote_rel );
-            if ( is_wp_error( $result ) ) {
-                $log[] = sprintf( '✗ ERROR %s → %s : %s', $pair['local'], $pair['remote'], $result->get_error_message() );
-            } else {
-                $log = array_merge( $log, $result );
-            }
+        $result = NC_Sync_Job::run_batch( $this->input( 'job' ), $key );
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( $result->get_error_message(), 403 );
         }
 
-        wp_send_json_success( array( 'log' => $log ) );
+        wp_send_json_success();
     }
 
     /* ================================================================
@@ -283,7 +1131,7 @@ class NC_Ajax {
      * Expects: $_FILES['file'], $_POST['path'] (remote destination folder).
      */
     public function handle_upload_simple() {
-        $this->verify_admin_request();
+        $this->verify_browser_request( 'upload' );
 
         if ( empty( $_FILES['file'] ) ) {
             wp_send_json_error( __( 'No file received.', 'wp-nc-bridge' ) );
@@ -294,8 +1142,11 @@ class NC_Ajax {
             wp_send_json_error( sprintf( __( 'Upload error code: %d', 'wp-nc-bridge' ), $file['error'] ) );
         }
 
-        $dest_folder = $this->input( 'path', '' );
-        $filename    = sanitize_file_name( $file['name'] );
+        $dest_folder = $this->path_input( 'path' );
+        $filename    = $this->clean_filename( $file['name'] );
+        if ( $filename === '' ) {
+            wp_send_json_error( __( 'Filename is required.', 'wp-nc-bridge' ) );
+        }
         $remote_path = ( $dest_folder ? trim( $dest_folder, '/' ) . '/' : '' ) . $filename;
 
         $client = $this->client_or_die();
@@ -318,14 +1169,14 @@ class NC_Ajax {
      * Output: upload_id (UUID for subsequent chunk calls)
      */
     public function handle_upload_init() {
-        $this->verify_admin_request();
+        $this->verify_browser_request( 'upload' );
 
-        $filename = sanitize_file_name( $this->input( 'filename' ) );
-        if ( empty( $filename ) ) {
+        $filename = $this->clean_filename( $this->input( 'filename' ) );
+        if ( $filename === '' ) {
             wp_send_json_error( __( 'Filename is required.', 'wp-nc-bridge' ) );
         }
 
-        $dest_folder = $this->input( 'path', '' );
+        $dest_folder = $this->path_input( 'path' );
         $upload_id   = wp_generate_uuid4();
 
         $client = $this->client_or_die();
@@ -335,14 +1186,17 @@ class NC_Ajax {
         $response   = $this->nc_raw_request( $client, 'MKCOL', $upload_url );
 
         if ( is_wp_error( $response ) ) {
-            wp_send_json_error( $response->get_error_message() );
+            wp_send_json_error( $response->get_error_message(), 502 );
         }
 
         $code = wp_remote_retrieve_response_code( $response );
         if ( $code !== 201 && $code !== 405 ) {
-            wp_send_json_error( sprintf( __( 'MKCOL chunk dir returned HTTP %d.', 'wp-nc-bridge' ), $code ) );
+            wp_send_json_error( sprintf( __( 'MKCOL chunk dir returned HTTP %d.', 'wp-nc-bridge' ), $code ), $code >= 500 ? 502 : null );
         }
 
+        // Only this user may send chunks to, finish or cancel the upload.
+        set_transient( 'wpnc_upload_' . $upload_id, get_current_user_id(), self::UPLOAD_OWNER_TTL );
+
         wp_send_json_success( array(
             'upload_id' => $upload_id,
             'filename'  => $filename,
@@ -356,7 +1210,7 @@ class NC_Ajax {
      * Expects: $_FILES['chunk'], $_POST['upload_id'], $_POST['offset']
      */
     public function handle_upload_chunk() {
-        $this->verify_admin_request();
+        $this->verify_browser_request( 'upload' );
 
         if ( empty( $_FILES['chunk'] ) ) {
             wp_send_json_error( __( 'No chunk data received.', 'wp-nc-bridge' ) );
@@ -367,7 +1221,7 @@ class NC_Ajax {
             wp_send_json_error( sprintf( __( 'Chunk upload error code: %d', 'wp-nc-bridge' ), $chunk_file['error'] ) );
         }
 
-        $upload_id = sanitize_text_field( $this->input( 'upload_id' ) );
+        $upload_id = $this->upload_id_or_die();
         $offset    = (int) $this->input( 'offset', '0' );
         $chunk_data = file_get_contents( $chunk_file['tmp_name'] );
 
@@ -388,12 +1242,12 @@ class NC_Ajax {
         ) );
 
         if ( is_wp_error( $response ) ) {
-            wp_send_json_error( $response->get_error_message() );
+            wp_send_json_error( $response->get_error_message(), 502 );
         }
 
         $code = wp_remote_retrieve_response_code( $response );
         if ( $code !== 201 && $code !== 204 ) {
-            wp_send_json_error( sprintf( __( 'Chunk PUT returned HTTP %d at offset %d.', 'wp-nc-bridge' ), $code, $offset ) );
+            wp_send_json_error( sprintf( __( 'Chunk PUT returned HTTP %d at offset %d.', 'wp-nc-bridge' ), $code, $offset ), $code >= 500 ? 502 : null );
         }
 
         wp_send_json_success( array(
@@ -406,22 +1260,56 @@ class NC_Ajax {
     /**
      * Chunked upload — Step 3: Assemble chunks into final file.
      *
-     * Input: upload_id, filename, path (destination folder)
+     * Chunks may have arrived in any order (the browser sends several in
+     * parallel). Nextcloud assembles them by name, and the zero-padded
+     * "{offset}-{end}" names sort in byte order. When the client passes the
+     * total size, the stored ranges are checked for gaps first so a missing
+     * chunk fails loudly instead of producing a corrupt file.
+     *
+     * A repeated finish (the first reply was lost and the browser retried)
+     * finds the chunks already assembled; when the target file is there
+     * with the expected size, that counts as success.
+     *
+     * Input: upload_id, filename, path (destination folder), size (optional, bytes)
      */
     public function handle_upload_finish() {
-        $this->verify_admin_request();
+        $this->verify_browser_request( 'upload' );
 
-        $upload_id = sanitize_text_field( $this->input( 'upload_id' ) );
-        $filename  = sanitize_file_name( $this->input( 'filename' ) );
-        $dest_folder = $this->input( 'path', '' );
+        $upload_id = $this->upload_id_or_die();
+        $filename  = $this->clean_filename( $this->input( 'filename' ) );
+        $dest_folder = $this->path_input( 'path' );
 
-        if ( empty( $upload_id ) || empty( $filename ) ) {
+        if ( $filename === '' ) {
             wp_send_json_error( __( 'Missing upload_id or filename.', 'wp-nc-bridge' ) );
         }
 
         $remote_path = ( $dest_folder ? trim( $dest_folder, '/' ) . '/' : '' ) . $filename;
 
         $client    = $this->client_or_die();
+
+        $expected_size = (int) $this->input( 'size', '0' );
+        if ( $expected_size > 0 ) {
+            $chunks = $client->get_upload_chunks( $upload_id );
+            if ( is_wp_error( $chunks ) ) {
+                if ( $chunks->get_error_code() === 'wpnc_upload_not_found' ) {
+                    $this->upload_already_finished( $client, $filename, $remote_path, $expected_size );
+                }
+                wp_send_json_error( $chunks->get_error_message(), 502 );
+            }
+
+            $covered = 0;
+            foreach ( $chunks as $chunk ) {
+                if ( $chunk['offset'] !== $covered ) {
+                    break;
+                }
+                $covered = $chunk['end'];
+            }
+
+            if ( $covered !== $expected_size ) {
+                wp_send_json_error( sprintf( __( 'Upload incomplete: chunks cover %1$d of %2$d bytes.', 'wp-nc-bridge' ), $covered, $expected_size ) );
+            }
+        }
+
         $source    = $this->get_nc_upload_url( $client ) . $upload_id . '/.file';
         $dest_url  = $this->get_nc_dav_url( $client ) . $this->encode_path( $remote_path );
 
@@ -431,12 +1319,15 @@ class NC_Ajax {
         ) );
 
         if ( is_wp_error( $response ) ) {
-            wp_send_json_error( $response->get_error_message() );
+            wp_send_json_error( $response->get_error_message(), 502 );
         }
 
         $code = wp_remote_retrieve_response_code( $response );
+        if ( $code === 404 ) {
+            $this->upload_already_finished( $client, $filename, $remote_path, $expected_size );
+        }
         if ( $code !== 201 && $code !== 204 ) {
-            wp_send_json_error( sprintf( __( 'Chunk assembly MOVE returned HTTP %d.', 'wp-nc-bridge' ), $code ) );
+            wp_send_json_error( sprintf( __( 'Chunk assembly MOVE returned HTTP %d.', 'wp-nc-bridge' ), $code ), $code >= 500 ? 502 : null );
         }
 
         wp_send_json_success( array(
@@ -445,10 +1336,211 @@ class NC_Ajax {
         ) );
     }
 
+    /**
+     * Chunked upload — Resume: report which chunks Nextcloud already holds.
+     *
+     * The browser keeps upload_id in localStorage; after a reload or a
+     * dropped connection it asks here which byte ranges it can skip.
+     *
+     * Input:  upload_id
+     * Output: exists (bool), chunks[] — each with offset, end, size; received (bytes)
+     */
+    public function handle_upload_status() {
+        $this->verify_browser_request( 'upload' );
+
+        $upload_id = $this->upload_id_or_die();
+        $client    = $this->client_or_die();
+
+        $chunks = $client->get_upload_chunks( $upload_id );
+
+        if ( is_wp_error( $chunks ) ) {
+            if ( $chunks->get_error_code() !== 'wpnc_upload_not_found' ) {
+                wp_send_json_error( $chunks->get_error_message(), 502 );
+            }
+
+            // Temp dir is gone — the client must start a fresh upload.
+            wp_send_json_success( array(
+                'upload_id' => $upload_id,
+                'exists'    => false,
+                'chunks'    => array(),
+                'received'  => 0,
+            ) );
+        }
+
+        wp_send_json_success( array(
+            'upload_id' => $upload_id,
+            'exists'    => true,
+            'chunks'    => $chunks,
+            'received'  => array_sum( wp_list_pluck( $chunks, 'size' ) ),
+        ) );
+    }
+
+    /**
+     * Chunked upload — Cancel: delete the temp directory and its chunks.
+     *
+     * Input: upload_id
+     */
+    public function handle_upload_abort() {
+        $this->verify_browser_request( 'upload' );
+
+        $upload_id = $this->upload_id_or_die();
+        $client    = $this->client_or_die();
+
+        $result = $client->abort_upload( $upload_id );
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( $result->get_error_message() );
+        }
+        delete_transient( 'wpnc_upload_' . $upload_id );
+
+        wp_send_json_success( array( 'aborted' => $upload_id ) );
+    }
+
+    /**
+     * Conflict check: which of the names about to be uploaded already exist.
+     *
+     * Names are cleaned exactly like the upload handlers do, so the browser
+     * compares against the name the file will really get on Nextcloud.
+     *
+     * Input:  path (destination folder), names (JSON array of file names)
+     * Output: names[] — each with name, remote, exists; existing[] (every
+     *         name in the folder, for picking a free "name (2).ext")
+     */
+    public function handle_upload_check() {
+        $this->verify_browser_request( 'upload' );
+
+        $path = $this->path_input( 'path' );
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing
+        $names = json_decode( wp_unslash( $_POST['names'] ?? '[]' ), true );
+
+        if ( ! is_array( $names ) ) {
+            wp_send_json_error( __( 'Invalid names list.', 'wp-nc-bridge' ), 400 );
+        }
+
+        $client = $this->client_or_die();
+        $items  = $client->list_folder( $path );
+
+        if ( is_wp_error( $items ) ) {
+            wp_send_json_error( $items->get_error_message() );
+        }
+
+        $existing = wp_list_pluck( $items, 'name' );
+        $lookup   = array_flip( $existing );
+        $result   = array();
+
+        foreach ( $names as $name ) {
+            $name   = sanitize_text_field( (string) $name );
+            $remote = $this->clean_filename( $name );
+
+            $result[] = array(
+                'name'   => $name,
+                'remote' => $remote,
+                'exists' => isset( $lookup[ $remote ] ),
+            );
+        }
+
+        wp_send_json_success( array(
+            'path'     => $path,
+            'names'    => $result,
+            'existing' => $existing,
+        ) );
+    }
+
     /* ================================================================
      *  UPLOAD HELPERS
      * ============================================================= */
 
+    /**
+     * First "name (n).ext" not in $taken; $name itself if it is free.
+     *
+     * An existing " (n)" suffix is replaced rather than stacked.
+     *
+     * @param string   $name    Desired name.
+     * @param string[] $taken   Names already in the folder.
+     * @param bool     $folder  A folder name: " (n)" goes at the end, not before a dot.
+     * @return string
+     */
+    private function unique_name( string $name, array $taken, bool $folder = false ): string {
+        $lookup = array_flip( $taken );
+        if ( ! isset( $lookup[ $name ] ) ) {
+            return $name;
+        }
+
+        $dot  = $folder ? false : strrpos( $name, '.' );
+        $base = $dot ? substr( $name, 0, $dot ) : $name;
+        $ext  = $dot ? substr( $name, $dot ) : '';
+        $base = preg_replace( '/ \(\d+\)$/', '', $base );
+
+        for ( $n = 2; ; $n++ ) {
+            $candidate = $base . ' (' . $n . ')' . $ext;
+            if ( ! isset( $lookup[ $candidate ] ) ) {
+                return $candidate;
+            }
+        }
+    }
+
+    /**
+     * Reduce an uploaded file name to a single, Nextcloud-safe path segment.
+     *
+     * Unlike sanitize_file_name() this keeps spaces and parentheses, so
+     * "Report (2).pdf" stays "Report (2).pdf" and matches the name shown in
+     * Nextcloud. Only separators, control characters and the characters
+     * Nextcloud rejects are removed.
+     *
+     * @param string $name  Raw file name.
+     * @return string  Cleaned name, '' if nothing usable is left.
+     */
+    private function clean_filename( string $name ): string {
+        $name = wp_basename( str_replace( '\\', '/', $name ) );
+        $name = preg_replace( '/[\x00-\x1F\x7F:*?"<>|]/u', '', $name );
+        $name = trim( (string) $name );
+
+        return ( $name === '.' || $name === '..' ) ? '' : $name;
+    }
+
+    /**
+     * Finish retried after the chunks were assembled: reply with success
+     * when the target file exists (with the expected size, if known).
+     * Returns otherwise, so the caller reports its own error.
+     *
+     * @param Nextcloud_Client $client
+     * @param string           $filename
+     * @param string           $remote_path
+     * @param int              $expected_size  0 = unknown.
+     */
+    private function upload_already_finished( Nextcloud_Client $client, string $filename, string $remote_path, int $expected_size ) {
+        $info = $client->get_info( $remote_path );
+        if ( is_wp_error( $info ) || $info['type'] !== 'file' ) {
+            return;
+        }
+        if ( $expected_size > 0 && (int) $info['size'] !== $expected_size ) {
+            return;
+        }
+
+        wp_send_json_success( array(
+            'file'   => $filename,
+            'remote' => $remote_path,
+        ) );
+    }
+
+    /**
+     * Read the upload_id parameter and reject anything that is not a UUID,
+     * or not an upload the current user started.
+     *
+     * The ID ends up in a Nextcloud URL, so it must never carry path segments.
+     *
+     * @return string
+     */
+    private function upload_id_or_die(): string {
+        $upload_id = $this->input( 'upload_id' );
+        if ( ! wp_is_uuid( $upload_id, 4 ) ) {
+            wp_send_json_error( __( 'Invalid upload_id.', 'wp-nc-bridge' ), 400 );
+        }
+        if ( (int) get_transient( 'wpnc_upload_' . $upload_id ) !== get_current_user_id() ) {
+            wp_send_json_error( __( 'Unknown or expired upload.', 'wp-nc-bridge' ), 403 );
+        }
+        return $upload_id;
+    }
+
     /**
      * Get the NC uploads endpoint URL for the current user.
      */
@@ -534,6 +1626,72 @@ class NC_Ajax {
         return $response;
     }
 
+    /**
+     * Flatten a remote file, or a folder and everything below it, into
+     * ZIP entries (folders before their content).
+     *
+     * @param Nextcloud_Client $client
+     * @param string           $path     Remote path.
+     * @param string           $entry    Path inside the archive.
+     * @param array            $item     get_info() / list_folder() item.
+     * @param array[]          $entries  Collected: type, path, entry, size, mtime.
+     * @param string[]         $errors   Failures, one line each.
+     */
+    private function zip_collect( Nextcloud_Client $client, string $path, string $entry, array $item, array &$entries, array &$errors ) {
+        $mtime = (int) strtotime( $item['modified'] ?? '' );
+
+        if ( $item['type'] !== 'folder' ) {
+            $entries[] = array(
+                'type'  => 'file',
+                'path'  => $path,
+                'entry' => $entry,
+                'size'  => (int) $item['size'],
+                'mtime' => $mtime,
+            );
+            return;
+        }
+
+        $entries[] = array(
+            'type'  => 'folder',
+            'path'  => $path,
+            'entry' => $entry . '/',
+            'size'  => 0,
+            'mtime' => $mtime,
+        );
+
+        $items = $client->list_folder( $path );
+        if ( is_wp_error( $items ) ) {
+            $errors[] = $path . ': ' . $items->get_error_message();
+            return;
+        }
+
+        foreach ( $items as $child ) {
+            $this->zip_collect( $client, $path . '/' . $child['name'], $entry . '/' . $child['name'], $child, $entries, $errors );
+        }
+    }
+
+    /**
+     * Store ZIP progress for wpnc_zip_progress. At most one write per
+     * second unless forced; nothing without a job id.
+     *
+     * @param string $job       Progress id ('' = not tracked).
+     * @param array  $progress  Counters; `updated` is set here.
+     * @param bool   $force     Write even if the last write was recent.
+     */
+    private function zip_progress( string $job, array &$progress, bool $force = false ) {
+        if ( $job === '' ) {
+            return;
+        }
+
+        $now = microtime( true );
+        if ( ! $force && $now - ( $progress['updated'] ?? 0 ) < 1 ) {
+            return;
+        }
+
+        $progress['updated'] = $now;
+        set_transient( 'wpnc_zipjob_' . $job, $progress, HOUR_IN_SECONDS );
+    }
+
     /* ================================================================
      *  DOWNLOAD TOKEN (for nopriv proxy access)
      * ============================================================= */
@@ -541,17 +1699,44 @@ class NC_Ajax {
     /**
      * Generate a time-limited HMAC token for a specific file path.
      *
+     * With a step, the expiry is rounded up to a multiple of it, so the
+     * same link is handed out for that long (and can be cached).
+     *
      * @param string $path    Remote file path.
      * @param int    $ttl     Lifetime in seconds (default 1 hour).
+     * @param int    $step    Round the expiry up to this many seconds (0 = exact).
      * @return string  Token string.
      */
-    public static function generate_download_token( string $path, int $ttl = 3600 ): string {
+    public static function generate_download_token( string $path, int $ttl = 3600, int $step = 0 ): string {
         $expires = time() + $ttl;
+        if ( $step > 0 ) {
+            $expires = (int) ( ceil( $expires / $step ) * $step );
+        }
         $payload = $expires . '|' . $path;
         $hmac    = hash_hmac( 'sha256', $payload, wp_salt( 'auth' ) );
         return base64_encode( $expires . '|' . $hmac );
     }
 
+    /**
+     * Signed link to a file through the download proxy, valid without a
+     * login (see generate_download_token()).
+     *
+     * Slashes in the path stay readable: WordPress matches image srcset
+     * sources by their path.
+     *
+     * @param string $path  Remote file path.
+     * @param int    $ttl   Lifetime in seconds.
+     * @param int    $step  Round the expiry up to this many seconds (0 = exact).
+     * @return string
+     */
+    public static function download_url( string $path, int $ttl = 3600, int $step = 0 ): string {
+        return add_query_arg( array(
+            'action'      => 'wpnc_download_proxy',
+            'path'        => str_replace( '%2F', '/', rawurlencode( $path ) ),
+            '_wpnc_token' => rawurlencode( self::generate_download_token( $path, $ttl, $step ) ),
+        ), admin_url( 'admin-ajax.php' ) );
+    }
+
     /**
      * Verify a download token.
      *
@@ -584,6 +1769,106 @@ class NC_Ajax {
         return hash_equals( $expected_hmac, $hmac );
     }
 
+    /* ================================================================
+     *  CONDITIONAL & RANGE REQUESTS (download proxy)
+     * ============================================================= */
+
+    /**
+     * Whether the browser's cached copy is current (→ 304).
+     * If-None-Match takes precedence over If-Modified-Since.
+     *
+     * @param string $etag   Quoted ETag ('' = unknown).
+     * @param int    $mtime  Last modification (0 = unknown).
+     * @return bool
+     */
+    private function not_modified( string $etag, int $mtime ): bool {
+        $if_none_match = $this->server_header( 'HTTP_IF_NONE_MATCH' );
+        if ( $if_none_match !== '' ) {
+            if ( $etag === '' ) {
+                return false;
+            }
+            if ( $if_none_match === '*' ) {
+                return true;
+            }
+            // Weak comparison: W/"x" matches "x".
+            foreach ( explode( ',', $if_none_match ) as $candidate ) {
+                if ( preg_replace( '#^W/#', '', trim( $candidate ) ) === $etag ) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        $since = strtotime( $this->server_header( 'HTTP_IF_MODIFIED_SINCE' ) );
+        return $mtime && $since && $mtime <= $since;
+    }
+
+    /**
+     * The byte range the browser asked for.
+     *
+     * Only a single range is served; several ranges, syntax we do not
+     * understand, or an If-Range that no longer matches fall back to the
+     * whole file, as RFC 9110 allows.
+     *
+     * @param int    $size   File size.
+     * @param string $etag   Quoted ETag ('' = unknown).
+     * @param int    $mtime  Last modification (0 = unknown).
+     * @return int[]|null|false  { start, end } (inclusive), null = whole file,
+     *                           false = not satisfiable (→ 416).
+     */
+    private function requested_range( int $size, string $etag, int $mtime ) {
+        $header = $this->server_header( 'HTTP_RANGE' );
+        if ( $size === 0 || ! preg_match( '/^bytes=\s*(\d*)\s*-\s*(\d*)$/i', $header, $m ) || ( $m[1] . $m[2] ) === '' ) {
+            return null;
+        }
+
+        // If-Range: a strong ETag or the exact Last-Modified date.
+        $if_range = $this->server_header( 'HTTP_IF_RANGE' );
+        if ( $if_range !== '' ) {
+            $current = ( $if_range[0] === '"' || strpos( $if_range, 'W/' ) === 0 )
+                ? ( $etag !== '' && $if_range === $etag )
+                : ( $mtime && strtotime( $if_range ) === $mtime );
+            if ( ! $current ) {
+                return null;
+            }
+        }
+
+        if ( $m[1] === '' ) {
+            // Suffix range "bytes=-500": the last 500 bytes.
+            $suffix = (int) $m[2];
+            return $suffix > 0 ? array( max( 0, $size - $suffix ), $size - 1 ) : false;
+        }
+
+        $start = (int) $m[1];
+        $end   = $m[2] === '' ? $size - 1 : min( (int) $m[2], $size - 1 );
+
+        if ( $start >= $size ) {
+            return false;
+        }
+        return $end >= $start ? array( $start, $end ) : null;
+    }
+
+    /**
+     * Read a request header (or other server variable) from $_SERVER.
+     *
+     * @param string $key  e.g. HTTP_RANGE.
+     * @return string  Unslashed, trimmed; '' if missing.
+     */
+    private function server_header( string $key ): string {
+        return trim( sanitize_text_field( wp_unslash( $_SERVER[ $key ] ?? '' ) ) );
+    }
+
+    /**
+     * Send a set of response headers.
+     *
+     * @param array $headers  name → value.
+     */
+    private function send_headers( array $headers ) {
+        foreach ( $headers as $name => $value ) {
+            header( $name . ': ' . $value );
+        }
+    }
+
     /* ================================================================
      *  INTERNAL HELPERS
      * ============================================================= */
@@ -599,6 +1884,62 @@ class NC_Ajax {
         }
     }
 
+    /**
+     * Verify nonce + access for file-browser requests.
+     *
+     * Users with the capability may go anywhere. Others need a folder the
+     * shortcode gave them (NC_Scope) that allows the action; the paths they
+     * send are checked by path_input() / scoped_path().
+     *
+     * @param string $permission  '' to browse / download, else one of NC_Scope::PERMISSIONS.
+     */
+    private function verify_browser_request( string $permission = '' ) {
+        check_ajax_referer( self::NONCE_ACTION, '_nonce' );
+
+        if ( current_user_can( self::CAPABILITY ) ) {
+            return;
+        }
+
+        $this->scope      = NC_Scope::for_user( get_current_user_id() );
+        $this->permission = $permission;
+
+        if ( $this->scope === null || ( $permission !== '' && ! $this->scope->can( $permission ) ) ) {
+            wp_send_json_error( __( 'Permission denied.', 'wp-nc-bridge' ), 403 );
+        }
+    }
+
+    /**
+     * A path parameter, checked against the request's scope.
+     *
+     * @param string $key     Parameter name.
+     * @param bool   $inside  Must be below the scope folder, not the folder itself.
+     * @return string
+     */
+    private function path_input( string $key, bool $inside = false ): string {
+        return $this->scoped_path( $this->input( $key ), $inside );
+    }
+
+    /**
+     * Unscoped requests get the path back as sent; scoped ones get it
+     * normalised, or a 403 when it leaves their folders.
+     *
+     * @param string $path
+     * @param bool   $inside  Must be below the scope folder, not the folder itself.
+     * @return string
+     */
+    private function scoped_path( string $path, bool $inside = false ): string {
+        if ( $this->scope === null ) {
+            return $path;
+        }
+
+        $clean = NC_Scope::normalize( $path );
+        if ( $clean === null || ! $this->scope->allows( $clean, $this->permission, $inside ) ) {
+            wp_send_json_error( __( 'This path is outside your folder.', 'wp-nc-bridge' ), 403 );
+        }
+
+        return $clean;
+    }
+
     /**
      * Get a sanitised input value from $_POST or $_GET.
      *
@@ -612,6 +1953,63 @@ class NC_Ajax {
         return sanitize_text_field( $raw );
     }
 
+    /**
+     * Reply with the current shares of a path.
+     *
+     * @param Nextcloud_Client $client
+     * @param string           $path
+     * @param array            $extra  Merged into the response.
+     */
+    private function send_shares( Nextcloud_Client $client, string $path, array $extra = array() ) {
+        $shares = $client->list_shares( $path );
+        if ( is_wp_error( $shares ) ) {
+            wp_send_json_error( $shares->get_error_message() );
+        }
+
+        foreach ( $shares as &$share ) {
+            $share['permission'] = self::share_level( $share['permissions'] );
+            unset( $share['permissions'], $share['token'] );
+        }
+        unset( $share );
+
+        wp_send_json_success( array_merge( $extra, array( 'shares' => $shares ) ) );
+    }
+
+    /**
+     * Permission level → OCS bitmask.
+     *
+     * @param string $level   view | upload | edit
+     * @param bool   $folder  The shared item is a folder.
+     * @return int
+     */
+    private static function share_permissions( string $level, bool $folder ): int {
+        if ( $level === 'edit' ) {
+            return $folder
+                ? Nextcloud_Client::SHARE_READ | Nextcloud_Client::SHARE_UPDATE | Nextcloud_Client::SHARE_CREATE | Nextcloud_Client::SHARE_DELETE
+                : Nextcloud_Client::SHARE_READ | Nextcloud_Client::SHARE_UPDATE;
+        }
+        if ( $level === 'upload' && $folder ) {
+            return Nextcloud_Client::SHARE_READ | Nextcloud_Client::SHARE_CREATE;
+        }
+        return Nextcloud_Client::SHARE_READ;
+    }
+
+    /**
+     * OCS bitmask → permission level.
+     *
+     * @param int $permissions
+     * @return string  view | upload | edit
+     */
+    private static function share_level( int $permissions ): string {
+        if ( $permissions & ( Nextcloud_Client::SHARE_UPDATE | Nextcloud_Client::SHARE_DELETE ) ) {
+            return 'edit';
+        }
+        if ( $permissions & Nextcloud_Client::SHARE_CREATE ) {
+            return 'upload';
+        }
+        return 'view';
+    }
+
     /**
      * Instantiate a Nextcloud_Client or die with JSON error.
      *
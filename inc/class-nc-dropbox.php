@@ -0,0 +1,408 @@
+<?php
+/**
+ * Guest Drop Box: [nextcloud mode="dropbox"]
+ *
+ * Single-responsibility: let visitors without an account send files into
+ * a Nextcloud folder — an upload form, no listing.
+ *
+ * Design principles:
+ *   - The shortcode's limits (folder, extensions, size, file count, access
+ *     code, rate) travel with the form as a signed token, so the public
+ *     endpoints enforce exactly what the page was configured with and a
+ *     visitor cannot change them. The access code is only in the token
+ *     as an HMAC.
+ *   - A submission is announced first (wpnc_dropbox_start: names and
+ *     sizes, checked against the limits and the visitor's rate), which
+ *     creates its own timestamped subfolder; then each file is sent on
+ *     its own (wpnc_dropbox_upload) and must match what was announced.
+ *   - Visitors never learn the Nextcloud path and cannot read anything.
+ *   - Files are sent in one request each, so the size limit is capped by
+ *     what PHP accepts (wp_max_upload_size()).
+ *
+ * Usage:
+ *   [nextcloud mode="dropbox" path="Incoming"]
+ *   [nextcloud mode="dropbox" path="Clients" extensions="pdf,jpg,png"
+ *              max_size="20" max_files="5" code="s3cret" rate="3"]
+ *
+ * @package WPNC
+ */
+
+namespace WPNC;
+
+defined( 'ABSPATH' ) || exit;
+
+class NC_Dropbox {
+
+    const ACTION_START  = 'wpnc_dropbox_start';
+    const ACTION_UPLOAD = 'wpnc_dropbox_upload';
+
+    /** How long a started submission accepts its files (seconds). */
+    const SUBMISSION_TTL = HOUR_IN_SECONDS;
+
+    /** Window of the per-visitor rate limit (seconds). */
+    const RATE_WINDOW = HOUR_IN_SECONDS;
+
+    const DEFAULT_MAX_FILES = 10;
+
+    /** Submissions per visitor (IP) and RATE_WINDOW. */
+    const DEFAULT_RATE = 10;
+
+    public function __construct() {
+        foreach ( array( self::ACTION_START => 'handle_start', self::ACTION_UPLOAD => 'handle_upload' ) as $action => $method ) {
+            add_action( 'wp_ajax_' . $action, array( $this, $method ) );
+            add_action( 'wp_ajax_nopriv_' . $action, array( $this, $method ) );
+        }
+    }
+
+    /* ================================================================
+     *  SHORTCODE
+     * ============================================================= */
+
+    /**
+     * Render the drop box form.
+     *
+     * @param array $atts  Shortcode attributes (path, extensions, max_size,
+     *                     max_files, code, rate).
+     * @return string
+     */
+    public static function render( array $atts ): string {
+        $config = self::config( $atts );
+
+        // Never let guests drop files into the Nextcloud root.
+        if ( $config['path'] === '' ) {
+            return '<p class="wpnc-noaccess">' . esc_html__( 'This drop box has no valid folder: set path="…" to a folder below the Nextcloud root.', 'wp-nc-bridge' ) . '</p>';
+        }
+
+        wp_enqueue_style( 'wpnc-front', WPNC_PLUGIN_URL . 'assets/css/front.css', array(), WPNC_VERSION );
+        wp_enqueue_script( 'wpnc-dropbox', WPNC_PLUGIN_URL . 'assets/js/dropbox.js', array(), WPNC_VERSION, true );
+        wp_localize_script( 'wpnc-dropbox', 'wpncDropbox', array(
+            'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+            'i18n'    => array(
+                /* translators: %s: file name */
+                'bad_type'  => __( '%s: this file type is not accepted.', 'wp-nc-bridge' ),
+                /* translators: 1: file name, 2: size limit */
+                'too_large' => __( '%1$s is larger than %2$s.', 'wp-nc-bridge' ),
+                /* translators: %d: file limit */
+                'too_many'  => __( 'You can send at most %d files.', 'wp-nc-bridge' ),
+                'no_files'  => __( 'Choose at least one file.', 'wp-nc-bridge' ),
+                'remove'    => __( 'Remove', 'wp-nc-bridge' ),
+                'sending'   => __( 'Sending…', 'wp-nc-bridge' ),
+                'sent'      => __( 'Thank you — your files were received.', 'wp-nc-bridge' ),
+                'failed'    => __( 'Sending failed:', 'wp-nc-bridge' ),
+                'error'     => __( 'Error', 'wp-nc-bridge' ),
+            ),
+        ) );
+
+        $limits = array(
+            /* translators: 1: file count, 2: size per file */
+            sprintf( __( 'Up to %1$d files, %2$s each.', 'wp-nc-bridge' ), $config['max_files'], size_format( $config['max_size'] ) ),
+        );
+        if ( $config['extensions'] ) {
+            /* translators: %s: list of file extensions */
+            $limits[] = sprintf( __( 'Accepted: %s.', 'wp-nc-bridge' ), implode( ', ', $config['extensions'] ) );
+        }
+
+        $accept = implode( ',', array_map( function ( $ext ) {
+            return '.' . $ext;
+        }, $config['extensions'] ) );
+
+        $code_id = 'wpnc-code-' . wp_unique_id();
+
+        ob_start();
+        ?>
+        <form class="wpnc-dropbox" data-wpnc-dropbox novalidate
+              data-config="<?php echo esc_attr( self::sign( $config ) ); ?>"
+              data-extensions="<?php echo esc_attr( implode( ',', $config['extensions'] ) ); ?>"
+              data-max-size="<?php echo (int) $config['max_size']; ?>"
+              data-max-files="<?php echo (int) $config['max_files']; ?>">
+
+            <div class="wpnc-dropbox-zone">
+                <p><?php esc_html_e( 'Drop files here, or', 'wp-nc-bridge' ); ?>
+                    <button type="button" class="wpnc-btn wpnc-dropbox-pick"><?php esc_html_e( 'choose files', 'wp-nc-bridge' ); ?></button>
+                </p>
+                <input type="file" class="wpnc-dropbox-input" multiple style="display:none"<?php echo $accept ? ' accept="' . esc_attr( $accept ) . '"' : ''; ?> />
+                <p class="wpnc-dropbox-limits"><?php echo esc_html( implode( ' ', $limits ) ); ?></p>
+            </div>
+
+            <ul class="wpnc-dropbox-files"></ul>
+
+            <?php if ( $config['code'] !== '' ) : ?>
+                <label class="wpnc-modal-label" for="<?php echo esc_attr( $code_id ); ?>"><?php esc_html_e( 'Access code', 'wp-nc-bridge' ); ?></label>
+                <input type="password" id="<?php echo esc_attr( $code_id ); ?>" class="wpnc-input wpnc-dropbox-code" autocomplete="off" required />
+            <?php endif; ?>
+
+            <button type="submit" class="wpnc-btn wpnc-btn-primary wpnc-dropbox-send"><?php esc_html_e( 'Send files', 'wp-nc-bridge' ); ?></button>
+            <div class="wpnc-dropbox-status" role="status"></div>
+        </form>
+        <?php
+        return ob_get_clean();
+    }
+
+    /* ================================================================
+     *  AJAX HANDLERS (public)
+     * ============================================================= */
+
+    /**
+     * Announce a submission: check it against the form's limits and the
+     * visitor's rate, create its folder.
+     *
+     * Input:  config (signed token), code, files (JSON array of { name, size })
+     * Output: submission (id for wpnc_dropbox_upload), files (cleaned names, in order)
+     */
+    public function handle_start() {
+        $config = self::verify( wp_unslash( $_POST['config'] ?? '' ) ); // phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Signed token.
+        if ( $config === null || ( $config['path'] ?? '' ) === '' ) {
+            wp_send_json_error( __( 'This upload form is no longer valid. Reload the page.', 'wp-nc-bridge' ), 403 );
+        }
+
+        // Every attempt counts, wrong codes included.
+        if ( ! self::within_rate( $config['rate'] ) ) {
+            wp_send_json_error( __( 'Too many submissions. Please try again later.', 'wp-nc-bridge' ), 429 );
+        }
+
+        if ( $config['code'] !== '' ) {
+            $code = (string) wp_unslash( $_POST['code'] ?? '' ); // phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Compared as an HMAC only.
+            if ( ! hash_equals( $config['code'], self::code_hash( $code ) ) ) {
+                wp_send_json_error( __( 'Wrong access code.', 'wp-nc-bridge' ), 403 );
+            }
+        }
+
+        $files = json_decode( wp_unslash( $_POST['files'] ?? '[]' ), true ); // phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Each entry is cleaned below.
+        if ( ! is_array( $files ) || ! $files ) {
+            wp_send_json_error( __( 'No files to send.', 'wp-nc-bridge' ), 400 );
+        }
+        if ( count( $files ) > $config['max_files'] ) {
+            /* translators: %d: file limit */
+            wp_send_json_error( sprintf( __( 'You can send at most %d files.', 'wp-nc-bridge' ), $config['max_files'] ), 400 );
+        }
+
+        $expected = array();
+        foreach ( $files as $file ) {
+            $name  = self::file_name( (string) ( $file['name'] ?? '' ), array_keys( $expected ) );
+            $size  = (int) ( $file['size'] ?? 0 );
+            $error = self::check_file( $name, $size, $config );
+            if ( $error !== '' ) {
+                wp_send_json_error( $error, 400 );
+            }
+            $expected[ $name ] = $size;
+        }
+
+        $client = Nextcloud_Client::from_settings();
+        if ( is_wp_error( $client ) ) {
+            wp_send_json_error( $client->get_error_message() );
+        }
+
+        $folder = trim( $config['path'] . '/' . wp_date( 'Y-m-d_H-i-s' ) . '_' . wp_generate_password( 4, false ), '/' );
+        $mk     = $client->create_folder( $folder );
+        if ( is_wp_error( $mk ) ) {
+            wp_send_json_error( $mk->get_error_message() );
+        }
+
+        $id = wp_generate_uuid4();
+        set_transient( 'wpnc_dropbox_' . $id, array(
+            'folder'   => $folder,
+            'config'   => $config,
+            'expected' => $expected,
+            'received' => array(),
+        ), self::SUBMISSION_TTL );
+
+        wp_send_json_success( array(
+            'submission' => $id,
+            'files'      => array_keys( $expected ),
+        ) );
+    }
+
+    /**
+     * Receive one file of a started submission.
+     *
+     * Input:  submission, name (as returned by wpnc_dropbox_start), $_FILES['file']
+     * Output: name
+     */
+    public function handle_upload() {
+        $id = sanitize_text_field( wp_unslash( $_POST['submission'] ?? '' ) ); // phpcs:ignore WordPress.Security.NonceVerification.Missing -- The submission id is the credential.
+        $submission = wp_is_uuid( $id, 4 ) ? get_transient( 'wpnc_dropbox_' . $id ) : false;
+        if ( ! is_array( $submission ) ) {
+            wp_send_json_error( __( 'This submission has expired. Please start again.', 'wp-nc-bridge' ), 403 );
+        }
+
+        $name = (string) wp_unslash( $_POST['name'] ?? '' ); // phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Must equal an announced name.
+        if ( ! isset( $submission['expected'][ $name ] ) || in_array( $name, $submission['received'], true ) ) {
+            wp_send_json_error( __( 'This file was not announced.', 'wp-nc-bridge' ), 400 );
+        }
+
+        $file = $_FILES['file'] ?? null; // phpcs:ignore WordPress.Security.NonceVerification.Missing
+        if ( ! $file || $file['error'] !== UPLOAD_ERR_OK || ! is_uploaded_file( $file['tmp_name'] ) ) {
+            wp_send_json_error( __( 'The file did not arrive.', 'wp-nc-bridge' ), 400 );
+        }
+
+        $size = (int) $file['size'];
+        if ( $size !== (int) $submission['expected'][ $name ] ) {
+            wp_send_json_error( __( 'The file does not match what was announced.', 'wp-nc-bridge' ), 400 );
+        }
+        $error = self::check_file( $name, $size, $submission['config'] );
+        if ( $error !== '' ) {
+            wp_send_json_error( $error, 400 );
+        }
+
+        $client = Nextcloud_Client::from_settings();
+        if ( is_wp_error( $client ) ) {
+            wp_send_json_error( $client->get_error_message() );
+        }
+
+        $result = $client->upload( $file['tmp_name'], $submission['folder'] . '/' . $name );
+        if ( is_wp_error( $result ) ) {
+            wp_send_json_error( $result->get_error_message() );
+        }
+
+        $submission['received'][] = $name;
+        set_transient( 'wpnc_dropbox_' . $id, $submission, self::SUBMISSION_TTL );
+
+        wp_send_json_success( array( 'name' => $name ) );
+    }
+
+    /* ================================================================
+     *  INTERNAL
+     * ============================================================= */
+
+    /**
+     * Shortcode attributes → limits.
+     *
+     * @param array $atts
+     * @return array { path ('' when missing, the root or invalid), extensions[],
+     *                 max_size (bytes), max_files, rate, code (HMAC or '') }
+     */
+    private static function config( array $atts ): array {
+        $extensions = array();
+        foreach ( explode( ',', strtolower( (string) ( $atts['extensions'] ?? '' ) ) ) as $ext ) {
+            $ext = sanitize_key( ltrim( trim( $ext ), '.' ) );
+            if ( $ext !== '' ) {
+                $extensions[] = $ext;
+            }
+        }
+
+        $max_size = wp_max_upload_size();
+        if ( ! empty( $atts['max_size'] ) ) {
+            $max_size = min( $max_size, (int) ( (float) $atts['max_size'] * MB_IN_BYTES ) );
+        }
+
+        $code = (string) ( $atts['code'] ?? '' );
+
+        return array(
+            'path'       => NC_Scope::normalize( sanitize_text_field( $atts['path'] ?? '' ) ) ?? '',
+            'extensions' => array_values( array_unique( $extensions ) ),
+            'max_size'   => max( 1, $max_size ),
+            'max_files'  => max( 1, absint( $atts['max_files'] ?? 0 ) ?: self::DEFAULT_MAX_FILES ),
+            'rate'       => ( $atts['rate'] ?? '' ) === '' ? self::DEFAULT_RATE : absint( $atts['rate'] ),
+            'code'       => $code === '' ? '' : self::code_hash( $code ),
+        );
+    }
+
+    /**
+     * Why a file is refused ('' = accepted).
+     *
+     * Without an extension list, only types WordPress allows for uploads
+     * are accepted.
+     *
+     * @param string $name    Cleaned file name.
+     * @param int    $size    Bytes.
+     * @param array  $config
+     * @return string
+     */
+    private static function check_file( string $name, int $size, array $config ): string {
+        $ext = strtolower( pathinfo( $name, PATHINFO_EXTENSION ) );
+
+        $allowed = $config['extensions']
+            ? in_array( $ext, $config['extensions'], true )
+            : wp_check_filetype( $name )['ext'] !== false;
+
+        if ( $name === '' || ! $allowed ) {
+            /* translators: %s: file name */
+            return sprintf( __( '%s: this file type is not accepted.', 'wp-nc-bridge' ), $name );
+        }
+        if ( $size > $config['max_size'] ) {
+            /* translators: 1: file name, 2: size limit */
+            return sprintf( __( '%1$s is larger than %2$s.', 'wp-nc-bridge' ), $name, size_format( $config['max_size'] ) );
+        }
+        return '';
+    }
+
+    /**
+     * Clean a visitor's file name; a name taken in the submission gets "(2)".
+     *
+     * @param string   $name
+     * @param string[] $taken
+     * @return string
+     */
+    private static function file_name( string $name, array $taken ): string {
+        $name = sanitize_file_name( wp_basename( str_replace( '\\', '/', $name ) ) );
+        if ( $name === '' || ! in_array( $name, $taken, true ) ) {
+            return $name;
+        }
+
+        $dot  = strrpos( $name, '.' );
+        $base = $dot ? substr( $name, 0, $dot ) : $name;
+        $ext  = $dot ? substr( $name, $dot ) : '';
+        $i    = 2;
+        while ( in_array( $base . ' (' . $i . ')' . $ext, $taken, true ) ) {
+            $i++;
+        }
+
+        return $base . ' (' . $i . ')' . $ext;
+    }
+
+    /**
+     * Count a submission attempt for the visitor's IP.
+     *
+     * @param int $rate  Attempts allowed per RATE_WINDOW (0 = unlimited).
+     * @return bool  False when the limit is reached.
+     */
+    private static function within_rate( int $rate ): bool {
+        if ( $rate === 0 ) {
+            return true;
+        }
+
+        $key   = 'wpnc_dropbox_rate_' . md5( (string) ( $_SERVER['REMOTE_ADDR'] ?? '' ) ); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Hashed.
+        $count = (int) get_transient( $key );
+        if ( $count >= $rate ) {
+            return false;
+        }
+
+        set_transient( $key, $count + 1, self::RATE_WINDOW );
+        return true;
+    }
+
+    /**
+     * @param string $code
+     * @return string
+     */
+    private static function code_hash( string $code ): string {
+        return hash_hmac( 'sha256', 'dropbox-code|' . $code, wp_salt( 'auth' ) );
+    }
+
+    /**
+     * Limits → "payload.hmac" token for the form.
+     *
+     * @param array $config
+     * @return string
+     */
+    private static function sign( array $config ): string {
+        $payload = base64_encode( wp_json_encode( $config ) );
+        return $payload . '.' . hash_hmac( 'sha256', $payload, wp_salt( 'auth' ) );
+    }
+
+    /**
+     * Token → limits, or null when it was not issued here.
+     *
+     * @param string $token
+     * @return array|null
+     */
+    private static function verify( string $token ) {
+        $parts = explode( '.', $token, 2 );
+        if ( count( $parts ) !== 2 || ! hash_equals( hash_hmac( 'sha256', $parts[0], wp_salt( 'auth' ) ), $parts[1] ) ) {
+            return null;
+        }
+
+        $config = json_decode( (string) base64_decode( $parts[0], true ), true );
+        return is_array( $config ) ? $config : null;
+    }
+}
@@ -0,0 +1,172 @@
+<?php
+/**
+ * Block Editor: Nextcloud File block
+ *
+ * Single-responsibility: let authors pick a Nextcloud file while editing
+ * a post and insert it as an image, a download link or an embed.
+ *
+ * Design principles:
+ *   - A dynamic block: the post stores the Nextcloud path and how to show
+ *     it; the markup is rendered on each view. Proxy links are signed at
+ *     render time, so they never expire inside saved content.
+ *   - Share links are created once, when chosen in the editor, and kept
+ *     in the block — rendering never calls Nextcloud.
+ *   - Browsing reuses wpnc_browse / wpnc_get_public_url; importing a file
+ *     into the Media Library (wpnc_import_media) swaps the block for the
+ *     matching core block.
+ *   - The editor script loads only for users allowed to browse Nextcloud.
+ *   - The path is saved with a server signature (wpnc_editor_sign, same
+ *     capability), and render() signs download links only for paths that
+ *     carry it — other authors cannot point the block at any file.
+ *
+ * @package WPNC
+ */
+
+namespace WPNC;
+
+defined( 'ABSPATH' ) || exit;
+
+class NC_Editor {
+
+    const BLOCK = 'wpnc/file';
+
+    /** How a file is shown: download link, image, or an embedded player / viewer. */
+    const DISPLAYS = array( 'link', 'image', 'embed' );
+
+    public function __construct() {
+        add_action( 'init', array( $this, 'register_block' ) );
+        add_action( 'enqueue_block_editor_assets', array( $this, 'enqueue_assets' ) );
+    }
+
+    /* ================================================================
+     *  HOOKS
+     * ============================================================= */
+
+    public function register_block() {
+        register_block_type( self::BLOCK, array(
+            'attributes'      => array(
+                'path'     => array( 'type' => 'string', 'default' => '' ),
+                'name'     => array( 'type' => 'string', 'default' => '' ),
+                'mime'     => array( 'type' => 'string', 'default' => '' ),
+                'size'     => array( 'type' => 'number', 'default' => 0 ),
+                'display'  => array( 'type' => 'string', 'default' => 'link' ),
+                'urlMode'  => array( 'type' => 'string', 'default' => 'proxy' ),
+                'shareUrl' => array( 'type' => 'string', 'default' => '' ),
+                'sig'      => array( 'type' => 'string', 'default' => '' ),
+            ),
+            'render_callback' => array( $this, 'render' ),
+        ) );
+    }
+
+    public function enqueue_assets() {
+        if ( ! current_user_can( NC_Ajax::CAPABILITY ) ) {
+            return;
+        }
+
+        wp_enqueue_script(
+            'wpnc-editor',
+            WPNC_PLUGIN_URL . 'assets/js/editor.js',
+            array( 'jquery', 'wp-blocks', 'wp-element', 'wp-block-editor', 'wp-components', 'wp-data', 'wp-server-side-render' ),
+            WPNC_VERSION,
+            true
+        );
+
+        wp_localize_script( 'wpnc-editor', 'wpncEditor', array(
+            'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+            'nonce'   => wp_create_nonce( NC_Ajax::NONCE_ACTION ),
+            'i18n'    => array(
+                'title'         => __( 'Nextcloud File', 'wp-nc-bridge' ),
+                'description'   => __( 'A file from Nextcloud, shown as an image, a download link or an embed.', 'wp-nc-bridge' ),
+                'pick'          => __( 'Pick a file from Nextcloud.', 'wp-nc-bridge' ),
+                'root'          => __( 'Root', 'wp-nc-bridge' ),
+                'loading'       => __( 'Loading…', 'wp-nc-bridge' ),
+                'empty_folder'  => __( '(empty folder)', 'wp-nc-bridge' ),
+                'replace'       => __( 'Replace file', 'wp-nc-bridge' ),
+                'cancel'        => __( 'Cancel', 'wp-nc-bridge' ),
+                'settings'      => __( 'File settings', 'wp-nc-bridge' ),
+                'show_as'       => __( 'Show as', 'wp-nc-bridge' ),
+                'display_link'  => __( 'Download link', 'wp-nc-bridge' ),
+                'display_image' => __( 'Image', 'wp-nc-bridge' ),
+                'display_embed' => __( 'Embed (player / viewer)', 'wp-nc-bridge' ),
+                'link_via'      => __( 'Link through', 'wp-nc-bridge' ),
+                'url_proxy'     => __( 'WordPress (signed proxy link)', 'wp-nc-bridge' ),
+                'url_share'     => __( 'Nextcloud public share link', 'wp-nc-bridge' ),
+                'url_hint'      => __( 'Proxy links are signed whenever the page is shown. A share link is created on Nextcloud once and is public to anyone who has it.', 'wp-nc-bridge' ),
+                'sharing'       => __( 'Creating share link…', 'wp-nc-bridge' ),
+                'import'        => __( 'Import into Media Library', 'wp-nc-bridge' ),
+                'importing'     => __( 'Importing…', 'wp-nc-bridge' ),
+                'import_hint'   => __( 'Copies the file into the Media Library and replaces this block with an image, video, audio or file block.', 'wp-nc-bridge' ),
+            ),
+        ) );
+    }
+
+    /* ================================================================
+     *  RENDER
+     * ============================================================= */
+
+    /**
+     * Block markup for the front end (and the editor preview).
+     *
+     * @param array $attributes
+     * @return string
+     */
+    public function render( $attributes ): string {
+        $path = (string) ( $attributes['path'] ?? '' );
+        if ( $path === '' || ! hash_equals( self::signature( $path ), (string) ( $attributes['sig'] ?? '' ) ) ) {
+            return '';
+        }
+
+        $name    = $attributes['name'] ?: wp_basename( $path );
+        $mime    = (string) $attributes['mime'];
+        $display = in_array( $attributes['display'], self::DISPLAYS, true ) ? $attributes['display'] : 'link';
+        $url     = $attributes['urlMode'] === 'share' && $attributes['shareUrl'] !== ''
+            ? $attributes['shareUrl']
+            : NC_Ajax::download_url( $path, NC_Media_Offload::TOKEN_TTL, NC_Media_Offload::TOKEN_STEP );
+
+        $wrapper = get_block_wrapper_attributes();
+
+        if ( $display === 'image' && strpos( $mime, 'image/' ) === 0 ) {
+            return sprintf(
+                '<figure %s><img src="%s" alt="%s" loading="lazy" /></figure>',
+                $wrapper,
+                esc_url( $url ),
+                esc_attr( pathinfo( $name, PATHINFO_FILENAME ) )
+            );
+        }
+
+        if ( $display === 'embed' ) {
+            if ( strpos( $mime, 'video/' ) === 0 ) {
+                return sprintf( '<figure %s><video controls preload="metadata" src="%s"></video></figure>', $wrapper, esc_url( $url ) );
+            }
+            if ( strpos( $mime, 'audio/' ) === 0 ) {
+                return sprintf( '<figure %s><audio controls preload="metadata" src="%s"></audio></figure>', $wrapper, esc_url( $url ) );
+            }
+            if ( $mime === 'application/pdf' ) {
+                return sprintf(
+                    '<figure %1$s><object data="%2$s" type="application/pdf" width="100%%" height="600"><a href="%2$s">%3$s</a></object></figure>',
+                    $wrapper,
+                    esc_url( $url ),
+                    esc_html( $name )
+                );
+            }
+        }
+
+        return sprintf(
+            '<p %s><a href="%s">%s</a>%s</p>',
+            $wrapper,
+            esc_url( $url ),
+            esc_html( $name ),
+            $attributes['size'] ? ' <span class="wpnc-file-size">(' . esc_html( size_format( (int) $attributes['size'] ) ) . ')</span>' : ''
+        );
+    }
+
+    /**
+     * Signature of a block path, issued through wpnc_editor_sign.
+     *
+     * @param string $path  Normalised path, as stored in the block.
+     * @return string
+     */
+    public static function signature( string $path ): string {
+        return hash_hmac( 'sha256', 'block|' . $path, wp_salt( 'auth' ) );
+    }
+}
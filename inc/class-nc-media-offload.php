@@ -0,0 +1,472 @@
+<?php
+/**
+ * Media Library Offload
+ *
+ * Single-responsibility: push every new Media Library attachment — the
+ * original and its generated image sizes — to Nextcloud, optionally
+ * remove the local copy, and serve the attachment from Nextcloud then.
+ *
+ * Design principles:
+ *   - Offloading runs in a WP-Cron event queued once WordPress has
+ *     generated the image sizes, so uploads in the media library stay
+ *     as fast as before and the metadata is saved before any local file
+ *     is removed.
+ *   - Files keep their uploads sub-path under the offload folder:
+ *     {root}/{offload_path}/2024/05/photo-300x200.jpg.
+ *   - The local copy is removed only after every file was uploaded (and,
+ *     in share mode, shared). URLs are rewritten only for attachments
+ *     whose local copy is gone; the others keep their local URLs.
+ *   - The status of each attachment lives in one post meta entry, shown
+ *     in the media library list.
+ *
+ * @package WPNC
+ */
+
+namespace WPNC;
+
+defined( 'ABSPATH' ) || exit;
+
+class NC_Media_Offload {
+
+    /** Post meta: { state, remote, files, url, local_removed, error, time }. */
+    const META = '_wpnc_offload';
+
+    /** WP-Cron hook that offloads one attachment. */
+    const HOOK = 'wpnc_offload_media';
+
+    /** admin-post.php action of the "Offload now" / "Retry" link. */
+    const ADMIN_ACTION = 'wpnc_offload';
+
+    /**
+     * URLs of attachments without a local copy: through the download
+     * proxy, or Nextcloud public share links.
+     */
+    const URL_MODES = array( 'proxy', 'share' );
+
+    /** Proxy links stay valid at least this long (seconds)… */
+    const TOKEN_TTL = 604800;
+
+    /** …and stay the same within a day, so browsers and page caches can keep them. */
+    const TOKEN_STEP = 86400;
+
+    public function __construct() {
+        add_filter( 'wp_generate_attachment_metadata', array( $this, 'queue' ), 999, 2 );
+        add_action( self::HOOK, array( $this, 'run' ) );
+
+        // Attachments served from Nextcloud.
+        add_filter( 'wp_get_attachment_url', array( $this, 'filter_url' ), 10, 2 );
+        add_filter( 'wp_get_attachment_image_src', array( $this, 'filter_image_src' ), 10, 3 );
+        add_filter( 'wp_calculate_image_srcset', array( $this, 'filter_srcset' ), 10, 5 );
+        add_filter( 'wp_content_img_tag', array( $this, 'filter_content_img' ), 10, 3 );
+
+        if ( is_admin() ) {
+            add_filter( 'manage_media_columns', array( $this, 'add_column' ) );
+            add_action( 'manage_media_custom_column', array( $this, 'render_column' ), 10, 2 );
+            add_action( 'admin_post_' . self::ADMIN_ACTION, array( $this, 'handle_offload_link' ) );
+        }
+    }
+
+    /* ================================================================
+     *  HOOKS: OFFLOAD
+     * ============================================================= */
+
+    /**
+     * Queue a new or regenerated attachment, once its sizes exist.
+     *
+     * @param array $metadata
+     * @param int   $attachment_id
+     * @return array  Unchanged metadata.
+     */
+    public function queue( $metadata, $attachment_id ) {
+        $opts  = get_option( NC_Settings::OPTION_KEY, NC_Settings::defaults() );
+        $state = self::status( (int) $attachment_id );
+
+        // Nothing left to upload once the local copy is gone.
+        if ( empty( $opts['offload_media'] ) || ! empty( $state['local_removed'] ) ) {
+            return $metadata;
+        }
+
+        update_post_meta( $attachment_id, self::META, array(
+            'state' => 'queued',
+            'time'  => time(),
+        ) );
+        wp_schedule_single_event( time(), self::HOOK, array( (int) $attachment_id ) );
+
+        return $metadata;
+    }
+
+    /**
+     * Cron: offload one attachment.
+     *
+     * @param int $attachment_id
+     */
+    public function run( $attachment_id ) {
+        if ( function_exists( 'set_time_limit' ) ) {
+            set_time_limit( 0 );
+        }
+
+        self::offload( (int) $attachment_id );
+    }
+
+    /* ================================================================
+     *  PUBLIC API
+     * ============================================================= */
+
+    /**
+     * Upload an attachment and its image sizes to Nextcloud, share them
+     * (share mode) and remove the local files (if configured).
+     *
+     * @param int $attachment_id
+     * @return true|\WP_Error
+     */
+    public static function offload( int $attachment_id ) {
+        $status = self::status( $attachment_id );
+        if ( ! empty( $status['local_removed'] ) ) {
+            return true;
+        }
+
+        $file = get_attached_file( $attachment_id );
+        if ( ! $file || ! file_exists( $file ) ) {
+            return self::fail( $attachment_id, new \WP_Error(
+                'wpnc_offload_no_file',
+                __( 'The attachment has no local file.', 'wp-nc-bridge' )
+            ) );
+        }
+
+        $client = Nextcloud_Client::from_settings();
+        if ( is_wp_error( $client ) ) {
+            return self::fail( $attachment_id, $client );
+        }
+
+        $opts   = get_option( NC_Settings::OPTION_KEY, NC_Settings::defaults() );
+        $remote = self::remote_dir( $attachment_id, $opts );
+        $local  = dirname( $file );
+        $mode   = in_array( $opts['offload_url'] ?? 'proxy', self::URL_MODES, true ) ? $opts['offload_url'] : 'proxy';
+
+        $mk = $client->create_folder( $remote );
+        if ( is_wp_error( $mk ) ) {
+            return self::fail( $attachment_id, $mk );
+        }
+
+        $files = array();
+        foreach ( self::file_names( $attachment_id ) as $name ) {
+            if ( ! file_exists( $local . '/' . $name ) ) {
+                continue; // A size WordPress did not keep.
+            }
+
+            $result = $client->upload( $local . '/' . $name, $remote . '/' . $name );
+            if ( is_wp_error( $result ) ) {
+                return self::fail( $attachment_id, $result );
+            }
+
+            $files[ $name ] = '';
+        }
+
+        if ( $mode === 'share' ) {
+            foreach ( array_keys( $files ) as $name ) {
+                $url = $client->get_public_url( $remote . '/' . $name );
+                if ( is_wp_error( $url ) ) {
+                    return self::fail( $attachment_id, $url );
+                }
+                $files[ $name ] = $url;
+            }
+        }
+
+        $removed = false;
+        if ( ! empty( $opts['offload_remove_local'] ) ) {
+            foreach ( array_keys( $files ) as $name ) {
+                wp_delete_file( $local . '/' . $name );
+            }
+            $removed = true;
+        }
+
+        update_post_meta( $attachment_id, self::META, array(
+            'state'         => 'done',
+            'remote'        => $remote,
+            'files'         => $files,   // Name → share URL ('' in proxy mode).
+            'url'           => $mode,
+            'local_removed' => $removed,
+            'time'          => time(),
+        ) );
+
+        return true;
+    }
+
+    /**
+     * Offload status of an attachment.
+     *
+     * @param int $attachment_id
+     * @return array  Empty when it was never offloaded.
+     */
+    public static function status( int $attachment_id ): array {
+        $status = get_post_meta( $attachment_id, self::META, true );
+        return is_array( $status ) ? $status : array();
+    }
+
+    /* ================================================================
+     *  HOOKS: URLS
+     * ============================================================= */
+
+    /**
+     * @param string $url
+     * @param int    $attachment_id
+     * @return string
+     */
+    public function filter_url( $url, $attachment_id ) {
+        $file = get_post_meta( $attachment_id, '_wp_attached_file', true );
+        if ( ! $file ) {
+            return $url;
+        }
+
+        return self::remote_url( (int) $attachment_id, wp_basename( $file ) ) ?? $url;
+    }
+
+    /**
+     * Point an image size at its own file: WordPress derives size URLs
+     * from the attachment URL, which no longer ends in the file name.
+     *
+     * @param array|false  $image  [ url, width, height, is_intermediate ].
+     * @param int          $attachment_id
+     * @param string|int[] $size
+     * @return array|false
+     */
+    public function filter_image_src( $image, $attachment_id, $size ) {
+        if ( ! $image || ! self::served_remotely( (int) $attachment_id ) ) {
+            return $image;
+        }
+
+        $intermediate = ! empty( $image[3] ) ? image_get_intermediate_size( $attachment_id, $size ) : false;
+        $name         = $intermediate ? $intermediate['file'] : wp_basename( get_post_meta( $attachment_id, '_wp_attached_file', true ) );
+
+        $url = self::remote_url( (int) $attachment_id, $name );
+        if ( $url !== null ) {
+            $image[0] = $url;
+        }
+
+        return $image;
+    }
+
+    /**
+     * @param array  $sources       Width → { url, descriptor, value }.
+     * @param array  $size_array
+     * @param string $image_src
+     * @param array  $image_meta
+     * @param int    $attachment_id
+     * @return array
+     */
+    public function filter_srcset( $sources, $size_array, $image_src, $image_meta, $attachment_id ) {
+        if ( ! is_array( $sources ) || ! self::served_remotely( (int) $attachment_id ) ) {
+            return $sources;
+        }
+
+        // Width → file name, as wp_calculate_image_srcset() built them.
+        $widths = array();
+        foreach ( $image_meta['sizes'] ?? array() as $size ) {
+            $widths[ (int) $size['width'] ] = $size['file'];
+        }
+        if ( ! empty( $image_meta['file'] ) ) {
+            $widths[ (int) ( $image_meta['width'] ?? 0 ) ] = wp_basename( $image_meta['file'] );
+        }
+
+        foreach ( $sources as $width => $source ) {
+            $url = isset( $widths[ $width ] ) ? self::remote_url( (int) $attachment_id, $widths[ $width ] ) : null;
+            if ( $url !== null ) {
+                $sources[ $width ]['url'] = $url;
+            }
+        }
+
+        return $sources;
+    }
+
+    /**
+     * Images in post content keep the upload URL they were inserted with.
+     *
+     * @param string $tag
+     * @param string $context
+     * @param int    $attachment_id
+     * @return string
+     */
+    public function filter_content_img( $tag, $context, $attachment_id ) {
+        if ( ! $attachment_id || ! self::served_remotely( (int) $attachment_id ) ) {
+            return $tag;
+        }
+
+        $status  = self::status( (int) $attachment_id );
+        $subdir  = dirname( (string) get_post_meta( $attachment_id, '_wp_attached_file', true ) );
+        $baseurl = wp_get_upload_dir()['baseurl'] . ( $subdir !== '.' ? '/' . $subdir : '' ) . '/';
+
+        foreach ( array_keys( $status['files'] ) as $name ) {
+            $url = self::remote_url( (int) $attachment_id, $name );
+            if ( $url !== null ) {
+                $tag = str_replace( $baseurl . $name, esc_url( $url ), $tag );
+            }
+        }
+
+        return $tag;
+    }
+
+    /* ================================================================
+     *  ADMIN: MEDIA LIBRARY COLUMN
+     * ============================================================= */
+
+    /**
+     * @param array $columns
+     * @return array
+     */
+    public function add_column( $columns ) {
+        $columns['wpnc_offload'] = __( 'Nextcloud', 'wp-nc-bridge' );
+        return $columns;
+    }
+
+    /**
+     * @param string $column
+     * @param int    $attachment_id
+     */
+    public function render_column( $column, $attachment_id ) {
+        if ( $column !== 'wpnc_offload' ) {
+            return;
+        }
+
+        $status = self::status( (int) $attachment_id );
+        $link   = wp_nonce_url(
+            add_query_arg(
+                array( 'action' => self::ADMIN_ACTION, 'attachment' => (int) $attachment_id ),
+                admin_url( 'admin-post.php' )
+            ),
+            self::ADMIN_ACTION . '_' . (int) $attachment_id
+        );
+
+        switch ( $status['state'] ?? '' ) {
+            case 'done':
+                echo '<span class="dashicons dashicons-cloud-saved" aria-hidden="true"></span> ';
+                echo esc_html( ! empty( $status['local_removed'] )
+                    ? __( 'On Nextcloud only', 'wp-nc-bridge' )
+                    : __( 'On Nextcloud', 'wp-nc-bridge' ) );
+                echo '<br /><small>' . esc_html( $status['remote'] ) . '</small>';
+                break;
+
+            case 'queued':
+                esc_html_e( 'Queued', 'wp-nc-bridge' );
+                printf( '<br /><a href="%s">%s</a>', esc_url( $link ), esc_html__( 'Offload now', 'wp-nc-bridge' ) );
+                break;
+
+            case 'failed':
+                echo '<span style="color:#d63638">' . esc_html__( 'Failed', 'wp-nc-bridge' ) . '</span>';
+                echo '<br /><small>' . esc_html( $status['error'] ?? '' ) . '</small>';
+                printf( '<br /><a href="%s">%s</a>', esc_url( $link ), esc_html__( 'Retry', 'wp-nc-bridge' ) );
+                break;
+
+            default:
+                echo '—';
+                printf( '<br /><a href="%s">%s</a>', esc_url( $link ), esc_html__( 'Offload now', 'wp-nc-bridge' ) );
+        }
+    }
+
+    /**
+     * admin-post.php: offload one attachment now, then go back.
+     */
+    public function handle_offload_link() {
+        $attachment_id = absint( $_GET['attachment'] ?? 0 ); // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- checked below
+
+        check_admin_referer( self::ADMIN_ACTION . '_' . $attachment_id );
+        if ( ! current_user_can( NC_Settings::CAPABILITY ) || get_post_type( $attachment_id ) !== 'attachment' ) {
+            wp_die( esc_html__( 'Permission denied.', 'wp-nc-bridge' ), 403 );
+        }
+
+        if ( function_exists( 'set_time_limit' ) ) {
+            set_time_limit( 0 );
+        }
+        self::offload( $attachment_id );
+
+        wp_safe_redirect( wp_get_referer() ?: admin_url( 'upload.php' ) );
+        exit;
+    }
+
+    /* ================================================================
+     *  INTERNAL
+     * ============================================================= */
+
+    /**
+     * @param int       $attachment_id
+     * @param \WP_Error $error
+     * @return \WP_Error
+     */
+    private static function fail( int $attachment_id, \WP_Error $error ): \WP_Error {
+        update_post_meta( $attachment_id, self::META, array(
+            'state' => 'failed',
+            'error' => $error->get_error_message(),
+            'time'  => time(),
+        ) );
+        return $error;
+    }
+
+    /**
+     * Base names of the attachment's files: the attached file, the
+     * original of a scaled image, and the generated sizes.
+     *
+     * @param int $attachment_id
+     * @return string[]
+     */
+    private static function file_names( int $attachment_id ): array {
+        $meta  = wp_get_attachment_metadata( $attachment_id );
+        $names = array( wp_basename( get_attached_file( $attachment_id ) ) );
+
+        if ( ! empty( $meta['original_image'] ) ) {
+            $names[] = $meta['original_image'];
+        }
+        foreach ( $meta['sizes'] ?? array() as $size ) {
+            if ( ! empty( $size['file'] ) ) {
+                $names[] = $size['file'];
+            }
+        }
+
+        return array_values( array_unique( $names ) );
+    }
+
+    /**
+     * Remote folder of an attachment: its uploads sub-path under the
+     * offload folder.
+     *
+     * @param int   $attachment_id
+     * @param array $opts  Plugin settings.
+     * @return string  Path relative to the Nextcloud user root.
+     */
+    private static function remote_dir( int $attachment_id, array $opts ): string {
+        $subdir = dirname( (string) get_post_meta( $attachment_id, '_wp_attached_file', true ) );
+
+        return implode( '/', array_filter( array(
+            trim( $opts['nc_root_path'] ?? '/WordPress', '/' ),
+            trim( $opts['offload_path'] ?? 'media', '/' ),
+            $subdir !== '.' ? $subdir : '',
+        ), 'strlen' ) );
+    }
+
+    /**
+     * @param int $attachment_id
+     * @return bool  The attachment is served from Nextcloud.
+     */
+    private static function served_remotely( int $attachment_id ): bool {
+        $status = self::status( $attachment_id );
+        return ( $status['state'] ?? '' ) === 'done' && ! empty( $status['local_removed'] );
+    }
+
+    /**
+     * URL of one of an attachment's files on Nextcloud.
+     *
+     * @param int    $attachment_id
+     * @param string $name  File base name.
+     * @return string|null  Null when the file is served locally.
+     */
+    private static function remote_url( int $attachment_id, string $name ) {
+        $status = self::status( $attachment_id );
+        if ( ( $status['state'] ?? '' ) !== 'done' || empty( $status['local_removed'] ) || ! isset( $status['files'][ $name ] ) ) {
+            return null;
+        }
+
+        if ( $status['url'] === 'share' ) {
+            return $status['files'][ $name ] ?: null;
+        }
+
+        return NC_Ajax::download_url( $status['remote'] . '/' . $name, self::TOKEN_TTL, self::TOKEN_STEP );
+    }
+}
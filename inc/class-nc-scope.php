@@ -0,0 +1,256 @@
+<?php
+/**
+ * Folder Scopes: per-user / per-role jails for the shortcode browser
+ *
+ * Single-responsibility: turn a shortcode path such as
+ * "Members/{user_login}" into the folder of the visitor, and remember
+ * which folders (and which actions in them) a visitor was given, so the
+ * AJAX endpoints can keep every request inside them.
+ *
+ * Design principles:
+ *   - A scope is granted when the shortcode renders for a user, stored in
+ *     their user meta and renewed on each visit (SCOPE_TTL). Each granting
+ *     shortcode keeps its own set of permissions, replaced on every
+ *     render: a permission taken out of the shortcode is gone at once,
+ *     while other shortcodes for the same folder keep theirs.
+ *   - Paths the browser sends are checked on the server: normalised,
+ *     ".." refused, and matched against the granted folders. The client
+ *     is never trusted to stay inside.
+ *   - Users with NC_Ajax::CAPABILITY are never scoped.
+ *
+ * Placeholders: {user_login}, {user_id}, {role} (the user's first role).
+ *
+ * @package WPNC
+ */
+
+namespace WPNC;
+
+defined( 'ABSPATH' ) || exit;
+
+class NC_Scope {
+
+    /** User meta holding the granted folders: root → source → { permissions, expires }. */
+    const META = '_wpnc_scopes';
+
+    /** How long a grant lasts after the page was last shown (seconds). */
+    const SCOPE_TTL = DAY_IN_SECONDS;
+
+    const PLACEHOLDERS = array( '{user_login}', '{user_id}', '{role}' );
+
+    /** Actions a grant can allow besides browsing and downloading. */
+    const PERMISSIONS = array( 'upload', 'create_folder', 'delete', 'move', 'copy' );
+
+    /** @var array[] Root → { permissions: string[] } (all sources together). */
+    private $grants;
+
+    /**
+     * @param array[] $grants  Root → { permissions }, see for_user().
+     */
+    public function __construct( array $grants ) {
+        $this->grants = $grants;
+    }
+
+    /* ================================================================
+     *  PUBLIC API
+     * ============================================================= */
+
+    /**
+     * Does a shortcode path contain user placeholders?
+     *
+     * @param string $template
+     * @return bool
+     */
+    public static function has_placeholders( string $template ): bool {
+        foreach ( self::PLACEHOLDERS as $placeholder ) {
+            if ( strpos( $template, $placeholder ) !== false ) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Fill the placeholders of a shortcode path for a user.
+     *
+     * @param string   $template  e.g. "Members/{user_login}".
+     * @param \WP_User $user
+     * @return string  Normalised folder, or '' when it cannot be resolved
+     *                 (no role, a value that is not a usable folder name).
+     */
+    public static function resolve( string $template, \WP_User $user ): string {
+        $values = array(
+            '{user_login}' => self::segment( $user->user_login ),
+            '{user_id}'    => (string) $user->ID,
+            '{role}'       => sanitize_key( $user->roles ? reset( $user->roles ) : '' ),
+        );
+
+        foreach ( $values as $placeholder => $value ) {
+            if ( strpos( $template, $placeholder ) !== false && $value === '' ) {
+                return '';
+            }
+        }
+
+        $path = self::normalize( strtr( $template, $values ) );
+        return $path === null ? '' : $path;
+    }
+
+    /**
+     * Give a user a folder, created on Nextcloud the first time.
+     *
+     * Several shortcodes may hand out the same folder, each as its own
+     * source: the user may do what any of them allows, and a source's
+     * permissions are replaced each time its shortcode renders.
+     *
+     * @param int      $user_id
+     * @param string   $root         Resolved folder.
+     * @param string[] $permissions  Subset of PERMISSIONS.
+     * @param string   $source       Which shortcode grants it (see NC_Shortcode::render()).
+     * @return true|\WP_Error  Error when the folder could not be created.
+     */
+    public static function grant( int $user_id, string $root, array $permissions, string $source = '' ) {
+        $grants = self::load( $user_id );
+
+        if ( ! isset( $grants[ $root ] ) ) {
+            $client = Nextcloud_Client::from_settings();
+            if ( is_wp_error( $client ) ) {
+                return $client;
+            }
+            $created = $client->create_folder( $root );
+            if ( is_wp_error( $created ) ) {
+                return $created;
+            }
+        }
+
+        $grants[ $root ][ $source ] = array(
+            'permissions' => array_values( array_intersect( self::PERMISSIONS, $permissions ) ),
+            'expires'     => time() + self::SCOPE_TTL,
+        );
+        update_user_meta( $user_id, self::META, $grants );
+
+        return true;
+    }
+
+    /**
+     * The folders a user was given.
+     *
+     * @param int $user_id
+     * @return self|null  Null when the user has none.
+     */
+    public static function for_user( int $user_id ) {
+        $grants = array();
+        foreach ( self::load( $user_id ) as $root => $sources ) {
+            $permissions = array();
+            foreach ( $sources as $grant ) {
+                $permissions = array_merge( $permissions, $grant['permissions'] );
+            }
+            $grants[ $root ] = array( 'permissions' => array_values( array_unique( $permissions ) ) );
+        }
+        return $grants ? new self( $grants ) : null;
+    }
+
+    /**
+     * Clean a path: no leading / trailing / double slashes, no "." segments.
+     *
+     * @param string $path
+     * @return string|null  Null when the path climbs with "..".
+     */
+    public static function normalize( string $path ) {
+        $segments = array();
+        foreach ( explode( '/', str_replace( '\\', '/', $path ) ) as $segment ) {
+            if ( $segment === '' || $segment === '.' ) {
+                continue;
+            }
+            if ( $segment === '..' ) {
+                return null;
+            }
+            $segments[] = $segment;
+        }
+        return implode( '/', $segments );
+    }
+
+    /**
+     * May the user act on this path?
+     *
+     * @param string $path        Normalised path.
+     * @param string $permission  '' to browse / download, else one of PERMISSIONS.
+     * @param bool   $inside      The path must be below the granted folder,
+     *                            not the folder itself (delete, move, …).
+     * @return bool
+     */
+    public function allows( string $path, string $permission = '', bool $inside = false ): bool {
+        foreach ( $this->grants as $root => $grant ) {
+            $root = (string) $root;
+            $in   = $path === $root ? ! $inside : strpos( $path, $root . '/' ) === 0;
+
+            if ( $in && ( $permission === '' || in_array( $permission, $grant['permissions'], true ) ) ) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Does any granted folder allow this action?
+     *
+     * @param string $permission  One of PERMISSIONS.
+     * @return bool
+     */
+    public function can( string $permission ): bool {
+        foreach ( $this->grants as $grant ) {
+            if ( in_array( $permission, $grant['permissions'], true ) ) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /* ================================================================
+     *  INTERNAL
+     * ============================================================= */
+
+    /**
+     * A login as one folder name. Letters, digits, space, "_", "-", "."
+     * and "@" stay; every other byte is percent-encoded ("%" too), so two
+     * logins never share a folder.
+     *
+     * @param string $value
+     * @return string
+     */
+    private static function segment( string $value ): string {
+        $segment = preg_replace_callback( '/[^A-Za-z0-9 _.@-]/', function ( $match ) {
+            return rawurlencode( $match[0] );
+        }, $value );
+
+        // "." and ".." are not folder names.
+        if ( trim( $segment, '.' ) === '' ) {
+            $segment = str_replace( '.', '%2E', $segment );
+        }
+
+        return $segment;
+    }
+
+    /**
+     * Grants still valid: expired sources dropped, and folders left
+     * without a source.
+     *
+     * @param int $user_id
+     * @return array[]  As stored under META.
+     */
+    private static function load( int $user_id ): array {
+        $grants = get_user_meta( $user_id, self::META, true );
+        if ( ! is_array( $grants ) ) {
+            return array();
+        }
+
+        $now   = time();
+        $valid = array();
+        foreach ( $grants as $root => $sources ) {
+            foreach ( is_array( $sources ) ? $sources : array() as $source => $grant ) {
+                if ( is_array( $grant ) && isset( $grant['permissions'] ) && (int) ( $grant['expires'] ?? 0 ) > $now ) {
+                    $valid[ $root ][ $source ] = $grant;
+                }
+            }
+        }
+        return $valid;
+    }
+}
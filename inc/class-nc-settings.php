@@ -26,6 +26,12 @@ class NC_Settings {
     /** Capability required to access this page. */
     const CAPABILITY = 'manage_options';
 
+    /** Upper bound for parallel upload files / chunks. */
+    const MAX_PARALLEL = 8;
+
+    /** Upper bound for the upload bandwidth cap, in KB/s (10 GB/s). */
+    const MAX_BANDWIDTH = 10485760;
+
     /* ================================================================
      *  BOOTSTRAP
      * ============================================================= */
@@ -89,6 +95,35 @@ class NC_Settings {
         $this->add_field( 'nc_root_path',    __( 'Nextcloud Root Folder', 'wp-nc-bridge' ),   'render_field_root',          'wpnc_section_paths' );
         $this->add_field( 'max_file_size',   __( 'Max Sync File Size (MB)', 'wp-nc-bridge' ), 'render_field_max_file_size', 'wpnc_section_paths' );
         $this->add_field( 'sync_dirs',       __( 'Directories to Sync', 'wp-nc-bridge' ),     'render_field_sync_dirs',     'wpnc_section_paths' );
+
+        /* ── Section: Browser uploads ────────────────────── */
+        add_settings_section(
+            'wpnc_section_uploads',
+            __( 'Browser Uploads', 'wp-nc-bridge' ),
+            function () {
+                echo '<p>' . esc_html__( 'Defaults for the [nextcloud] file browser upload queue. Each shortcode can override them.', 'wp-nc-bridge' ) . '</p>';
+            },
+            self::PAGE_SLUG
+        );
+
+        $this->add_field( 'upload_parallel_files',  __( 'Parallel Files', 'wp-nc-bridge' ),       'render_field_parallel_files',  'wpnc_section_uploads' );
+        $this->add_field( 'upload_parallel_chunks', __( 'Parallel Chunks', 'wp-nc-bridge' ),      'render_field_parallel_chunks', 'wpnc_section_uploads' );
+        $this->add_field( 'upload_bandwidth',       __( 'Bandwidth Cap (KB/s)', 'wp-nc-bridge' ), 'render_field_bandwidth',       'wpnc_section_uploads' );
+
+        /* ── Section: Media Library ──────────────────────── */
+        add_settings_section(
+            'wpnc_section_media',
+            __( 'Media Library', 'wp-nc-bridge' ),
+            function () {
+                echo '<p>' . esc_html__( 'Push every new Media Library upload, with its image sizes, to Nextcloud. The Media Library list shows the status of each attachment.', 'wp-nc-bridge' ) . '</p>';
+            },
+            self::PAGE_SLUG
+        );
+
+        $this->add_field( 'offload_media',        __( 'Offload Uploads', 'wp-nc-bridge' ),     'render_field_offload_media',  'wpnc_section_media' );
+        $this->add_field( 'offload_path',         __( 'Offload Folder', 'wp-nc-bridge' ),      'render_field_offload_path',   'wpnc_section_media' );
+        $this->add_field( 'offload_remove_local', __( 'Local Copy', 'wp-nc-bridge' ),          'render_field_offload_remove', 'wpnc_section_media' );
+        $this->add_field( 'offload_url',          __( 'Offloaded File URLs', 'wp-nc-bridge' ), 'render_field_offload_url',    'wpnc_section_media' );
     }
 
     /* ================================================================
@@ -160,11 +195,14 @@ class NC_Settings {
         $abspath = untrailingslashit( ABSPATH );
         ?>
         <div id="wpnc-sync-dirs-wrap">
-            <table class="widefat wpnc-sync-table" style="max-width:700px">
+            <table class="widefat wpnc-sync-table" style="max-width:1100px">
                 <thead>
                     <tr>
                         <th><?php esc_html_e( 'Local Path (relative to WP root)', 'wp-nc-bridge' ); ?></th>
                         <th><?php esc_html_e( 'Remote Path (on Nextcloud)', 'wp-nc-bridge' ); ?></th>
+                        <th><?php esc_html_e( 'Direction', 'wp-nc-bridge' ); ?></th>
+                        <th><?php esc_html_e( 'Filters', 'wp-nc-bridge' ); ?></th>
+                        <th><?php esc_html_e( 'Schedule', 'wp-nc-bridge' ); ?></th>
                         <th style="width:50px"></th>
                     </tr>
                 </thead>
@@ -174,6 +212,9 @@ class NC_Settings {
                             <tr>
                                 <td><input type="text" name="<?php echo esc_attr( self::OPTION_KEY ); ?>[sync_dirs][<?php echo (int) $i; ?>][local]" value="<?php echo esc_attr( $pair['local'] ?? '' ); ?>" class="regular-text" placeholder="wp-content/uploads" /></td>
                                 <td><input type="text" name="<?php echo esc_attr( self::OPTION_KEY ); ?>[sync_dirs][<?php echo (int) $i; ?>][remote]" value="<?php echo esc_attr( $pair['remote'] ?? '' ); ?>" class="regular-text" placeholder="uploads" /></td>
+                                <td><?php $this->render_direction_cell( (int) $i, $pair ); ?></td>
+                                <td><?php $this->render_filters_cell( (int) $i, $pair ); ?></td>
+                                <td><?php $this->render_schedule_cell( (int) $i, $pair ); ?></td>
                                 <td><button type="button" class="button wpnc-remove-row">&times;</button></td>
                             </tr>
                         <?php endforeach; ?>
@@ -196,6 +237,175 @@ class NC_Settings {
         <?php
     }
 
+    /**
+     * Direction picker of one sync pair, with the conflict policy for
+     * two-way sync, the mirror mode for push and how copies are compared.
+     *
+     * @param int   $i     Row index.
+     * @param array $pair  Saved pair.
+     */
+    private function render_direction_cell( int $i, array $pair ) {
+        $name      = self::OPTION_KEY . '[sync_dirs][' . $i . ']';
+        $direction = $pair['direction'] ?? 'push';
+        $conflict  = $pair['conflict'] ?? 'newer';
+        $mirror    = $pair['mirror'] ?? '';
+        $compare   = $pair['compare'] ?? 'mtime';
+        $choices   = array(
+            'push' => __( 'Push (WordPress → Nextcloud)', 'wp-nc-bridge' ),
+            'pull' => __( 'Pull (Nextcloud → WordPress)', 'wp-nc-bridge' ),
+            'both' => __( 'Two-way', 'wp-nc-bridge' ),
+        );
+        $policies  = array(
+            'newer'     => __( 'Newest copy wins', 'wp-nc-bridge' ),
+            'local'     => __( 'WordPress wins', 'wp-nc-bridge' ),
+            'remote'    => __( 'Nextcloud wins', 'wp-nc-bridge' ),
+            'keep_both' => __( 'Keep both copies', 'wp-nc-bridge' ),
+        );
+        $mirrors   = array(
+            ''       => __( 'Keep', 'wp-nc-bridge' ),
+            'delete' => __( 'Delete', 'wp-nc-bridge' ),
+            'trash'  => __( 'Move to trash folder', 'wp-nc-bridge' ),
+        );
+        ?>
+        <select name="<?php echo esc_attr( $name ); ?>[direction]" class="wpnc-direction">
+            <?php foreach ( $choices as $value => $label ) : ?>
+                <option value="<?php echo esc_attr( $value ); ?>" <?php selected( $direction, $value ); ?>><?php echo esc_html( $label ); ?></option>
+            <?php endforeach; ?>
+        </select>
+        <label class="wpnc-conflict" <?php echo $direction === 'both' ? '' : 'style="display:none"'; ?>>
+            <?php esc_html_e( 'On conflict:', 'wp-nc-bridge' ); ?>
+            <select name="<?php echo esc_attr( $name ); ?>[conflict]">
+                <?php foreach ( $policies as $value => $label ) : ?>
+                    <option value="<?php echo esc_attr( $value ); ?>" <?php selected( $conflict, $value ); ?>><?php echo esc_html( $label ); ?></option>
+                <?php endforeach; ?>
+            </select>
+        </label>
+        <span class="wpnc-mirror" <?php echo $direction === 'push' ? '' : 'style="display:none"'; ?>>
+            <label>
+                <?php esc_html_e( 'Files gone locally:', 'wp-nc-bridge' ); ?>
+                <select name="<?php echo esc_attr( $name ); ?>[mirror]" class="wpnc-mirror-mode">
+                    <?php foreach ( $mirrors as $value => $label ) : ?>
+                        <option value="<?php echo esc_attr( $value ); ?>" <?php selected( $mirror, $value ); ?>><?php echo esc_html( $label ); ?></option>
+                    <?php endforeach; ?>
+                </select>
+            </label>
+            <label class="wpnc-mirror-limit" <?php echo $mirror === '' ? 'style="display:none"' : ''; ?> title="<?php esc_attr_e( 'Nothing is removed when a run would remove a larger share of the files on Nextcloud.', 'wp-nc-bridge' ); ?>">
+                <?php esc_html_e( 'up to', 'wp-nc-bridge' ); ?>
+                <input type="number" name="<?php echo esc_attr( $name ); ?>[mirror_limit]" value="<?php echo (int) ( $pair['mirror_limit'] ?? NC_Sync::MIRROR_LIMIT ); ?>" class="small-text" min="0" max="100" step="1" />%
+            </label>
+        </span>
+        <label class="wpnc-compare" title="<?php esc_attr_e( 'Checksum compares file contents with the checksum Nextcloud stores, where it has one; files are hashed once and cached.', 'wp-nc-bridge' ); ?>">
+            <?php esc_html_e( 'Compare:', 'wp-nc-bridge' ); ?>
+            <select name="<?php echo esc_attr( $name ); ?>[compare]">
+                <option value="mtime" <?php selected( $compare, 'mtime' ); ?>><?php esc_html_e( 'Size and date', 'wp-nc-bridge' ); ?></option>
+                <option value="checksum" <?php selected( $compare, 'checksum' ); ?>><?php esc_html_e( 'Checksum', 'wp-nc-bridge' ); ?></option>
+            </select>
+        </label>
+        <?php
+    }
+
+    /**
+     * Include / exclude globs, size range and age limit of one sync pair,
+     * with a button that tests them against the local files.
+     *
+     * @param int   $i     Row index.
+     * @param array $pair  Saved pair.
+     */
+    private function render_filters_cell( int $i, array $pair ) {
+        $name    = self::OPTION_KEY . '[sync_dirs][' . $i . '][filters]';
+        $filters = NC_Sync_Filter::sanitize( $pair['filters'] ?? array() );
+        $active  = ( new NC_Sync_Filter( $filters ) )->is_active();
+        ?>
+        <details class="wpnc-filters">
+            <summary><?php echo esc_html( $active ? __( 'Filtered', 'wp-nc-bridge' ) : __( 'All files', 'wp-nc-bridge' ) ); ?></summary>
+            <label>
+                <?php esc_html_e( 'Include:', 'wp-nc-bridge' ); ?>
+                <input type="text" name="<?php echo esc_attr( $name ); ?>[include]" value="<?php echo esc_attr( implode( ', ', $filters['include'] ) ); ?>" class="wpnc-filter-include" placeholder="*.jpg, *.pdf" />
+            </label>
+            <label>
+                <?php esc_html_e( 'Exclude:', 'wp-nc-bridge' ); ?>
+                <input type="text" name="<?php echo esc_attr( $name ); ?>[exclude]" value="<?php echo esc_attr( implode( ', ', $filters['exclude'] ) ); ?>" class="wpnc-filter-exclude" placeholder="cache/, *.tmp" />
+            </label>
+            <label>
+                <?php esc_html_e( 'Size:', 'wp-nc-bridge' ); ?>
+                <input type="number" name="<?php echo esc_attr( $name ); ?>[min_size]" value="<?php echo (int) $filters['min_size']; ?>" class="small-text wpnc-filter-min" min="0" step="1" />
+                –
+                <input type="number" name="<?php echo esc_attr( $name ); ?>[max_size]" value="<?php echo (int) $filters['max_size']; ?>" class="small-text wpnc-filter-max" min="0" step="1" />
+                <?php esc_html_e( 'KB', 'wp-nc-bridge' ); ?>
+            </label>
+            <label>
+                <?php esc_html_e( 'Changed in the last', 'wp-nc-bridge' ); ?>
+                <input type="number" name="<?php echo esc_attr( $name ); ?>[max_age]" value="<?php echo (int) $filters['max_age']; ?>" class="small-text wpnc-filter-age" min="0" step="1" />
+                <?php esc_html_e( 'days', 'wp-nc-bridge' ); ?>
+            </label>
+            <p class="description"><?php esc_html_e( 'Comma-separated globs: * and ? stay within a folder, ** crosses folders, a trailing / matches folders only. 0 = no limit.', 'wp-nc-bridge' ); ?></p>
+            <button type="button" class="button wpnc-test-filters"><?php esc_html_e( 'Test against local files', 'wp-nc-bridge' ); ?></button>
+            <div class="wpnc-filter-result"></div>
+        </details>
+        <?php
+    }
+
+    /**
+     * Schedule picker of one sync pair: manual, hourly, daily or every N minutes.
+     *
+     * @param int   $i     Row index.
+     * @param array $pair  Saved pair.
+     */
+    private function render_schedule_cell( int $i, array $pair ) {
+        $name     = self::OPTION_KEY . '[sync_dirs][' . $i . ']';
+        $schedule = $pair['schedule'] ?? '';
+        $choices  = array(
+            ''       => __( 'Manual only', 'wp-nc-bridge' ),
+            'hourly' => __( 'Hourly', 'wp-nc-bridge' ),
+            'daily'  => __( 'Daily', 'wp-nc-bridge' ),
+            'custom' => __( 'Every…', 'wp-nc-bridge' ),
+        );
+        ?>
+        <select name="<?php echo esc_attr( $name ); ?>[schedule]" class="wpnc-schedule">
+            <?php foreach ( $choices as $value => $label ) : ?>
+                <option value="<?php echo esc_attr( $value ); ?>" <?php selected( $schedule, $value ); ?>><?php echo esc_html( $label ); ?></option>
+            <?php endforeach; ?>
+        </select>
+        <span class="wpnc-schedule-custom" <?php echo $schedule === 'custom' ? '' : 'style="display:none"'; ?>>
+            <input type="number" name="<?php echo esc_attr( $name ); ?>[interval]" value="<?php echo (int) ( $pair['interval'] ?? 60 ); ?>" class="small-text" min="<?php echo (int) NC_Sync_Schedule::MIN_INTERVAL; ?>" step="1" />
+            <?php esc_html_e( 'min', 'wp-nc-bridge' ); ?>
+        </span>
+        <?php
+    }
+
+    public function render_field_parallel_files() {
+        printf(
+            '<input type="number" name="%s[upload_parallel_files]" value="%d" class="small-text" min="1" max="%d" step="1" />
+             <p class="description">%s</p>',
+            esc_attr( self::OPTION_KEY ),
+            (int) $this->get_val( 'upload_parallel_files' ),
+            self::MAX_PARALLEL,
+            esc_html__( 'How many files upload at the same time. Shortcode attribute: parallel_files.', 'wp-nc-bridge' )
+        );
+    }
+
+    public function render_field_parallel_chunks() {
+        printf(
+            '<input type="number" name="%s[upload_parallel_chunks]" value="%d" class="small-text" min="1" max="%d" step="1" />
+             <p class="description">%s</p>',
+            esc_attr( self::OPTION_KEY ),
+            (int) $this->get_val( 'upload_parallel_chunks' ),
+            self::MAX_PARALLEL,
+            esc_html__( 'How many chunks of one large file upload at the same time. Shortcode attribute: parallel_chunks.', 'wp-nc-bridge' )
+        );
+    }
+
+    public function render_field_bandwidth() {
+        printf(
+            '<input type="number" name="%s[upload_bandwidth]" value="%d" class="small-text" min="0" max="%d" step="1" /> KB/s
+             <p class="description">%s</p>',
+            esc_attr( self::OPTION_KEY ),
+            (int) $this->get_val( 'upload_bandwidth' ),
+            self::MAX_BANDWIDTH,
+            esc_html__( 'Average upload speed limit per browser window, shared by all parallel requests. 0 = unlimited. Shortcode attribute: bandwidth.', 'wp-nc-bridge' )
+        );
+    }
+
     /* ================================================================
      *  PAGE RENDERER
      * ============================================================= */
@@ -237,9 +447,37 @@ class NC_Settings {
                 <button type="button" id="wpnc-sync-btn" class="button button-primary">
                     <?php esc_html_e( 'Sync Now', 'wp-nc-bridge' ); ?>
                 </button>
+                <button type="button" id="wpnc-preview-btn" class="button">
+                    <?php esc_html_e( 'Preview', 'wp-nc-bridge' ); ?>
+                </button>
+                <button type="button" id="wpnc-sync-cancel" class="button" style="display:none">
+                    <?php esc_html_e( 'Cancel', 'wp-nc-bridge' ); ?>
+                </button>
                 <span id="wpnc-sync-result" style="margin-left:12px;"></span>
             </p>
+            <p id="wpnc-sync-counts" class="description" style="display:none"></p>
             <div id="wpnc-sync-log" style="max-height:300px;overflow:auto;background:#f6f7f7;padding:8px 12px;margin-top:8px;display:none;font-family:monospace;font-size:13px;"></div>
+            <div id="wpnc-preview" style="display:none">
+                <p id="wpnc-preview-status" class="description"></p>
+                <div id="wpnc-preview-warnings" class="wpnc-run-log-lines" style="display:none"></div>
+                <p class="wpnc-preview-filters">
+                    <input type="search" id="wpnc-preview-filter" class="regular-text" placeholder="<?php esc_attr_e( 'Filter by path…', 'wp-nc-bridge' ); ?>" />
+                    <select id="wpnc-preview-action"></select>
+                </p>
+                <div id="wpnc-preview-table"></div>
+            </div>
+
+            <hr />
+
+            <h2 class="title"><?php esc_html_e( 'Sync History', 'wp-nc-bridge' ); ?></h2>
+            <div id="wpnc-sync-next" class="description"></div>
+            <p>
+                <label>
+                    <input type="checkbox" id="wpnc-history-errors" />
+                    <?php esc_html_e( 'Only runs with errors', 'wp-nc-bridge' ); ?>
+                </label>
+            </p>
+            <div id="wpnc-sync-history"></div>
         </div>
         <?php
     }
@@ -283,17 +521,89 @@ class NC_Settings {
                 $local  = sanitize_text_field( trim( $pair['local'] ?? '', '/' ) );
                 $remote = sanitize_text_field( trim( $pair['remote'] ?? '', '/' ) );
                 if ( $local !== '' && $remote !== '' ) {
+                    $schedule  = sanitize_key( $pair['schedule'] ?? '' );
+                    $direction = sanitize_key( $pair['direction'] ?? 'push' );
+                    $conflict  = sanitize_key( $pair['conflict'] ?? 'newer' );
+                    $mirror    = sanitize_key( $pair['mirror'] ?? '' );
+                    $compare   = sanitize_key( $pair['compare'] ?? 'mtime' );
+
                     $clean['sync_dirs'][] = array(
-                        'local'  => $local,
-                        'remote' => $remote,
+                        'local'        => $local,
+                        'remote'       => $remote,
+                        'direction'    => in_array( $direction, NC_Sync::DIRECTIONS, true ) ? $direction : 'push',
+                        'conflict'     => in_array( $conflict, NC_Sync::CONFLICT_POLICIES, true ) ? $conflict : 'newer',
+                        'mirror'       => in_array( $mirror, NC_Sync::MIRROR_MODES, true ) ? $mirror : '',
+                        'mirror_limit' => min( 100, max( 0, (int) ( $pair['mirror_limit'] ?? NC_Sync::MIRROR_LIMIT ) ) ),
+                        'compare'      => in_array( $compare, NC_Sync::COMPARE_MODES, true ) ? $compare : 'mtime',
+                        'filters'      => NC_Sync_Filter::sanitize( (array) ( $pair['filters'] ?? array() ) ),
+                        'schedule'     => in_array( $schedule, array( 'hourly', 'daily', 'custom' ), true ) ? $schedule : '',
+                        'interval'     => max( NC_Sync_Schedule::MIN_INTERVAL, (int) ( $pair['interval'] ?? 60 ) ),
                     );
                 }
             }
         }
 
+        // Upload queue tuning.
+        $clean['upload_parallel_files']  = min( self::MAX_PARALLEL, max( 1, (int) ( $input['upload_parallel_files'] ?? 2 ) ) );
+        $clean['upload_parallel_chunks'] = min( self::MAX_PARALLEL, max( 1, (int) ( $input['upload_parallel_chunks'] ?? 3 ) ) );
+        $clean['upload_bandwidth']       = min( self::MAX_BANDWIDTH, max( 0, (int) ( $input['upload_bandwidth'] ?? 0 ) ) );
+
+        // Media Library offload.
+        $offload_url = sanitize_key( $input['offload_url'] ?? 'proxy' );
+        $clean['offload_media']        = ! empty( $input['offload_media'] );
+        $clean['offload_path']         = trim( sanitize_text_field( $input['offload_path'] ?? '' ), '/' ) ?: 'media';
+        $clean['offload_remove_local'] = ! empty( $input['offload_remove_local'] );
+        $clean['offload_url']          = in_array( $offload_url, NC_Media_Offload::URL_MODES, true ) ? $offload_url : 'proxy';
+
         return $clean;
     }
 
+    public function render_field_offload_media() {
+        printf(
+            '<label><input type="checkbox" name="%s[offload_media]" value="1" %s /> %s</label>',
+            esc_attr( self::OPTION_KEY ),
+            checked( (bool) $this->get_val( 'offload_media' ), true, false ),
+            esc_html__( 'Upload new Media Library attachments to Nextcloud right after WordPress has created their image sizes', 'wp-nc-bridge' )
+        );
+    }
+
+    public function render_field_offload_path() {
+        printf(
+            '<input type="text" name="%s[offload_path]" value="%s" class="regular-text" placeholder="media" />
+             <p class="description">%s</p>',
+            esc_attr( self::OPTION_KEY ),
+            esc_attr( $this->get_val( 'offload_path' ) ),
+            esc_html__( 'Relative to the Nextcloud Root Folder. Attachments keep their year/month folders.', 'wp-nc-bridge' )
+        );
+    }
+
+    public function render_field_offload_remove() {
+        printf(
+            '<label><input type="checkbox" name="%s[offload_remove_local]" value="1" %s /> %s</label>
+             <p class="description">%s</p>',
+            esc_attr( self::OPTION_KEY ),
+            checked( (bool) $this->get_val( 'offload_remove_local' ), true, false ),
+            esc_html__( 'Remove the local files once they are on Nextcloud', 'wp-nc-bridge' ),
+            esc_html__( 'Attachments are then served from Nextcloud. Image editing and regenerating sizes need the local file.', 'wp-nc-bridge' )
+        );
+    }
+
+    public function render_field_offload_url() {
+        $mode    = $this->get_val( 'offload_url' );
+        $choices = array(
+            'proxy' => __( 'Through WordPress (download proxy, signed links)', 'wp-nc-bridge' ),
+            'share' => __( 'Nextcloud public share links', 'wp-nc-bridge' ),
+        );
+        ?>
+        <select name="<?php echo esc_attr( self::OPTION_KEY ); ?>[offload_url]">
+            <?php foreach ( $choices as $value => $label ) : ?>
+                <option value="<?php echo esc_attr( $value ); ?>" <?php selected( $mode, $value ); ?>><?php echo esc_html( $label ); ?></option>
+            <?php endforeach; ?>
+        </select>
+        <p class="description"><?php esc_html_e( 'Used for attachments whose local copy was removed. Share links are created once, when the attachment is offloaded.', 'wp-nc-bridge' ); ?></p>
+        <?php
+    }
+
     /* ================================================================
      *  AJAX: TEST CONNECTION
      * ============================================================= */
@@ -350,6 +660,8 @@ class NC_Settings {
         wp_localize_script( 'wpnc-admin', 'wpncAdmin', array(
             'ajaxUrl' => admin_url( 'admin-ajax.php' ),
             'nonce'   => wp_create_nonce( 'wpnc_nonce' ),
+            'mirrorLimit' => NC_Sync::MIRROR_LIMIT,
+            'filterTestLimit' => NC_Sync_Filter::TEST_LIMIT,
             'i18n'    => array(
                 'testing'      => __( 'Testing…', 'wp-nc-bridge' ),
                 'syncing'      => __( 'Syncing…', 'wp-nc-bridge' ),
@@ -358,6 +670,188 @@ class NC_Settings {
                 'loading'      => __( 'Loading…', 'wp-nc-bridge' ),
                 'empty_folder' => __( '(empty folder)', 'wp-nc-bridge' ),
                 'confirm_sync' => __( 'Start syncing configured directories to Nextcloud?', 'wp-nc-bridge' ),
+                'rename'       => __( 'Rename', 'wp-nc-bridge' ),
+                'move'         => __( 'Move', 'wp-nc-bridge' ),
+                'move_to'      => __( 'Move "%s" to:', 'wp-nc-bridge' ),
+                'move_here'    => __( 'Move here', 'wp-nc-bridge' ),
+                'cancel'       => __( 'Cancel', 'wp-nc-bridge' ),
+                'no_subfolders'  => __( '(no subfolders)', 'wp-nc-bridge' ),
+                'move_into_self' => __( 'A folder cannot be moved into itself.', 'wp-nc-bridge' ),
+                'copy'           => __( 'Copy', 'wp-nc-bridge' ),
+                'copy_to'        => __( 'Copy "%s" to:', 'wp-nc-bridge' ),
+                'copy_here'      => __( 'Copy here', 'wp-nc-bridge' ),
+                'copying'        => __( 'Copying %s…', 'wp-nc-bridge' ),
+                'copy_into_self' => __( 'A folder cannot be copied into itself.', 'wp-nc-bridge' ),
+                'exists'         => __( '"%s" already exists in the destination folder.', 'wp-nc-bridge' ),
+                'overwrite'      => __( 'Overwrite', 'wp-nc-bridge' ),
+                'keep_both'      => __( 'Keep both', 'wp-nc-bridge' ),
+                'selected'       => __( '%d selected', 'wp-nc-bridge' ),
+                'download_zip'   => __( 'Download ZIP', 'wp-nc-bridge' ),
+                'delete_n'       => __( 'Delete %d', 'wp-nc-bridge' ),
+                'clear'          => __( 'Clear selection', 'wp-nc-bridge' ),
+                'move_items'     => __( 'Move %d items to:', 'wp-nc-bridge' ),
+                /* translators: 1: items that worked, 2: items that failed */
+                'bulk_summary'   => __( '%1$d done, %2$d failed', 'wp-nc-bridge' ),
+                'close'          => __( 'Close', 'wp-nc-bridge' ),
+                'download_folder' => __( 'Download as ZIP', 'wp-nc-bridge' ),
+                'zip_preparing'  => __( 'Listing files…', 'wp-nc-bridge' ),
+                /* translators: 1: files done, 2: files total, 3: bytes done, 4: bytes total */
+                'zip_progress'   => __( '%1$d/%2$d files · %3$s of %4$s', 'wp-nc-bridge' ),
+                'zip_done'       => __( 'Archive complete', 'wp-nc-bridge' ),
+                'zip_not_started' => __( 'The download did not start — copy the link to try again.', 'wp-nc-bridge' ),
+                'copy_link'      => __( 'Copy link (valid until %s)', 'wp-nc-bridge' ),
+                'failed_n'       => __( '%d failed', 'wp-nc-bridge' ),
+                'cancelled'      => __( 'Cancelled', 'wp-nc-bridge' ),
+                'cancelling'     => __( 'Cancelling…', 'wp-nc-bridge' ),
+                /* translators: 1: pair number, 2: pairs total, 3: local directory */
+                'sync_pair'      => __( 'Syncing %3$s (%1$d of %2$d)…', 'wp-nc-bridge' ),
+                /* translators: 1: scanned, 2: uploaded, 3: skipped, 4: failed */
+                'sync_counts'    => __( '%1$d scanned · %2$d uploaded · %3$d skipped · %4$d failed', 'wp-nc-bridge' ),
+                /* translators: 1: downloaded, 2: deleted, 3: conflicts */
+                'sync_counts_two_way' => __( '%1$d downloaded · %2$d deleted · %3$d conflicts', 'wp-nc-bridge' ),
+                'dir_push'       => __( 'Push (WordPress → Nextcloud)', 'wp-nc-bridge' ),
+                'dir_pull'       => __( 'Pull (Nextcloud → WordPress)', 'wp-nc-bridge' ),
+                'dir_both'       => __( 'Two-way', 'wp-nc-bridge' ),
+                'on_conflict'    => __( 'On conflict:', 'wp-nc-bridge' ),
+                'conflict_newer' => __( 'Newest copy wins', 'wp-nc-bridge' ),
+                'conflict_local' => __( 'WordPress wins', 'wp-nc-bridge' ),
+                'conflict_remote' => __( 'Nextcloud wins', 'wp-nc-bridge' ),
+                'conflict_keep_both' => __( 'Keep both copies', 'wp-nc-bridge' ),
+                'gone_locally'   => __( 'Files gone locally:', 'wp-nc-bridge' ),
+                'mirror_keep'    => __( 'Keep', 'wp-nc-bridge' ),
+                'mirror_delete'  => __( 'Delete', 'wp-nc-bridge' ),
+                'mirror_trash'   => __( 'Move to trash folder', 'wp-nc-bridge' ),
+                'up_to'          => __( 'up to', 'wp-nc-bridge' ),
+                'mirror_limit_hint' => __( 'Nothing is removed when a run would remove a larger share of the files on Nextcloud.', 'wp-nc-bridge' ),
+                'compare'        => __( 'Compare:', 'wp-nc-bridge' ),
+                'compare_mtime'  => __( 'Size and date', 'wp-nc-bridge' ),
+                'compare_checksum' => __( 'Checksum', 'wp-nc-bridge' ),
+                'compare_hint'   => __( 'Checksum compares file contents with the checksum Nextcloud stores, where it has one; files are hashed once and cached.', 'wp-nc-bridge' ),
+                'filters_all'    => __( 'All files', 'wp-nc-bridge' ),
+                'filters_on'     => __( 'Filtered', 'wp-nc-bridge' ),
+                'include'        => __( 'Include:', 'wp-nc-bridge' ),
+                'exclude'        => __( 'Exclude:', 'wp-nc-bridge' ),
+                'size_range'     => __( 'Size:', 'wp-nc-bridge' ),
+                'kb'             => __( 'KB', 'wp-nc-bridge' ),
+                'changed_last'   => __( 'Changed in the last', 'wp-nc-bridge' ),
+                'days'           => __( 'days', 'wp-nc-bridge' ),
+                'filters_hint'   => __( 'Comma-separated globs: * and ? stay within a folder, ** crosses folders, a trailing / matches folders only. 0 = no limit.', 'wp-nc-bridge' ),
+                'test_filters'   => __( 'Test against local files', 'wp-nc-bridge' ),
+                /* translators: 1: files in scope, 2: their total size */
+                'filter_result'  => __( '%1$d files would sync · %2$s', 'wp-nc-bridge' ),
+                /* translators: %d: entries looked at */
+                'filter_truncated' => __( 'Stopped after the first %d entries — the tree is larger.', 'wp-nc-bridge' ),
+                'filter_included' => __( 'Included, for example:', 'wp-nc-bridge' ),
+                'filter_skipped' => __( 'Left out, for example:', 'wp-nc-bridge' ),
+                'sync_failed'    => __( 'Sync stopped with an error — see the log.', 'wp-nc-bridge' ),
+                'manual_only'    => __( 'Manual only', 'wp-nc-bridge' ),
+                'hourly'         => __( 'Hourly', 'wp-nc-bridge' ),
+                'daily'          => __( 'Daily', 'wp-nc-bridge' ),
+                'every'          => __( 'Every…', 'wp-nc-bridge' ),
+                'minutes_short'  => __( 'min', 'wp-nc-bridge' ),
+                /* translators: %d: minutes */
+                'every_n_min'    => __( 'every %d min', 'wp-nc-bridge' ),
+                'next_runs'      => __( 'Next scheduled runs:', 'wp-nc-bridge' ),
+                'no_schedules'   => __( 'No directory pair is scheduled — sync runs only when you click Sync Now.', 'wp-nc-bridge' ),
+                'overdue'        => __( 'due now (waiting for WP-Cron)', 'wp-nc-bridge' ),
+                'no_runs'        => __( 'No sync has run yet.', 'wp-nc-bridge' ),
+                'no_error_runs'  => __( 'No run had errors.', 'wp-nc-bridge' ),
+                'started'        => __( 'Started', 'wp-nc-bridge' ),
+                'trigger'        => __( 'Trigger', 'wp-nc-bridge' ),
+                'directories'    => __( 'Directories', 'wp-nc-bridge' ),
+                'duration'       => __( 'Duration', 'wp-nc-bridge' ),
+                'result'         => __( 'Result', 'wp-nc-bridge' ),
+                'trigger_manual' => __( 'Manual', 'wp-nc-bridge' ),
+                'trigger_schedule' => __( 'Schedule', 'wp-nc-bridge' ),
+                'state_done'     => __( 'Done', 'wp-nc-bridge' ),
+                'state_failed'   => __( 'Failed', 'wp-nc-bridge' ),
+                'show_log'       => __( 'Show log', 'wp-nc-bridge' ),
+                'hide_log'       => __( 'Hide log', 'wp-nc-bridge' ),
+                /* translators: %d: lines not kept */
+                'log_trimmed'    => __( '… %d earlier lines not kept', 'wp-nc-bridge' ),
+                'no_log_errors'  => __( 'No errors or warnings in this run.', 'wp-nc-bridge' ),
+                /* translators: 1: pair number, 2: pairs total, 3: local directory, 4: files so far */
+                'previewing'     => __( 'Previewing %3$s (%1$d of %2$d) · %4$d files so far…', 'wp-nc-bridge' ),
+                'preview_done'   => __( 'Preview complete — nothing was changed.', 'wp-nc-bridge' ),
+                /* translators: 1: files to transfer, 2: total size */
+                'preview_total'  => __( '%1$d files to transfer · %2$s', 'wp-nc-bridge' ),
+                'preview_nothing' => __( 'Nothing to do — everything is up to date.', 'wp-nc-bridge' ),
+                'preview_no_match' => __( 'No rows match the filter.', 'wp-nc-bridge' ),
+                'all_actions'    => __( 'All actions', 'wp-nc-bridge' ),
+                'plan_create'    => __( 'Create folder', 'wp-nc-bridge' ),
+                'plan_upload'    => __( 'Upload', 'wp-nc-bridge' ),
+                'plan_download'  => __( 'Download', 'wp-nc-bridge' ),
+                'plan_conflict'  => __( 'Conflict', 'wp-nc-bridge' ),
+                'plan_delete'    => __( 'Delete', 'wp-nc-bridge' ),
+                'plan_trash'     => __( 'Move to trash', 'wp-nc-bridge' ),
+                'plan_skip'      => __( 'Skip', 'wp-nc-bridge' ),
+                'reason_unchanged' => __( 'Up to date', 'wp-nc-bridge' ),
+                'reason_too_large' => __( 'Over the max file size', 'wp-nc-bridge' ),
+                'reason_file_type' => __( 'File type not allowed in WordPress', 'wp-nc-bridge' ),
+                'reason_ignored' => __( 'Matches a skip pattern', 'wp-nc-bridge' ),
+                'reason_mirror_limit' => __( 'Over the mirror safety limit', 'wp-nc-bridge' ),
+                'reason_conflict' => __( 'Changed on both sides — this copy wins', 'wp-nc-bridge' ),
+                'reason_keep_both' => __( 'Changed on both sides — both copies kept', 'wp-nc-bridge' ),
+                'reason_if_empty' => __( 'If nothing is left in it', 'wp-nc-bridge' ),
+                'reason_excluded' => __( 'Matches an exclude pattern', 'wp-nc-bridge' ),
+                'reason_not_included' => __( 'Matches no include pattern', 'wp-nc-bridge' ),
+                'reason_size_filter' => __( 'Outside the size filter', 'wp-nc-bridge' ),
+                'reason_age_filter' => __( 'Older than the age filter', 'wp-nc-bridge' ),
+                'path'           => __( 'Path', 'wp-nc-bridge' ),
+                'size'           => __( 'Size', 'wp-nc-bridge' ),
+                'reason'         => __( 'Reason', 'wp-nc-bridge' ),
+                /* translators: %d: rows not shown */
+                'more_rows'      => __( '… %d more — narrow the filter to see them', 'wp-nc-bridge' ),
+                'share'          => __( 'Share', 'wp-nc-bridge' ),
+                'copied'         => __( 'Link copied!', 'wp-nc-bridge' ),
+                /* translators: %s: file or folder name */
+                'share_title'    => __( 'Shares of "%s"', 'wp-nc-bridge' ),
+                'share_none'     => __( 'Not shared yet.', 'wp-nc-bridge' ),
+                'share_public'   => __( 'Public link', 'wp-nc-bridge' ),
+                /* translators: %s: user or group name */
+                'share_with'     => __( 'Shared with %s', 'wp-nc-bridge' ),
+                'share_label'    => __( 'Label (optional)', 'wp-nc-bridge' ),
+                'share_password' => __( 'Password (optional)', 'wp-nc-bridge' ),
+                'share_expire'   => __( 'Expires', 'wp-nc-bridge' ),
+                'share_view'     => __( 'View only', 'wp-nc-bridge' ),
+                'share_upload'   => __( 'Allow upload', 'wp-nc-bridge' ),
+                'share_edit'     => __( 'Allow editing', 'wp-nc-bridge' ),
+                'share_create'   => __( 'Create link', 'wp-nc-bridge' ),
+                'share_protected' => __( 'Password', 'wp-nc-bridge' ),
+                /* translators: %s: expiry date */
+                'share_expires'  => __( 'Expires %s', 'wp-nc-bridge' ),
+                'share_copy'     => __( 'Copy', 'wp-nc-bridge' ),
+                'revoke'         => __( 'Revoke', 'wp-nc-bridge' ),
+                'revoke_confirm' => __( 'Revoke?', 'wp-nc-bridge' ),
+                'shared'         => __( 'Shared', 'wp-nc-bridge' ),
+                'shared_link'    => __( 'Shared by public link', 'wp-nc-bridge' ),
+                'search'         => __( 'Search', 'wp-nc-bridge' ),
+                'search_placeholder' => __( 'Filter or search by name…', 'wp-nc-bridge' ),
+                'search_any'     => __( 'Any type', 'wp-nc-bridge' ),
+                'search_folders' => __( 'Folders', 'wp-nc-bridge' ),
+                'search_images'  => __( 'Images', 'wp-nc-bridge' ),
+                'search_videos'  => __( 'Videos', 'wp-nc-bridge' ),
+                'search_audio'   => __( 'Audio', 'wp-nc-bridge' ),
+                'search_text'    => __( 'Text', 'wp-nc-bridge' ),
+                'search_min_mb'  => __( 'Min MB', 'wp-nc-bridge' ),
+                'search_max_mb'  => __( 'Max MB', 'wp-nc-bridge' ),
+                'search_after'   => __( 'Modified from', 'wp-nc-bridge' ),
+                'search_before'  => __( 'Modified until', 'wp-nc-bridge' ),
+                'search_empty'   => __( 'Enter a name or choose a filter.', 'wp-nc-bridge' ),
+                /* translators: 1: number of results, 2: folder */
+                'search_results' => __( '%1$d results in %2$s', 'wp-nc-bridge' ),
+                /* translators: %d: number of results shown */
+                'search_more'    => __( 'Only the first %d are shown — narrow the search.', 'wp-nc-bridge' ),
+                'search_none'    => __( 'Nothing found.', 'wp-nc-bridge' ),
+                'search_back'    => __( 'Back to folder', 'wp-nc-bridge' ),
+                'search_folder'  => __( 'Folder', 'wp-nc-bridge' ),
+                'show_in_folder' => __( 'Show in folder', 'wp-nc-bridge' ),
+                'col_name'       => __( 'Name', 'wp-nc-bridge' ),
+                'col_type'       => __( 'Type', 'wp-nc-bridge' ),
+                'col_size'       => __( 'Size', 'wp-nc-bridge' ),
+                'col_modified'   => __( 'Modified', 'wp-nc-bridge' ),
+                'grid_view'      => __( 'Grid', 'wp-nc-bridge' ),
+                'list_view'      => __( 'List', 'wp-nc-bridge' ),
             ),
         ) );
     }
@@ -377,6 +871,13 @@ class NC_Settings {
             'nc_root_path'   => '/WordPress',
             'max_file_size'  => 2048, // MB
             'sync_dirs'      => array(),
+            'upload_parallel_files'  => 2,
+            'upload_parallel_chunks' => 3,
+            'upload_bandwidth'       => 0, // KB/s, 0 = unlimited
+            'offload_media'          => false,
+            'offload_path'           => 'media',
+            'offload_remove_local'   => false,
+            'offload_url'            => 'proxy',
         );
     }
 
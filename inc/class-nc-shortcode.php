@@ -11,6 +11,22 @@
  *   [nextcloud upload="true"]            — enable uploads (default: true)
  *   [nextcloud create_folder="true"]     — enable folder creation (default: true)
  *   [nextcloud delete="true"]            — enable deletion (default: false)
+ *   [nextcloud move="true"]              — enable rename / move (default: false)
+ *   [nextcloud copy="true"]              — enable copying (default: false)
+ *   [nextcloud parallel_files="3"]       — files uploaded at once (default: settings)
+ *   [nextcloud parallel_chunks="4"]      — chunks per file sent at once (default: settings)
+ *   [nextcloud bandwidth="2048"]         — upload cap in KB/s, 0 = unlimited (default: settings)
+ *
+ * Private folders: placeholders in `path` give each logged-in user their
+ * own folder, created on the first visit, which they cannot leave:
+ *   [nextcloud path="Members/{user_login}"]  — one folder per user
+ *   [nextcloud path="Teams/{role}"]          — one folder per role
+ * ({user_id} works too.) Such a browser is open to every logged-in user;
+ * see NC_Scope for how the server keeps them inside.
+ *
+ * Guest drop box (upload form only, open to anyone — see NC_Dropbox):
+ *   [nextcloud mode="dropbox" path="Incoming" extensions="pdf,jpg"
+ *              max_size="20" max_files="5" code="s3cret" rate="3"]
  *
  * @package WPNC
  */
@@ -27,6 +43,9 @@ class NC_Shortcode {
     /** @var bool Whether assets have already been enqueued this page load. */
     private static $enqueued = false;
 
+    /** @var int Private-folder shortcodes rendered so far this page load. */
+    private static $scoped = 0;
+
     /* ================================================================
      *  BOOTSTRAP
      * ============================================================= */
@@ -46,23 +65,76 @@ class NC_Shortcode {
      * @return string  HTML output.
      */
     public function render( $atts ): string {
-        // Permission gate — show nothing to unauthorised users.
-        if ( ! current_user_can( self::CAPABILITY ) ) {
-            return '<p class="wpnc-noaccess">' . esc_html__( 'You do not have permission to access this file browser.', 'wp-nc-bridge' ) . '</p>';
-        }
-
         $atts = shortcode_atts( array(
             'path'          => '',
             'upload'        => 'true',
             'create_folder' => 'true',
             'delete'        => 'false',
+            'move'          => 'false',
+            'copy'          => 'false',
+            'parallel_files'  => '',
+            'parallel_chunks' => '',
+            'bandwidth'       => '',
+            'mode'          => 'browser',
+            'extensions'    => '',
+            'max_size'      => '',
+            'max_files'     => '',
+            'code'          => '',
+            'rate'          => '',
         ), $atts, self::SHORTCODE );
 
+        if ( $atts['mode'] === 'dropbox' ) {
+            return NC_Dropbox::render( $atts );
+        }
+
         // Normalise booleans.
         $allow_upload = filter_var( $atts['upload'], FILTER_VALIDATE_BOOLEAN );
         $allow_mkdir  = filter_var( $atts['create_folder'], FILTER_VALIDATE_BOOLEAN );
         $allow_delete = filter_var( $atts['delete'], FILTER_VALIDATE_BOOLEAN );
+        $allow_move   = filter_var( $atts['move'], FILTER_VALIDATE_BOOLEAN );
+        $allow_copy   = filter_var( $atts['copy'], FILTER_VALIDATE_BOOLEAN );
         $initial_path = sanitize_text_field( $atts['path'] );
+        $root_path    = '';
+
+        if ( NC_Scope::has_placeholders( $initial_path ) ) {
+            // Private folder — any logged-in user, jailed to it.
+            if ( ! is_user_logged_in() ) {
+                return $this->notice( __( 'Please log in to see your files.', 'wp-nc-bridge' ) );
+            }
+
+            $root_path = NC_Scope::resolve( $initial_path, wp_get_current_user() );
+            if ( $root_path === '' ) {
+                return $this->notice( __( 'No folder is set up for your account.', 'wp-nc-bridge' ) );
+            }
+
+            // One source per shortcode on the page: its permissions replace
+            // what it granted before, other shortcodes' stay.
+            $source  = get_the_ID() . '#' . ( ++self::$scoped );
+            $granted = NC_Scope::grant( get_current_user_id(), $root_path, array_keys( array_filter( array(
+                'upload'        => $allow_upload,
+                'create_folder' => $allow_mkdir,
+                'delete'        => $allow_delete,
+                'move'          => $allow_move,
+                'copy'          => $allow_copy,
+            ) ) ), $source );
+            if ( is_wp_error( $granted ) ) {
+                return $this->notice( $granted->get_error_message() );
+            }
+
+            $initial_path = $root_path;
+        } elseif ( ! current_user_can( self::CAPABILITY ) ) {
+            // Permission gate — show nothing to unauthorised users.
+            return $this->notice( __( 'You do not have permission to access this file browser.', 'wp-nc-bridge' ) );
+        }
+
+        // Share links are published from the site's account: admins only.
+        $allow_share = current_user_can( self::CAPABILITY );
+
+        // Upload pipeline: empty attribute → site-wide default from settings.
+        $opts            = get_option( NC_Settings::OPTION_KEY, NC_Settings::defaults() );
+        $parallel_files  = $this->int_att( $atts['parallel_files'], $opts['upload_parallel_files'] ?? 2, 1, NC_Settings::MAX_PARALLEL );
+        $parallel_chunks = $this->int_att( $atts['parallel_chunks'], $opts['upload_parallel_chunks'] ?? 3, 1, NC_Settings::MAX_PARALLEL );
+        $bandwidth_kb    = $this->int_att( $atts['bandwidth'], $opts['upload_bandwidth'] ?? 0, 0, NC_Settings::MAX_BANDWIDTH );
 
         // Enqueue assets once per page.
         $this->enqueue_assets();
@@ -77,14 +149,29 @@ class NC_Shortcode {
              class="wpnc-browser"
              data-wpnc-browser
              data-initial-path="<?php echo esc_attr( $initial_path ); ?>"
+             data-root-path="<?php echo esc_attr( $root_path ); ?>"
+             data-allow-share="<?php echo $allow_share ? '1' : '0'; ?>"
              data-allow-upload="<?php echo $allow_upload ? '1' : '0'; ?>"
              data-allow-mkdir="<?php echo $allow_mkdir ? '1' : '0'; ?>"
-             data-allow-delete="<?php echo $allow_delete ? '1' : '0'; ?>">
+             data-allow-delete="<?php echo $allow_delete ? '1' : '0'; ?>"
+             data-allow-move="<?php echo $allow_move ? '1' : '0'; ?>"
+             data-allow-copy="<?php echo $allow_copy ? '1' : '0'; ?>"
+             data-parallel-files="<?php echo (int) $parallel_files; ?>"
+             data-parallel-chunks="<?php echo (int) $parallel_chunks; ?>"
+             data-bandwidth="<?php echo (int) ( $bandwidth_kb * 1024 ); ?>">
 
             <!-- Toolbar -->
             <div class="wpnc-toolbar">
                 <nav class="wpnc-breadcrumb" aria-label="<?php esc_attr_e( 'File path', 'wp-nc-bridge' ); ?>"></nav>
+                <form class="wpnc-search" role="search">
+                    <input type="search" class="wpnc-input wpnc-search-input" placeholder="<?php esc_attr_e( 'Filter or search…', 'wp-nc-bridge' ); ?>" aria-label="<?php esc_attr_e( 'Search files', 'wp-nc-bridge' ); ?>" />
+                    <button type="button" class="wpnc-btn wpnc-search-toggle" aria-expanded="false" title="<?php esc_attr_e( 'Search filters', 'wp-nc-bridge' ); ?>">⚙️</button>
+                    <button type="submit" class="wpnc-btn" title="<?php esc_attr_e( 'Search this folder and its subfolders', 'wp-nc-bridge' ); ?>">🔍</button>
+                </form>
                 <div class="wpnc-toolbar-actions">
+                    <button type="button" class="wpnc-btn wpnc-btn-view" title="<?php esc_attr_e( 'Grid view', 'wp-nc-bridge' ); ?>">
+                        <span class="wpnc-icon">▦</span>
+                    </button>
                     <?php if ( $allow_mkdir ) : ?>
                         <button type="button" class="wpnc-btn wpnc-btn-mkdir" title="<?php esc_attr_e( 'New folder', 'wp-nc-bridge' ); ?>">
                             <span class="wpnc-icon">📁+</span>
@@ -95,17 +182,55 @@ class NC_Shortcode {
                             <span class="wpnc-icon">⬆️</span> <?php esc_html_e( 'Upload', 'wp-nc-bridge' ); ?>
                         </button>
                         <input type="file" class="wpnc-file-input" multiple style="display:none" />
+                        <button type="button" class="wpnc-btn wpnc-btn-upload-folder" title="<?php esc_attr_e( 'Upload folder', 'wp-nc-bridge' ); ?>">
+                            <span class="wpnc-icon">📂</span>
+                        </button>
+                        <input type="file" class="wpnc-folder-input" webkitdirectory multiple style="display:none" />
                     <?php endif; ?>
                 </div>
             </div>
 
+            <!-- Search filters (toggled by the ⚙️ button) -->
+            <div class="wpnc-search-filters" style="display:none">
+                <label><?php esc_html_e( 'Type', 'wp-nc-bridge' ); ?>
+                    <select class="wpnc-input" data-filter="mime">
+                        <option value=""><?php esc_html_e( 'Any', 'wp-nc-bridge' ); ?></option>
+                        <option value="httpd/unix-directory"><?php esc_html_e( 'Folders', 'wp-nc-bridge' ); ?></option>
+                        <option value="image"><?php esc_html_e( 'Images', 'wp-nc-bridge' ); ?></option>
+                        <option value="video"><?php esc_html_e( 'Videos', 'wp-nc-bridge' ); ?></option>
+                        <option value="audio"><?php esc_html_e( 'Audio', 'wp-nc-bridge' ); ?></option>
+                        <option value="application/pdf"><?php esc_html_e( 'PDF', 'wp-nc-bridge' ); ?></option>
+                        <option value="text"><?php esc_html_e( 'Text', 'wp-nc-bridge' ); ?></option>
+                    </select>
+                </label>
+                <label><?php esc_html_e( 'Size (MB)', 'wp-nc-bridge' ); ?>
+                    <input type="number" class="wpnc-input" data-filter="min_size" min="0" step="any" placeholder="<?php esc_attr_e( 'min', 'wp-nc-bridge' ); ?>" />
+                    –
+                    <input type="number" class="wpnc-input" data-filter="max_size" min="0" step="any" placeholder="<?php esc_attr_e( 'max', 'wp-nc-bridge' ); ?>" />
+                </label>
+                <label><?php esc_html_e( 'Modified', 'wp-nc-bridge' ); ?>
+                    <input type="date" class="wpnc-input" data-filter="after" />
+                    –
+                    <input type="date" class="wpnc-input" data-filter="before" />
+                </label>
+            </div>
+
+            <!-- Bulk action bar (shown while rows are selected) -->
+            <div class="wpnc-bulk-bar" style="display:none"></div>
+
+            <!-- ZIP downloads in progress -->
+            <div class="wpnc-zip-progress" style="display:none"></div>
+
+            <!-- Interrupted uploads that can be resumed -->
+            <div class="wpnc-upload-resume" style="display:none"></div>
+
             <!-- Upload progress area (hidden by default) -->
             <div class="wpnc-upload-progress" style="display:none"></div>
 
             <!-- Drop zone overlay -->
             <?php if ( $allow_upload ) : ?>
                 <div class="wpnc-dropzone-overlay">
-                    <div class="wpnc-dropzone-text"><?php esc_html_e( 'Drop files here to upload', 'wp-nc-bridge' ); ?></div>
+                    <div class="wpnc-dropzone-text"><?php esc_html_e( 'Drop files or folders here to upload', 'wp-nc-bridge' ); ?></div>
                 </div>
             <?php endif; ?>
 
@@ -131,6 +256,16 @@ class NC_Shortcode {
         return ob_get_clean();
     }
 
+    /**
+     * Message shown instead of the browser.
+     *
+     * @param string $message
+     * @return string
+     */
+    private function notice( string $message ): string {
+        return '<p class="wpnc-noaccess">' . esc_html( $message ) . '</p>';
+    }
+
     /* ================================================================
      *  ASSET ENQUEUE
      * ============================================================= */
@@ -159,6 +294,7 @@ class NC_Shortcode {
         wp_localize_script( 'wpnc-front', 'wpncFront', array(
             'ajaxUrl'   => admin_url( 'admin-ajax.php' ),
             'nonce'     => wp_create_nonce( NC_Ajax::NONCE_ACTION ),
+            'userId'    => get_current_user_id(),
             'chunkSize' => $this->get_upload_chunk_size(),
             'i18n'      => array(
                 'root'           => __( 'Root', 'wp-nc-bridge' ),
@@ -174,17 +310,140 @@ class NC_Shortcode {
                 'cancel'         => __( 'Cancel', 'wp-nc-bridge' ),
                 'confirm_delete' => __( 'Delete "%s"? This cannot be undone.', 'wp-nc-bridge' ),
                 'delete'         => __( 'Delete', 'wp-nc-bridge' ),
-                'share'          => __( 'Share link', 'wp-nc-bridge' ),
+                'share'          => __( 'Share', 'wp-nc-bridge' ),
                 'copied'         => __( 'Link copied!', 'wp-nc-bridge' ),
                 'download'       => __( 'Download', 'wp-nc-bridge' ),
                 'error'          => __( 'Error', 'wp-nc-bridge' ),
-                'drop_here'      => __( 'Drop files here to upload', 'wp-nc-bridge' ),
+                'drop_here'      => __( 'Drop files or folders here to upload', 'wp-nc-bridge' ),
                 'preparing'      => __( 'Preparing…', 'wp-nc-bridge' ),
                 'chunk_progress' => __( 'Uploading %1$s: %2$d%%', 'wp-nc-bridge' ),
+                'assembling'     => __( 'Assembling…', 'wp-nc-bridge' ),
+                /* translators: 1: seconds until retry, 2: attempt number, 3: max attempts */
+                'retrying'       => __( 'Retrying in %1$ds (%2$d/%3$d)…', 'wp-nc-bridge' ),
+                'resuming'       => __( 'Resuming %s', 'wp-nc-bridge' ),
+                'interrupted'    => __( 'Interrupted at %d%% — select the file again to resume', 'wp-nc-bridge' ),
+                'discard'        => __( 'Discard', 'wp-nc-bridge' ),
+                'queued'         => __( 'Queued', 'wp-nc-bridge' ),
+                /* translators: 1: files done, 2: files total, 3: bytes sent, 4: bytes total, 5: percent */
+                'queue_summary'  => __( '%1$d of %2$d files · %3$s of %4$s (%5$d%%)', 'wp-nc-bridge' ),
+                'paused'         => __( 'Paused', 'wp-nc-bridge' ),
+                'cancelled'      => __( 'Cancelled', 'wp-nc-bridge' ),
+                'aborted'        => __( 'Aborted', 'wp-nc-bridge' ),
+                'pause_upload'   => __( 'Pause', 'wp-nc-bridge' ),
+                'resume_upload'  => __( 'Resume', 'wp-nc-bridge' ),
+                'retry_upload'   => __( 'Retry', 'wp-nc-bridge' ),
+                'cancel_upload'  => __( 'Cancel upload', 'wp-nc-bridge' ),
+                'pause_all'      => __( 'Pause all', 'wp-nc-bridge' ),
+                'resume_all'     => __( 'Resume all', 'wp-nc-bridge' ),
+                'retry_failed'   => __( 'Retry failed', 'wp-nc-bridge' ),
+                'cancel_all'     => __( 'Cancel all', 'wp-nc-bridge' ),
+                'close'          => __( 'Close', 'wp-nc-bridge' ),
+                'creating_folders' => __( 'Creating folders…', 'wp-nc-bridge' ),
+                /* translators: 1: files done, 2: files total, 3: percent */
+                'group_summary'  => __( '%1$d/%2$d files · %3$d%%', 'wp-nc-bridge' ),
+                'group_failed'   => __( '%d failed', 'wp-nc-bridge' ),
+                'conflict_exists' => __( '"%s" already exists in this folder.', 'wp-nc-bridge' ),
+                'apply_to_all'   => __( 'Apply to all %d conflicts', 'wp-nc-bridge' ),
+                'overwrite'      => __( 'Overwrite', 'wp-nc-bridge' ),
+                'keep_both'      => __( 'Keep both', 'wp-nc-bridge' ),
+                'skip'           => __( 'Skip', 'wp-nc-bridge' ),
+                'rename'         => __( 'Rename', 'wp-nc-bridge' ),
+                'new_name'       => __( 'New name', 'wp-nc-bridge' ),
+                'move'           => __( 'Move', 'wp-nc-bridge' ),
+                'move_to'        => __( 'Move "%s" to…', 'wp-nc-bridge' ),
+                'move_here'      => __( 'Move here', 'wp-nc-bridge' ),
+                'renamed'        => __( 'Renamed to %s', 'wp-nc-bridge' ),
+                /* translators: 1: item name, 2: destination folder */
+                'moved'          => __( 'Moved %1$s to %2$s', 'wp-nc-bridge' ),
+                'move_into_self' => __( 'A folder cannot be moved into itself.', 'wp-nc-bridge' ),
+                'no_subfolders'  => __( 'No subfolders', 'wp-nc-bridge' ),
+                'copy'           => __( 'Copy', 'wp-nc-bridge' ),
+                'copy_to'        => __( 'Copy "%s" to…', 'wp-nc-bridge' ),
+                'copy_here'      => __( 'Copy here', 'wp-nc-bridge' ),
+                'copying'        => __( 'Copying %s…', 'wp-nc-bridge' ),
+                /* translators: 1: item name, 2: destination path */
+                'copied_to'      => __( 'Copied %1$s to %2$s', 'wp-nc-bridge' ),
+                'copy_into_self' => __( 'A folder cannot be copied into itself.', 'wp-nc-bridge' ),
+                'select'         => __( 'Select', 'wp-nc-bridge' ),
+                'select_all'     => __( 'Select all', 'wp-nc-bridge' ),
+                'selected'       => __( '%d selected', 'wp-nc-bridge' ),
+                'clear'          => __( 'Clear selection', 'wp-nc-bridge' ),
+                'download_zip'   => __( 'Download ZIP', 'wp-nc-bridge' ),
+                'confirm_bulk_delete' => __( 'Delete %d items? This cannot be undone.', 'wp-nc-bridge' ),
+                'move_items'     => __( 'Move %d items to…', 'wp-nc-bridge' ),
+                /* translators: 1: items that worked, 2: items that failed */
+                'bulk_summary'   => __( '%1$d done, %2$d failed', 'wp-nc-bridge' ),
+                'deleted_n'      => __( '%d items deleted', 'wp-nc-bridge' ),
+                'moved_n'        => __( '%d items moved', 'wp-nc-bridge' ),
+                'share_links'    => __( 'Share links', 'wp-nc-bridge' ),
+                'copy_links'     => __( 'Copy links', 'wp-nc-bridge' ),
+                'download_folder' => __( 'Download as ZIP', 'wp-nc-bridge' ),
+                'zip_preparing'  => __( 'Listing files…', 'wp-nc-bridge' ),
+                /* translators: 1: files done, 2: files total, 3: bytes done, 4: bytes total */
+                'zip_progress'   => __( '%1$d/%2$d files · %3$s of %4$s', 'wp-nc-bridge' ),
+                'zip_done'       => __( 'Archive complete', 'wp-nc-bridge' ),
+                'zip_not_started' => __( 'The download did not start — copy the link to try again.', 'wp-nc-bridge' ),
+                'copy_link'      => __( 'Copy link (valid until %s)', 'wp-nc-bridge' ),
+                'previous'       => __( 'Previous', 'wp-nc-bridge' ),
+                'next'           => __( 'Next', 'wp-nc-bridge' ),
+                'no_preview'     => __( 'No preview available for this file type.', 'wp-nc-bridge' ),
+                'preview_too_large' => __( 'This file is too large to preview (%s).', 'wp-nc-bridge' ),
+                /* translators: %s: file or folder name */
+                'share_title'    => __( 'Share "%s"', 'wp-nc-bridge' ),
+                'share_none'     => __( 'Not shared yet.', 'wp-nc-bridge' ),
+                'share_public'   => __( 'Public link', 'wp-nc-bridge' ),
+                /* translators: %s: user or group name */
+                'share_with'     => __( 'Shared with %s', 'wp-nc-bridge' ),
+                'share_new'      => __( 'New link', 'wp-nc-bridge' ),
+                'share_label'    => __( 'Label (optional)', 'wp-nc-bridge' ),
+                'share_password' => __( 'Password (optional)', 'wp-nc-bridge' ),
+                'share_expire'   => __( 'Expires', 'wp-nc-bridge' ),
+                'share_view'     => __( 'View only', 'wp-nc-bridge' ),
+                'share_upload'   => __( 'Allow upload', 'wp-nc-bridge' ),
+                'share_edit'     => __( 'Allow editing', 'wp-nc-bridge' ),
+                'share_create'   => __( 'Create link', 'wp-nc-bridge' ),
+                'share_protected' => __( 'Password', 'wp-nc-bridge' ),
+                /* translators: %s: expiry date */
+                'share_expires'  => __( 'Expires %s', 'wp-nc-bridge' ),
+                'share_copy'     => __( 'Copy', 'wp-nc-bridge' ),
+                'revoke'         => __( 'Revoke', 'wp-nc-bridge' ),
+                'revoke_confirm' => __( 'Revoke?', 'wp-nc-bridge' ),
+                'shared'         => __( 'Shared', 'wp-nc-bridge' ),
+                'shared_link'    => __( 'Shared by public link', 'wp-nc-bridge' ),
+                'search_empty'   => __( 'Enter a name or choose a filter.', 'wp-nc-bridge' ),
+                /* translators: 1: number of results, 2: folder */
+                'search_results' => __( '%1$d results in %2$s', 'wp-nc-bridge' ),
+                /* translators: %d: number of results shown */
+                'search_more'    => __( 'Only the first %d are shown — narrow the search.', 'wp-nc-bridge' ),
+                'search_none'    => __( 'Nothing found.', 'wp-nc-bridge' ),
+                'search_back'    => __( 'Back to folder', 'wp-nc-bridge' ),
+                'filter_none'    => __( 'No names here match — press Enter to search the subfolders.', 'wp-nc-bridge' ),
+                'show_in_folder' => __( 'Show in folder', 'wp-nc-bridge' ),
+                'name'           => __( 'Name', 'wp-nc-bridge' ),
+                'type'           => __( 'Type', 'wp-nc-bridge' ),
+                'size'           => __( 'Size', 'wp-nc-bridge' ),
+                'modified'       => __( 'Modified', 'wp-nc-bridge' ),
+                'folder'         => __( 'Folder', 'wp-nc-bridge' ),
+                'grid_view'      => __( 'Grid view', 'wp-nc-bridge' ),
+                'list_view'      => __( 'List view', 'wp-nc-bridge' ),
             ),
         ) );
     }
 
+    /**
+     * Read an integer shortcode attribute, falling back to a default.
+     *
+     * @param string $raw      Attribute value ('' = not set).
+     * @param int    $default  Value used when the attribute is empty.
+     * @param int    $min      Lower bound.
+     * @param int    $max      Upper bound.
+     * @return int
+     */
+    private function int_att( string $raw, int $default, int $min, int $max ): int {
+        $val = ( trim( $raw ) === '' ) ? $default : (int) $raw;
+        return min( $max, max( $min, $val ) );
+    }
+
     /**
      * Determine the chunk size for browser → WP uploads.
      *
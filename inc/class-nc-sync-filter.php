@@ -0,0 +1,297 @@
+<?php
+/**
+ * Sync Filters
+ *
+ * Single-responsibility: decide which files and folders of a directory
+ * pair are in scope, from its include / exclude globs, size range and
+ * age limit.
+ *
+ * Pattern rules:
+ *   - Comma-separated globs, matched case-insensitively against the path
+ *     relative to the pair root.
+ *   - A pattern without "/" matches a name at any depth ("*.jpg"); one
+ *     with "/" matches from the root ("2024/*.jpg").
+ *   - "*" and "?" stop at "/", "**" crosses folders, "[abc]" / "[!abc]"
+ *     are character classes. A trailing "/" matches folders only.
+ *   - Excludes apply to files and folders (an excluded folder is not
+ *     entered); includes, sizes and age apply to files only.
+ *
+ * @package WPNC
+ */
+
+namespace WPNC;
+
+defined( 'ABSPATH' ) || exit;
+
+class NC_Sync_Filter {
+
+    /** Files and folders a filter test looks at before it stops. */
+    const TEST_LIMIT = 5000;
+
+    /** Sample paths a filter test returns per group. */
+    const TEST_SAMPLES = 25;
+
+    /** @var array[] Compiled include patterns: { regex, folder_only }. */
+    private $include;
+
+    /** @var array[] Compiled exclude patterns. */
+    private $exclude;
+
+    /** @var int Minimum file size in bytes (0 = none). */
+    private $min_size;
+
+    /** @var int Maximum file size in bytes (0 = none). */
+    private $max_size;
+
+    /** @var int Oldest modification time accepted (0 = any). */
+    private $min_mtime;
+
+    /**
+     * @param array $filters  As returned by sanitize().
+     */
+    public function __construct( array $filters ) {
+        $filters = self::sanitize( $filters );
+
+        $this->include   = array_map( array( __CLASS__, 'compile' ), $filters['include'] );
+        $this->exclude   = array_map( array( __CLASS__, 'compile' ), $filters['exclude'] );
+        $this->min_size  = $filters['min_size'] * 1024;
+        $this->max_size  = $filters['max_size'] * 1024;
+        $this->min_mtime = $filters['max_age'] ? time() - $filters['max_age'] * DAY_IN_SECONDS : 0;
+    }
+
+    /* ================================================================
+     *  PUBLIC API
+     * ============================================================= */
+
+    /**
+     * Clean filter settings, from form input or a saved pair.
+     *
+     * @param array $raw  { include, exclude, min_size, max_size, max_age };
+     *                    patterns as a comma-separated string or an array.
+     * @return array {
+     *     @type string[] $include   Globs; empty = every file.
+     *     @type string[] $exclude   Globs.
+     *     @type int      $min_size  KB, 0 = no minimum.
+     *     @type int      $max_size  KB, 0 = no maximum.
+     *     @type int      $max_age   Days since the last change, 0 = any age.
+     * }
+     */
+    public static function sanitize( array $raw ): array {
+        return array(
+            'include'  => self::patterns( $raw['include'] ?? array() ),
+            'exclude'  => self::patterns( $raw['exclude'] ?? array() ),
+            'min_size' => absint( $raw['min_size'] ?? 0 ),
+            'max_size' => absint( $raw['max_size'] ?? 0 ),
+            'max_age'  => absint( $raw['max_age'] ?? 0 ),
+        );
+    }
+
+    /**
+     * Does this filter leave anything out?
+     *
+     * @return bool
+     */
+    public function is_active(): bool {
+        return $this->include || $this->exclude || $this->min_size || $this->max_size || $this->min_mtime;
+    }
+
+    /**
+     * Why an entry is out of scope.
+     *
+     * @param string $rel    Path relative to the pair root.
+     * @param array  $entry  { type, size, mtime } (size and mtime for files).
+     * @return string  '' when in scope, else excluded | not_included | size_filter | age_filter.
+     */
+    public function reason( string $rel, array $entry ): string {
+        $folder = $entry['type'] === 'folder';
+
+        if ( self::matches( $this->exclude, $rel, $folder ) ) {
+            return 'excluded';
+        }
+        if ( $folder ) {
+            return '';
+        }
+
+        if ( $this->include && ! self::matches( $this->include, $rel, false ) ) {
+            return 'not_included';
+        }
+
+        $size = (int) ( $entry['size'] ?? 0 );
+        if ( ( $this->min_size && $size < $this->min_size ) || ( $this->max_size && $size > $this->max_size ) ) {
+            return 'size_filter';
+        }
+
+        if ( $this->min_mtime && (int) ( $entry['mtime'] ?? 0 ) < $this->min_mtime ) {
+            return 'age_filter';
+        }
+
+        return '';
+    }
+
+    /**
+     * Walk a local tree and report what the filter keeps and leaves out.
+     *
+     * Stops after TEST_LIMIT entries, so a huge tree answers quickly.
+     *
+     * @param string   $local_abs  Absolute local directory.
+     * @param string[] $skip       Names always skipped (NC_Sync skip patterns).
+     * @return array {
+     *     @type int     $files      Files in scope.
+     *     @type int     $bytes      Their total size.
+     *     @type int[]   $skipped    Reason → files (or folders, for 'excluded') left out.
+     *     @type array   $samples    { included: string[], skipped: [ { path, reason } ] }
+     *     @type bool    $truncated  TEST_LIMIT was reached.
+     * }
+     */
+    public function test( string $local_abs, array $skip ): array {
+        $result = array(
+            'files'     => 0,
+            'bytes'     => 0,
+            'skipped'   => array(),
+            'samples'   => array( 'included' => array(), 'skipped' => array() ),
+            'truncated' => false,
+        );
+
+        $queue = array( '' );
+        $seen  = 0;
+
+        while ( $queue ) {
+            $rel     = array_pop( $queue );
+            $path    = rtrim( $local_abs . '/' . $rel, '/' );
+            $entries = @scandir( $path ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+            if ( $entries === false ) {
+                continue;
+            }
+
+            foreach ( $entries as $name ) {
+                if ( in_array( $name, $skip, true ) || $name === '.' || $name === '..' ) {
+                    continue;
+                }
+                if ( ++$seen > self::TEST_LIMIT ) {
+                    $result['truncated'] = true;
+                    return $result;
+                }
+
+                $child = ltrim( $rel . '/' . $name, '/' );
+                $full  = $path . '/' . $name;
+                $entry = is_dir( $full )
+                    ? array( 'type' => 'folder' )
+                    : array( 'type' => 'file', 'size' => (int) filesize( $full ), 'mtime' => (int) filemtime( $full ) );
+
+                $reason = $this->reason( $child, $entry );
+                if ( $reason !== '' ) {
+                    $result['skipped'][ $reason ] = ( $result['skipped'][ $reason ] ?? 0 ) + 1;
+                    if ( count( $result['samples']['skipped'] ) < self::TEST_SAMPLES ) {
+                        $result['samples']['skipped'][] = array(
+                            'path'   => $child . ( $entry['type'] === 'folder' ? '/' : '' ),
+                            'reason' => $reason,
+                        );
+                    }
+                    continue;
+                }
+
+                if ( $entry['type'] === 'folder' ) {
+                    $queue[] = $child;
+                    continue;
+                }
+
+                $result['files']++;
+                $result['bytes'] += $entry['size'];
+                if ( count( $result['samples']['included'] ) < self::TEST_SAMPLES ) {
+                    $result['samples']['included'][] = $child;
+                }
+            }
+        }
+
+        return $result;
+    }
+
+    /* ================================================================
+     *  INTERNAL
+     * ============================================================= */
+
+    /**
+     * @param string|array $raw  Comma-separated string or list.
+     * @return string[]
+     */
+    private static function patterns( $raw ): array {
+        if ( ! is_array( $raw ) ) {
+            $raw = explode( ',', (string) $raw );
+        }
+
+        $clean = array();
+        foreach ( $raw as $pattern ) {
+            $pattern = trim( sanitize_text_field( (string) $pattern ) );
+            if ( $pattern !== '' && $pattern !== '/' ) {
+                $clean[] = $pattern;
+            }
+        }
+
+        return array_values( array_unique( $clean ) );
+    }
+
+    /**
+     * Glob → { regex, folder_only }.
+     *
+     * @param string $glob
+     * @return array
+     */
+    private static function compile( string $glob ): array {
+        $folder_only = substr( $glob, -1 ) === '/';
+        $glob        = trim( $glob, '/' );
+        $anchored    = strpos( $glob, '/' ) !== false;
+        $regex       = '';
+        $len         = strlen( $glob );
+
+        for ( $i = 0; $i < $len; $i++ ) {
+            $c = $glob[ $i ];
+
+            if ( $c === '*' && ( $glob[ $i + 1 ] ?? '' ) === '*' ) {
+                $i++;
+                if ( ( $glob[ $i + 1 ] ?? '' ) === '/' ) {
+                    $i++;
+                    $regex .= '(?:.*/)?'; // "**/" = any number of folders, or none.
+                } else {
+                    $regex .= '.*';
+                }
+            } elseif ( $c === '*' ) {
+                $regex .= '[^/]*';
+            } elseif ( $c === '?' ) {
+                $regex .= '[^/]';
+            } elseif ( $c === '[' && ( $end = strpos( $glob, ']', $i + 2 ) ) !== false && substr( $glob, $i + 1, $end - $i - 1 ) !== '!' ) {
+                $class  = substr( $glob, $i + 1, $end - $i - 1 );
+                $negate = $class[0] === '!';
+                $regex .= '[' . ( $negate ? '^' : '' ) . preg_quote( $negate ? substr( $class, 1 ) : $class, '#' ) . ']';
+                $i      = $end;
+            } else {
+                $regex .= preg_quote( $c, '#' );
+            }
+        }
+
+        // Unanchored patterns match the last segments of the path.
+        $regex = '#' . ( $anchored ? '^' : '(?:^|/)' ) . $regex . '$#i';
+
+        // Character classes keep their "a-z" ranges.
+        $regex = str_replace( '\\-', '-', $regex );
+
+        return array( 'regex' => $regex, 'folder_only' => $folder_only );
+    }
+
+    /**
+     * @param array[] $patterns  Compiled patterns.
+     * @param string  $rel       Path relative to the pair root.
+     * @param bool    $folder    The path is a folder.
+     * @return bool
+     */
+    private static function matches( array $patterns, string $rel, bool $folder ): bool {
+        foreach ( $patterns as $pattern ) {
+            if ( $pattern['folder_only'] && ! $folder ) {
+                continue;
+            }
+            if ( preg_match( $pattern['regex'], $rel ) ) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
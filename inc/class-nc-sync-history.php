@@ -0,0 +1,80 @@
+<?php
+/**
+ * Sync Run History
+ *
+ * Single-responsibility: keep a record of finished sync jobs — when they
+ * ran, what started them, their counts and their log.
+ *
+ * Design principles:
+ *   - Summaries live in one small option, newest first, so the history
+ *     table loads without reading any log.
+ *   - Each run's log is a separate non-autoloaded option, read only when
+ *     a run is expanded and deleted together with its summary.
+ *
+ * @package WPNC
+ */
+
+namespace WPNC;
+
+defined( 'ABSPATH' ) || exit;
+
+class NC_Sync_History {
+
+    const OPTION     = 'wpnc_sync_history';
+    const LOG_PREFIX = 'wpnc_sync_log_';
+
+    /** Runs kept (older ones are dropped with their logs). */
+    const KEEP = 30;
+
+    /**
+     * Record a finished job.
+     *
+     * @param array $job  NC_Sync_Job data, after it stopped.
+     */
+    public static function record( array $job ) {
+        $runs = self::runs();
+
+        array_unshift( $runs, array(
+            'id'        => $job['id'],
+            'trigger'   => $job['trigger'],
+            'state'     => $job['state'],
+            'pairs'     => wp_list_pluck( $job['pairs'], 'local' ),
+            'started'   => $job['started'],
+            'finished'  => $job['finished'],
+            'counts'    => $job['counts'],
+            'log_lines' => $job['log_total'],
+        ) );
+
+        foreach ( array_slice( $runs, self::KEEP ) as $old ) {
+            delete_option( self::LOG_PREFIX . $old['id'] );
+        }
+
+        update_option( self::LOG_PREFIX . $job['id'], $job['log'], false );
+        update_option( self::OPTION, array_slice( $runs, 0, self::KEEP ), false );
+    }
+
+    /**
+     * Run summaries, newest first.
+     *
+     * @return array[]  { id, trigger, state, pairs, started, finished, counts, log_lines }
+     */
+    public static function runs(): array {
+        $runs = get_option( self::OPTION, array() );
+        return is_array( $runs ) ? $runs : array();
+    }
+
+    /**
+     * Log of one run (its last NC_Sync_Job::LOG_KEEP lines).
+     *
+     * @param string $id  Run (job) ID.
+     * @return string[]|null  Null for an unknown run.
+     */
+    public static function log( string $id ) {
+        if ( ! in_array( $id, wp_list_pluck( self::runs(), 'id' ), true ) ) {
+            return null;
+        }
+
+        $log = get_option( self::LOG_PREFIX . $id, array() );
+        return is_array( $log ) ? $log : array();
+    }
+}
@@ -0,0 +1,581 @@
+<?php
+/**
+ * Background Sync Job
+ *
+ * Single-responsibility: run NC_Sync over the configured directory pairs
+ * as one resumable job, in short batches, so a sync of any size outlives
+ * PHP and proxy timeouts and can be watched and cancelled while it runs.
+ *
+ * Design principles:
+ *   - One job at a time, kept in a non-autoloaded option as plain data:
+ *     pairs, the NC_Sync state of the pair in progress, counts, log tail.
+ *     The two-way snapshot and the local hash cache (checksum mode) of
+ *     each pair live in their own options, saved at the end of every batch.
+ *   - A batch works for BATCH_SECONDS, saves, then fires a non-blocking
+ *     loopback request to admin-ajax that runs the next batch.
+ *   - A lock option keeps two batches from working on the job at once.
+ *   - A cron watchdog runs a batch itself when batches stop arriving
+ *     (loopbacks blocked, PHP killed mid-batch).
+ *   - Cancellation lives in its own option, so a batch saving the job
+ *     can never overwrite it.
+ *
+ * @package WPNC
+ */
+
+namespace WPNC;
+
+defined( 'ABSPATH' ) || exit;
+
+class NC_Sync_Job {
+
+    const JOB_OPTION    = 'wpnc_sync_job';
+    const CANCEL_OPTION = 'wpnc_sync_cancel';
+    const LOCK_OPTION   = 'wpnc_sync_lock';
+
+    /** Two-way snapshot of a pair: prefix + hash of its local and remote paths. */
+    const SNAPSHOT_PREFIX = 'wpnc_sync_snap_';
+
+    /** Local hash cache of a pair (checksum mode), keyed the same way. */
+    const HASHES_PREFIX = 'wpnc_sync_hash_';
+
+    /** Cron hook that resumes a stalled job. */
+    const WATCHDOG_HOOK = 'wpnc_sync_watchdog';
+
+    /** How long one batch works before handing over (seconds). */
+    const BATCH_SECONDS = 20;
+
+    /** How often a batch saves its progress (seconds). */
+    const SAVE_SECONDS = 2;
+
+    /** A running job not saved for this long is considered stalled (seconds). */
+    const STALL_SECONDS = 90;
+
+    /** A lock older than this is abandoned — its batch died (seconds). */
+    const LOCK_SECONDS = 600;
+
+    /** Log lines kept with the job (older ones are dropped). */
+    const LOG_KEEP = 2000;
+
+    /* ================================================================
+     *  PUBLIC API
+     * ============================================================= */
+
+    /**
+     * Start a job over the given directory pairs and kick off its first batch.
+     *
+     * @param array[] $pairs    Directory pairs as in settings.
+     * @param string  $trigger  What started it: 'manual' or 'schedule'.
+     * @return array|\WP_Error  The new job, or an error if one is running.
+     */
+    public static function start( array $pairs, string $trigger = 'manual' ) {
+        $current = self::current();
+        if ( $current && $current['state'] === 'running' ) {
+            return new \WP_Error( 'wpnc_sync_running', __( 'A sync is already running.', 'wp-nc-bridge' ) );
+        }
+
+        $opts   = get_option( NC_Settings::OPTION_KEY, NC_Settings::defaults() );
+        $max_mb = (int) ( $opts['max_file_size'] ?? 2048 );
+
+        $job = array(
+            'id'        => wp_generate_uuid4(),
+            'key'       => wp_generate_password( 32, false ),
+            'state'     => 'running',   // running | done | cancelled | failed
+            'trigger'   => $trigger,
+            'root'      => $opts['nc_root_path'] ?? '/WordPress',
+            'max_bytes' => $max_mb > 0 ? $max_mb * 1048576 : PHP_INT_MAX,
+            'pairs'     => array_values( $pairs ),
+            'pair'      => 0,           // Index of the pair in progress.
+            'sync'      => null,        // NC_Sync state of that pair.
+            'counts'    => NC_Sync::empty_counts(), // Totals of finished pairs.
+            'log'       => array(),
+            'log_total' => 0,           // Lines ever logged (log holds the tail).
+            'started'   => time(),
+            'updated'   => time(),
+            'finished'  => 0,
+        );
+
+        delete_option( self::CANCEL_OPTION );
+        update_option( self::JOB_OPTION, $job, false );
+
+        self::schedule_watchdog();
+        self::dispatch( $job );
+
+        return $job;
+    }
+
+    /**
+     * Public view of the current job, with the log lines after $since.
+     *
+     * Also re-dispatches a stalled job, so a watching admin keeps it moving.
+     *
+     * @param int $since  Number of log lines the caller already has.
+     * @return array|null  Null when no job has run yet.
+     */
+    public static function status( int $since = 0 ) {
+        $job = self::current();
+        if ( ! $job ) {
+            return null;
+        }
+
+        if ( self::is_stalled( $job ) ) {
+            self::dispatch( $job );
+        }
+
+        $first = $job['log_total'] - count( $job['log'] ); // Line number of log[0].
+        $pair  = $job['pairs'][ $job['pair'] ] ?? null;
+
+        return array(
+            'id'       => $job['id'],
+            'state'    => $job['state'],
+            'trigger'  => $job['trigger'],
+            'counts'   => self::totals( $job ),
+            'pair'     => min( $job['pair'] + 1, count( $job['pairs'] ) ),
+            'pairs'    => count( $job['pairs'] ),
+            'current'  => $pair ? $pair['local'] : '',
+            'started'  => $job['started'],
+            'updated'  => $job['updated'],
+            'finished' => $job['finished'],
+            'log'      => array_slice( $job['log'], max( 0, $since - $first ) ),
+            'next'     => $job['log_total'],
+        );
+    }
+
+    /**
+     * Ask the running job to stop after the file in progress.
+     *
+     * @param string $id  Job ID.
+     * @return true|\WP_Error
+     */
+    public static function cancel( string $id ) {
+        $job = self::current();
+        if ( ! $job || $job['id'] !== $id ) {
+            return new \WP_Error( 'wpnc_sync_no_job', __( 'Sync job not found.', 'wp-nc-bridge' ) );
+        }
+        if ( $job['state'] !== 'running' ) {
+            return true;
+        }
+
+        update_option( self::CANCEL_OPTION, $id, false );
+
+        // No batch at work to notice the flag — stop the job here.
+        if ( self::lock() ) {
+            $job = self::current();
+            if ( $job && $job['state'] === 'running' ) {
+                self::stop( $job, 'cancelled' );
+                self::save( $job );
+            }
+            self::unlock();
+        }
+
+        return true;
+    }
+
+    /**
+     * Work on the job for one batch, then hand over to the next one.
+     *
+     * @param string $id   Job ID.
+     * @param string $key  Job key (loopback requests carry it instead of a nonce).
+     * @return true|\WP_Error
+     */
+    public static function run_batch( string $id, string $key ) {
+        $job = self::current();
+        if ( ! $job || $job['id'] !== $id || ! hash_equals( $job['key'], $key ) ) {
+            return new \WP_Error( 'wpnc_sync_no_job', __( 'Sync job not found.', 'wp-nc-bridge' ) );
+        }
+
+        return self::work( $job );
+    }
+
+    /**
+     * Cron: keep a running job alive when its batches stopped arriving.
+     *
+     * Runs the batch in the cron request itself, since a blocked
+     * loopback is the usual reason for a stall.
+     */
+    public static function watchdog() {
+        $job = self::current();
+        if ( ! $job || $job['state'] !== 'running' ) {
+            return;
+        }
+
+        if ( self::is_stalled( $job ) ) {
+            self::work( $job );
+        }
+
+        self::schedule_watchdog();
+    }
+
+    /**
+     * Begin one directory pair as saved in the settings.
+     *
+     * Local paths are relative to ABSPATH, remote paths to the root folder.
+     * Pull creates a missing local directory; otherwise a missing one is
+     * a 'wpnc_sync_no_dir' error.
+     *
+     * @param NC_Sync $sync
+     * @param array   $pair   { local, remote, direction, conflict, mirror, mirror_limit, compare }
+     * @param string  $root   Nextcloud root folder.
+     * @param array   $extra  Extra NC_Sync::begin() options (e.g. dry_run).
+     * @return array|\WP_Error  NC_Sync state.
+     */
+    public static function begin_pair( NC_Sync $sync, array $pair, string $root, array $extra = array() ) {
+        $local_abs  = untrailingslashit( ABSPATH ) . '/' . ltrim( $pair['local'], '/' );
+        $remote_rel = ltrim( $root, '/' ) . '/' . ltrim( $pair['remote'], '/' );
+
+        $options = array_merge( array(
+            'direction'    => $pair['direction'] ?? 'push',
+            'conflict'     => $pair['conflict'] ?? 'newer',
+            'mirror'       => $pair['mirror'] ?? '',
+            'mirror_limit' => $pair['mirror_limit'] ?? NC_Sync::MIRROR_LIMIT,
+            'compare'      => $pair['compare'] ?? 'mtime',
+            'filters'      => $pair['filters'] ?? array(),
+        ), $extra );
+
+        return $sync->begin( $local_abs, $remote_rel, $options );
+    }
+
+    /**
+     * Load the pair's two-way snapshot and local hash cache into $sync,
+     * when its options use them (once per batch).
+     *
+     * @param array   $state   NC_Sync state of the pair.
+     * @param NC_Sync $sync
+     * @param array   $stored  'snapshot' / 'hashes' → option name, of what is loaded.
+     */
+    public static function load_stored( array $state, NC_Sync $sync, array &$stored ) {
+        if ( $state['options']['direction'] === 'both' && ! isset( $stored['snapshot'] ) ) {
+            $stored['snapshot'] = self::snapshot_option( $state );
+            $value              = get_option( $stored['snapshot'], array() );
+            $sync->set_snapshot( is_array( $value ) ? $value : array() );
+        }
+
+        if ( $state['options']['compare'] === 'checksum' && ! isset( $stored['hashes'] ) ) {
+            $stored['hashes'] = self::hashes_option( $state );
+            $value            = get_option( $stored['hashes'], array() );
+            $sync->set_hash_cache( is_array( $value ) ? $value : array() );
+        }
+    }
+
+    /* ================================================================
+     *  INTERNAL: BATCH
+     * ============================================================= */
+
+    /**
+     * Advance the job for up to BATCH_SECONDS, save, and dispatch the next batch.
+     *
+     * @param array $job
+     * @return true|\WP_Error
+     */
+    private static function work( array $job ) {
+        if ( $job['state'] !== 'running' || ! self::lock() ) {
+            return true; // Finished, or another batch is at work.
+        }
+
+        // Re-read under the lock: the previous batch may have saved since.
+        $job = self::current();
+        if ( ! $job || $job['state'] !== 'running' ) {
+            self::unlock();
+            return true;
+        }
+
+        ignore_user_abort( true );
+        if ( function_exists( 'set_time_limit' ) ) {
+            set_time_limit( 0 );
+        }
+
+        $client = Nextcloud_Client::from_settings();
+        if ( is_wp_error( $client ) ) {
+            self::append_log( $job, array( sprintf( '✗ ERROR %s', $client->get_error_message() ) ) );
+            self::stop( $job, 'failed' );
+            self::save( $job );
+            self::unlock();
+            return $client;
+        }
+
+        $sync     = new NC_Sync( $client, (int) $job['max_bytes'] );
+        $stored   = array(); // Options loaded into $sync: 'snapshot' / 'hashes' → option name.
+        $until    = microtime( true ) + self::BATCH_SECONDS;
+        $saved    = microtime( true );
+
+        while ( microtime( true ) < $until ) {
+            if ( self::cancel_requested( $job['id'] ) ) {
+                self::stop( $job, 'cancelled' );
+                break;
+            }
+
+            if ( ! self::advance( $job, $sync, $stored ) ) {
+                self::stop( $job, 'done' );
+                break;
+            }
+
+            if ( microtime( true ) - $saved >= self::SAVE_SECONDS ) {
+                self::save( $job );
+                $saved = microtime( true );
+            }
+        }
+
+        self::save_stored( $sync, $stored );
+        self::save( $job );
+        self::unlock();
+
+        if ( $job['state'] === 'running' ) {
+            self::dispatch( $job );
+        }
+
+        return true;
+    }
+
+    /**
+     * Do one unit of work: start the next pair, or step the current one.
+     *
+     * @param array   $job
+     * @param NC_Sync $sync
+     * @param array   $stored  Options loaded into $sync (see load_stored()).
+     * @return bool  False when every pair is done.
+     */
+    private static function advance( array &$job, NC_Sync $sync, array &$stored ): bool {
+        if ( $job['sync'] === null ) {
+            if ( ! isset( $job['pairs'][ $job['pair'] ] ) ) {
+                return false;
+            }
+
+            $pair  = $job['pairs'][ $job['pair'] ];
+            $state = self::begin_pair( $sync, $pair, $job['root'] );
+            self::append_log( $job, $sync->take_log() );
+
+            if ( is_wp_error( $state ) ) {
+                self::append_log( $job, array(
+                    $state->get_error_code() === 'wpnc_sync_no_dir'
+                        ? sprintf( '⚠ SKIP  Local dir not found: %s', $pair['local'] )
+                        : sprintf( '✗ ERROR %s → %s : %s', $pair['local'], $pair['remote'], $state->get_error_message() ),
+                ) );
+                $job['pair']++;
+                return true;
+            }
+
+            // One-way runs drop the snapshot: a later switch back to
+            // two-way must not act on what it recorded before.
+            if ( $state['options']['direction'] !== 'both' ) {
+                delete_option( self::snapshot_option( $state ) );
+            }
+            if ( $state['options']['compare'] !== 'checksum' ) {
+                delete_option( self::hashes_option( $state ) );
+            }
+
+            $job['sync'] = $state;
+        }
+
+        self::load_stored( $job['sync'], $sync, $stored );
+
+        $more = $sync->step( $job['sync'] );
+        self::append_log( $job, $sync->take_log() );
+
+        if ( ! $more ) {
+            self::save_stored( $sync, $stored );
+            $stored = array();
+            $job['counts'] = self::totals( $job );
+            $job['sync']   = null;
+            $job['pair']++;
+        }
+
+        return true;
+    }
+
+    /**
+     * Save what load_stored() loaded, as updated by $sync.
+     *
+     * @param NC_Sync $sync
+     * @param array   $stored
+     */
+    private static function save_stored( NC_Sync $sync, array $stored ) {
+        if ( isset( $stored['snapshot'] ) ) {
+            update_option( $stored['snapshot'], $sync->get_snapshot(), false );
+        }
+        if ( isset( $stored['hashes'] ) ) {
+            update_option( $stored['hashes'], $sync->get_hash_cache(), false );
+        }
+    }
+
+    /**
+     * Mark the job as finished and add it to the run history.
+     *
+     * @param array  $job
+     * @param string $state  done | cancelled | failed
+     */
+    private static function stop( array &$job, string $state ) {
+        if ( $state === 'cancelled' ) {
+            self::append_log( $job, array( '■ CANCELLED' ) );
+        }
+
+        $job['counts']   = self::totals( $job );
+        $job['sync']     = null;
+        $job['state']    = $state;
+        $job['finished'] = time();
+
+        delete_option( self::CANCEL_OPTION );
+        NC_Sync_History::record( $job );
+    }
+
+    /* ================================================================
+     *  INTERNAL: STORAGE & DISPATCH
+     * ============================================================= */
+
+    /**
+     * The current (or last) job, read fresh from the database.
+     *
+     * @return array|null
+     */
+    private static function current() {
+        $job = self::fresh_option( self::JOB_OPTION );
+        return is_array( $job ) ? $job : null;
+    }
+
+    /**
+     * @param array $job
+     */
+    private static function save( array &$job ) {
+        $job['updated'] = time();
+        update_option( self::JOB_OPTION, $job, false );
+    }
+
+    /**
+     * Option holding the two-way snapshot of a pair.
+     *
+     * @param array $state  NC_Sync state of the pair.
+     * @return string
+     */
+    private static function snapshot_option( array $state ): string {
+        return self::SNAPSHOT_PREFIX . substr( md5( $state['local'] . '|' . $state['remote'] ), 0, 12 );
+    }
+
+    /**
+     * Option holding the local hash cache of a pair.
+     *
+     * @param array $state  NC_Sync state of the pair.
+     * @return string
+     */
+    private static function hashes_option( array $state ): string {
+        return self::HASHES_PREFIX . substr( md5( $state['local'] . '|' . $state['remote'] ), 0, 12 );
+    }
+
+    /**
+     * Counts of finished pairs plus the pair in progress.
+     *
+     * @param array $job
+     * @return int[]
+     */
+    private static function totals( array $job ): array {
+        $counts = $job['counts'];
+        if ( $job['sync'] !== null ) {
+            foreach ( $job['sync']['counts'] as $key => $n ) {
+                $counts[ $key ] += $n;
+            }
+        }
+        return $counts;
+    }
+
+    /**
+     * Append lines to the job log, keeping only the last LOG_KEEP.
+     *
+     * @param array    $job
+     * @param string[] $lines
+     */
+    private static function append_log( array &$job, array $lines ) {
+        if ( empty( $lines ) ) {
+            return;
+        }
+
+        $job['log']        = array_slice( array_merge( $job['log'], $lines ), -self::LOG_KEEP );
+        $job['log_total'] += count( $lines );
+    }
+
+    /**
+     * Fire a non-blocking loopback request that runs the next batch.
+     *
+     * @param array $job
+     */
+    private static function dispatch( array $job ) {
+        wp_remote_post( admin_url( 'admin-ajax.php' ), array(
+            'timeout'   => 0.01,
+            'blocking'  => false,
+            'sslverify' => apply_filters( 'https_local_ssl_verify', false ),
+            'body'      => array(
+                'action' => 'wpnc_sync_batch',
+                'job'    => $job['id'],
+                'key'    => $job['key'],
+            ),
+        ) );
+    }
+
+    /**
+     * Running, but neither saved recently nor held by a live batch.
+     *
+     * @param array $job
+     * @return bool
+     */
+    private static function is_stalled( array $job ): bool {
+        if ( $job['state'] !== 'running' || $job['updated'] > time() - self::STALL_SECONDS ) {
+            return false;
+        }
+
+        $locked = (int) self::fresh_option( self::LOCK_OPTION );
+        return $locked <= time() - self::LOCK_SECONDS;
+    }
+
+    /**
+     * Schedule the next watchdog run, unless one is pending.
+     */
+    private static function schedule_watchdog() {
+        if ( ! wp_next_scheduled( self::WATCHDOG_HOOK ) ) {
+            wp_schedule_single_event( time() + self::STALL_SECONDS, self::WATCHDOG_HOOK );
+        }
+    }
+
+    /* ================================================================
+     *  INTERNAL: LOCK & CANCEL FLAG
+     * ============================================================= */
+
+    /**
+     * Take the batch lock; an abandoned lock is taken over.
+     *
+     * @return bool
+     */
+    private static function lock(): bool {
+        if ( add_option( self::LOCK_OPTION, time(), '', 'no' ) ) {
+            return true;
+        }
+
+        $locked = (int) self::fresh_option( self::LOCK_OPTION );
+        if ( $locked > time() - self::LOCK_SECONDS ) {
+            return false;
+        }
+
+        delete_option( self::LOCK_OPTION );
+        return add_option( self::LOCK_OPTION, time(), '', 'no' );
+    }
+
+    private static function unlock() {
+        delete_option( self::LOCK_OPTION );
+    }
+
+    /**
+     * @param string $id  Job ID.
+     * @return bool
+     */
+    private static function cancel_requested( string $id ): bool {
+        return self::fresh_option( self::CANCEL_OPTION ) === $id;
+    }
+
+    /**
+     * Read an option past the object cache — other requests write these
+     * while a batch is running.
+     *
+     * @param string $name
+     * @return mixed  False when missing.
+     */
+    private static function fresh_option( string $name ) {
+        wp_cache_delete( $name, 'options' );
+        wp_cache_delete( 'notoptions', 'options' );
+        return get_option( $name );
+    }
+}
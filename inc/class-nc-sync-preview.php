@@ -0,0 +1,167 @@
+<?php
+/**
+ * Sync Preview (dry run)
+ *
+ * Single-responsibility: walk the configured directory pairs the way a
+ * sync would, without changing anything, and report what it would do.
+ *
+ * Design principles:
+ *   - Same engine as the real sync: NC_Sync with the dry_run option, so
+ *     the preview can never disagree with what Sync Now then does.
+ *   - Driven by the browser: each request works for BATCH_SECONDS and
+ *     returns the plan rows found so far; the browser asks for more
+ *     until the preview is done. No background job, no lock — a preview
+ *     reads and never writes, so it can run beside a sync.
+ *   - The walk's state between requests lives in a per-user transient.
+ *
+ * @package WPNC
+ */
+
+namespace WPNC;
+
+defined( 'ABSPATH' ) || exit;
+
+class NC_Sync_Preview {
+
+    const TRANSIENT = 'wpnc_sync_preview_';
+
+    /** How long one request works before returning rows (seconds). */
+    const BATCH_SECONDS = 10;
+
+    /** An abandoned preview is forgotten after this long (seconds). */
+    const EXPIRY = 3600;
+
+    /**
+     * Start a preview of the given directory pairs and run its first batch.
+     *
+     * @param array[] $pairs  Directory pairs as in settings.
+     * @return array|\WP_Error  See next().
+     */
+    public static function start( array $pairs ) {
+        $opts   = get_option( NC_Settings::OPTION_KEY, NC_Settings::defaults() );
+        $max_mb = (int) ( $opts['max_file_size'] ?? 2048 );
+
+        $preview = array(
+            'token'     => wp_generate_password( 20, false ),
+            'root'      => $opts['nc_root_path'] ?? '/WordPress',
+            'max_bytes' => $max_mb > 0 ? $max_mb * 1048576 : PHP_INT_MAX,
+            'pairs'     => array_values( $pairs ),
+            'pair'      => 0,       // Index of the pair in progress.
+            'sync'      => null,    // NC_Sync state of that pair.
+        );
+
+        return self::work( $preview );
+    }
+
+    /**
+     * Run the next batch of the current user's preview.
+     *
+     * @param string $token  Token returned by start().
+     * @return array|\WP_Error {
+     *     @type string   $token
+     *     @type bool     $done
+     *     @type int      $pair      Pair in progress (1-based).
+     *     @type array[]  $pairs     { local, remote, direction }
+     *     @type array[]  $rows      New plan rows: { pair, action, path, size, reason } (pair is 0-based).
+     *     @type string[] $warnings  New warning and error log lines.
+     * }
+     */
+    public static function next( string $token ) {
+        $preview = get_transient( self::transient() );
+        if ( ! is_array( $preview ) || ! hash_equals( $preview['token'], $token ) ) {
+            return new \WP_Error( 'wpnc_preview_expired', __( 'This preview has expired. Start it again.', 'wp-nc-bridge' ) );
+        }
+
+        return self::work( $preview );
+    }
+
+    /* ================================================================
+     *  INTERNAL
+     * ============================================================= */
+
+    /**
+     * Walk for up to BATCH_SECONDS and collect the plan rows.
+     *
+     * @param array $preview
+     * @return array|\WP_Error
+     */
+    private static function work( array $preview ) {
+        $client = Nextcloud_Client::from_settings();
+        if ( is_wp_error( $client ) ) {
+            return $client;
+        }
+
+        $sync     = new NC_Sync( $client, (int) $preview['max_bytes'] );
+        $rows     = array();
+        $warnings = array();
+        $stored   = array(); // See NC_Sync_Job::load_stored().
+        $until    = microtime( true ) + self::BATCH_SECONDS;
+
+        while ( microtime( true ) < $until && isset( $preview['pairs'][ $preview['pair'] ] ) ) {
+            $index = $preview['pair'];
+            $pair  = $preview['pairs'][ $index ];
+
+            if ( $preview['sync'] === null ) {
+                $state = NC_Sync_Job::begin_pair( $sync, $pair, $preview['root'], array( 'dry_run' => true ) );
+                if ( is_wp_error( $state ) ) {
+                    $warnings[] = sprintf( '✗ ERROR %s → %s : %s', $pair['local'], $pair['remote'], $state->get_error_message() );
+                    $preview['pair']++;
+                    continue;
+                }
+
+                $preview['sync'] = $state;
+            }
+
+            // Two-way snapshot and hash cache: read, never saved.
+            NC_Sync_Job::load_stored( $preview['sync'], $sync, $stored );
+
+            $more = $sync->step( $preview['sync'] );
+
+            foreach ( $sync->take_plan() as $row ) {
+                $rows[] = array( 'pair' => $index ) + $row;
+            }
+            foreach ( $sync->take_log() as $line ) {
+                if ( strpos( $line, '⚠' ) === 0 || strpos( $line, '✗' ) === 0 ) {
+                    $warnings[] = $line;
+                }
+            }
+
+            if ( ! $more ) {
+                $preview['sync'] = null;
+                $preview['pair']++;
+                $sync->set_snapshot( array() );
+                $sync->set_hash_cache( array() );
+                $stored = array();
+            }
+        }
+
+        $done = ! isset( $preview['pairs'][ $preview['pair'] ] );
+        if ( $done ) {
+            delete_transient( self::transient() );
+        } else {
+            set_transient( self::transient(), $preview, self::EXPIRY );
+        }
+
+        return array(
+            'token'    => $preview['token'],
+            'done'     => $done,
+            'pair'     => min( $preview['pair'] + 1, count( $preview['pairs'] ) ),
+            'pairs'    => array_map( function ( $pair ) {
+                return array(
+                    'local'     => $pair['local'],
+                    'remote'    => $pair['remote'],
+                    'direction' => $pair['direction'] ?? 'push',
+                );
+            }, $preview['pairs'] ),
+            'rows'     => $rows,
+            'warnings' => $warnings,
+        );
+    }
+
+    /**
+     * @return string  Transient of the current user's preview.
+     */
+    private static function transient(): string {
+        return self::TRANSIENT . get_current_user_id();
+    }
+}
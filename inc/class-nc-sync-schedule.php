@@ -0,0 +1,241 @@
+<?php
+/**
+ * Scheduled Sync
+ *
+ * Single-responsibility: run directory pairs on their own WP-Cron
+ * schedule (hourly, daily or every N minutes) as background sync jobs.
+ *
+ * Design principles:
+ *   - One recurring event per scheduled pair, on the wpnc_scheduled_sync
+ *     hook with the pair key as argument, so WP-Cron itself knows when
+ *     each pair is due next.
+ *   - Events are reconciled whenever the settings are saved; a pair whose
+ *     schedule did not change keeps its timer.
+ *   - A pair that comes due while another sync runs is retried a few
+ *     minutes later rather than dropped.
+ *
+ * @package WPNC
+ */
+
+namespace WPNC;
+
+defined( 'ABSPATH' ) || exit;
+
+class NC_Sync_Schedule {
+
+    const HOOK = 'wpnc_scheduled_sync';
+
+    /** Shortest custom interval (minutes). */
+    const MIN_INTERVAL = 5;
+
+    /** Delay before retrying a pair that came due during another sync (seconds). */
+    const RETRY_SECONDS = 300;
+
+    public function __construct() {
+        add_filter( 'cron_schedules', array( $this, 'add_schedules' ) );
+        add_action( self::HOOK, array( $this, 'run' ) );
+
+        // Re-schedule whenever the settings are saved.
+        add_action( 'add_option_' . NC_Settings::OPTION_KEY, array( $this, 'on_settings_added' ), 10, 2 );
+        add_action( 'update_option_' . NC_Settings::OPTION_KEY, array( $this, 'on_settings_updated' ), 10, 2 );
+    }
+
+    /* ================================================================
+     *  HOOKS
+     * ============================================================= */
+
+    /**
+     * Register a WP-Cron recurrence for every custom interval in use.
+     *
+     * @param array $schedules
+     * @return array
+     */
+    public function add_schedules( $schedules ) {
+        foreach ( self::pairs() as $pair ) {
+            if ( ( $pair['schedule'] ?? '' ) !== 'custom' ) {
+                continue;
+            }
+
+            $minutes = self::interval( $pair );
+            $schedules[ self::recurrence( $pair ) ] = array(
+                'interval' => $minutes * MINUTE_IN_SECONDS,
+                /* translators: %d: minutes */
+                'display'  => sprintf( __( 'Every %d minutes', 'wp-nc-bridge' ), $minutes ),
+            );
+        }
+
+        return $schedules;
+    }
+
+    /**
+     * Cron: start a sync job for one pair.
+     *
+     * @param string $key  Pair key.
+     */
+    public function run( $key ) {
+        $pair = self::find( (string) $key );
+        if ( ! $pair ) {
+            wp_clear_scheduled_hook( self::HOOK, array( $key ) ); // Pair was removed.
+            return;
+        }
+
+        $job = NC_Sync_Job::start( array( $pair ), 'schedule' );
+        if ( is_wp_error( $job ) && $job->get_error_code() === 'wpnc_sync_running' ) {
+            wp_schedule_single_event( time() + self::RETRY_SECONDS, self::HOOK, array( $key ) );
+        }
+    }
+
+    /**
+     * @param string $option
+     * @param array  $value
+     */
+    public function on_settings_added( $option, $value ) {
+        self::reconcile( array(), $value );
+    }
+
+    /**
+     * @param array $old_value
+     * @param array $value
+     */
+    public function on_settings_updated( $old_value, $value ) {
+        self::reconcile( is_array( $old_value ) ? $old_value : array(), $value );
+    }
+
+    /* ================================================================
+     *  PUBLIC API
+     * ============================================================= */
+
+    /**
+     * Scheduled pairs with their next run, soonest first.
+     *
+     * @return array[]  { local, remote, schedule, interval, next }
+     */
+    public static function upcoming(): array {
+        $list = array();
+
+        foreach ( self::pairs() as $pair ) {
+            if ( ! self::recurrence( $pair ) ) {
+                continue;
+            }
+
+            $list[] = array(
+                'local'    => $pair['local'],
+                'remote'   => $pair['remote'],
+                'schedule' => $pair['schedule'],
+                'interval' => self::interval( $pair ),
+                'next'     => (int) wp_next_scheduled( self::HOOK, array( self::pair_key( $pair ) ) ),
+            );
+        }
+
+        usort( $list, function ( $a, $b ) {
+            return $a['next'] <=> $b['next'];
+        } );
+
+        return $list;
+    }
+
+    /**
+     * Schedule every scheduled pair that has no event — e.g. after the
+     * plugin was deactivated, which clears them.
+     */
+    public static function restore() {
+        self::reconcile( array(), get_option( NC_Settings::OPTION_KEY, array() ) );
+    }
+
+    /**
+     * Stable key of a directory pair (used as the cron event argument).
+     *
+     * @param array $pair  { local, remote }
+     * @return string
+     */
+    public static function pair_key( array $pair ): string {
+        return substr( md5( $pair['local'] . '|' . $pair['remote'] ), 0, 12 );
+    }
+
+    /* ================================================================
+     *  INTERNAL
+     * ============================================================= */
+
+    /**
+     * Bring the cron events in line with the saved pairs.
+     *
+     * @param array $old  Previous settings.
+     * @param array $new  New settings.
+     */
+    private static function reconcile( array $old, $new ) {
+        $wanted = array(); // key => recurrence
+        foreach ( (array) ( $new['sync_dirs'] ?? array() ) as $pair ) {
+            $recurrence = self::recurrence( $pair );
+            if ( $recurrence ) {
+                $wanted[ self::pair_key( $pair ) ] = $recurrence;
+            }
+        }
+
+        // Pairs removed, or no longer scheduled.
+        foreach ( (array) ( $old['sync_dirs'] ?? array() ) as $pair ) {
+            $key = self::pair_key( $pair );
+            if ( ! isset( $wanted[ $key ] ) ) {
+                wp_clear_scheduled_hook( self::HOOK, array( $key ) );
+            }
+        }
+
+        foreach ( $wanted as $key => $recurrence ) {
+            $event = wp_get_scheduled_event( self::HOOK, array( $key ) );
+            if ( $event && $event->schedule === $recurrence ) {
+                continue;
+            }
+
+            wp_clear_scheduled_hook( self::HOOK, array( $key ) );
+
+            $interval = wp_get_schedules()[ $recurrence ]['interval'] ?? HOUR_IN_SECONDS;
+            wp_schedule_event( time() + $interval, $recurrence, self::HOOK, array( $key ) );
+        }
+    }
+
+    /**
+     * WP-Cron recurrence name for a pair, '' when it only syncs manually.
+     *
+     * @param array $pair
+     * @return string
+     */
+    private static function recurrence( array $pair ): string {
+        switch ( $pair['schedule'] ?? '' ) {
+            case 'hourly':
+            case 'daily':
+                return $pair['schedule'];
+            case 'custom':
+                return 'wpnc_every_' . self::interval( $pair ) . 'm';
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * @param array $pair
+     * @return int  Custom interval in minutes.
+     */
+    private static function interval( array $pair ): int {
+        return max( self::MIN_INTERVAL, (int) ( $pair['interval'] ?? 60 ) );
+    }
+
+    /**
+     * @param string $key
+     * @return array|null
+     */
+    private static function find( string $key ) {
+        foreach ( self::pairs() as $pair ) {
+            if ( self::pair_key( $pair ) === $key && self::recurrence( $pair ) ) {
+                return $pair;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @return array[]
+     */
+    private static function pairs(): array {
+        $opts = get_option( NC_Settings::OPTION_KEY, NC_Settings::defaults() );
+        return is_array( $opts['sync_dirs'] ?? null ) ? $opts['sync_dirs'] : array();
+    }
+}
@@ -1,15 +1,45 @@
 <?php
 /**
- * Directory Sync Engine  (WP → Nextcloud)
+ * Directory Sync Engine  (WP ⇄ Nextcloud)
  *
- * Compares a local directory tree against a remote Nextcloud folder,
- * then uploads new or modified files and creates missing directories.
+ * Compares a local directory tree against a remote Nextcloud folder and
+ * brings them in line, in one of three directions:
+ *
+ *   push  WP → NC: upload new or modified files, create missing folders.
+ *   pull  NC → WP: download new or modified files, create missing folders.
+ *   both  Two-way: changes on either side are copied to the other, and
+ *         deletions too. A snapshot of both sides after the previous run
+ *         tells "new here" from "deleted there"; a file changed on both
+ *         sides is a conflict, settled by the conflict policy.
+ *
+ * A push can also mirror: remote files and folders that no longer exist
+ * locally are deleted, or moved to a dated folder under TRASH_DIR.
+ *
+ * Copies are compared by size and modification time, or — in checksum
+ * mode — by content: a local hash against the checksum Nextcloud keeps
+ * (oc:checksums). Local hashes are cached by path, size and mtime.
  *
  * Design principles:
  *   - Pure logic: receives a Nextcloud_Client, never touches wp_options.
+ *     The two-way snapshot goes in and out through set_/get_snapshot();
+ *     the caller stores it.
  *   - Deterministic: same local + remote state → same operations.
- *   - Resumable-friendly: processes one file at a time, returns a log.
- *   - No deletes on remote by default (additive sync).
+ *   - Resumable: begin() returns a plain-data state and step() does one
+ *     file or one directory at a time, so a sync can span many requests
+ *     (see NC_Sync_Job).
+ *   - Push and pull never delete; only two-way sync propagates deletions,
+ *     and only of files the snapshot proves were synced before.
+ *   - Mirror removals wait until the whole tree has been walked, and are
+ *     all skipped when they would take more than the safety limit's
+ *     share of the remote files.
+ *   - Dry run: the same walk and the same decisions, but nothing is
+ *     created, transferred or removed; each decision is recorded as a
+ *     plan row instead (see take_plan()).
+ *   - After a transfer both copies carry the same size and modification
+ *     time, which is what the next run compares.
+ *   - Downloads land under ABSPATH, so only file types WordPress allows
+ *     for uploads are pulled, and never anything the web server could
+ *     run (PHP, .htaccess, …) — whatever the skip patterns say.
  *
  * @package WPNC
  */
@@ -20,14 +50,30 @@ defined( 'ABSPATH' ) || exit;
 
 class NC_Sync {
 
-    /** @var Nextcloud_Client */
-    private $client;
+    /** Sync directions. */
+    const DIRECTIONS = array( 'push', 'pull', 'both' );
 
-    /** @var string[] Operation log. */
-    private $log = array();
+    /**
+     * Conflict policies for two-way sync:
+     * newer = most recently modified copy wins, local / remote = that side
+     * always wins, keep_both = the Nextcloud copy is kept under a new name.
+     */
+    const CONFLICT_POLICIES = array( 'newer', 'local', 'remote', 'keep_both' );
+
+    /**
+     * Push mirror modes for remote entries gone locally: delete them, or
+     * move them to TRASH_DIR/<date>/ under the remote root ('' = keep).
+     */
+    const MIRROR_MODES = array( 'delete', 'trash' );
 
-    /** @var array Glob patterns to skip. */
-    private $skip_patterns = array(
+    /** Mirror trash folder, at the top of the remote root (never synced). */
+    const TRASH_DIR = '.wpnc-trash';
+
+    /** Default mirror safety limit (% of remote files a run may remove). */
+    const MIRROR_LIMIT = 10;
+
+    /** Names never synced, on either side. */
+    const DEFAULT_SKIP = array(
         '.',
         '..',
         '.git',
@@ -37,11 +83,60 @@ class NC_Sync {
         '.htaccess',
         'node_modules',
         'vendor',
+        self::TRASH_DIR,
+    );
+
+    /** Names never downloaded: scripts and server config files. */
+    const EXECUTABLE = '/\.(php\d*|phtml|pht|phps|phar|cgi)(\.|$)|^\.ht|^\.user\.ini$/i';
+
+    /** How copies are compared: size + modification time, or content hash. */
+    const COMPARE_MODES = array( 'mtime', 'checksum' );
+
+    /**
+     * Nextcloud checksum types → PHP hash algorithms, preferred first.
+     * Uploads in checksum mode send the first one.
+     */
+    const CHECKSUM_TYPES = array(
+        'SHA1'    => 'sha1',
+        'MD5'     => 'md5',
+        'SHA256'  => 'sha256',
+        'ADLER32' => 'adler32',
     );
 
+    /** @var Nextcloud_Client */
+    private $client;
+
+    /** @var string[] Operation log. */
+    private $log = array();
+
+    /** @var array[] Dry run: what a real run would do (see take_plan()). */
+    private $plan = array();
+
+    /** @var array Glob patterns to skip (see add_skip_patterns()). */
+    private $skip_patterns = self::DEFAULT_SKIP;
+
     /** @var int Max file size to sync in bytes (default 100 MB). */
     private $max_file_size;
 
+    /**
+     * @var array Two-way snapshot: folder path (relative to the sync root,
+     *            '' for the root) → name → { type, size, mtime, etag }.
+     */
+    private $snapshot = array();
+
+    /**
+     * @var array Checksum mode, local hash cache: folder path → name →
+     *            { size, mtime, <algorithm> => hex }. An entry whose size
+     *            or mtime no longer match the file is stale.
+     */
+    private $hashes = array();
+
+    /** @var NC_Sync_Filter|null Filter of the pair in progress (see filter()). */
+    private $filter;
+
+    /** @var string Settings the cached filter was built from. */
+    private $filter_key = '';
+
     /* ================================================================
      *  CONSTRUCTOR
      * ============================================================= */
@@ -60,22 +155,91 @@ class NC_Sync {
      * ============================================================= */
 
     /**
-     * Sync a local directory to a remote Nextcloud path.
+     * Sync a local directory with a remote Nextcloud path in one go.
      *
      * Returns an array of log strings describing every action taken,
      * or WP_Error if a fatal error occurs during initialisation.
      *
      * @param string $local_abs   Absolute local directory path.
      * @param string $remote_rel  Remote path relative to NC user root.
+     * @param array  $options     See begin().
      * @return string[]|\WP_Error  Log entries.
      */
-    public function sync_directory( string $local_abs, string $remote_rel ) {
-        $this->log = array();
+    public function sync_directory( string $local_abs, string $remote_rel, array $options = array() ) {
+        $state = $this->begin( $local_abs, $remote_rel, $options );
+        if ( is_wp_error( $state ) ) {
+            return $state;
+        }
 
+        while ( $this->step( $state ) ) {
+            // Keep going until the whole tree is done.
+        }
+
+        return $this->take_log();
+    }
+
+    /**
+     * Prepare a resumable sync of a local directory.
+     *
+     * The returned state is plain data, safe to store between requests;
+     * pass it to step() until step() returns false.
+     *
+     * @param string $local_abs   Absolute local directory path.
+     * @param string $remote_rel  Remote path relative to NC user root.
+     * @param array  $options {
+     *     @type string $direction     push | pull | both (default push).
+     *     @type string $conflict      Two-way conflict policy (default newer).
+     *     @type string $mirror        Push only: delete | trash remote orphans ('' = keep).
+     *     @type int    $mirror_limit  Most remote files (%) a mirror may remove.
+     *     @type string $compare       mtime | checksum (default mtime).
+     *     @type bool   $dry_run       Only plan: change nothing on either side.
+     *     @type array  $filters       Include / exclude, size and age filters (see NC_Sync_Filter::sanitize()).
+     * }
+     * @return array|\WP_Error    Sync state.
+     */
+    public function begin( string $local_abs, string $remote_rel, array $options = array() ) {
         $local_abs  = rtrim( $local_abs, '/' );
         $remote_rel = trim( $remote_rel, '/' );
 
-        if ( ! is_dir( $local_abs ) ) {
+        $options = wp_parse_args( $options, array(
+            'direction'    => 'push',
+            'conflict'     => 'newer',
+            'mirror'       => '',
+            'mirror_limit' => self::MIRROR_LIMIT,
+            'compare'      => 'mtime',
+            'dry_run'      => false,
+            'filters'      => array(),
+        ) );
+        if ( ! in_array( $options['direction'], self::DIRECTIONS, true ) ) {
+            $options['direction'] = 'push';
+        }
+        if ( ! in_array( $options['conflict'], self::CONFLICT_POLICIES, true ) ) {
+            $options['conflict'] = 'newer';
+        }
+        if ( $options['direction'] !== 'push' || ! in_array( $options['mirror'], self::MIRROR_MODES, true ) ) {
+            $options['mirror'] = '';
+        }
+        $options['mirror_limit'] = min( 100, max( 0, (int) $options['mirror_limit'] ) );
+        if ( ! in_array( $options['compare'], self::COMPARE_MODES, true ) ) {
+            $options['compare'] = 'mtime';
+        }
+        $options['dry_run']      = (bool) $options['dry_run'];
+        $options['filters']      = NC_Sync_Filter::sanitize( (array) $options['filters'] );
+        $dry_run                 = $options['dry_run'];
+
+        // Pull may create the local directory; push and two-way need it
+        // (a missing directory must never read as "everything deleted").
+        $has_local = is_dir( $local_abs );
+        if ( $options['direction'] === 'pull' && ! $has_local ) {
+            if ( $dry_run ) {
+                $this->plan( 'create', $local_abs );
+            } elseif ( wp_mkdir_p( $local_abs ) ) {
+                $this->log( '+ MKDIR  %s', $local_abs );
+                $has_local = true;
+            }
+        }
+
+        if ( ! $has_local && ! ( $dry_run && $options['direction'] === 'pull' ) ) {
             return new \WP_Error(
                 'wpnc_sync_no_dir',
                 sprintf( __( 'Local directory does not exist: %s', 'wp-nc-bridge' ), $local_abs )
@@ -83,26 +247,194 @@ class NC_Sync {
         }
 
         // Ensure remote root exists.
-        $mk = $this->client->create_folder( $remote_rel );
-        if ( is_wp_error( $mk ) ) {
-            return $mk;
+        $has_remote = true;
+        if ( $dry_run ) {
+            $has_remote = ! is_wp_error( $this->client->get_info( $remote_rel . '/' ) );
+            if ( ! $has_remote ) {
+                $this->plan( 'create', $remote_rel );
+            }
+        } else {
+            $mk = $this->client->create_folder( $remote_rel );
+            if ( is_wp_error( $mk ) ) {
+                return $mk;
+            }
         }
 
-        $this->log( '▶ START  %s → %s', $local_abs, $remote_rel );
+        $this->log( '▶ START  %s %s %s', $local_abs, $this->arrow( $options['direction'] ), $remote_rel );
 
-        // Build remote index for fast lookups.
-        $remote_index = $this->build_remote_index( $remote_rel );
-        if ( is_wp_error( $remote_index ) ) {
-            $this->log( '⚠ Could not index remote: %s (will upload everything)', $remote_index->get_error_message() );
-            $remote_index = array();
+        return array(
+            'local'   => $local_abs,
+            'remote'  => $remote_rel,
+            'options' => $options,
+            'dirs'    => array( $this->dir_entry( $local_abs, $remote_rel, '', $has_local, $has_remote ) ),
+            'files'   => array(),
+            'folder'  => null,      // Directory the queued files belong to.
+            'counts'  => self::empty_counts(),
+            'mirror'  => array(
+                'remote_files' => 0,       // Files seen on Nextcloud.
+                'orphan_files' => 0,       // Of those, files gone locally.
+                'orphans'      => array(), // Paths (relative to the root) to remove; folders end in '/'.
+                'blind'        => false,   // An orphaned folder could not be listed.
+                'checked'      => false,   // Safety limit passed.
+                'trash'        => $remote_rel . '/' . self::TRASH_DIR . '/' . gmdate( 'Y-m-d' ),
+                'made'         => array(), // Trash folders created so far.
+            ),
+            'done'    => false,
+        );
+    }
+
+    /**
+     * Do the next unit of work: sync one file, scan one directory, or
+     * remove one mirror orphan.
+     *
+     * Files of the directory scanned last are synced before the next
+     * directory is scanned, so the state never holds more than one
+     * directory's file list. Mirror orphans are removed last.
+     *
+     * @param array $state  State from begin(), updated in place.
+     * @return bool  False once the whole tree has been processed.
+     */
+    public function step( array &$state ): bool {
+        if ( $state['done'] ) {
+            return false;
+        }
+
+        if ( ! empty( $state['files'] ) ) {
+            $this->sync_file( array_pop( $state['files'] ), $state );
+            return true;
+        }
+
+        if ( ! empty( $state['dirs'] ) ) {
+            $dir = array_pop( $state['dirs'] );
+            if ( ! empty( $dir['cleanup'] ) && $state['options']['dry_run'] ) {
+                $this->plan( 'delete', ( $dir['cleanup'] === 'local' ? $dir['local'] : $dir['remote'] ) . '/', 0, 'if_empty' );
+            } elseif ( ! empty( $dir['cleanup'] ) ) {
+                $this->remove_if_empty( $dir, $state );
+            } elseif ( ! empty( $dir['orphan'] ) ) {
+                $this->count_orphans( $dir, $state );
+            } else {
+                $this->scan_directory( $dir, $state );
+            }
+            return true;
+        }
+
+        if ( ! empty( $state['mirror']['orphans'] ) ) {
+            $this->mirror_step( $state );
+            return true;
+        }
+
+        if ( $state['options']['compare'] === 'checksum' ) {
+            $this->forget_hash_folders( $state['local'] );
         }
 
-        // Walk local tree.
-        $this->walk_and_sync( $local_abs, $remote_rel, $remote_index );
+        $c = $state['counts'];
+        $this->log(
+            '■ DONE   %s %s %s (%d scanned, %d uploaded, %d downloaded, %d deleted, %d skipped, %d failed, %d conflicts)',
+            $state['local'],
+            $this->arrow( $state['options']['direction'] ),
+            $state['remote'],
+            $c['scanned'],
+            $c['uploaded'],
+            $c['downloaded'],
+            $c['deleted'],
+            $c['skipped'],
+            $c['failed'],
+            $c['conflicts']
+        );
+        $state['done'] = true;
 
-        $this->log( '■ DONE   %d entries logged', count( $this->log ) );
+        return false;
+    }
 
-        return $this->log;
+    /**
+     * Use a two-way snapshot (from get_snapshot() after the previous run).
+     *
+     * @param array $snapshot  Folder path → name → { type, size, mtime, etag }.
+     */
+    public function set_snapshot( array $snapshot ) {
+        $this->snapshot = $snapshot;
+    }
+
+    /**
+     * The two-way snapshot, updated as files were synced. Store it for
+     * the next run — also part-way, since every entry is final.
+     *
+     * @return array
+     */
+    public function get_snapshot(): array {
+        return $this->snapshot;
+    }
+
+    /**
+     * Use a local hash cache (from get_hash_cache() after the previous run).
+     *
+     * @param array $hashes  Folder path → name → { size, mtime, <algorithm> => hex }.
+     */
+    public function set_hash_cache( array $hashes ) {
+        $this->hashes = $hashes;
+    }
+
+    /**
+     * The local hash cache, with the hashes computed so far. Store it for
+     * the next run; entries of files gone locally have been dropped.
+     *
+     * @return array
+     */
+    public function get_hash_cache(): array {
+        return $this->hashes;
+    }
+
+    /**
+     * Return the log lines written since the last call, and clear them.
+     *
+     * @return string[]
+     */
+    public function take_log(): array {
+        $log       = $this->log;
+        $this->log = array();
+        return $log;
+    }
+
+    /**
+     * Dry run: return the plan rows recorded since the last call, and clear them.
+     *
+     * action = create | upload | download | delete | trash | conflict | skip
+     * path   = remote path, or absolute local path for local folders and deletions
+     * size   = bytes to transfer (upload, download, conflict), else the file size if known
+     * reason = why: unchanged | too_large | file_type | ignored | mirror_limit for skips,
+     *          conflict | keep_both for conflicts, if_empty for folder deletions
+     *
+     * @return array[]  { action, path, size, reason }
+     */
+    public function take_plan(): array {
+        $plan       = $this->plan;
+        $this->plan = array();
+        return $plan;
+    }
+
+    /**
+     * Zeroed file counters, as kept in a sync state.
+     *
+     * scanned    = files looked at (on either side)
+     * uploaded   = files sent to Nextcloud
+     * downloaded = files fetched from Nextcloud
+     * deleted    = files and folders removed on either side (two-way and mirror)
+     * skipped    = files up to date or over the size limit
+     * failed     = failed transfers and folders that could not be created
+     * conflicts  = files changed on both sides (two-way only)
+     *
+     * @return int[]
+     */
+    public static function empty_counts(): array {
+        return array(
+            'scanned'    => 0,
+            'uploaded'   => 0,
+            'downloaded' => 0,
+            'deleted'    => 0,
+            'skipped'    => 0,
+            'failed'     => 0,
+            'conflicts'  => 0,
+        );
     }
 
     /**
@@ -124,104 +456,659 @@ class NC_Sync {
     }
 
     /* ================================================================
-     *  INTERNAL: RECURSIVE WALKER
+     *  INTERNAL: DIRECTORY SCANNER
      * ============================================================= */
 
     /**
-     * Recursively walk a local directory and sync to remote.
+     * Scan one directory on both sides: create missing folders, queue
+     * its files and sub-directories in the state.
      *
-     * @param string $local_dir    Current local directory (absolute).
-     * @param string $remote_dir   Current remote directory (relative to NC root).
-     * @param array  $remote_index Map of remote_path → { size, modified }.
+     * @param array $dir    Queue entry (see dir_entry()).
+     * @param array $state  Sync state.
      */
-    private function walk_and_sync( string $local_dir, string $remote_dir, array &$remote_index ) {
-        $entries = scandir( $local_dir );
-        if ( $entries === false ) {
-            $this->log( '⚠ SKIP   Cannot read: %s', $local_dir );
+    private function scan_directory( array $dir, array &$state ) {
+        $direction = $state['options']['direction'];
+        $mirror    = $state['options']['mirror'] !== '';
+        $filter    = $this->filter( $state );
+
+        $ignored = array();
+
+        $local = $dir['has_local'] ? $this->list_local( $dir['local'], $ignored ) : array();
+        if ( $local === null ) {
+            $this->log( '⚠ SKIP   Cannot read: %s', $dir['local'] );
             return;
         }
 
-        // Separate folders and files — process folders first so remote dirs exist.
-        $folders = array();
-        $files   = array();
+        // A folder created during this run is known to be empty.
+        $remote = $dir['has_remote'] ? $this->list_remote( $dir['remote'], $ignored ) : array();
+        if ( $remote === null ) {
+            if ( $direction !== 'push' ) {
+                // Pulling or two-way from an unknown remote state could delete or miss files.
+                $state['counts']['failed']++;
+                return;
+            }
+            $this->log( '⚠ INDEX  %s: will upload everything', $dir['remote'] );
+            $remote = array();
+        }
+
+        $names = array_keys( $local + $remote );
+        sort( $names, SORT_STRING );
 
-        foreach ( $entries as $entry ) {
-            if ( $this->should_skip( $entry ) ) {
+        if ( $state['options']['dry_run'] ) {
+            foreach ( array_unique( $ignored ) as $name ) {
+                $this->plan( 'skip', $dir['remote'] . '/' . $name, 0, 'ignored' );
+            }
+        }
+
+        $subdirs = array();
+        $queue   = array();
+
+        foreach ( $names as $name ) {
+            $l   = $local[ $name ] ?? null;
+            $r   = $remote[ $name ] ?? null;
+            $rel = ltrim( $dir['rel'] . '/' . $name, '/' );
+
+            $is_folder = ( $l && $l['type'] === 'folder' ) || ( $r && $r['type'] === 'folder' );
+
+            if ( $l && $r && $l['type'] !== $r['type'] ) {
+                $this->log( '⚠ SKIP   %s (file on one side, folder on the other)', $dir['remote'] . '/' . $name );
+                continue;
+            }
+
+            // Out of the pair's filters: left alone on both sides. A recent
+            // change on either side makes the file recent.
+            $entry = $l ?: $r;
+            if ( $l && $r && ! $is_folder ) {
+                $entry['mtime'] = max( $l['mtime'], $r['mtime'] );
+            }
+            $reason = $filter->reason( $rel, $entry );
+            if ( $reason !== '' ) {
+                if ( $state['options']['dry_run'] ) {
+                    $this->plan( 'skip', $dir['remote'] . '/' . $name . ( $is_folder ? '/' : '' ), (int) ( $entry['size'] ?? 0 ), $reason );
+                }
+                continue;
+            }
+
+            if ( $is_folder ) {
+                $sub = $this->plan_folder( $dir, $name, $rel, $l !== null, $r !== null, $state );
+                if ( $sub ) {
+                    $subdirs[] = $sub;
+                }
+                continue;
+            }
+
+            if ( $mirror && $r ) {
+                $state['mirror']['remote_files']++;
+            }
+
+            // Files that only exist on the side this direction ignores.
+            if ( ( $direction === 'push' && ! $l ) || ( $direction === 'pull' && ! $r ) ) {
+                if ( $mirror && $r ) {
+                    $state['mirror']['orphan_files']++;
+                    $state['mirror']['orphans'][] = $rel;
+                }
+                continue;
+            }
+
+            $queue[] = array(
+                'name'   => $name,
+                'dir'    => $dir['rel'],
+                'local'  => $dir['local'] . '/' . $name,
+                'remote' => $dir['remote'] . '/' . $name,
+                'l'      => $l,
+                'r'      => $r,
+            );
+        }
+
+        // Two-way: snapshot entries of this folder gone from both sides.
+        if ( $direction === 'both' ) {
+            $this->forget_missing( $dir['rel'], $names );
+        }
+        if ( $state['options']['compare'] === 'checksum' && $dir['has_local'] ) {
+            $this->forget_hashes( $dir['rel'], $local );
+        }
+
+        // Both lists are consumed with array_pop(), so reverse to keep name order.
+        $state['files']  = array_reverse( $queue );
+        $state['folder'] = array(
+            'local'      => $dir['local'],
+            'remote'     => $dir['remote'],
+            'has_remote' => $dir['has_remote'] || $direction !== 'both',
+        );
+        $state['dirs'] = array_merge( $state['dirs'], array_reverse( $subdirs ) );
+    }
+
+    /**
+     * Decide what to do with a sub-folder and return its queue entry
+     * (null to leave it alone).
+     *
+     * Two-way: a folder on one side only that the snapshot knows was
+     * deleted on the other side. Its files are then handled one by one
+     * (unchanged ones deleted, changed ones kept), and a cleanup entry
+     * removes the folder afterwards if nothing is left in it.
+     *
+     * @param array  $dir     Parent queue entry.
+     * @param string $name    Folder name.
+     * @param string $rel     Path relative to the sync root.
+     * @param bool   $local   Exists locally.
+     * @param bool   $remote  Exists on Nextcloud.
+     * @param array  $state   Sync state.
+     * @return array|null
+     */
+    private function plan_folder( array $dir, string $name, string $rel, bool $local, bool $remote, array &$state ) {
+        $direction  = $state['options']['direction'];
+        $local_sub  = $dir['local'] . '/' . $name;
+        $remote_sub = $dir['remote'] . '/' . $name;
+        $known      = isset( $this->snapshot[ $dir['rel'] ][ $name ] );
+
+        if ( $direction === 'push' && ! $local ) {
+            if ( $state['options']['mirror'] === '' ) {
+                return null;
+            }
+
+            // Mirror: remove the folder as a whole, once its files are counted.
+            // With filters, only its matching files go (see count_orphans()).
+            if ( ! $this->filter( $state )->is_active() ) {
+                $state['mirror']['orphans'][] = $rel . '/';
+            }
+            return array_merge(
+                $this->dir_entry( $local_sub, $remote_sub, $rel, false, true ),
+                array( 'orphan' => true )
+            );
+        }
+        if ( $direction === 'pull' && ! $remote ) {
+            return null;
+        }
+
+        // Two-way deletion: walk the surviving side, then clean up.
+        if ( $direction === 'both' && $known && ( ! $local || ! $remote ) ) {
+            $state['dirs'][] = array_merge(
+                $this->dir_entry( $local_sub, $remote_sub, $rel, $local, $remote ),
+                array( 'cleanup' => $local ? 'local' : 'remote' )
+            );
+            return $this->dir_entry( $local_sub, $remote_sub, $rel, $local, $remote );
+        }
+
+        if ( $state['options']['dry_run'] ) {
+            if ( ! $remote ) {
+                $this->plan( 'create', $remote_sub );
+            }
+            if ( ! $local ) {
+                $this->plan( 'create', $local_sub );
+            }
+            return $this->dir_entry( $local_sub, $remote_sub, $rel, $local, $remote );
+        }
+
+        if ( ! $remote ) {
+            $mk = $this->client->create_folder( $remote_sub );
+            if ( is_wp_error( $mk ) ) {
+                $this->log( '✗ MKDIR  %s — %s', $remote_sub, $mk->get_error_message() );
+                $state['counts']['failed']++;
+                return null; // Skip this sub-tree.
+            }
+            $this->log( '+ MKDIR  %s', $remote_sub );
+        }
+
+        if ( ! $local ) {
+            if ( ! wp_mkdir_p( $local_sub ) ) {
+                $this->log( '✗ MKDIR  %s — %s', $local_sub, __( 'Cannot create local folder.', 'wp-nc-bridge' ) );
+                $state['counts']['failed']++;
+                return null;
+            }
+            $this->log( '+ MKDIR  %s', $local_sub );
+        }
+
+        if ( $direction === 'both' ) {
+            $this->snapshot[ $dir['rel'] ][ $name ] = array( 'type' => 'folder' );
+        }
+
+        return $this->dir_entry( $local_sub, $remote_sub, $rel, $local, $remote );
+    }
+
+    /**
+     * Directory queue entry.
+     *
+     * @param string $local       Absolute local path.
+     * @param string $remote      Relative remote path.
+     * @param string $rel         Path relative to the sync root ('' for the root).
+     * @param bool   $has_local   Whether the folder existed locally before this run.
+     * @param bool   $has_remote  Whether the folder existed on remote before this run.
+     * @return array
+     */
+    private function dir_entry( string $local, string $remote, string $rel, bool $has_local, bool $has_remote ): array {
+        return array(
+            'local'      => $local,
+            'remote'     => $remote,
+            'rel'        => $rel,
+            'has_local'  => $has_local,
+            'has_remote' => $has_remote,
+        );
+    }
+
+    /**
+     * Two-way cleanup: remove a folder deleted on the other side, once
+     * its contents have been handled — unless something is left in it.
+     *
+     * @param array $dir    Queue entry with 'cleanup' => local | remote.
+     * @param array $state  Sync state.
+     */
+    private function remove_if_empty( array $dir, array &$state ) {
+        list( $parent, $name ) = $this->split_rel( $dir['rel'] );
+
+        if ( $dir['cleanup'] === 'local' ) {
+            $left = $this->list_local( $dir['local'] );
+            if ( $left !== array() || ! @rmdir( $dir['local'] ) ) { // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+                $this->snapshot[ $parent ][ $name ] = array( 'type' => 'folder' );
+                return;
+            }
+            $this->log( '- DELETE %s/', $dir['local'] );
+        } else {
+            $left = $this->list_remote( $dir['remote'] );
+            if ( $left !== array() ) {
+                $this->snapshot[ $parent ][ $name ] = array( 'type' => 'folder' );
+                return;
+            }
+
+            $result = $this->client->delete( $dir['remote'] );
+            if ( is_wp_error( $result ) ) {
+                $this->log( '✗ DELETE %s/ — %s', $dir['remote'], $result->get_error_message() );
+                $state['counts']['failed']++;
+                return;
+            }
+            $this->log( '- DELETE %s/', $dir['remote'] );
+        }
+
+        unset( $this->snapshot[ $parent ][ $name ], $this->snapshot[ $dir['rel'] ] );
+        $state['counts']['deleted']++;
+    }
+
+    /* ================================================================
+     *  INTERNAL: MIRROR
+     * ============================================================= */
+
+    /**
+     * Mirror: count the files of a remote folder gone locally, for the
+     * safety limit. Its sub-folders are queued the same way.
+     *
+     * With filters, files out of scope are kept, so the matching files
+     * are queued for removal one by one instead of the whole folder.
+     *
+     * @param array $dir    Queue entry with 'orphan' => true.
+     * @param array $state  Sync state.
+     */
+    private function count_orphans( array $dir, array &$state ) {
+        $remote = $this->list_remote( $dir['remote'] );
+        if ( $remote === null ) {
+            $state['mirror']['blind'] = true;
+            return;
+        }
+
+        $filter = $this->filter( $state );
+
+        foreach ( $remote as $name => $r ) {
+            $rel = $dir['rel'] . '/' . $name;
+            if ( $filter->reason( $rel, $r ) !== '' ) {
                 continue;
             }
 
-            $local_path = $local_dir . '/' . $entry;
+            if ( $r['type'] === 'folder' ) {
+                $state['dirs'][] = array_merge(
+                    $this->dir_entry( $dir['local'] . '/' . $name, $dir['remote'] . '/' . $name, $rel, false, true ),
+                    array( 'orphan' => true )
+                );
+            } else {
+                $state['mirror']['remote_files']++;
+                $state['mirror']['orphan_files']++;
+                if ( $filter->is_active() ) {
+                    $state['mirror']['orphans'][] = $rel;
+                }
+            }
+        }
+    }
 
-            if ( is_dir( $local_path ) ) {
-                $folders[] = $entry;
-            } elseif ( is_file( $local_path ) ) {
-                $files[] = $entry;
+    /**
+     * Mirror: check the safety limit once, then remove one orphan per call.
+     *
+     * @param array $state  Sync state.
+     */
+    private function mirror_step( array &$state ) {
+        $m = &$state['mirror'];
+
+        if ( ! $m['checked'] ) {
+            $m['checked'] = true;
+
+            $limit = $state['options']['mirror_limit'];
+            $share = $m['remote_files'] ? $m['orphan_files'] * 100 / $m['remote_files'] : 0;
+
+            if ( $m['blind'] ) {
+                $this->log( '✗ MIRROR %s — some removed folders could not be listed; nothing removed', $state['remote'] );
+            } elseif ( $share > $limit ) {
+                $this->log(
+                    '✗ MIRROR %s — %d of %d files (%d%%) are gone locally, over the %d%% safety limit; nothing removed',
+                    $state['remote'],
+                    $m['orphan_files'],
+                    $m['remote_files'],
+                    round( $share ),
+                    $limit
+                );
+            } else {
+                return;
+            }
+
+            if ( $state['options']['dry_run'] ) {
+                foreach ( $m['orphans'] as $rel ) {
+                    $this->plan( 'skip', $state['remote'] . '/' . $rel, 0, 'mirror_limit' );
+                }
             }
+
+            $state['counts']['failed']++;
+            $m['orphans'] = array();
+            return;
         }
 
-        // 1. Process sub-directories.
-        foreach ( $folders as $folder ) {
-            $local_sub  = $local_dir . '/' . $folder;
-            $remote_sub = $remote_dir . '/' . $folder;
+        $rel    = array_pop( $m['orphans'] );
+        $folder = substr( $rel, -1 ) === '/';
+        $rel    = rtrim( $rel, '/' );
+        $path   = $state['remote'] . '/' . $rel;
+        $label  = $path . ( $folder ? '/' : '' );
 
-            // Create if not already on remote.
-            if ( ! isset( $remote_index[ $remote_sub ] ) ) {
-                $mk = $this->client->create_folder( $remote_sub );
+        if ( $state['options']['dry_run'] ) {
+            $this->plan( $state['options']['mirror'], $label );
+            return;
+        }
+
+        if ( $state['options']['mirror'] === 'trash' ) {
+            $target = $m['trash'] . '/' . $rel;
+            $parent = dirname( $target );
+
+            if ( ! isset( $m['made'][ $parent ] ) ) {
+                $mk = $this->client->create_folder( $parent );
                 if ( is_wp_error( $mk ) ) {
-                    $this->log( '✗ MKDIR  %s — %s', $remote_sub, $mk->get_error_message() );
-                    continue; // Skip this sub-tree.
+                    $this->log( '✗ TRASH  %s — %s', $label, $mk->get_error_message() );
+                    $state['counts']['failed']++;
+                    return;
                 }
-                $this->log( '+ MKDIR  %s', $remote_sub );
+                $m['made'][ $parent ] = true;
             }
 
-            // Recurse.
-            $this->walk_and_sync( $local_sub, $remote_sub, $remote_index );
+            // A copy trashed earlier the same day is replaced.
+            $result = $this->client->move( $path, $target );
+        } else {
+            $result = $this->client->delete( $path );
+        }
+
+        if ( is_wp_error( $result ) ) {
+            $this->log( '✗ %s %s — %s', $state['options']['mirror'] === 'trash' ? 'TRASH ' : 'DELETE', $label, $result->get_error_message() );
+            $state['counts']['failed']++;
+            return;
+        }
+
+        if ( $state['options']['mirror'] === 'trash' ) {
+            $this->log( '- TRASH  %s → %s', $label, $target );
+        } else {
+            $this->log( '- DELETE %s', $label );
+        }
+        $state['counts']['deleted']++;
+    }
+
+    /* ================================================================
+     *  INTERNAL: FILES
+     * ============================================================= */
+
+    /**
+     * Decide what a single file needs, then do it.
+     *
+     * @param array $file   Queue entry { name, dir, local, remote, l, r }.
+     * @param array $state  Sync state.
+     */
+    private function sync_file( array $file, array &$state ) {
+        $state['counts']['scanned']++;
+        $conflict = false;
+
+        // Checksum mode: true / false when the content could be compared.
+        $same = $state['options']['compare'] === 'checksum' ? $this->same_content( $file ) : null;
+
+        switch ( $state['options']['direction'] ) {
+            case 'push':
+                $upload = $same === null ? $this->needs_upload( $file['l'], $file['r'] ) : ! $same;
+                $action = $upload ? 'upload' : 'skip';
+                break;
+            case 'pull':
+                $download = $same === null ? $this->needs_download( $file['l'], $file['r'] ) : ! $same;
+                $action   = $download ? 'download' : 'skip';
+                break;
+            default:
+                $action = $this->two_way_action( $file, $state['options']['conflict'], $same );
+                if ( strpos( $action, 'conflict:' ) === 0 ) {
+                    $state['counts']['conflicts']++;
+                    $action = substr( $action, 9 );
+                    $this->log( '⚠ CONFLICT %s — changed on both sides, %s', $file['remote'], $this->conflict_outcome( $action ) );
+                    $conflict = true;
+                }
         }
 
-        // 2. Process files.
-        foreach ( $files as $file ) {
-            $local_path  = $local_dir . '/' . $file;
-            $remote_path = $remote_dir . '/' . $file;
+        if ( $state['options']['dry_run'] ) {
+            $this->plan_file( $action, $file, $conflict );
+            return;
+        }
 
-            $this->sync_file( $local_path, $remote_path, $remote_index );
+        switch ( $action ) {
+            case 'upload':
+            case 'download':
+                $this->transfer( $action, $file, $state );
+                break;
+            case 'keep_both':
+                $this->keep_both( $file, $state );
+                break;
+            case 'delete_local':
+            case 'delete_remote':
+                $this->delete( $action === 'delete_local' ? 'local' : 'remote', $file, $state );
+                break;
+            default:
+                $state['counts']['skipped']++;
+                if ( $state['options']['direction'] === 'both' && $file['l'] && $file['r'] ) {
+                    $this->remember( $file, $file['l'], $file['r'] );
+                }
+        }
+    }
+
+    /**
+     * Dry run: record what sync_file() would do with a file.
+     *
+     * @param string $action    As decided by sync_file().
+     * @param array  $file      Queue entry.
+     * @param bool   $conflict  Changed on both sides.
+     */
+    private function plan_file( string $action, array $file, bool $conflict ) {
+        $l_size = $file['l']['size'] ?? 0;
+        $r_size = $file['r']['size'] ?? 0;
+
+        switch ( $action ) {
+            case 'upload':
+            case 'download':
+                $size = $action === 'upload' ? $l_size : $r_size;
+                if ( $size > $this->max_file_size ) {
+                    $this->plan( 'skip', $file['remote'], $size, 'too_large' );
+                } elseif ( $action === 'download' && ! $this->download_allowed( $file['name'] ) ) {
+                    $this->plan( 'skip', $file['remote'], $size, 'file_type' );
+                } else {
+                    $this->plan( $action, $file['remote'], $size, $conflict ? 'conflict' : '' );
+                }
+                break;
+            case 'keep_both':
+                $this->plan( 'conflict', $file['remote'], $l_size + $r_size, 'keep_both' );
+                break;
+            case 'delete_local':
+                $this->plan( 'delete', $file['local'], $l_size );
+                break;
+            case 'delete_remote':
+                $this->plan( 'delete', $file['remote'], $r_size );
+                break;
+            default:
+                $this->plan( 'skip', $file['remote'], max( $l_size, $r_size ), 'unchanged' );
         }
     }
 
     /**
-     * Decide whether a single file needs uploading, then upload if needed.
+     * Copy a file to the other side (with the size guard).
      *
-     * @param string $local_path   Absolute local file path.
-     * @param string $remote_path  Relative remote path.
-     * @param array  $remote_index Remote index.
+     * @param string $action  upload | download
+     * @param array  $file    Queue entry.
+     * @param array  $state   Sync state.
      */
-    private function sync_file( string $local_path, string $remote_path, array &$remote_index ) {
-        $local_size = filesize( $local_path );
+    private function transfer( string $action, array $file, array &$state ) {
+        $size = $action === 'upload' ? $file['l']['size'] : $file['r']['size'];
 
         // Guard: file too large.
-        if ( $local_size > $this->max_file_size ) {
+        if ( $size > $this->max_file_size ) {
             $this->log(
                 '⚠ SKIP   %s (%.1f MB > %.1f MB limit)',
-                $remote_path,
-                $local_size / 1048576,
+                $file['remote'],
+                $size / 1048576,
                 $this->max_file_size / 1048576
             );
+            $state['counts']['skipped']++;
             return;
         }
 
-        // Decide: skip, or upload.
-        $dominated = $this->needs_upload( $local_path, $local_size, $remote_path, $remote_index );
-
-        if ( ! $dominated ) {
-            return; // Already up-to-date.
+        // Guard: a type that must not land in the WordPress tree.
+        if ( $action === 'download' && ! $this->download_allowed( $file['name'] ) ) {
+            $this->log( '⚠ SKIP   %s (file type not allowed)', $file['remote'] );
+            $state['counts']['skipped']++;
+            return;
         }
 
-        $result = $this->client->upload( $local_path, $remote_path );
+        if ( $action === 'upload' ) {
+            // Two-way: the folder may have been deleted on Nextcloud.
+            if ( ! $state['folder']['has_remote'] ) {
+                $mk = $this->client->create_folder( $state['folder']['remote'] );
+                if ( is_wp_error( $mk ) ) {
+                    $this->log( '✗ MKDIR  %s — %s', $state['folder']['remote'], $mk->get_error_message() );
+                    $state['counts']['failed']++;
+                    return;
+                }
+                $state['folder']['has_remote'] = true;
+            }
+
+            $checksum = '';
+            if ( $state['options']['compare'] === 'checksum' ) {
+                $type     = array_key_first( self::CHECKSUM_TYPES );
+                $hash     = $this->local_hash( $file, self::CHECKSUM_TYPES[ $type ] );
+                $checksum = $hash === '' ? '' : $type . ':' . $hash;
+            }
+
+            $result = $this->client->upload( $file['local'], $file['remote'], $checksum );
+        } else {
+            $result = $this->client->download_to_file( $file['remote'], $file['local'] );
+        }
 
         if ( is_wp_error( $result ) ) {
-            $this->log( '✗ UPLOAD %s — %s', $remote_path, $result->get_error_message() );
+            $this->log( '✗ %s %s — %s', $action === 'upload' ? 'UPLOAD' : 'DOWNLOAD', $file['remote'], $result->get_error_message() );
+            $state['counts']['failed']++;
+            return;
+        }
+
+        if ( $action === 'upload' ) {
+            $this->log( '↑ UPLOAD %s (%s)', $file['remote'], $this->human_size( $size ) );
+            $state['counts']['uploaded']++;
+
+            // Nextcloud keeps the local mtime (X-OC-MTime); its new ETag is unknown.
+            $remote = array( 'size' => $size, 'mtime' => $file['l']['mtime'], 'etag' => '' );
+            $local  = $file['l'];
+        } else {
+            // Give the local copy the remote modification time.
+            if ( $file['r']['mtime'] ) {
+                touch( $file['local'], $file['r']['mtime'] );
+            }
+            $this->log( '↓ DOWNLOAD %s (%s)', $file['remote'], $this->human_size( $size ) );
+            $state['counts']['downloaded']++;
+
+            clearstatcache( true, $file['local'] );
+            $remote = $file['r'];
+            $local  = array( 'size' => $size, 'mtime' => (int) filemtime( $file['local'] ) );
+
+            // The new local copy has the content Nextcloud vouched for.
+            if ( $state['options']['compare'] === 'checksum' && ! empty( $file['r']['checksums'] ) ) {
+                $this->cache_hashes( $file, $local, $file['r']['checksums'] );
+            }
+        }
+
+        if ( $state['options']['direction'] === 'both' ) {
+            $this->remember( $file, $local, $remote );
+        }
+    }
+
+    /**
+     * Conflict, keep both: move the Nextcloud copy aside under a
+     * "(conflict …)" name, fetch it, then upload the local copy.
+     *
+     * @param array $file   Queue entry.
+     * @param array $state  Sync state.
+     */
+    private function keep_both( array $file, array &$state ) {
+        $copy        = $this->conflict_name( $file['name'] );
+        $copy_remote = dirname( $file['remote'] ) . '/' . $copy;
+        $copy_local  = dirname( $file['local'] ) . '/' . $copy;
+
+        $moved = $this->client->move( $file['remote'], $copy_remote, false );
+        if ( is_wp_error( $moved ) ) {
+            $this->log( '✗ CONFLICT %s — %s', $file['remote'], $moved->get_error_message() );
+            $state['counts']['failed']++;
+            return;
+        }
+
+        $this->transfer(
+            'download',
+            array_merge( $file, array( 'name' => $copy, 'remote' => $copy_remote, 'local' => $copy_local ) ),
+            $state
+        );
+        $this->transfer( 'upload', $file, $state );
+    }
+
+    /**
+     * May a Nextcloud file be written into the local tree? Not when the
+     * web server could run it, nor when its type is not one WordPress
+     * accepts for uploads (get_allowed_mime_types()).
+     *
+     * @param string $name  File name.
+     * @return bool
+     */
+    private function download_allowed( string $name ): bool {
+        if ( preg_match( self::EXECUTABLE, $name ) ) {
+            return false;
+        }
+        $type = wp_check_filetype( $name );
+        return $type['ext'] !== false;
+    }
+
+    /**
+     * Two-way: delete a file whose copy on the other side was deleted.
+     *
+     * @param string $side   local | remote
+     * @param array  $file   Queue entry.
+     * @param array  $state  Sync state.
+     */
+    private function delete( string $side, array $file, array &$state ) {
+        if ( $side === 'local' ) {
+            wp_delete_file( $file['local'] );
+            if ( file_exists( $file['local'] ) ) {
+                $this->log( '✗ DELETE %s — %s', $file['local'], __( 'Cannot delete local file.', 'wp-nc-bridge' ) );
+                $state['counts']['failed']++;
+                return;
+            }
+            $this->log( '- DELETE %s', $file['local'] );
         } else {
-            $this->log( '↑ UPLOAD %s (%s)', $remote_path, $this->human_size( $local_size ) );
+            $result = $this->client->delete( $file['remote'] );
+            if ( is_wp_error( $result ) ) {
+                $this->log( '✗ DELETE %s — %s', $file['remote'], $result->get_error_message() );
+                $state['counts']['failed']++;
+                return;
+            }
+            $this->log( '- DELETE %s', $file['remote'] );
         }
+
+        unset( $this->snapshot[ $file['dir'] ][ $file['name'] ] );
+        $state['counts']['deleted']++;
     }
 
     /* ================================================================
@@ -229,116 +1116,491 @@ class NC_Sync {
      * ============================================================= */
 
     /**
-     * Determine whether a local file should be uploaded.
+     * Push: should a local file be uploaded?
      *
      * Strategy (cheap to expensive):
      *   1. File does not exist on remote → upload.
      *   2. File sizes differ → upload.
      *   3. Local mtime is newer than remote mtime → upload.
      *
-     * We intentionally do NOT compare checksums — the round-trip cost
-     * of downloading file content for hashing defeats the purpose.
+     * Checksum mode replaces this with same_content() whenever Nextcloud
+     * has a checksum of the file; content is never downloaded to compare.
      *
-     * @param string $local_path   Absolute local path.
-     * @param int    $local_size   Local file size.
-     * @param string $remote_path  Relative remote path.
-     * @param array  $remote_index Remote index.
-     * @return bool  True if the file needs uploading.
+     * @param array      $local   Local { size, mtime }.
+     * @param array|null $remote  Remote { size, mtime }, null if absent.
+     * @return bool
      */
-    private function needs_upload( string $local_path, int $local_size, string $remote_path, array &$remote_index ): bool {
-        // 1. Not on remote.
-        if ( ! isset( $remote_index[ $remote_path ] ) ) {
-            return true;
+    private function needs_upload( array $local, ?array $remote ): bool {
+        return $remote === null
+            || $remote['size'] !== $local['size']
+            || ! $local['mtime']                   // Cannot determine — play it safe.
+            || ( $remote['mtime'] && $local['mtime'] > $remote['mtime'] );
+    }
+
+    /**
+     * Pull: should a remote file be downloaded? The mirror of needs_upload().
+     *
+     * @param array|null $local   Local { size, mtime }, null if absent.
+     * @param array      $remote  Remote { size, mtime }.
+     * @return bool
+     */
+    private function needs_download( ?array $local, array $remote ): bool {
+        return $local === null
+            || $local['size'] !== $remote['size']
+            || ! $local['mtime']
+            || ( $remote['mtime'] && $remote['mtime'] > $local['mtime'] );
+    }
+
+    /**
+     * Two-way: what to do with a file, from both sides and the snapshot.
+     *
+     *   local   remote  snapshot   → action
+     *   ─────   ──────  ────────     ──────
+     *   yes     yes     —            same size + mtime: nothing, else conflict
+     *   yes     yes     yes          whichever side changed; both → conflict
+     *   yes     —       —            upload (new here)
+     *   yes     —       yes          deleted there: delete, or upload if changed here
+     *   —       yes     —            download (new there)
+     *   —       yes     yes          deleted here: delete, or download if changed there
+     *
+     * In checksum mode, copies with the same content on both sides are
+     * left alone whatever their metadata says.
+     *
+     * @param array     $file    Queue entry.
+     * @param string    $policy  Conflict policy.
+     * @param bool|null $same    Checksum mode: same content on both sides (null = unknown).
+     * @return string  skip | upload | download | delete_local | delete_remote,
+     *                 or "conflict:" + one of upload | download | keep_both.
+     */
+    private function two_way_action( array $file, string $policy, ?bool $same = null ): string {
+        $l    = $file['l'];
+        $r    = $file['r'];
+        $snap = $this->snapshot[ $file['dir'] ][ $file['name'] ] ?? null;
+
+        if ( $l && $r ) {
+            if ( $same === true ) {
+                return 'skip';
+            }
+            if ( $snap === null ) {
+                $same = $same ?? ( $l['size'] === $r['size'] && $l['mtime'] === $r['mtime'] );
+                return $same ? 'skip' : 'conflict:' . $this->resolve( $policy, $l, $r );
+            }
+
+            $l_changed = $this->local_changed( $l, $snap );
+            $r_changed = $this->remote_changed( $r, $snap );
+
+            // Different content that neither side's metadata owns up to.
+            if ( ( $l_changed && $r_changed ) || ( $same === false && ! $l_changed && ! $r_changed ) ) {
+                return 'conflict:' . $this->resolve( $policy, $l, $r );
+            }
+            if ( $l_changed ) {
+                return 'upload';
+            }
+            return $r_changed ? 'download' : 'skip';
         }
 
-        $remote = $remote_index[ $remote_path ];
+        if ( $l ) {
+            if ( $snap === null ) {
+                return 'upload';
+            }
+            return $this->local_changed( $l, $snap ) ? 'upload' : 'delete_local';
+        }
 
-        // 2. Size mismatch.
-        if ( (int) $remote['size'] !== $local_size ) {
+        if ( $snap === null ) {
+            return 'download';
+        }
+        return $this->remote_changed( $r, $snap ) ? 'download' : 'delete_remote';
+    }
+
+    /**
+     * Settle a conflict by policy.
+     *
+     * @param string $policy
+     * @param array  $l  Local { size, mtime }.
+     * @param array  $r  Remote { size, mtime }.
+     * @return string  upload | download | keep_both
+     */
+    private function resolve( string $policy, array $l, array $r ): string {
+        switch ( $policy ) {
+            case 'local':
+                return 'upload';
+            case 'remote':
+                return 'download';
+            case 'keep_both':
+                return 'keep_both';
+            default:
+                return $l['mtime'] >= $r['mtime'] ? 'upload' : 'download';
+        }
+    }
+
+    /**
+     * @param array $l     Local { size, mtime }.
+     * @param array $snap  Snapshot entry.
+     * @return bool
+     */
+    private function local_changed( array $l, array $snap ): bool {
+        return ( $snap['type'] ?? 'file' ) !== 'file'
+            || $l['size'] !== $snap['size']
+            || $l['mtime'] !== $snap['mtime'];
+    }
+
+    /**
+     * ETag when both are known (any remote change alters it), else
+     * size + modification time.
+     *
+     * @param array $r     Remote { size, mtime, etag }.
+     * @param array $snap  Snapshot entry.
+     * @return bool
+     */
+    private function remote_changed( array $r, array $snap ): bool {
+        if ( ( $snap['type'] ?? 'file' ) !== 'file' ) {
             return true;
         }
+        if ( $snap['etag'] !== '' && $r['etag'] !== '' ) {
+            return $r['etag'] !== $snap['etag'];
+        }
+        return $r['size'] !== $snap['size'] || $r['mtime'] !== $snap['mtime'];
+    }
+
+    /* ================================================================
+     *  INTERNAL: CHECKSUMS
+     * ============================================================= */
 
-        // 3. Modification time (local newer than remote).
-        $local_mtime = filemtime( $local_path );
-        if ( $local_mtime === false ) {
-            return true; // Cannot determine — play it safe.
+    /**
+     * Checksum mode: do both copies have the same content?
+     *
+     * Sizes are compared first, so only same-size copies get hashed.
+     *
+     * @param array $file  Queue entry.
+     * @return bool|null  Null when it cannot tell: a side is missing,
+     *                    Nextcloud has no checksum of a known type, or
+     *                    the local file cannot be read.
+     */
+    private function same_content( array $file ) {
+        if ( ! $file['l'] || ! $file['r'] ) {
+            return null;
+        }
+        if ( $file['l']['size'] !== $file['r']['size'] ) {
+            return false;
         }
 
-        if ( ! empty( $remote['modified'] ) ) {
-            $remote_ts = strtotime( $remote['modified'] );
-            if ( $remote_ts !== false && $local_mtime > $remote_ts ) {
-                return true;
+        foreach ( self::CHECKSUM_TYPES as $type => $algo ) {
+            if ( empty( $file['r']['checksums'][ $type ] ) ) {
+                continue;
             }
+
+            $hash = $this->local_hash( $file, $algo );
+            return $hash === '' ? null : hash_equals( $file['r']['checksums'][ $type ], $hash );
         }
 
-        return false;
+        return null;
+    }
+
+    /**
+     * Hash of a local file, from the cache while its size and mtime match.
+     *
+     * @param array  $file  Queue entry.
+     * @param string $algo  PHP hash algorithm.
+     * @return string  Lowercase hex, '' when the file cannot be read.
+     */
+    private function local_hash( array $file, string $algo ): string {
+        $entry = $this->hashes[ $file['dir'] ][ $file['name'] ] ?? null;
+        if ( ! $entry || $entry['size'] !== $file['l']['size'] || $entry['mtime'] !== $file['l']['mtime'] ) {
+            $entry = array( 'size' => $file['l']['size'], 'mtime' => $file['l']['mtime'] );
+        }
+
+        if ( ! isset( $entry[ $algo ] ) ) {
+            $hash = @hash_file( $algo, $file['local'] ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+            if ( $hash === false ) {
+                return '';
+            }
+            $entry[ $algo ] = $hash;
+        }
+
+        $this->hashes[ $file['dir'] ][ $file['name'] ] = $entry;
+        return $entry[ $algo ];
+    }
+
+    /**
+     * Cache known hashes of a local file (after a download).
+     *
+     * @param array    $file       Queue entry.
+     * @param array    $local      Local { size, mtime } now.
+     * @param string[] $checksums  Nextcloud checksum type → hex.
+     */
+    private function cache_hashes( array $file, array $local, array $checksums ) {
+        $entry = array( 'size' => $local['size'], 'mtime' => $local['mtime'] );
+        foreach ( self::CHECKSUM_TYPES as $type => $algo ) {
+            if ( ! empty( $checksums[ $type ] ) ) {
+                $entry[ $algo ] = $checksums[ $type ];
+            }
+        }
+
+        $this->hashes[ $file['dir'] ][ $file['name'] ] = $entry;
+    }
+
+    /**
+     * Drop cached hashes of a folder's files that are gone locally.
+     *
+     * @param string $rel    Folder path relative to the sync root.
+     * @param array  $local  Local listing of the folder.
+     */
+    private function forget_hashes( string $rel, array $local ) {
+        $files = array_filter( $local, function ( $entry ) {
+            return $entry['type'] === 'file';
+        } );
+
+        $this->hashes[ $rel ] = array_intersect_key( $this->hashes[ $rel ] ?? array(), $files );
+        if ( empty( $this->hashes[ $rel ] ) ) {
+            unset( $this->hashes[ $rel ] );
+        }
+    }
+
+    /**
+     * Drop cached hashes of whole folders gone locally (once per run).
+     *
+     * @param string $local_root  Absolute local root of the pair.
+     */
+    private function forget_hash_folders( string $local_root ) {
+        foreach ( array_keys( $this->hashes ) as $folder ) {
+            if ( ! is_dir( rtrim( $local_root . '/' . $folder, '/' ) ) ) {
+                unset( $this->hashes[ $folder ] );
+            }
+        }
     }
 
     /* ================================================================
-     *  INTERNAL: REMOTE INDEXING
+     *  INTERNAL: SNAPSHOT
      * ============================================================= */
 
     /**
-     * Build a flat map of all files and folders under a remote path.
+     * Record a file as in sync.
      *
-     * Key   = relative path (same format as walk_and_sync uses).
-     * Value = { type, size, modified }
+     * @param array $file    Queue entry.
+     * @param array $local   Local { size, mtime }.
+     * @param array $remote  Remote { size, mtime, etag }.
+     */
+    private function remember( array $file, array $local, array $remote ) {
+        $this->snapshot[ $file['dir'] ][ $file['name'] ] = array(
+            'type'  => 'file',
+            'size'  => $local['size'],
+            'mtime' => $local['mtime'],
+            'etag'  => $remote['etag'] ?? '',
+        );
+    }
+
+    /**
+     * Drop snapshot entries of a folder's children that are gone from
+     * both sides (with everything recorded below such a sub-folder).
+     *
+     * @param string   $rel    Folder path relative to the sync root.
+     * @param string[] $names  Names present on either side.
+     */
+    private function forget_missing( string $rel, array $names ) {
+        $gone = array_diff_key( $this->snapshot[ $rel ] ?? array(), array_flip( $names ) );
+
+        foreach ( $gone as $name => $entry ) {
+            unset( $this->snapshot[ $rel ][ $name ] );
+
+            if ( $entry['type'] === 'folder' ) {
+                $sub = ltrim( $rel . '/' . $name, '/' );
+                foreach ( array_keys( $this->snapshot ) as $folder ) {
+                    if ( $folder === $sub || strpos( $folder, $sub . '/' ) === 0 ) {
+                        unset( $this->snapshot[ $folder ] );
+                    }
+                }
+            }
+        }
+
+        if ( empty( $this->snapshot[ $rel ] ) ) {
+            unset( $this->snapshot[ $rel ] );
+        }
+    }
+
+    /**
+     * "a/b/c" → { "a/b", "c" }; "c" → { "", "c" }.
      *
-     * Uses recursive PROPFIND (one call per sub-folder).
+     * @param string $rel
+     * @return string[]
+     */
+    private function split_rel( string $rel ): array {
+        $slash = strrpos( $rel, '/' );
+        return $slash === false
+            ? array( '', $rel )
+            : array( substr( $rel, 0, $slash ), substr( $rel, $slash + 1 ) );
+    }
+
+    /* ================================================================
+     *  INTERNAL: LISTINGS
+     * ============================================================= */
+
+    /**
+     * Map the direct children of a local folder by name.
      *
-     * @param string $remote_root  Relative remote root.
-     * @return array|\WP_Error     Flat index or error.
+     * @param string     $path     Absolute local path.
+     * @param array|null $ignored  Collects the names skipped by pattern.
+     * @return array|null  Name → { type, size, mtime }; null when unreadable.
      */
-    private function build_remote_index( string $remote_root ) {
-        $index = array();
-        $this->index_recursive( $remote_root, $index );
-        return $index;
+    private function list_local( string $path, ?array &$ignored = null ) {
+        $entries = @scandir( $path ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+        if ( $entries === false ) {
+            return null;
+        }
+
+        $map = array();
+        foreach ( $entries as $entry ) {
+            if ( $this->should_skip( $entry ) ) {
+                if ( $ignored !== null && $entry !== '.' && $entry !== '..' ) {
+                    $ignored[] = $entry;
+                }
+                continue;
+            }
+
+            $full = $path . '/' . $entry;
+            if ( is_dir( $full ) ) {
+                $map[ $entry ] = array( 'type' => 'folder' );
+            } elseif ( is_file( $full ) ) {
+                $map[ $entry ] = array(
+                    'type'  => 'file',
+                    'size'  => (int) filesize( $full ),
+                    'mtime' => (int) filemtime( $full ),
+                );
+            }
+        }
+
+        return $map;
     }
 
     /**
-     * Recursive helper to populate the remote index.
+     * Map the direct children of a remote folder by name.
      *
-     * @param string $path   Current remote path.
-     * @param array  $index  Reference to the accumulating index.
+     * One PROPFIND per folder, made when the folder is scanned, so no
+     * index of the whole tree has to be held between requests.
+     *
+     * @param string     $path     Relative remote path.
+     * @param array|null $ignored  Collects the names skipped by pattern.
+     * @return array|null  Name → { type, size, mtime, etag }; null when it cannot be listed.
      */
-    private function index_recursive( string $path, array &$index ) {
+    private function list_remote( string $path, ?array &$ignored = null ) {
         $items = $this->client->list_folder( $path );
 
         if ( is_wp_error( $items ) ) {
-            // Non-fatal: just log and return.
+            // Non-fatal: the caller decides what an unknown folder means.
             $this->log( '⚠ INDEX  Cannot list %s: %s', $path, $items->get_error_message() );
-            return;
+            return null;
         }
 
+        $map = array();
         foreach ( $items as $item ) {
-            // Build the full relative path.
-            $item_path = trim( $path, '/' ) . '/' . $item['name'];
+            if ( $this->should_skip( $item['name'] ) ) {
+                if ( $ignored !== null ) {
+                    $ignored[] = $item['name'];
+                }
+                continue;
+            }
 
-            $index[ $item_path ] = array(
-                'type'     => $item['type'],
-                'size'     => $item['size'],
-                'modified' => $item['modified'],
-            );
+            $mtime = $item['modified'] ? strtotime( $item['modified'] ) : false;
 
-            // Recurse into sub-folders.
-            if ( $item['type'] === 'folder' ) {
-                $this->index_recursive( $item_path, $index );
+            $map[ $item['name'] ] = array(
+                'type'  => $item['type'],
+                'size'  => (int) $item['size'],
+                'mtime' => $mtime === false ? 0 : $mtime,
+                'etag'  => $item['etag'] ?? '',
+            );
+            if ( ! empty( $item['checksums'] ) ) {
+                $map[ $item['name'] ]['checksums'] = $item['checksums'];
             }
         }
+
+        return $map;
     }
 
     /* ================================================================
      *  INTERNAL: UTILITIES
      * ============================================================= */
 
+    /**
+     * The pair's filter, built once per pair.
+     *
+     * @param array $state  Sync state.
+     * @return NC_Sync_Filter
+     */
+    private function filter( array $state ): NC_Sync_Filter {
+        $filters = $state['options']['filters'] ?? array(); // States saved before filters existed.
+        $key     = wp_json_encode( $filters );
+        if ( $this->filter === null || $this->filter_key !== $key ) {
+            $this->filter     = new NC_Sync_Filter( $filters );
+            $this->filter_key = $key;
+        }
+        return $this->filter;
+    }
+
     /**
      * Should this file/directory name be skipped?
      *
+     * Partial downloads in progress are never synced.
+     *
      * @param string $name  Base name.
      * @return bool
      */
     private function should_skip( string $name ): bool {
-        return in_array( $name, $this->skip_patterns, true );
+        return in_array( $name, $this->skip_patterns, true )
+            || substr( $name, -strlen( Nextcloud_Client::PART_SUFFIX ) ) === Nextcloud_Client::PART_SUFFIX;
+    }
+
+    /**
+     * "name.ext" → "name (conflict 2024-05-01 142530).ext"
+     *
+     * @param string $name
+     * @return string
+     */
+    private function conflict_name( string $name ): string {
+        $dot   = strrpos( $name, '.' );
+        $stamp = ' (conflict ' . gmdate( 'Y-m-d His' ) . ')';
+
+        return ( $dot === false || $dot === 0 )
+            ? $name . $stamp
+            : substr( $name, 0, $dot ) . $stamp . substr( $name, $dot );
+    }
+
+    /**
+     * @param string $action  upload | download | keep_both
+     * @return string
+     */
+    private function conflict_outcome( string $action ): string {
+        switch ( $action ) {
+            case 'upload':
+                return 'keeping the WordPress copy';
+            case 'download':
+                return 'keeping the Nextcloud copy';
+            default:
+                return 'keeping both';
+        }
+    }
+
+    /**
+     * @param string $direction
+     * @return string
+     */
+    private function arrow( string $direction ): string {
+        return array( 'push' => '→', 'pull' => '←', 'both' => '⇄' )[ $direction ] ?? '→';
+    }
+
+    /**
+     * Dry run: record one plan row (see take_plan()).
+     *
+     * @param string $action
+     * @param string $path
+     * @param int    $size
+     * @param string $reason
+     */
+    private function plan( string $action, string $path, int $size = 0, string $reason = '' ) {
+        $this->plan[] = array(
+            'action' => $action,
+            'path'   => $path,
+            'size'   => $size,
+            'reason' => $reason,
+        );
     }
 
     /**
@@ -0,0 +1,222 @@
+<?php
+/**
+ * Thumbnail Cache
+ *
+ * Single-responsibility: keep the preview images Nextcloud renders for
+ * the grid view on the WordPress server, so a folder full of photos is
+ * fetched from Nextcloud once and not on every visit.
+ *
+ * Design principles:
+ *   - One file per path in uploads/wpnc-thumbs/, named by the path and
+ *     the ETag it was made for. Another ETag replaces the file, so the
+ *     ETag a browser sends can never add files, only refresh one.
+ *   - "No preview" answers are cached too (an empty .none file), so types
+ *     Nextcloud cannot render are not asked for again and again.
+ *   - Files older than CACHE_TTL are deleted, at most once a day; past
+ *     MAX_FILES the oldest go at once.
+ *   - The folder refuses direct access; thumbnails are served by
+ *     NC_Ajax::handle_thumbnail() after its access checks.
+ *
+ * @package WPNC
+ */
+
+namespace WPNC;
+
+defined( 'ABSPATH' ) || exit;
+
+class NC_Thumbnails {
+
+    /** Folder under the uploads directory. */
+    const DIR = 'wpnc-thumbs';
+
+    /** Longest side of a thumbnail (pixels). */
+    const SIZE = 256;
+
+    /** How long a cached thumbnail is kept (seconds). */
+    const CACHE_TTL = 30 * DAY_IN_SECONDS;
+
+    /** Most files kept; beyond it the oldest are deleted. */
+    const MAX_FILES = 5000;
+
+    /** Transient set while the last prune is recent. */
+    const PRUNED = 'wpnc_thumbs_pruned';
+
+    /** Option counting the files written since the last prune (roughly). */
+    const COUNT = 'wpnc_thumbs_count';
+
+    const TYPES = array(
+        'png'  => 'image/png',
+        'jpg'  => 'image/jpeg',
+        'webp' => 'image/webp',
+        'gif'  => 'image/gif',
+    );
+
+    /**
+     * The cached thumbnail of a file, fetched from Nextcloud when missing.
+     *
+     * A thumbnail cached for another ETag is dropped and fetched again.
+     *
+     * @param Nextcloud_Client $client
+     * @param string           $path  Remote path.
+     * @param string           $etag  The file's current ETag.
+     * @return array|\WP_Error  { file: local path, type: MIME type };
+     *                          wpnc_no_preview when Nextcloud has none.
+     */
+    public static function get( Nextcloud_Client $client, string $path, string $etag ) {
+        $dir = self::dir();
+        if ( is_wp_error( $dir ) ) {
+            return $dir;
+        }
+
+        $key  = md5( $path . "\0" . self::SIZE );
+        $base = $dir . '/' . $key . '.' . substr( md5( $etag ), 0, 12 );
+
+        $cached = glob( $dir . '/' . $key . '.*' ) ?: array();
+        foreach ( $cached as $file ) {
+            if ( strpos( $file, $base . '.' ) !== 0 ) {
+                continue;
+            }
+            $ext = substr( $file, strlen( $base ) + 1 );
+            if ( $ext === 'none' ) {
+                return new \WP_Error( 'wpnc_no_preview', __( 'No preview for this file.', 'wp-nc-bridge' ) );
+            }
+            if ( isset( self::TYPES[ $ext ] ) ) {
+                return array( 'file' => $file, 'type' => self::TYPES[ $ext ] );
+            }
+        }
+
+        // Made for another ETag: the file has changed.
+        foreach ( $cached as $file ) {
+            @unlink( $file ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+        }
+
+        self::maybe_prune( $dir );
+
+        $preview = $client->get_preview( $path, self::SIZE );
+        if ( is_wp_error( $preview ) ) {
+            if ( $preview->get_error_code() === 'wpnc_no_preview' && touch( $base . '.none' ) ) {
+                self::written( $dir );
+            }
+            return $preview;
+        }
+
+        $ext = array_search( $preview['type'], self::TYPES, true );
+        if ( $ext === false || $preview['body'] === '' ) {
+            return new \WP_Error( 'wpnc_preview_failed', __( 'Nextcloud returned an unexpected preview.', 'wp-nc-bridge' ) );
+        }
+
+        // Written aside and renamed, so a parallel request never reads half a file.
+        $tmp = $dir . '/' . wp_generate_password( 12, false ) . '.tmp';
+        if ( file_put_contents( $tmp, $preview['body'] ) === false || ! rename( $tmp, $base . '.' . $ext ) ) { // phpcs:ignore WordPress.WP.AlternativeFunctions
+            @unlink( $tmp ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+            return new \WP_Error( 'wpnc_thumb_write', __( 'Could not write the thumbnail cache.', 'wp-nc-bridge' ) );
+        }
+        self::written( $dir );
+
+        return array( 'file' => $base . '.' . $ext, 'type' => $preview['type'] );
+    }
+
+    /**
+     * Delete every cached thumbnail.
+     */
+    public static function clear() {
+        $uploads = wp_upload_dir( null, false );
+        foreach ( self::files( $uploads['basedir'] . '/' . self::DIR ) as $file ) {
+            @unlink( $file ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+        }
+        delete_transient( self::PRUNED );
+        delete_option( self::COUNT );
+    }
+
+    /* ================================================================
+     *  INTERNAL
+     * ============================================================= */
+
+    /**
+     * The cache folder, created (closed to direct access) the first time.
+     *
+     * @return string|\WP_Error
+     */
+    private static function dir() {
+        $uploads = wp_upload_dir( null, false );
+        $dir     = $uploads['basedir'] . '/' . self::DIR;
+
+        if ( ! is_dir( $dir ) ) {
+            if ( ! wp_mkdir_p( $dir ) ) {
+                return new \WP_Error( 'wpnc_thumb_dir', __( 'Could not create the thumbnail cache folder.', 'wp-nc-bridge' ) );
+            }
+            file_put_contents( $dir . '/.htaccess', "<IfModule mod_authz_core.c>\n    Require all denied\n</IfModule>\n<IfModule !mod_authz_core.c>\n    Deny from all\n</IfModule>\n" ); // phpcs:ignore WordPress.WP.AlternativeFunctions
+            file_put_contents( $dir . '/index.php', "<?php\n// Silence is golden.\n" ); // phpcs:ignore WordPress.WP.AlternativeFunctions
+        }
+
+        return $dir;
+    }
+
+    /**
+     * Delete thumbnails older than CACHE_TTL, once a day.
+     *
+     * @param string $dir
+     */
+    private static function maybe_prune( string $dir ) {
+        if ( get_transient( self::PRUNED ) ) {
+            return;
+        }
+        set_transient( self::PRUNED, 1, DAY_IN_SECONDS );
+        self::prune( $dir );
+    }
+
+    /**
+     * Count a new file; past MAX_FILES, prune at once.
+     *
+     * @param string $dir
+     */
+    private static function written( string $dir ) {
+        $count = (int) get_option( self::COUNT, 0 ) + 1;
+        if ( $count > self::MAX_FILES ) {
+            self::prune( $dir );
+            return;
+        }
+        update_option( self::COUNT, $count, false );
+    }
+
+    /**
+     * Delete thumbnails older than CACHE_TTL, then the oldest until a
+     * tenth of MAX_FILES is free again.
+     *
+     * @param string $dir
+     */
+    private static function prune( string $dir ) {
+        $cutoff = time() - self::CACHE_TTL;
+        $kept   = array();
+        foreach ( self::files( $dir ) as $file ) {
+            $mtime = (int) @filemtime( $file ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+            if ( $mtime < $cutoff ) {
+                @unlink( $file ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+            } else {
+                $kept[ $file ] = $mtime;
+            }
+        }
+
+        $excess = count( $kept ) - (int) ( self::MAX_FILES * 0.9 );
+        if ( $excess > 0 ) {
+            asort( $kept );
+            foreach ( array_slice( array_keys( $kept ), 0, $excess ) as $file ) {
+                @unlink( $file ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+            }
+        }
+
+        update_option( self::COUNT, min( count( $kept ), (int) ( self::MAX_FILES * 0.9 ) ), false );
+    }
+
+    /**
+     * Cached files in the folder (not its index.php / .htaccess).
+     *
+     * @param string $dir
+     * @return string[]
+     */
+    private static function files( string $dir ): array {
+        return array_filter( glob( $dir . '/*' ) ?: array(), function ( $file ) {
+            return basename( $file ) !== 'index.php';
+        } );
+    }
+}
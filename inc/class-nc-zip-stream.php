@@ -0,0 +1,335 @@
+<?php
+/**
+ * Streaming ZIP Writer
+ *
+ * Single-responsibility: write a ZIP archive to an output callback as it
+ * is built, so an archive of any size never sits in memory or on disk.
+ *
+ * Design principles:
+ *   - Entries are STORED (no compression): photos, videos and office
+ *     files are compressed already, and stored data streams straight
+ *     through.
+ *   - Sizes and CRC-32 follow each entry in a data descriptor
+ *     (flag bit 3), so a file can be written before its CRC is known.
+ *   - ZIP64 records are added only when a size, an offset or the
+ *     entry count outgrows the classic 32/16-bit fields.
+ *   - Names are UTF-8 (flag bit 11).
+ *
+ * Usage:
+ *   $zip = new NC_Zip_Stream( function ( $bytes ) { echo $bytes; } );
+ *   $zip->add_folder( 'Photos/' );
+ *   $zip->begin_file( 'Photos/a.jpg', $size, $mtime );
+ *   $zip->write( $data ); // …as often as needed
+ *   $zip->end_file();
+ *   $zip->finish();
+ *
+ * @package WPNC
+ */
+
+namespace WPNC;
+
+defined( 'ABSPATH' ) || exit;
+
+class NC_Zip_Stream {
+
+    /** Largest value that fits a classic 32-bit field (0xFFFFFFFF means "see ZIP64"). */
+    const MAX_32 = 0xFFFFFFFF;
+
+    /** Largest entry count that fits the classic end record. */
+    const MAX_16 = 0xFFFF;
+
+    /** General purpose flags: bit 3 (data descriptor) + bit 11 (UTF-8 names). */
+    const FLAG_DESCRIPTOR = 0x0008;
+    const FLAG_UTF8       = 0x0800;
+
+    /** @var callable Receives every byte of the archive, in order. */
+    private $output;
+
+    /** @var int Bytes written so far (= offset of the next record). */
+    private $offset = 0;
+
+    /** @var array[] Central directory entries collected while writing. */
+    private $entries = array();
+
+    /** @var array|null Entry currently being written by write(). */
+    private $current = null;
+
+    /**
+     * @param callable $output  function( string $bytes ) — e.g. echo + flush.
+     */
+    public function __construct( callable $output ) {
+        $this->output = $output;
+    }
+
+    /* ================================================================
+     *  PUBLIC API
+     * ============================================================= */
+
+    /**
+     * Add an empty folder entry.
+     *
+     * @param string $name   Path inside the archive; a trailing slash is added.
+     * @param int    $mtime  Unix timestamp (0 = now).
+     */
+    public function add_folder( string $name, int $mtime = 0 ) {
+        $this->end_file();
+
+        $name  = rtrim( $name, '/' ) . '/';
+        $entry = $this->new_entry( $name, $mtime, self::FLAG_UTF8, false );
+
+        $this->emit( $this->local_header( $entry ) );
+        $this->entries[] = $entry;
+    }
+
+    /**
+     * Start a file entry; its content follows through write().
+     *
+     * @param string $name       Path inside the archive.
+     * @param int    $size_hint  Expected size — decides whether the entry needs ZIP64.
+     * @param int    $mtime      Unix timestamp (0 = now).
+     */
+    public function begin_file( string $name, int $size_hint = 0, int $mtime = 0 ) {
+        $this->end_file();
+
+        $entry        = $this->new_entry( $name, $mtime, self::FLAG_UTF8 | self::FLAG_DESCRIPTOR, $size_hint >= self::MAX_32 );
+        $entry['crc'] = hash_init( 'crc32b' );
+
+        $this->emit( $this->local_header( $entry ) );
+        $this->current = $entry;
+    }
+
+    /**
+     * Append content to the file started by begin_file().
+     *
+     * @param string $data
+     */
+    public function write( string $data ) {
+        if ( $this->current === null || $data === '' ) {
+            return;
+        }
+
+        hash_update( $this->current['crc'], $data );
+        $this->current['size'] += strlen( $data );
+        $this->emit( $data );
+    }
+
+    /**
+     * Close the current file entry with its data descriptor.
+     *
+     * Called automatically by the next add_*() / begin_file() / finish().
+     */
+    public function end_file() {
+        if ( $this->current === null ) {
+            return;
+        }
+
+        $entry        = $this->current;
+        $entry['crc'] = unpack( 'N', hash_final( $entry['crc'], true ) )[1];
+
+        $descriptor = pack( 'VV', 0x08074b50, $entry['crc'] );
+        $descriptor .= $entry['zip64']
+            ? pack( 'PP', $entry['size'], $entry['size'] )
+            : pack( 'VV', $entry['size'], $entry['size'] );
+
+        $this->emit( $descriptor );
+        $this->entries[] = $entry;
+        $this->current   = null;
+    }
+
+    /**
+     * Add a small file whose content is already in memory.
+     *
+     * @param string $name
+     * @param string $data
+     * @param int    $mtime  Unix timestamp (0 = now).
+     */
+    public function add_file_from_string( string $name, string $data, int $mtime = 0 ) {
+        $this->begin_file( $name, strlen( $data ), $mtime );
+        $this->write( $data );
+        $this->end_file();
+    }
+
+    /**
+     * Write the central directory and end records. The archive is
+     * complete afterwards; nothing may be added.
+     */
+    public function finish() {
+        $this->end_file();
+
+        $cd_offset = $this->offset;
+        foreach ( $this->entries as $entry ) {
+            $this->emit( $this->central_header( $entry ) );
+        }
+        $cd_size = $this->offset - $cd_offset;
+        $count   = count( $this->entries );
+
+        if ( $count >= self::MAX_16 || $cd_size >= self::MAX_32 || $cd_offset >= self::MAX_32 ) {
+            $zip64_offset = $this->offset;
+
+            // ZIP64 end of central directory record (size excludes the first 12 bytes).
+            $this->emit(
+                pack( 'VPvvVV', 0x06064b50, 44, 45, 45, 0, 0 ) .
+                pack( 'PPPP', $count, $count, $cd_size, $cd_offset )
+            );
+
+            // ZIP64 end of central directory locator.
+            $this->emit( pack( 'VVPV', 0x07064b50, 0, $zip64_offset, 1 ) );
+        }
+
+        $this->emit( pack(
+            'VvvvvVVv',
+            0x06054b50,
+            0,
+            0,
+            min( $count, self::MAX_16 ),
+            min( $count, self::MAX_16 ),
+            min( $cd_size, self::MAX_32 ),
+            min( $cd_offset, self::MAX_32 ),
+            0
+        ) );
+    }
+
+    /**
+     * Bytes written so far.
+     *
+     * @return int
+     */
+    public function bytes_written(): int {
+        return $this->offset;
+    }
+
+    /* ================================================================
+     *  INTERNAL: RECORDS
+     * ============================================================= */
+
+    /**
+     * @param string $name
+     * @param int    $mtime
+     * @param int    $flags
+     * @param bool   $zip64  Whether the local header / descriptor use ZIP64 sizes.
+     * @return array
+     */
+    private function new_entry( string $name, int $mtime, int $flags, bool $zip64 ): array {
+        list( $time, $date ) = $this->dos_time( $mtime ?: time() );
+
+        return array(
+            'name'   => ltrim( str_replace( '\\', '/', $name ), '/' ),
+            'flags'  => $flags,
+            'time'   => $time,
+            'date'   => $date,
+            'crc'    => 0,
+            'size'   => 0,
+            'offset' => $this->offset,
+            'zip64'  => $zip64,
+            'folder' => substr( $name, -1 ) === '/',
+        );
+    }
+
+    /**
+     * Local file header. With a data descriptor, CRC and sizes are zero.
+     *
+     * @param array $entry
+     * @return string
+     */
+    private function local_header( array $entry ): string {
+        $extra = '';
+        $size  = 0;
+
+        if ( $entry['zip64'] ) {
+            $extra = pack( 'vvPP', 0x0001, 16, 0, 0 );
+            $size  = self::MAX_32;
+        }
+
+        return pack(
+            'VvvvvvVVVvv',
+            0x04034b50,
+            $entry['zip64'] ? 45 : 20,
+            $entry['flags'],
+            0,                   // method: stored
+            $entry['time'],
+            $entry['date'],
+            0,
+            $size,
+            $size,
+            strlen( $entry['name'] ),
+            strlen( $extra )
+        ) . $entry['name'] . $extra;
+    }
+
+    /**
+     * Central directory header, with a ZIP64 extra field for any value
+     * that does not fit 32 bits.
+     *
+     * @param array $entry
+     * @return string
+     */
+    private function central_header( array $entry ): string {
+        $extra  = '';
+        $size   = $entry['size'];
+        $offset = $entry['offset'];
+
+        if ( $size >= self::MAX_32 ) {
+            $extra .= pack( 'PP', $size, $size );
+            $size   = self::MAX_32;
+        }
+        if ( $offset >= self::MAX_32 ) {
+            $extra .= pack( 'P', $offset );
+            $offset = self::MAX_32;
+        }
+        if ( $extra !== '' ) {
+            $extra = pack( 'vv', 0x0001, strlen( $extra ) ) . $extra;
+        }
+
+        $version = ( $entry['zip64'] || $extra !== '' ) ? 45 : 20;
+
+        return pack(
+            'VvvvvvvVVVvvvvvVV',
+            0x02014b50,
+            $version,            // made by: MS-DOS attributes
+            $version,
+            $entry['flags'],
+            0,
+            $entry['time'],
+            $entry['date'],
+            $entry['crc'],
+            $size,
+            $size,
+            strlen( $entry['name'] ),
+            strlen( $extra ),
+            0,                   // comment length
+            0,                   // disk number
+            0,                   // internal attributes
+            $entry['folder'] ? 0x10 : 0x20,
+            $offset
+        ) . $entry['name'] . $extra;
+    }
+
+    /* ================================================================
+     *  INTERNAL: UTILITIES
+     * ============================================================= */
+
+    /**
+     * Hand bytes to the output callback and advance the offset.
+     *
+     * @param string $bytes
+     */
+    private function emit( string $bytes ) {
+        $this->offset += strlen( $bytes );
+        call_user_func( $this->output, $bytes );
+    }
+
+    /**
+     * Unix timestamp → MS-DOS time and date words (local time, 1980 minimum).
+     *
+     * @param int $timestamp
+     * @return int[]  { time, date }
+     */
+    private function dos_time( int $timestamp ): array {
+        $d = getdate( max( $timestamp, mktime( 0, 0, 0, 1, 1, 1980 ) ) );
+
+        return array(
+            ( $d['hours'] << 11 ) | ( $d['minutes'] << 5 ) | ( $d['seconds'] >> 1 ),
+            ( ( $d['year'] - 1980 ) << 9 ) | ( $d['mon'] << 5 ) | $d['mday'],
+        );
+    }
+}
@@ -45,6 +45,16 @@ class Nextcloud_Client {
     /** 10 MB — chunk size for large-file uploads (Nextcloud allows up to 100 MB per chunk). */
     const CHUNK_SIZE = 10485760;
 
+    /** Suffix of the temporary file download_to_file() writes before renaming it. */
+    const PART_SUFFIX = '.wpnc-part';
+
+    /* ─── OCS share permission bits ─────────────────────────── */
+
+    const SHARE_READ   = 1;
+    const SHARE_UPDATE = 2;
+    const SHARE_CREATE = 4;
+    const SHARE_DELETE = 8;
+
     /* ================================================================
      *  CONSTRUCTOR
      * ============================================================= */
@@ -156,7 +166,9 @@ class Nextcloud_Client {
      * List the contents of a remote folder.
      *
      * Returns an indexed array of items, each containing:
-     *   href, name, type ('file'|'folder'), size, mime, fileid
+     *   href, name, type ('file'|'folder'), size, mime, modified, etag, fileid,
+     *   checksums (algorithm → hex digest, e.g. { SHA1: "…" }; often empty),
+     *   share_types (OCS share types set on the item, e.g. [ 3 ] for a public link)
      *
      * @param string $path  Remote path relative to user root (e.g. "Documents/photos").
      * @return array|\WP_Error
@@ -174,8 +186,11 @@ class Nextcloud_Client {
     <d:getcontenttype/>
     <d:getcontentlength/>
     <d:getlastmodified/>
+    <d:getetag/>
     <oc:fileid/>
     <oc:size/>
+    <oc:checksums/>
+    <oc:share-types/>
   </d:prop>
 </d:propfind>';
 
@@ -259,16 +274,23 @@ class Nextcloud_Client {
     /**
      * Move / rename a remote resource.
      *
+     * With $overwrite = false the request carries "Overwrite: F", so an
+     * existing destination makes Nextcloud answer 412 instead of replacing it.
+     *
      * @param string $from_path  Current remote path.
      * @param string $to_path    New remote path.
+     * @param bool   $overwrite  Replace an existing destination (WebDAV default).
      * @return true|\WP_Error
      */
-    public function move( string $from_path, string $to_path ) {
+    public function move( string $from_path, string $to_path, bool $overwrite = true ) {
         $from_url = $this->dav_url . $this->encode_path( $from_path );
         $to_url   = $this->dav_url . $this->encode_path( $to_path );
 
         $response = $this->request( 'MOVE', $from_url, array(
-            'headers' => array( 'Destination' => $to_url ),
+            'headers' => array(
+                'Destination' => $to_url,
+                'Overwrite'   => $overwrite ? 'T' : 'F',
+            ),
         ) );
 
         if ( is_wp_error( $response ) ) {
@@ -276,6 +298,9 @@ class Nextcloud_Client {
         }
 
         $code = wp_remote_retrieve_response_code( $response );
+        if ( $code === 412 ) {
+            return new \WP_Error( 'wpnc_move_exists', sprintf( __( '"%s" already exists.', 'wp-nc-bridge' ), $to_path ) );
+        }
         if ( $code !== 201 && $code !== 204 ) {
             return new \WP_Error( 'wpnc_move_failed', sprintf( __( 'MOVE returned HTTP %d.', 'wp-nc-bridge' ), $code ) );
         }
@@ -283,6 +308,161 @@ class Nextcloud_Client {
         return true;
     }
 
+    /**
+     * Copy a remote file or folder (folders are copied recursively).
+     *
+     * Unlike move(), an existing destination is kept unless $overwrite is
+     * set: Nextcloud then answers 412 and this returns 'wpnc_copy_exists'.
+     *
+     * @param string $from_path  Source remote path.
+     * @param string $to_path    Destination remote path (including the name).
+     * @param bool   $overwrite  Replace an existing destination.
+     * @return true|\WP_Error
+     */
+    public function copy( string $from_path, string $to_path, bool $overwrite = false ) {
+        $from_url = $this->dav_url . $this->encode_path( $from_path );
+        $to_url   = $this->dav_url . $this->encode_path( $to_path );
+
+        $response = $this->request( 'COPY', $from_url, array(
+            'headers' => array(
+                'Destination' => $to_url,
+                'Depth'       => 'infinity',
+                'Overwrite'   => $overwrite ? 'T' : 'F',
+            ),
+            'timeout' => 300, // Large folders are copied server-side in one request.
+        ) );
+
+        if ( is_wp_error( $response ) ) {
+            return $response;
+        }
+
+        $code = wp_remote_retrieve_response_code( $response );
+        if ( $code === 412 ) {
+            return new \WP_Error( 'wpnc_copy_exists', sprintf( __( '"%s" already exists.', 'wp-nc-bridge' ), $to_path ) );
+        }
+        if ( $code !== 201 && $code !== 204 ) {
+            return new \WP_Error( 'wpnc_copy_failed', sprintf( __( 'COPY returned HTTP %d.', 'wp-nc-bridge' ), $code ) );
+        }
+
+        return true;
+    }
+
+    /* ================================================================
+     *  SEARCH
+     * ============================================================= */
+
+    /**
+     * Search a folder and everything below it (WebDAV SEARCH, Depth: infinity).
+     *
+     * All criteria are optional but at least one is required; they are
+     * combined with AND:
+     *   name            Part of the name (case-insensitive).
+     *   mime            "image/png", a major type ("image") or
+     *                   "httpd/unix-directory" for folders.
+     *   min_size        Bytes, inclusive.
+     *   max_size        Bytes, inclusive.
+     *   modified_after  Timestamp, inclusive.
+     *   modified_before Timestamp, exclusive.
+     *
+     * Items are shaped like list_folder()'s; their href is the full path
+     * relative to the user root. Newest first.
+     *
+     * @param string $path      Folder to search (relative to user root).
+     * @param array  $criteria  See above.
+     * @param int    $limit     Most results returned (0 = no limit).
+     * @return array|\WP_Error
+     */
+    public function search( string $path, array $criteria, int $limit = 0 ) {
+        $literal = function ( $value ) {
+            return '<d:literal>' . htmlspecialchars( (string) $value, ENT_XML1 | ENT_QUOTES, 'UTF-8' ) . '</d:literal>';
+        };
+
+        $where = array();
+        if ( isset( $criteria['name'] ) && $criteria['name'] !== '' ) {
+            // The name is matched literally: its own % and _ are not wildcards.
+            $where[] = '<d:like><d:prop><d:displayname/></d:prop>' . $literal( '%' . addcslashes( $criteria['name'], '\\%_' ) . '%' ) . '</d:like>';
+        }
+        if ( ! empty( $criteria['mime'] ) ) {
+            $mime    = strpos( $criteria['mime'], '/' ) === false ? $criteria['mime'] . '/%' : $criteria['mime'];
+            $where[] = '<d:like><d:prop><d:getcontenttype/></d:prop>' . $literal( $mime ) . '</d:like>';
+        }
+        if ( isset( $criteria['min_size'] ) ) {
+            $where[] = '<d:gte><d:prop><oc:size/></d:prop>' . $literal( (int) $criteria['min_size'] ) . '</d:gte>';
+        }
+        if ( isset( $criteria['max_size'] ) ) {
+            $where[] = '<d:lte><d:prop><oc:size/></d:prop>' . $literal( (int) $criteria['max_size'] ) . '</d:lte>';
+        }
+        if ( isset( $criteria['modified_after'] ) ) {
+            $where[] = '<d:gte><d:prop><d:getlastmodified/></d:prop>' . $literal( (int) $criteria['modified_after'] ) . '</d:gte>';
+        }
+        if ( isset( $criteria['modified_before'] ) ) {
+            $where[] = '<d:lt><d:prop><d:getlastmodified/></d:prop>' . $literal( (int) $criteria['modified_before'] ) . '</d:lt>';
+        }
+
+        if ( ! $where ) {
+            return new \WP_Error( 'wpnc_search_empty', __( 'Enter something to search for.', 'wp-nc-bridge' ) );
+        }
+
+        $scope = '/files/' . rawurlencode( $this->username ) . ( trim( $path, '/' ) !== '' ? '/' . $this->encode_path( $path ) : '' );
+
+        $xml_body = '<?xml version="1.0" encoding="UTF-8"?>
+<d:searchrequest xmlns:d="DAV:" xmlns:oc="http://owncloud.org/ns" xmlns:nc="http://nextcloud.org/ns">
+  <d:basicsearch>
+    <d:select>
+      <d:prop>
+        <d:resourcetype/>
+        <d:getcontenttype/>
+        <d:getcontentlength/>
+        <d:getlastmodified/>
+        <d:getetag/>
+        <oc:fileid/>
+        <oc:size/>
+        <oc:share-types/>
+      </d:prop>
+    </d:select>
+    <d:from>
+      <d:scope>
+        <d:href>' . htmlspecialchars( $scope, ENT_XML1, 'UTF-8' ) . '</d:href>
+        <d:depth>infinity</d:depth>
+      </d:scope>
+    </d:from>
+    <d:where>' . ( count( $where ) > 1 ? '<d:and>' . implode( '', $where ) . '</d:and>' : $where[0] ) . '</d:where>
+    <d:orderby>
+      <d:order>
+        <d:prop><d:getlastmodified/></d:prop>
+        <d:descending/>
+      </d:order>
+    </d:orderby>' . ( $limit > 0 ? '
+    <d:limit><d:nresults>' . $limit . '</d:nresults></d:limit>' : '' ) . '
+  </d:basicsearch>
+</d:searchrequest>';
+
+        $response = $this->request( 'SEARCH', $this->base_url . '/remote.php/dav/', array(
+            'headers' => array( 'Content-Type' => 'text/xml; charset=UTF-8' ),
+            'body'    => $xml_body,
+        ) );
+
+        if ( is_wp_error( $response ) ) {
+            return $response;
+        }
+
+        $code = wp_remote_retrieve_response_code( $response );
+        if ( $code !== 207 ) {
+            return new \WP_Error( 'wpnc_search_failed', sprintf( __( 'SEARCH returned HTTP %d.', 'wp-nc-bridge' ), $code ) );
+        }
+
+        $items = $this->parse_propfind( wp_remote_retrieve_body( $response ), $path, false );
+        if ( is_wp_error( $items ) ) {
+            return $items;
+        }
+
+        // The searched folder itself can match; it is not a result.
+        $self = trim( $path, '/' );
+        return array_values( array_filter( $items, function ( $item ) use ( $self ) {
+            return $item['href'] !== $self;
+        } ) );
+    }
+
     /* ================================================================
      *  FILE UPLOAD
      * ============================================================= */
@@ -291,12 +471,16 @@ class Nextcloud_Client {
      * Upload a local file to Nextcloud.
      *
      * Automatically chooses simple PUT or chunked upload based on file size.
+     * The local modification time is sent as X-OC-MTime, so the Nextcloud
+     * copy keeps it. A checksum ("SHA1:<hex>") is sent as OC-Checksum;
+     * Nextcloud stores it and returns it in list_folder()'s checksums.
      *
      * @param string $local_path   Absolute local file path.
      * @param string $remote_path  Destination path relative to user root.
+     * @param string $checksum     Optional "ALGORITHM:hex" of the file.
      * @return true|\WP_Error
      */
-    public function upload( string $local_path, string $remote_path ) {
+    public function upload( string $local_path, string $remote_path, string $checksum = '' ) {
         if ( ! file_exists( $local_path ) || ! is_readable( $local_path ) ) {
             return new \WP_Error( 'wpnc_file_not_found', sprintf( __( 'Local file not found: %s', 'wp-nc-bridge' ), $local_path ) );
         }
@@ -304,21 +488,28 @@ class Nextcloud_Client {
         $size = filesize( $local_path );
 
         if ( $size <= self::CHUNK_SIZE ) {
-            return $this->upload_simple( $local_path, $remote_path );
+            return $this->upload_simple( $local_path, $remote_path, $checksum );
         }
 
-        return $this->upload_chunked( $local_path, $remote_path );
+        return $this->upload_chunked( $local_path, $remote_path, $checksum );
     }
 
     /**
      * Simple PUT upload (files ≤ CHUNK_SIZE).
      */
-    private function upload_simple( string $local_path, string $remote_path ) {
-        $url  = $this->dav_url . $this->encode_path( $remote_path );
-        $body = file_get_contents( $local_path );
+    private function upload_simple( string $local_path, string $remote_path, string $checksum = '' ) {
+        $url     = $this->dav_url . $this->encode_path( $remote_path );
+        $body    = file_get_contents( $local_path );
+        $headers = array(
+            'Content-Type' => 'application/octet-stream',
+            'X-OC-MTime'   => (string) filemtime( $local_path ),
+        );
+        if ( $checksum !== '' ) {
+            $headers['OC-Checksum'] = $checksum;
+        }
 
         $response = $this->request( 'PUT', $url, array(
-            'headers' => array( 'Content-Type' => 'application/octet-stream' ),
+            'headers' => $headers,
             'body'    => $body,
             'timeout' => max( $this->timeout, 60 ),
         ) );
@@ -343,7 +534,7 @@ class Nextcloud_Client {
      *   2. PUT    uploads/{user}/{uuid}/0000-4MB   — upload each chunk
      *   3. MOVE   uploads/{user}/{uuid}/.file → dav/files/{user}/{dest}
      */
-    private function upload_chunked( string $local_path, string $remote_path ) {
+    private function upload_chunked( string $local_path, string $remote_path, string $checksum = '' ) {
         $uuid      = wp_generate_uuid4();
         $chunk_dir = $this->upload_url . $uuid;
 
@@ -402,9 +593,16 @@ class Nextcloud_Client {
 
         /* Step 3 — Assemble: MOVE .file → final destination */
         $dest_url = $this->dav_url . $this->encode_path( $remote_path );
+        $headers  = array(
+            'Destination' => $dest_url,
+            'X-OC-MTime'  => (string) filemtime( $local_path ),
+        );
+        if ( $checksum !== '' ) {
+            $headers['OC-Checksum'] = $checksum;
+        }
 
         $resp = $this->request( 'MOVE', $chunk_dir . '/.file', array(
-            'headers' => array( 'Destination' => $dest_url ),
+            'headers' => $headers,
             'timeout' => max( $this->timeout, 120 ),
         ) );
 
@@ -420,6 +618,102 @@ class Nextcloud_Client {
         return true;
     }
 
+    /**
+     * List the chunks already stored in a chunked-upload directory.
+     *
+     * Chunk names follow the "{offset}-{end}" convention used by
+     * upload_chunked(), so each entry is returned with its byte range.
+     * Used to resume an interrupted upload without re-sending data.
+     *
+     * @param string $upload_id  UUID of the temp directory under uploads/{user}/.
+     * @return array|\WP_Error  Indexed array of { offset, end, size }, sorted by offset.
+     */
+    public function get_upload_chunks( string $upload_id ) {
+        $url = $this->upload_url . rawurlencode( $upload_id ) . '/';
+
+        $xml_body = '<?xml version="1.0" encoding="UTF-8"?>
+<d:propfind xmlns:d="DAV:">
+  <d:prop>
+    <d:resourcetype/>
+    <d:getcontentlength/>
+  </d:prop>
+</d:propfind>';
+
+        $response = $this->request( 'PROPFIND', $url, array(
+            'headers' => array(
+                'Content-Type' => 'text/xml; charset=UTF-8',
+                'Depth'        => '1',
+            ),
+            'body' => $xml_body,
+        ) );
+
+        if ( is_wp_error( $response ) ) {
+            return $response;
+        }
+
+        $code = wp_remote_retrieve_response_code( $response );
+        if ( $code === 404 ) {
+            return new \WP_Error( 'wpnc_upload_not_found', __( 'Upload session not found (expired or already assembled).', 'wp-nc-bridge' ) );
+        }
+        if ( $code !== 207 ) {
+            return new \WP_Error( 'wpnc_propfind_failed', sprintf( __( 'PROPFIND returned HTTP %d.', 'wp-nc-bridge' ), $code ) );
+        }
+
+        $items = $this->parse_propfind( wp_remote_retrieve_body( $response ), $upload_id );
+        if ( is_wp_error( $items ) ) {
+            return $items;
+        }
+
+        $chunks = array();
+        foreach ( $items as $item ) {
+            if ( $item['type'] !== 'file' || ! preg_match( '/^(\d{15})-(\d{15})$/', $item['name'], $m ) ) {
+                continue;
+            }
+
+            $offset = (int) $m[1];
+            $end    = (int) $m[2];
+
+            // A chunk whose stored size does not match its name was cut off mid-PUT.
+            if ( $end - $offset !== (int) $item['size'] ) {
+                continue;
+            }
+
+            $chunks[] = array(
+                'offset' => $offset,
+                'end'    => $end,
+                'size'   => (int) $item['size'],
+            );
+        }
+
+        usort( $chunks, function ( $a, $b ) {
+            return $a['offset'] <=> $b['offset'];
+        } );
+
+        return $chunks;
+    }
+
+    /**
+     * Discard a chunked-upload temp directory and every chunk in it.
+     *
+     * @param string $upload_id  UUID of the temp directory under uploads/{user}/.
+     * @return true|\WP_Error
+     */
+    public function abort_upload( string $upload_id ) {
+        $response = $this->request( 'DELETE', $this->upload_url . rawurlencode( $upload_id ) );
+
+        if ( is_wp_error( $response ) ) {
+            return $response;
+        }
+
+        $code = wp_remote_retrieve_response_code( $response );
+        // 204 = deleted, 404 = already gone (expired or assembled) — both acceptable.
+        if ( $code !== 204 && $code !== 404 ) {
+            return new \WP_Error( 'wpnc_delete_failed', sprintf( __( 'DELETE returned HTTP %d.', 'wp-nc-bridge' ), $code ) );
+        }
+
+        return true;
+    }
+
     /**
      * Upload a file directly from a URL to Nextcloud (no temp file).
      *
@@ -695,82 +989,280 @@ class Nextcloud_Client {
     /**
      * Download a remote file and save directly to a local path.
      *
+     * Streams into a temporary file next to the destination, then
+     * renames it into place: large files never sit in memory, and a
+     * failed download leaves the existing file untouched.
+     *
      * @param string $remote_path  Remote path.
      * @param string $local_path   Absolute local path to save to.
      * @return true|\WP_Error
      */
     public function download_to_file( string $remote_path, string $local_path ) {
-        $content = $this->download( $remote_path );
-
-        if ( is_wp_error( $content ) ) {
-            return $content;
-        }
-
         $dir = dirname( $local_path );
-        if ( ! is_dir( $dir ) ) {
-            wp_mkdir_p( $dir );
+        if ( ! is_dir( $dir ) && ! wp_mkdir_p( $dir ) ) {
+            return new \WP_Error( 'wpnc_write_failed', sprintf( __( 'Cannot write to %s.', 'wp-nc-bridge' ), $local_path ) );
         }
 
-        $written = file_put_contents( $local_path, $content );
-        if ( $written === false ) {
+        $part   = $local_path . self::PART_SUFFIX;
+        $handle = fopen( $part, 'wb' );
+        if ( ! $handle ) {
             return new \WP_Error( 'wpnc_write_failed', sprintf( __( 'Cannot write to %s.', 'wp-nc-bridge' ), $local_path ) );
         }
 
+        $written = true;
+        $result  = $this->stream( $remote_path, function ( $data ) use ( $handle, &$written ) {
+            if ( fwrite( $handle, $data ) !== strlen( $data ) ) {
+                $written = false;
+                return false;
+            }
+        } );
+        fclose( $handle );
+
+        if ( is_wp_error( $result ) || ! $written || ! rename( $part, $local_path ) ) {
+            wp_delete_file( $part );
+            return is_wp_error( $result )
+                ? $result
+                : new \WP_Error( 'wpnc_write_failed', sprintf( __( 'Cannot write to %s.', 'wp-nc-bridge' ), $local_path ) );
+        }
+
         return true;
     }
 
+    /**
+     * Stream a remote file to a callback, piece by piece.
+     *
+     * Like upload_from_url() this drives cURL directly, so the body is
+     * never held in PHP memory: each piece goes to $on_data as it
+     * arrives. Only 2xx bodies are passed on. $on_headers runs once,
+     * before the first piece, with the status code and the response
+     * headers (lower-case names). Either callback may return false to
+     * stop the transfer, which is not an error.
+     *
+     * @param string        $path        Remote path relative to user root.
+     * @param callable      $on_data     function( string $data ): ?bool
+     * @param array         $headers     Extra request headers, e.g. Range.
+     * @param callable|null $on_headers  function( int $code, array $headers ): ?bool
+     * @return array|\WP_Error  { code, headers, bytes, aborted }
+     */
+    public function stream( string $path, callable $on_data, array $headers = array(), ?callable $on_headers = null ) {
+        $state = (object) array(
+            'code'    => 0,
+            'headers' => array(),
+            'started' => false,
+            'bytes'   => 0,
+            'aborted' => false,
+        );
+
+        $request_headers = array( 'Authorization: Basic ' . base64_encode( $this->username . ':' . $this->password ) );
+        foreach ( $headers as $name => $value ) {
+            $request_headers[] = $name . ': ' . $value;
+        }
+
+        $ch = curl_init();
+        curl_setopt_array( $ch, array(
+            CURLOPT_URL             => $this->dav_url . $this->encode_path( $path ),
+            CURLOPT_HTTPHEADER      => $request_headers,
+            CURLOPT_FOLLOWLOCATION  => true,
+            CURLOPT_MAXREDIRS       => 5,
+            CURLOPT_TIMEOUT         => 0,     // no overall limit — large files take time…
+            CURLOPT_LOW_SPEED_LIMIT => 1,     // …but give up on a stalled server
+            CURLOPT_LOW_SPEED_TIME  => max( $this->timeout, 60 ),
+            CURLOPT_CONNECTTIMEOUT  => $this->timeout,
+            CURLOPT_BUFFERSIZE      => 131072,
+        ) );
+
+        curl_setopt( $ch, CURLOPT_HEADERFUNCTION, function ( $ch, $line ) use ( $state ) {
+            if ( preg_match( '/^HTTP\/[\d.]+ (\d{3})/', $line, $m ) ) {
+                // Every status line (redirect, 100 Continue) starts a fresh header set.
+                $state->code    = (int) $m[1];
+                $state->headers = array();
+            } elseif ( strpos( $line, ':' ) !== false ) {
+                list( $name, $value ) = explode( ':', $line, 2 );
+                $state->headers[ strtolower( trim( $name ) ) ] = trim( $value );
+            }
+            return strlen( $line );
+        } );
+
+        curl_setopt( $ch, CURLOPT_WRITEFUNCTION, function ( $ch, $data ) use ( $state, $on_data, $on_headers ) {
+            // Error pages are swallowed; the status is reported below.
+            if ( $state->code < 200 || $state->code > 299 ) {
+                return strlen( $data );
+            }
+
+            if ( ! $state->started ) {
+                $state->started = true;
+                if ( $on_headers !== null && $on_headers( $state->code, $state->headers ) === false ) {
+                    $state->aborted = true;
+                    return -1;  // tell cURL to stop
+                }
+            }
+
+            if ( $on_data( $data ) === false ) {
+                $state->aborted = true;
+                return -1;
+            }
+
+            $state->bytes += strlen( $data );
+            return strlen( $data );
+        } );
+
+        curl_exec( $ch );
+        $curl_errno = curl_errno( $ch );
+        $curl_err   = curl_error( $ch );
+        curl_close( $ch );
+
+        if ( ! $state->aborted ) {
+            if ( $curl_errno !== 0 ) {
+                return new \WP_Error(
+                    'wpnc_curl_failed',
+                    sprintf( __( 'cURL error %d: %s', 'wp-nc-bridge' ), $curl_errno, $curl_err )
+                );
+            }
+
+            if ( $state->code < 200 || $state->code > 299 ) {
+                return new \WP_Error(
+                    'wpnc_download_failed',
+                    sprintf( __( 'GET returned HTTP %d.', 'wp-nc-bridge' ), $state->code ),
+                    array( 'status' => $state->code )
+                );
+            }
+
+            // Empty body: the write callback never ran.
+            if ( ! $state->started && $on_headers !== null ) {
+                $state->aborted = $on_headers( $state->code, $state->headers ) === false;
+            }
+        }
+
+        return array(
+            'code'    => $state->code,
+            'headers' => $state->headers,
+            'bytes'   => $state->bytes,
+            'aborted' => $state->aborted,
+        );
+    }
+
     /* ================================================================
-     *  OCS SHARING API
+     *  PREVIEWS
      * ============================================================= */
 
     /**
-     * Get an existing public share link for a path.
+     * The preview image Nextcloud renders for a file (core/preview.png).
+     *
+     * Images have previews out of the box; videos need the Movie preview
+     * provider (ffmpeg) enabled on the Nextcloud server.
      *
      * @param string $path  Remote path relative to user root.
-     * @return array|null|\WP_Error  Share data array, null if none, or error.
+     * @param int    $size  Longest side in pixels (aspect ratio is kept).
+     * @return array|\WP_Error  { type: MIME type, body: image bytes };
+     *                          wpnc_no_preview when there is none.
      */
-    public function get_share( string $path ) {
-        $url = add_query_arg( 'path', '/' . ltrim( $path, '/' ), $this->ocs_url );
-
-        $response = $this->request( 'GET', $url, array(
-            'headers' => array( 'OCS-APIRequest' => 'true' ),
+    public function get_preview( string $path, int $size ) {
+        $url = $this->base_url . '/index.php/core/preview.png?' . http_build_query( array(
+            'file' => '/' . trim( $path, '/' ),
+            'x'    => $size,
+            'y'    => $size,
+            'a'    => 1,
         ) );
 
+        $response = $this->request( 'GET', $url );
         if ( is_wp_error( $response ) ) {
             return $response;
         }
 
-        $data = $this->parse_ocs( wp_remote_retrieve_body( $response ) );
-        if ( is_wp_error( $data ) ) {
-            return $data;
+        $code = wp_remote_retrieve_response_code( $response );
+        if ( $code === 404 ) {
+            return new \WP_Error( 'wpnc_no_preview', __( 'No preview for this file.', 'wp-nc-bridge' ) );
+        }
+        if ( $code !== 200 ) {
+            return new \WP_Error( 'wpnc_preview_failed', sprintf( __( 'Preview returned HTTP %d.', 'wp-nc-bridge' ), $code ) );
+        }
+
+        return array(
+            'type' => strtok( (string) wp_remote_retrieve_header( $response, 'content-type' ), ';' ),
+            'body' => wp_remote_retrieve_body( $response ),
+        );
+    }
+
+    /* ================================================================
+     *  OCS SHARING API
+     * ============================================================= */
+
+    /**
+     * List the shares of a path (links and user / group shares).
+     *
+     * Each share is normalised to:
+     *   id, share_type (0 user, 1 group, 3 link, 4 email, …), token, url,
+     *   label, share_with (display name), has_password, expiration
+     *   ('Y-m-d' or ''), permissions (OCS bitmask), created (timestamp)
+     *
+     * @param string $path  Remote path relative to user root.
+     * @return array|\WP_Error
+     */
+    public function list_shares( string $path ) {
+        $elements = $this->fetch_shares( $path );
+        if ( is_wp_error( $elements ) ) {
+            return $elements;
         }
 
-        // OCS nests data under 'data' → 'element' (array of shares).
-        if ( ! empty( $data['data']['element'] ) ) {
-            $element = $data['data']['element'];
-            // Single share comes as assoc, multiple as indexed.
-            return isset( $element['token'] ) ? $element : end( $element );
+        return array_map( array( $this, 'normalize_share' ), $elements );
+    }
+
+    /**
+     * Get an existing plain public link for a path: read-only, no
+     * password, no expiry. Links with options are left to the share dialog.
+     *
+     * @param string $path  Remote path relative to user root.
+     * @return array|null|\WP_Error  Share data array, null if none, or error.
+     */
+    public function get_share( string $path ) {
+        $elements = $this->fetch_shares( $path );
+        if ( is_wp_error( $elements ) ) {
+            return $elements;
         }
 
-        return null; // No share exists yet.
+        foreach ( array_reverse( $elements ) as $element ) {
+            $share = $this->normalize_share( $element );
+            if ( $share['share_type'] === 3 && ! $share['has_password'] && $share['expiration'] === ''
+                && ( $share['permissions'] & 15 ) === self::SHARE_READ ) {
+                return $element;
+            }
+        }
+
+        return null; // No plain link exists yet.
     }
 
     /**
      * Create a public share link for a path.
      *
-     * @param string $path  Remote path.
+     * @param string $path     Remote path.
+     * @param array  $options  Optional { password, expire_date ('Y-m-d'), label, permissions (bitmask) }.
      * @return array|\WP_Error  Share data (contains 'token', 'url', etc.) or error.
      */
-    public function create_share( string $path ) {
+    public function create_share( string $path, array $options = array() ) {
+        $body = array(
+            'path'      => '/' . ltrim( $path, '/' ),
+            'shareType' => 3,  // 3 = public link
+        );
+
+        if ( ! empty( $options['password'] ) ) {
+            $body['password'] = $options['password'];
+        }
+        if ( ! empty( $options['expire_date'] ) ) {
+            $body['expireDate'] = $options['expire_date'];
+        }
+        if ( ! empty( $options['label'] ) ) {
+            $body['label'] = $options['label'];
+        }
+        if ( ! empty( $options['permissions'] ) ) {
+            $body['permissions'] = (int) $options['permissions'];
+        }
+
         $response = $this->request( 'POST', $this->ocs_url, array(
             'headers' => array(
                 'OCS-APIRequest' => 'true',
                 'Content-Type'   => 'application/x-www-form-urlencoded',
             ),
-            'body' => array(
-                'path'      => '/' . ltrim( $path, '/' ),
-                'shareType' => 3,  // 3 = public link
-            ),
+            'body' => $body,
         ) );
 
         if ( is_wp_error( $response ) ) {
@@ -789,6 +1281,25 @@ class Nextcloud_Client {
         return new \WP_Error( 'wpnc_share_failed', __( 'Unexpected OCS response when creating share.', 'wp-nc-bridge' ) );
     }
 
+    /**
+     * Revoke a share.
+     *
+     * @param string $id  Share ID (from list_shares()).
+     * @return true|\WP_Error
+     */
+    public function delete_share( string $id ) {
+        $response = $this->request( 'DELETE', $this->ocs_url . '/' . rawurlencode( $id ), array(
+            'headers' => array( 'OCS-APIRequest' => 'true' ),
+        ) );
+
+        if ( is_wp_error( $response ) ) {
+            return $response;
+        }
+
+        $data = $this->parse_ocs( wp_remote_retrieve_body( $response ) );
+        return is_wp_error( $data ) ? $data : true;
+    }
+
     /**
      * Get or create a public share link, return the full download URL.
      *
@@ -825,7 +1336,7 @@ class Nextcloud_Client {
      * Retrieve metadata of a single file / folder (PROPFIND Depth: 0).
      *
      * @param string $path  Remote path.
-     * @return array|\WP_Error  Associative array with href, name, type, size, mime, fileid.
+     * @return array|\WP_Error  Associative array with href, name, type, size, mime, modified, etag, fileid.
      */
     public function get_info( string $path ) {
         $url = $this->dav_url . $this->encode_path( $path );
@@ -842,6 +1353,7 @@ class Nextcloud_Client {
     <d:getcontenttype/>
     <d:getcontentlength/>
     <d:getlastmodified/>
+    <d:getetag/>
     <oc:fileid/>
     <oc:size/>
   </d:prop>
@@ -1009,9 +1521,28 @@ class Nextcloud_Client {
                 'mime'     => $is_folder ? '' : (string) ( $prop->dav_getcontenttype ?? '' ),
                 'size'     => (int) ( $prop->oc_size ?? $prop->dav_getcontentlength ?? 0 ),
                 'modified' => (string) ( $prop->dav_getlastmodified ?? '' ),
+                'etag'     => trim( (string) ( $prop->dav_getetag ?? '' ), '"' ),
                 'fileid'   => (string) ( $prop->oc_fileid ?? '' ),
             );
 
+            // "SHA1:… MD5:… ADLER32:…" → { SHA1: …, MD5: …, ADLER32: … }
+            $item['checksums'] = array();
+            if ( isset( $prop->oc_checksums->oc_checksum ) ) {
+                foreach ( preg_split( '/\s+/', trim( (string) $prop->oc_checksums->oc_checksum ) ) as $pair ) {
+                    $colon = strpos( $pair, ':' );
+                    if ( $colon ) {
+                        $item['checksums'][ strtoupper( substr( $pair, 0, $colon ) ) ] = strtolower( substr( $pair, $colon + 1 ) );
+                    }
+                }
+            }
+
+            $item['share_types'] = array();
+            if ( isset( $prop->{'oc_share-types'}->{'oc_share-type'} ) ) {
+                foreach ( $prop->{'oc_share-types'}->{'oc_share-type'} as $share_type ) {
+                    $item['share_types'][] = (int) $share_type;
+                }
+            }
+
             $items[] = $item;
         }
 
@@ -1053,6 +1584,70 @@ class Nextcloud_Client {
         return $data;
     }
 
+    /**
+     * Raw OCS share elements of a path, always as a list.
+     *
+     * @param string $path  Remote path.
+     * @return array[]|\WP_Error
+     */
+    private function fetch_shares( string $path ) {
+        $url = add_query_arg( 'path', '/' . ltrim( $path, '/' ), $this->ocs_url );
+
+        $response = $this->request( 'GET', $url, array(
+            'headers' => array( 'OCS-APIRequest' => 'true' ),
+        ) );
+
+        if ( is_wp_error( $response ) ) {
+            return $response;
+        }
+
+        $data = $this->parse_ocs( wp_remote_retrieve_body( $response ) );
+        if ( is_wp_error( $data ) ) {
+            return $data;
+        }
+
+        // OCS nests data under 'data' → 'element'; a single share comes as assoc.
+        $element = $data['data']['element'] ?? array();
+        if ( ! is_array( $element ) ) {
+            return array();
+        }
+        return isset( $element['id'] ) ? array( $element ) : array_values( $element );
+    }
+
+    /**
+     * One OCS share element → the list_shares() shape.
+     *
+     * Empty XML elements arrive as empty arrays, hence the string casts.
+     *
+     * @param array $element
+     * @return array
+     */
+    private function normalize_share( array $element ): array {
+        $text = function ( $key ) use ( $element ) {
+            $value = $element[ $key ] ?? '';
+            return is_array( $value ) ? '' : (string) $value;
+        };
+
+        $type = (int) $text( 'share_type' );
+
+        // Link shares report the (hashed) password in 'password' or, on
+        // older servers, in 'share_with'.
+        $has_password = $type === 3 && ( $text( 'password' ) !== '' || $text( 'share_with' ) !== '' );
+
+        return array(
+            'id'           => $text( 'id' ),
+            'share_type'   => $type,
+            'token'        => $text( 'token' ),
+            'url'          => $text( 'url' ),
+            'label'        => $text( 'label' ),
+            'share_with'   => $type === 3 ? '' : ( $text( 'share_with_displayname' ) ?: $text( 'share_with' ) ),
+            'has_password' => $has_password,
+            'expiration'   => substr( $text( 'expiration' ), 0, 10 ),
+            'permissions'  => (int) $text( 'permissions' ),
+            'created'      => (int) $text( 'stime' ),
+        );
+    }
+
     /* ================================================================
      *  INTERNAL: UTILITIES
      * ============================================================= */
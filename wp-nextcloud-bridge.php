@@ -54,13 +54,28 @@ function wpnc_bootstrap() {
     // Frontend shortcode (registers [nextcloud]).
     new WPNC\NC_Shortcode();
 
+    // Guest drop box endpoints ([nextcloud mode="dropbox"]).
+    new WPNC\NC_Dropbox();
+
+    // Block editor: "Nextcloud File" block with a file picker.
+    new WPNC\NC_Editor();
+
     // AJAX handlers (both admin & front for nopriv proxy)
     new WPNC\NC_Ajax();
+
+    // Background sync: cron watchdog that resumes a stalled job.
+    add_action( WPNC\NC_Sync_Job::WATCHDOG_HOOK, array( 'WPNC\NC_Sync_Job', 'watchdog' ) );
+
+    // Per-pair sync schedules (WP-Cron).
+    new WPNC\NC_Sync_Schedule();
+
+    // Media Library uploads pushed to Nextcloud (and served from it).
+    new WPNC\NC_Media_Offload();
 }
 
 /* ── Activation / Deactivation ─────────────────────────────── */
 register_activation_hook( __FILE__, function () {
-    // Future: create custom tables or schedule cron events
+    // Future: create custom tables
     if ( ! get_option( 'wpnc_settings' ) ) {
         add_option( 'wpnc_settings', array(
             'nc_url'        => '',
@@ -71,8 +86,14 @@ register_activation_hook( __FILE__, function () {
             'sync_dirs'     => array(),
         ) );
     }
+
+    // Bring back the sync schedules that deactivation cleared.
+    new WPNC\NC_Sync_Schedule();
+    WPNC\NC_Sync_Schedule::restore();
 } );
 
 register_deactivation_hook( __FILE__, function () {
-    wp_clear_scheduled_hook( 'wpnc_scheduled_sync' );
+    wp_unschedule_hook( 'wpnc_scheduled_sync' ); // One event per scheduled pair.
+    wp_clear_scheduled_hook( 'wpnc_sync_watchdog' );
+    WPNC\NC_Thumbnails::clear();
 } );